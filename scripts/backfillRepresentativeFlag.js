@@ -0,0 +1,93 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  GetCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+// isRepresentative のない既存の Attendees に、予約者本人かどうかを書き込む。
+// 予約者名と同じ名前の参加者（なければ最も古い参加者）を本人とみなす。
+// isRepresentative が設定済みの予約は変更しないため、何度実行してもよい。
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const dynamodb = DynamoDBDocumentClient.from(client);
+
+const ATTENDEES_TABLE_NAME = `${process.env.ENV}-attendees`;
+const RESERVATIONS_TABLE_NAME = `${process.env.ENV}-reservations`;
+
+/** 全 Attendees を予約ごとにまとめる */
+async function getAttendeesByReservation() {
+  const byReservation = new Map();
+  let lastKey;
+  do {
+    const result = await dynamodb.send(
+      new ScanCommand({
+        TableName: ATTENDEES_TABLE_NAME,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    for (const item of result.Items || []) {
+      const list = byReservation.get(item.reservationId) || [];
+      list.push(item);
+      byReservation.set(item.reservationId, list);
+    }
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return byReservation;
+}
+
+async function backfillReservation(reservationId, attendees) {
+  if (attendees.some((a) => a.isRepresentative !== undefined)) {
+    return false;
+  }
+
+  const { Item: reservation } = await dynamodb.send(
+    new GetCommand({
+      TableName: RESERVATIONS_TABLE_NAME,
+      Key: { id: reservationId },
+    })
+  );
+  const byCreatedAt = [...attendees].sort((a, b) =>
+    (a.createdAt || "").localeCompare(b.createdAt || "")
+  );
+  const representative =
+    byCreatedAt.find((a) => a.name === reservation?.name) || byCreatedAt[0];
+
+  for (const attendee of attendees) {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: ATTENDEES_TABLE_NAME,
+        Key: { id: attendee.id },
+        UpdateExpression: "SET isRepresentative = :flag",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeValues: {
+          ":flag": attendee === representative,
+        },
+      })
+    );
+  }
+  if (!reservation) {
+    console.warn(
+      `  WARNING: reservation ${reservationId} not found, marked the oldest attendee as representative`
+    );
+  }
+  return true;
+}
+
+async function backfillAllAttendees() {
+  const byReservation = await getAttendeesByReservation();
+  let updatedCount = 0;
+  for (const [reservationId, attendees] of byReservation) {
+    if (await backfillReservation(reservationId, attendees)) {
+      updatedCount++;
+    }
+  }
+  console.log(
+    `Backfilled isRepresentative for ${updatedCount} of ${byReservation.size} reservations`
+  );
+}
+
+backfillAllAttendees().catch((err) => {
+  console.error("Error backfilling isRepresentative:", err);
+  process.exit(1);
+});
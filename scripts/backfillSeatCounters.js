@@ -0,0 +1,139 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+// 既存の予約からスケジュールの座席カウンタ
+// (pendingSeats / confirmedSeats / remainingSeats、券種のあるスケジュールは
+// ticketTierRemaining も) を再計算して書き込む。
+// 何度実行しても同じ結果になるが、実行中に入った予約は反映されないため
+// 予約の少ない時間帯に実行すること。
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const dynamodb = DynamoDBDocumentClient.from(client);
+
+const SCHEDULES_TABLE_NAME = `${process.env.ENV}-schedules`;
+const RESERVATIONS_TABLE_NAME = `${process.env.ENV}-reservations`;
+
+async function getAllSchedules() {
+  const schedules = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.send(
+      new ScanCommand({
+        TableName: SCHEDULES_TABLE_NAME,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    schedules.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return schedules;
+}
+
+// 座席を確保しているステータスと集計先（src/lib/seats.js の SEAT_COUNTER_BY_STATUS と同じ）
+const COUNTER_BY_STATUS = {
+  pending: "pending",
+  awaiting_payment: "pending",
+  awaiting_approval: "pending",
+  confirmed: "confirmed",
+  no_show: "confirmed",
+};
+const STATUSES = Object.keys(COUNTER_BY_STATUS);
+
+/** スケジュールの pending / confirmed の座席数と券種ごとの枚数を集計 */
+async function countSeats(performanceId, scheduleId) {
+  const counts = { pending: 0, confirmed: 0, tickets: {} };
+  let lastKey;
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: RESERVATIONS_TABLE_NAME,
+        IndexName: "GSI1",
+        KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
+        FilterExpression:
+          "#status IN (" + STATUSES.map((_, i) => `:s${i}`).join(", ") + ")",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":pid": performanceId,
+          ":sid": scheduleId,
+          ...Object.fromEntries(
+            STATUSES.map((status, i) => [`:s${i}`, status])
+          ),
+        },
+        ProjectionExpression: "#status, reservedSeats, tickets",
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    for (const item of result.Items || []) {
+      counts[COUNTER_BY_STATUS[item.status]] += item.reservedSeats;
+      for (const [tierId, count] of Object.entries(item.tickets || {})) {
+        counts.tickets[tierId] = (counts.tickets[tierId] || 0) + count;
+      }
+    }
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return counts;
+}
+
+async function backfillSchedule(schedule) {
+  const { pending, confirmed, tickets } = await countSeats(
+    schedule.performanceId,
+    schedule.id
+  );
+  const remaining = schedule.totalSeats - pending - confirmed;
+
+  let updateExpression =
+    "SET pendingSeats = :pending, confirmedSeats = :confirmed, remainingSeats = :remaining";
+  const values = {
+    ":pending": pending,
+    ":confirmed": confirmed,
+    ":remaining": remaining,
+  };
+  let tierRemaining;
+  if (schedule.ticketTiers && Object.keys(schedule.ticketTiers).length > 0) {
+    tierRemaining = Object.fromEntries(
+      Object.entries(schedule.ticketTiers).map(([tierId, tier]) => [
+        tierId,
+        tier.quota - (tickets[tierId] || 0),
+      ])
+    );
+    updateExpression += ", ticketTierRemaining = :tierRemaining";
+    values[":tierRemaining"] = tierRemaining;
+  }
+
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: SCHEDULES_TABLE_NAME,
+      Key: { performanceId: schedule.performanceId, id: schedule.id },
+      UpdateExpression: updateExpression,
+      ExpressionAttributeValues: values,
+    })
+  );
+
+  const label = `${schedule.performanceId}/${schedule.id}`;
+  console.log(
+    `${label}: total ${schedule.totalSeats}, pending ${pending}, confirmed ${confirmed}, remaining ${remaining}`
+  );
+  if (remaining < 0) {
+    console.warn(`  WARNING: ${label} is overbooked by ${-remaining} seats`);
+  }
+  if (tierRemaining) {
+    console.log(`  ticket tiers remaining: ${JSON.stringify(tierRemaining)}`);
+  }
+}
+
+async function backfillAllSchedules() {
+  const schedules = await getAllSchedules();
+  for (const schedule of schedules) {
+    await backfillSchedule(schedule);
+  }
+  console.log(`Backfilled seat counters for ${schedules.length} schedules`);
+}
+
+backfillAllSchedules().catch((err) => {
+  console.error("Error backfilling seat counters:", err);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  DeleteCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { hashPassword } from "../src/lib/passwords.js";
+
+// 管理ユーザーと公演ごとの権限を管理する。
+//   ENV=dev ADMIN_PASSWORD=... npm run admin-users -- create <email> <owner|staff|reception> [name]
+//   ENV=dev npm run admin-users -- grant <email> <performanceId>
+//   ENV=dev npm run admin-users -- revoke <email> <performanceId>
+//   ENV=dev npm run admin-users -- disable <email>
+//   ENV=dev npm run admin-users -- revoke-sessions <email>
+// create は既存ユーザーのパスワード・ロールの再設定にも使える（発行済みのセッションは失効する）。
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const dynamodb = DynamoDBDocumentClient.from(client);
+
+const ADMIN_USERS_TABLE_NAME = `${process.env.ENV}-admin-users`;
+const ADMIN_GRANTS_TABLE_NAME = `${process.env.ENV}-admin-grants`;
+const ADMIN_ROLES = ["owner", "staff", "reception"];
+
+const USAGE = `Usage: ENV=dev npm run admin-users -- <command> ...
+  create <email> <${ADMIN_ROLES.join(
+    "|"
+  )}> [name]   (password from ADMIN_PASSWORD)
+  grant <email> <performanceId>
+  revoke <email> <performanceId>
+  disable <email>
+  revoke-sessions <email>`;
+
+async function createUser(email, role, name = "") {
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !ADMIN_ROLES.includes(role) || !password) {
+    throw new Error(USAGE);
+  }
+  const now = new Date().toISOString();
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: ADMIN_USERS_TABLE_NAME,
+      Key: { email },
+      UpdateExpression:
+        "SET #role = :role, #name = :name, passwordHash = :hash, disabled = :false, updatedAt = :now, createdAt = if_not_exists(createdAt, :now) ADD sessionVersion :one",
+      ExpressionAttributeNames: { "#role": "role", "#name": "name" },
+      ExpressionAttributeValues: {
+        ":role": role,
+        ":name": name,
+        ":hash": await hashPassword(password),
+        ":false": false,
+        ":now": now,
+        ":one": 1,
+      },
+    })
+  );
+  console.log(`Saved admin user ${email} (${role})`);
+}
+
+async function grant(email, performanceId) {
+  if (!email || !performanceId) throw new Error(USAGE);
+  await dynamodb.send(
+    new PutCommand({
+      TableName: ADMIN_GRANTS_TABLE_NAME,
+      Item: { email, performanceId, grantedAt: new Date().toISOString() },
+    })
+  );
+  console.log(`Granted ${performanceId} to ${email}`);
+}
+
+async function revoke(email, performanceId) {
+  if (!email || !performanceId) throw new Error(USAGE);
+  await dynamodb.send(
+    new DeleteCommand({
+      TableName: ADMIN_GRANTS_TABLE_NAME,
+      Key: { email, performanceId },
+    })
+  );
+  console.log(`Revoked ${performanceId} from ${email}`);
+}
+
+/** disabled にするか sessionVersion を上げると発行済みのトークンは使えなくなる */
+async function updateUser(email, updateExpression, values, message) {
+  if (!email) throw new Error(USAGE);
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: ADMIN_USERS_TABLE_NAME,
+      Key: { email },
+      UpdateExpression: `${updateExpression}, updatedAt = :now`,
+      ConditionExpression: "attribute_exists(email)",
+      ExpressionAttributeValues: {
+        ...values,
+        ":now": new Date().toISOString(),
+      },
+    })
+  );
+  console.log(message);
+}
+
+async function main([command, rawEmail, ...args]) {
+  // 管理ユーザーのキーは小文字のメールアドレス
+  const email = rawEmail?.trim().toLowerCase();
+  switch (command) {
+    case "create":
+      return createUser(email, ...args);
+    case "grant":
+      return grant(email, args[0]);
+    case "revoke":
+      return revoke(email, args[0]);
+    case "disable":
+      return updateUser(
+        email,
+        "SET disabled = :true",
+        { ":true": true },
+        `Disabled ${email}`
+      );
+    case "revoke-sessions":
+      return updateUser(
+        email,
+        "SET sessionVersion = if_not_exists(sessionVersion, :zero) + :one",
+        { ":zero": 0, ":one": 1 },
+        `Revoked sessions of ${email}`
+      );
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
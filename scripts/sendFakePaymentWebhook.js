@@ -0,0 +1,54 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import {
+  signFakeWebhook,
+  FAKE_SIGNATURE_HEADER,
+} from "../src/lib/payments/fakeProvider.js";
+
+// fake 決済プロバイダの Webhook を送り、決済待ちの予約の支払い完了（または失敗）を再現する。
+//   ENV=dev API_URL=http://localhost:3000/dev PAYMENT_WEBHOOK_SECRET=... \
+//     npm run fake-payment -- <reservationId> [succeeded|failed]
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const dynamodb = DynamoDBDocumentClient.from(client);
+
+const RESERVATIONS_TABLE_NAME = `${process.env.ENV}-reservations`;
+const { API_URL, PAYMENT_WEBHOOK_SECRET } = process.env;
+
+async function sendFakePaymentWebhook(reservationId, result = "succeeded") {
+  if (!reservationId || !API_URL || !PAYMENT_WEBHOOK_SECRET) {
+    throw new Error(
+      "Usage: ENV=dev API_URL=... PAYMENT_WEBHOOK_SECRET=... npm run fake-payment -- <reservationId> [succeeded|failed]"
+    );
+  }
+
+  const { Item: reservation } = await dynamodb.send(
+    new GetCommand({
+      TableName: RESERVATIONS_TABLE_NAME,
+      Key: { id: reservationId },
+    })
+  );
+  if (!reservation?.paymentId) {
+    throw new Error(`Reservation ${reservationId} has no payment in progress`);
+  }
+
+  const body = JSON.stringify({
+    type: `payment.${result}`,
+    paymentId: reservation.paymentId,
+    reservationId,
+    amount: reservation.totalPrice,
+  });
+  const response = await fetch(`${API_URL}/payments/webhook`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      [FAKE_SIGNATURE_HEADER]: signFakeWebhook(body, PAYMENT_WEBHOOK_SECRET),
+    },
+    body,
+  });
+  console.log(`${response.status} ${await response.text()}`);
+}
+
+sendFakePaymentWebhook(process.argv[2], process.argv[3]).catch((err) => {
+  console.error("Error sending fake payment webhook:", err);
+  process.exit(1);
+});
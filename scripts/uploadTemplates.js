@@ -2,6 +2,11 @@ import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  EMAIL_TEMPLATE_SCHEMAS,
+  validateEmailTemplate,
+} from "../src/lib/emailTemplateSchema.js";
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from "../src/lib/locales.js";
 
 const s3Client = new S3Client({ region: process.env.AWS_REGION });
 const BUCKET_NAME = `${process.env.ENV}-mashirotheater-templates`;
@@ -9,31 +14,106 @@ const BUCKET_NAME = `${process.env.ENV}-mashirotheater-templates`;
 // __dirname の代替
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email");
+
+// テキスト版は必須、HTML 版は任意
+const TEMPLATE_EXTENSIONS = [".txt", ".html"];
+
+/**
+ * ファイル名からテンプレート名と言語を求める。
+ * 既定の言語は <name>.txt、ほかの言語は <name>.<locale>.txt（src/lib/emailTemplates.js と同じ）。
+ */
+function parseTemplateFileName(file) {
+  const base = path.basename(file, path.extname(file));
+  const locale = SUPPORTED_LOCALES.find(
+    (l) => l !== DEFAULT_LOCALE && base.endsWith(`.${l}`)
+  );
+  return locale
+    ? { templateName: base.slice(0, -(locale.length + 1)), locale }
+    : { templateName: base, locale: DEFAULT_LOCALE };
+}
+
+function templateFileName(templateName, locale) {
+  return locale === DEFAULT_LOCALE
+    ? `${templateName}.txt`
+    : `${templateName}.${locale}.txt`;
+}
 
 async function uploadTemplate(fileName) {
-  const filePath = path.join(__dirname, "..", "templates", "email", fileName);
+  const filePath = path.join(TEMPLATE_DIR, fileName);
   const fileContent = await fs.readFile(filePath);
 
   const params = {
     Bucket: BUCKET_NAME,
     Key: `email-templates/${fileName}`,
     Body: fileContent,
+    ContentType:
+      path.extname(fileName) === ".html"
+        ? "text/html; charset=utf-8"
+        : "text/plain; charset=utf-8",
   };
 
   try {
     await s3Client.send(new PutObjectCommand(params));
     console.log(`Successfully uploaded ${fileName}`);
+    return true;
   } catch (err) {
     console.error(`Error uploading ${fileName}:`, err);
+    return false;
   }
 }
 
+/**
+ * すべてのテンプレートを変数の定義（src/lib/emailTemplateSchema.js）と照らし合わせる。
+ * @returns {string[]} エラーメッセージ
+ */
+async function validateAllTemplates(files) {
+  const errors = [];
+
+  for (const file of files) {
+    const { templateName } = parseTemplateFileName(file);
+    const source = await fs.readFile(path.join(TEMPLATE_DIR, file), "utf8");
+    for (const error of validateEmailTemplate(templateName, source)) {
+      errors.push(`${file}: ${error}`);
+    }
+  }
+
+  // すべての言語のテキスト版が必要
+  for (const templateName of Object.keys(EMAIL_TEMPLATE_SCHEMAS)) {
+    for (const locale of SUPPORTED_LOCALES) {
+      const file = templateFileName(templateName, locale);
+      if (!files.includes(file)) {
+        errors.push(`${file}: template is missing`);
+      }
+    }
+  }
+  return errors;
+}
+
 async function uploadAllTemplates() {
-  const templateDir = path.join(__dirname, "..", "templates", "email");
-  const files = await fs.readdir(templateDir);
+  const files = (await fs.readdir(TEMPLATE_DIR)).filter((file) =>
+    TEMPLATE_EXTENSIONS.includes(path.extname(file))
+  );
 
+  // 1つでも問題があれば何もアップロードしない
+  const errors = await validateAllTemplates(files);
+  if (errors.length > 0) {
+    console.error("Template validation failed:");
+    errors.forEach((error) => console.error(`  ${error}`));
+    process.exit(1);
+  }
+  console.log(`Validated ${files.length} templates`);
+
+  // 失敗しても残りはアップロードし、最後に失敗を終了コードで知らせる（デプロイ手順で検知できるように）
+  const failed = [];
   for (const file of files) {
-    await uploadTemplate(file);
+    if (!(await uploadTemplate(file))) {
+      failed.push(file);
+    }
+  }
+  if (failed.length > 0) {
+    console.error(`Failed to upload ${failed.length} templates`);
+    process.exitCode = 1;
   }
 }
 
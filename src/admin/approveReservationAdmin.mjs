@@ -0,0 +1,140 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { adminActor, recordReservationStatusChange } from "../lib/audit.js";
+import { getReservation } from "../lib/repositories/reservations.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { getSchedule } from "../lib/repositories/schedules.js";
+import { approveReservation } from "../lib/reservationLifecycle.js";
+import { cancelReservationWithCleanup } from "../lib/reservationActions.js";
+import {
+  sendReservationConfirmationEmail,
+  sendReservationDeclinedEmail,
+} from "../lib/emails.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * 承認待ち（awaiting_approval）の予約の承認・お断り
+ *   POST /admin/reservations/{reservationId}/approval  body: { approve: boolean }
+ * 承認すると pending に戻し、お客様に確定用リンク付きの確認メールを送る。
+ * お断りすると予約をキャンセルして座席を解放し、お知らせのメールを送る。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const { approve } = JSON.parse(event.body || "{}");
+    if (!reservationId || typeof approve !== "boolean") {
+      return createResponse(
+        400,
+        { message: "Missing reservationId or approve (boolean)" },
+        origin
+      );
+    }
+
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      return createResponse(404, { message: "Reservation not found" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId: reservation.performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    if (reservation.status !== "awaiting_approval") {
+      return createErrorResponse(
+        409,
+        "E008",
+        `Reservation is not awaiting approval (status: ${reservation.status})`,
+        origin
+      );
+    }
+
+    const [performance, schedule] = await Promise.all([
+      getPerformance(reservation.performanceId),
+      getSchedule(reservation.performanceId, reservation.scheduleId),
+    ]);
+    const actor = adminActor(auth.admin);
+
+    if (approve) {
+      if (!(await approveReservation(reservation, auth.admin.email))) {
+        // 読み込み後にキャンセルなどで状態が変わっていた
+        return createErrorResponse(
+          409,
+          "E008",
+          "Reservation is not awaiting approval",
+          origin
+        );
+      }
+      await recordReservationStatusChange(
+        reservation,
+        { status: "pending" },
+        actor,
+        "approveReservationAdmin"
+      );
+      await sendReservationConfirmationEmail(
+        reservation,
+        performance,
+        schedule
+      );
+    } else {
+      const canceled = await cancelReservationWithCleanup(reservation, {
+        actor,
+        refundReason: `declined by admin ${auth.admin.email}`,
+        service: "approveReservationAdmin",
+      });
+      if (!canceled) {
+        return createErrorResponse(
+          400,
+          "E003",
+          "Reservation has been canceled",
+          origin
+        );
+      }
+      await sendReservationDeclinedEmail(reservation, performance, schedule);
+    }
+
+    await sendNotification(
+      `管理者による承認待ち予約の${
+        approve ? "承認" : "お断り"
+      }: ID ${reservationId}, 担当 ${auth.admin.email}, 人数 ${
+        reservation.reservedSeats
+      }`,
+      "INFO",
+      "LOW",
+      "approveReservationAdmin"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: approve ? "Reservation approved" : "Reservation declined",
+        reservationId,
+        status: approve ? "pending" : "canceled",
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in approveReservationAdmin:", error);
+    await sendNotification(
+      `承認待ち予約の処理エラー(管理): ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "approveReservationAdmin"
+    );
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
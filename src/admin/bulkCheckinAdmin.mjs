@@ -0,0 +1,122 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getReservation } from "../lib/repositories/reservations.js";
+import {
+  getAttendee,
+  listAttendeesByReservation,
+} from "../lib/repositories/attendees.js";
+import { checkInAttendees } from "../lib/checkin.js";
+
+const { createResponse } = createResponder("POST,OPTIONS");
+
+// 1回のリクエストでチェックインできる参加者の上限
+const MAX_ATTENDEE_IDS = 100;
+
+/**
+ * 参加者をまとめてチェックイン
+ *   POST /admin/performances/{performanceId}/checkin
+ *     body: { attendeeIds: [...] } または { reservationId }（予約の全員）
+ * チェックイン済みの参加者はそのまま（alreadyCheckedIn: true）にする。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    const { attendeeIds, reservationId } = JSON.parse(event.body || "{}");
+    if (Boolean(attendeeIds) === Boolean(reservationId)) {
+      return createResponse(
+        400,
+        { message: "Specify either attendeeIds or reservationId" },
+        origin
+      );
+    }
+    if (
+      attendeeIds &&
+      (!Array.isArray(attendeeIds) ||
+        attendeeIds.length === 0 ||
+        attendeeIds.length > MAX_ATTENDEE_IDS ||
+        attendeeIds.some((id) => typeof id !== "string" || !id))
+    ) {
+      return createResponse(
+        400,
+        {
+          message: `attendeeIds must be a non-empty array of up to ${MAX_ATTENDEE_IDS} ids`,
+        },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "checkin",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    let attendees;
+    if (reservationId) {
+      const reservation = await getReservation(reservationId);
+      if (!reservation || reservation.performanceId !== performanceId) {
+        return createResponse(
+          404,
+          { message: "Reservation not found" },
+          origin
+        );
+      }
+      if (reservation.status !== "confirmed") {
+        return createResponse(
+          409,
+          { message: `Reservation is ${reservation.status}` },
+          origin
+        );
+      }
+      attendees = await listAttendeesByReservation(reservationId);
+    } else {
+      const uniqueIds = [...new Set(attendeeIds)];
+      const found = await Promise.all(uniqueIds.map((id) => getAttendee(id)));
+      const missing = uniqueIds.filter(
+        (id, i) => found[i]?.performanceId !== performanceId
+      );
+      if (missing.length > 0) {
+        return createResponse(
+          404,
+          { message: "Attendee not found", attendeeIds: missing },
+          origin
+        );
+      }
+      attendees = found;
+    }
+
+    const results = await checkInAttendees(
+      attendees,
+      auth.admin,
+      "bulkCheckinAdmin"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Checked in",
+        checkedInCount: results.filter((r) => !r.alreadyCheckedIn).length,
+        attendees: results,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in bulkCheckinAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
@@ -0,0 +1,111 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { adminActor } from "../lib/audit.js";
+import {
+  getReservation,
+  ACTIVE_STATUSES,
+} from "../lib/repositories/reservations.js";
+import { cancelReservationWithCleanup } from "../lib/reservationActions.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * 管理者による予約のキャンセル（お客様の代理）
+ *   POST /admin/reservations/{reservationId}/cancel  body: { reason? }
+ * お客様のキャンセルと同じく、座席の解放・Attendees の削除・支払い済みなら返金・
+ * キャンセル待ちの繰り上げを行う。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const { reason } = JSON.parse(event.body || "{}");
+    if (!reservationId) {
+      return createResponse(400, { message: "Missing reservationId" }, origin);
+    }
+
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      return createResponse(404, { message: "Reservation not found" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId: reservation.performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    if (reservation.status === "canceled") {
+      return createErrorResponse(
+        400,
+        "E003",
+        "Reservation has been canceled",
+        origin
+      );
+    }
+    if (!ACTIVE_STATUSES.includes(reservation.status)) {
+      return createErrorResponse(
+        400,
+        "E008",
+        `Reservation cannot be canceled (status: ${reservation.status})`,
+        origin
+      );
+    }
+
+    const canceled = await cancelReservationWithCleanup(reservation, {
+      actor: adminActor(auth.admin),
+      refundReason: `canceled by admin ${auth.admin.email}${
+        reason ? `: ${reason}` : ""
+      }`,
+      service: "cancelReservationAdmin",
+    });
+    if (!canceled) {
+      // 読み込み後にキャンセルされていた
+      return createErrorResponse(
+        400,
+        "E003",
+        "Reservation has been canceled",
+        origin
+      );
+    }
+
+    await sendNotification(
+      `管理者による予約キャンセル: ID ${reservationId}, 担当 ${
+        auth.admin.email
+      }, 人数 ${canceled.reservedSeats}, 理由 ${reason || "なし"}`,
+      "INFO",
+      "LOW",
+      "cancelReservationAdmin"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Reservation canceled successfully",
+        reservationId,
+        refundRequested: canceled.paymentStatus === "paid",
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in cancelReservationAdmin:", error);
+    await sendNotification(
+      `予約キャンセルエラー(管理): ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "cancelReservationAdmin"
+    );
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
@@ -0,0 +1,128 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { queryReservations } from "../lib/repositories/reservations.js";
+import { getSchedule } from "../lib/repositories/schedules.js";
+import { listAttendeesByReservation } from "../lib/repositories/attendees.js";
+import { checkInAttendees } from "../lib/checkin.js";
+
+const { createResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * 予約確認コードで予約を探し、予約の全員をチェックイン
+ *   POST /admin/performances/{performanceId}/checkin-by-code
+ *     body: { confirmationCode, scheduleId? }
+ * scheduleId（受付中の回）を指定すると、別の回の予約はチェックインせずに E116 を返す。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    const { confirmationCode, scheduleId } = JSON.parse(event.body || "{}");
+    if (typeof confirmationCode !== "string" || !confirmationCode.trim()) {
+      return createResponse(
+        400,
+        { message: "Missing confirmationCode" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "checkin",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const reservations = await queryReservations({
+      performanceId,
+      confirmationCode: confirmationCode.trim().toUpperCase(),
+    });
+    const confirmed = reservations.filter((r) => r.status === "confirmed");
+    if (confirmed.length === 0) {
+      return reservations.length > 0
+        ? createResponse(
+            409,
+            { message: `Reservation is ${reservations[0].status}` },
+            origin
+          )
+        : createResponse(404, { message: "Reservation not found" }, origin);
+    }
+    if (confirmed.length > 1) {
+      return createResponse(
+        409,
+        {
+          message:
+            "Multiple reservations match this confirmationCode. Check in by reservationId instead",
+          reservationIds: confirmed.map((r) => r.id),
+        },
+        origin
+      );
+    }
+
+    const [reservation] = confirmed;
+    const schedule = await getSchedule(performanceId, reservation.scheduleId);
+    const summary = formatReservation(reservation, schedule);
+
+    if (scheduleId && reservation.scheduleId !== scheduleId) {
+      return createResponse(
+        409,
+        {
+          errorCode: "E116",
+          message: "Reservation is for a different schedule",
+          reservation: summary,
+        },
+        origin
+      );
+    }
+
+    const attendees = await listAttendeesByReservation(reservation.id);
+    const results = await checkInAttendees(
+      attendees,
+      auth.admin,
+      "checkinByCodeAdmin"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Checked in",
+        reservation: summary,
+        checkedInCount: results.filter((r) => !r.alreadyCheckedIn).length,
+        attendees: results,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in checkinByCodeAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
+
+/** 受付で確認する予約内容（当日精算の金額・備考を含む） */
+function formatReservation(reservation, schedule) {
+  return {
+    id: reservation.id,
+    scheduleId: reservation.scheduleId,
+    date: schedule?.date || "",
+    time: schedule?.time || "",
+    name: reservation.name,
+    reservedSeats: reservation.reservedSeats,
+    tickets: reservation.tickets || null,
+    totalPrice: reservation.totalPrice || 0,
+    paymentStatus: reservation.paymentStatus || null,
+    notes: reservation.notes || "",
+  };
+}
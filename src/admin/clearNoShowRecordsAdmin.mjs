@@ -0,0 +1,84 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { adminActor, recordAudit } from "../lib/audit.js";
+import {
+  listNoShowRecords,
+  deleteNoShowRecords,
+} from "../lib/repositories/noShowRecords.js";
+
+const { createResponse } = createResponder("DELETE,OPTIONS");
+
+/**
+ * メールアドレスの無断キャンセル（no-show）の履歴を消して、予約の制限を解除する
+ *   DELETE /admin/no-shows?email=...
+ * 予約の no_show ステータスはそのまま残し、消した履歴は予約ごとに監査ログへ記録する。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const email = event.queryStringParameters?.email?.trim();
+    if (!email) {
+      return createResponse(400, { message: "Missing email" }, origin);
+    }
+
+    // 管理ユーザーの認証と権限チェック
+    const auth = await authorizeAdmin(event, { permission: "manage" });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const records = await listNoShowRecords(email);
+    await deleteNoShowRecords(records);
+
+    const actor = adminActor(auth.admin);
+    for (const record of records) {
+      await recordAudit(
+        {
+          performanceId: record.performanceId,
+          entityType: "reservation",
+          entityId: record.reservationId,
+          action: "reservation.no_show_cleared",
+          actor,
+          before: { email: record.email, date: record.date },
+        },
+        "clearNoShowRecordsAdmin"
+      );
+    }
+
+    if (records.length > 0) {
+      await sendNotification(
+        `管理者による no-show 履歴の削除: ${email}, 担当 ${auth.admin.email}, ${records.length}件`,
+        "INFO",
+        "LOW",
+        "clearNoShowRecordsAdmin"
+      );
+    }
+
+    return createResponse(
+      200,
+      {
+        message: "No-show records cleared",
+        email: email.toLowerCase(),
+        clearedCount: records.length,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in clearNoShowRecordsAdmin:", error);
+    await sendNotification(
+      `no-show 履歴の削除エラー(管理): ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "clearNoShowRecordsAdmin"
+    );
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
@@ -0,0 +1,196 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { transactWrite } from "../lib/db.js";
+import {
+  generatePerformanceId,
+  putPerformanceTransactItem,
+} from "../lib/repositories/performances.js";
+import { putScheduleTransactItem } from "../lib/repositories/schedules.js";
+import { adminGrantTransactItem } from "../lib/repositories/adminUsers.js";
+import { buildNewSchedule } from "../lib/scheduleSetup.js";
+import { recordAudit, adminActor } from "../lib/audit.js";
+import { validateReservationEndSettings } from "../lib/reservationWindow.js";
+
+const { createResponse } = createResponder("POST,OPTIONS");
+
+// 公演・スケジュール・権限を1トランザクションで書き込むため、同時に作れる数を制限する
+const MAX_SCHEDULES_PER_PERFORMANCE = 50;
+
+/**
+ * 公演の作成
+ *   POST /admin/performances
+ *   body: { title, reservationStartTime, maxReservations?, surveyFormUrl?,
+ *           reservationEndTime?, reservationCutoffMinutes?,
+ *           schedules?: [{ date, time, totalSeats, entryUrl?, ticketTiers? }] }
+ * 作成したユーザーには公演の権限を付与する。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    // 管理ユーザーの認証と作成権限のチェック
+    const auth = await authorizeAdmin(event, { permission: "create" });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const {
+      title,
+      reservationStartTime,
+      maxReservations = 1,
+      surveyFormUrl,
+      reservationEndTime,
+      reservationCutoffMinutes,
+      schedules = [],
+    } = JSON.parse(event.body || "{}");
+
+    if (typeof title !== "string" || !title.trim()) {
+      return createResponse(
+        400,
+        { errorCode: "E112", message: "Missing title" },
+        origin
+      );
+    }
+    if (
+      typeof reservationStartTime !== "string" ||
+      isNaN(new Date(reservationStartTime).getTime())
+    ) {
+      return createResponse(
+        400,
+        {
+          errorCode: "E105",
+          message:
+            "Invalid date/time format (must be valid ISO8601, e.g. 2025-03-08T21:00:00+09:00)",
+        },
+        origin
+      );
+    }
+    if (surveyFormUrl !== undefined && typeof surveyFormUrl !== "string") {
+      return createResponse(
+        400,
+        { errorCode: "E112", message: "Invalid surveyFormUrl" },
+        origin
+      );
+    }
+    const endSettingsError = validateReservationEndSettings({
+      reservationEndTime,
+      reservationCutoffMinutes,
+    });
+    if (endSettingsError) {
+      return createResponse(
+        400,
+        { errorCode: "E113", message: endSettingsError },
+        origin
+      );
+    }
+    if (
+      !Array.isArray(schedules) ||
+      schedules.length > MAX_SCHEDULES_PER_PERFORMANCE
+    ) {
+      return createResponse(
+        400,
+        {
+          errorCode: "E109",
+          message: `schedules must be an array of at most ${MAX_SCHEDULES_PER_PERFORMANCE}`,
+        },
+        origin
+      );
+    }
+    // 1人が予約できる数はスケジュール数まで（スケジュールがなければ 1）
+    if (
+      !Number.isInteger(maxReservations) ||
+      maxReservations < 1 ||
+      maxReservations > Math.max(schedules.length, 1)
+    ) {
+      return createResponse(
+        400,
+        { errorCode: "E101", message: "maxReservations out of range" },
+        origin
+      );
+    }
+
+    const performanceId = generatePerformanceId();
+
+    // スケジュールの検証（同じリクエスト内の重複も含む）
+    const newSchedules = [];
+    for (const input of schedules) {
+      const { schedule, error } = buildNewSchedule(
+        performanceId,
+        input,
+        newSchedules
+      );
+      if (error) {
+        return createResponse(400, error, origin);
+      }
+      newSchedules.push(schedule);
+    }
+
+    const now = new Date().toISOString();
+    const performance = {
+      id: performanceId,
+      title: title.trim(),
+      reservationStartTime,
+      maxReservations,
+      ...(surveyFormUrl !== undefined && { surveyFormUrl }),
+      ...(reservationEndTime != null && { reservationEndTime }),
+      ...(reservationCutoffMinutes != null && { reservationCutoffMinutes }),
+      createdBy: auth.admin.email,
+      createdAt: now,
+    };
+
+    await transactWrite([
+      putPerformanceTransactItem(performance),
+      ...newSchedules.map(putScheduleTransactItem),
+      adminGrantTransactItem(auth.admin.email, performanceId),
+    ]);
+
+    const actor = adminActor(auth.admin);
+    await recordAudit(
+      {
+        performanceId,
+        entityType: "performance",
+        entityId: performanceId,
+        action: "performance.create",
+        actor,
+        after: performance,
+      },
+      "createPerformanceAdmin"
+    );
+    for (const schedule of newSchedules) {
+      await recordAudit(
+        {
+          performanceId,
+          entityType: "schedule",
+          entityId: schedule.id,
+          action: "schedule.create",
+          actor,
+          after: schedule,
+        },
+        "createPerformanceAdmin"
+      );
+    }
+
+    return createResponse(
+      201,
+      {
+        message: "Performance created successfully",
+        performance,
+        schedules: newSchedules,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error creating performance:", error);
+    return createResponse(
+      500,
+      { errorCode: "E999", message: "Internal server error" },
+      origin
+    );
+  }
+};
@@ -0,0 +1,224 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { adminActor } from "../lib/audit.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { getSchedule } from "../lib/repositories/schedules.js";
+import {
+  checkExistingReservation,
+  RESERVATION_CHECK_ERRORS,
+} from "../lib/reservationRules.js";
+import {
+  generateReservationId,
+  generateConfirmationCode,
+} from "../lib/reservationLifecycle.js";
+import { createConfirmedReservation } from "../lib/reservationActions.js";
+import { resolveCompanionNames } from "../lib/attendeeSync.js";
+import { normalizeLocale } from "../lib/locales.js";
+import {
+  isValidEmailSyntax,
+  isDisposableEmail,
+} from "../lib/emailValidation.js";
+import { RESERVATION_ABUSE_ERRORS } from "../lib/abuseProtection.js";
+import {
+  resolveTicketFields,
+  formatTicketNotification,
+} from "../lib/ticketTiers.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * 管理者による予約の作成（当日受付・招待など）
+ *   POST /admin/performances/{performanceId}/reservations
+ *   body: { scheduleId, name, email, reservedSeats, tickets?, notes?, companionNames?, comp?, sendEmail?, locale? }
+ * 確認メールによる確定を経ずに confirmed で作成する。
+ * 残席・券種・重複予約のチェックは通常の予約と同じ（受付期間の制限は受けない）。
+ * comp=true は招待扱いで料金を 0 にする。料金のある予約は当日精算 (paymentStatus: onsite)。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    const {
+      scheduleId,
+      name,
+      email,
+      reservedSeats,
+      tickets,
+      notes,
+      companionNames,
+      comp = false,
+      sendEmail = true,
+      locale,
+    } = JSON.parse(event.body || "{}");
+
+    if (
+      !performanceId ||
+      !scheduleId ||
+      !name ||
+      !email ||
+      !Number.isInteger(reservedSeats) ||
+      reservedSeats <= 0
+    ) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "Missing required fields or invalid seat count",
+        origin
+      );
+    }
+    const reservationLocale = normalizeLocale(locale);
+    if (!reservationLocale) {
+      return createErrorResponse(400, "E002", "Unsupported locale", origin);
+    }
+    // 確認メール・リマインドの宛先になるので、お客様の予約と同じ検証をする
+    const emailError = !isValidEmailSyntax(email)
+      ? RESERVATION_ABUSE_ERRORS.INVALID_EMAIL
+      : isDisposableEmail(email)
+      ? RESERVATION_ABUSE_ERRORS.DISPOSABLE_EMAIL
+      : null;
+    if (emailError) {
+      return createErrorResponse(
+        400,
+        emailError.errorCode,
+        emailError.errorMessage,
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const [performance, schedule] = await Promise.all([
+      getPerformance(performanceId),
+      getSchedule(performanceId, scheduleId),
+    ]);
+    if (!performance) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+    if (!schedule) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
+
+    // お連れ様の名前（任意）
+    const companionResult = resolveCompanionNames(
+      companionNames,
+      reservedSeats
+    );
+    if (companionResult.error) {
+      return createErrorResponse(400, "E002", companionResult.error, origin);
+    }
+
+    // 券種のあるスケジュールは券種ごとの枚数が必要
+    const ticketResult = resolveTicketFields(schedule, reservedSeats, tickets);
+    if (ticketResult.error) {
+      return createErrorResponse(400, "E010", ticketResult.error, origin);
+    }
+
+    // 予約重複チェック
+    const reservationCheck = await checkExistingReservation(
+      performanceId,
+      scheduleId,
+      email,
+      performance.maxReservations
+    );
+    if (!reservationCheck.allowed) {
+      const { errorCode, errorMessage } =
+        RESERVATION_CHECK_ERRORS[reservationCheck.reason];
+      return createErrorResponse(400, errorCode, errorMessage, origin);
+    }
+
+    const ticketFields =
+      comp && ticketResult.fields.tickets
+        ? { ...ticketResult.fields, totalPrice: 0 }
+        : ticketResult.fields;
+    const now = new Date().toISOString();
+    const reservation = {
+      id: generateReservationId(),
+      performanceId,
+      scheduleId,
+      name,
+      email,
+      reservedSeats,
+      ...ticketFields,
+      ...(ticketFields.totalPrice > 0 && { paymentStatus: "onsite" }),
+      ...(comp && { comp: true }),
+      notes: notes || "",
+      ...(companionResult.companionNames.length > 0 && {
+        companionNames: companionResult.companionNames,
+      }),
+      confirmationCode: generateConfirmationCode(),
+      locale: reservationLocale,
+      status: "pending",
+      source: "admin",
+      createdBy: auth.admin.email,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    // 座席の確保（残席チェック込み）と確定
+    const created = await createConfirmedReservation(
+      reservation,
+      performance,
+      schedule,
+      {
+        actor: adminActor(auth.admin),
+        sendEmail,
+        service: "createReservationAdmin",
+      }
+    );
+    if (!created) {
+      return createErrorResponse(
+        400,
+        "E001",
+        "Not enough available seats",
+        origin
+      );
+    }
+
+    await sendNotification(
+      `管理者による予約作成: ID ${created.id}, 担当 ${
+        auth.admin.email
+      }, スケジュール ${scheduleId}, 名前 ${name}, 人数 ${reservedSeats}${formatTicketNotification(
+        created
+      )}${comp ? ", 招待" : ""}`,
+      "INFO",
+      "LOW",
+      "createReservationAdmin"
+    );
+
+    return createResponse(
+      201,
+      {
+        message: "Reservation created successfully",
+        reservationId: created.id,
+        confirmationCode: created.confirmationCode,
+        status: created.status,
+        totalPrice: created.totalPrice || 0,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in createReservationAdmin:", error);
+    await sendNotification(
+      `予約作成エラー(管理): ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "createReservationAdmin"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
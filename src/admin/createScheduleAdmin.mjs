@@ -0,0 +1,89 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { listSchedules, putSchedule } from "../lib/repositories/schedules.js";
+import { buildNewSchedule } from "../lib/scheduleSetup.js";
+import { recordAudit, adminActor } from "../lib/audit.js";
+
+const { createResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * スケジュールの追加
+ *   POST /admin/performances/{performanceId}/schedules
+ *   body: { date, time, totalSeats, entryUrl?, ticketTiers? }
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(
+        400,
+        { errorCode: "E001", message: "Missing performanceId" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const performance = await getPerformance(performanceId);
+    if (!performance) {
+      return createResponse(
+        404,
+        { errorCode: "E002", message: "Performance not found" },
+        origin
+      );
+    }
+
+    const existingSchedules = await listSchedules(performanceId);
+    const { schedule, error } = buildNewSchedule(
+      performanceId,
+      JSON.parse(event.body || "{}"),
+      existingSchedules
+    );
+    if (error) {
+      return createResponse(400, error, origin);
+    }
+
+    await putSchedule(schedule);
+
+    await recordAudit(
+      {
+        performanceId,
+        entityType: "schedule",
+        entityId: schedule.id,
+        action: "schedule.create",
+        actor: adminActor(auth.admin),
+        after: schedule,
+      },
+      "createScheduleAdmin"
+    );
+
+    return createResponse(
+      201,
+      { message: "Schedule created successfully", schedule },
+      origin
+    );
+  } catch (error) {
+    console.error("Error creating schedule:", error);
+    return createResponse(
+      500,
+      { errorCode: "E999", message: "Internal server error" },
+      origin
+    );
+  }
+};
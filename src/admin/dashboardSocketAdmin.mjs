@@ -0,0 +1,55 @@
+import { redactEvent } from "../lib/http.js";
+import { authorizeAdminToken } from "../lib/adminAuth.js";
+import {
+  putLiveConnection,
+  deleteLiveConnection,
+} from "../lib/repositories/liveConnections.js";
+
+/**
+ * 受付ダッシュボードの WebSocket（API Gateway WebSocket API）
+ *   $connect    : wss://...?performanceId=...&token=<セッショントークン>
+ *   $disconnect : 接続の登録を削除
+ *   $default    : 何もしない（アイドル切断を防ぐための送信用）
+ * ブラウザの WebSocket は Authorization ヘッダを付けられないため、トークンはクエリで受け取る。
+ * 更新の送信は lib/livePush.js。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const { routeKey, connectionId } = event.requestContext;
+
+  try {
+    if (routeKey === "$connect") {
+      const { performanceId, token } = event.queryStringParameters || {};
+      if (!performanceId) {
+        return { statusCode: 400, body: "Missing performanceId" };
+      }
+
+      // 管理ユーザーの認証と公演の権限チェック
+      const auth = await authorizeAdminToken(token, {
+        permission: "view",
+        performanceId,
+      });
+      if (!auth.authorized) {
+        return { statusCode: auth.statusCode, body: auth.message };
+      }
+
+      await putLiveConnection({
+        connectionId,
+        performanceId,
+        adminEmail: auth.admin.email,
+      });
+      return { statusCode: 200, body: "Connected" };
+    }
+
+    if (routeKey === "$disconnect") {
+      await deleteLiveConnection(connectionId);
+      return { statusCode: 200, body: "Disconnected" };
+    }
+
+    return { statusCode: 200, body: "OK" };
+  } catch (error) {
+    console.error("Error in dashboardSocketAdmin:", error);
+    return { statusCode: 500, body: "Internal server error" };
+  }
+};
@@ -0,0 +1,98 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getSchedule, deleteSchedule } from "../lib/repositories/schedules.js";
+import {
+  queryReservations,
+  ACTIVE_STATUSES,
+} from "../lib/repositories/reservations.js";
+import { recordAudit, adminActor } from "../lib/audit.js";
+
+const { createResponse } = createResponder("DELETE,OPTIONS");
+
+/**
+ * スケジュールの削除
+ *   DELETE /admin/performances/{performanceId}/schedules/{scheduleId}
+ * 有効な予約（仮予約・決済待ち・確定済み）が残っているスケジュールは削除できない。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const { performanceId, scheduleId } = event.pathParameters || {};
+    if (!performanceId || !scheduleId) {
+      return createResponse(
+        400,
+        { errorCode: "E001", message: "Missing performanceId or scheduleId" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const schedule = await getSchedule(performanceId, scheduleId);
+    if (!schedule) {
+      return createResponse(
+        404,
+        { errorCode: "E003", message: "Schedule not found" },
+        origin
+      );
+    }
+
+    const activeReservations = await queryReservations({
+      performanceId,
+      scheduleId,
+      statuses: ACTIVE_STATUSES,
+    });
+    // 予約の確認後に入った予約は座席カウンタの条件で弾く
+    const deleted =
+      activeReservations.length === 0 && (await deleteSchedule(schedule));
+    if (!deleted) {
+      return createResponse(
+        409,
+        {
+          errorCode: "E111",
+          message: `Schedule ${scheduleId} has active reservations`,
+        },
+        origin
+      );
+    }
+
+    await recordAudit(
+      {
+        performanceId,
+        entityType: "schedule",
+        entityId: scheduleId,
+        action: "schedule.delete",
+        actor: adminActor(auth.admin),
+        before: schedule,
+      },
+      "deleteScheduleAdmin"
+    );
+
+    return createResponse(
+      200,
+      { message: "Schedule deleted successfully", scheduleId },
+      origin
+    );
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    return createResponse(
+      500,
+      { errorCode: "E999", message: "Internal server error" },
+      origin
+    );
+  }
+};
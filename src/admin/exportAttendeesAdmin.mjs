@@ -0,0 +1,93 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import {
+  loadAttendeeExport,
+  buildAttendeeCsvRows,
+  buildAttendeeSheets,
+} from "../lib/export/attendeeExport.js";
+import { toCsv } from "../lib/export/csv.js";
+import { buildXlsx } from "../lib/export/xlsx.js";
+
+const { createResponse, createFileResponse } = createResponder("GET,OPTIONS");
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * 参加者名簿の書き出し
+ *   GET /admin/performances/{performanceId}/export?format=csv|xlsx&scheduleId=...
+ * csv は全スケジュールを1つの表に、xlsx は集計シート＋スケジュールごとのシートにする。
+ * scheduleId を指定するとそのスケジュールだけを書き出す。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    const { format = "csv", scheduleId } = event.queryStringParameters || {};
+    if (!CONTENT_TYPES[format]) {
+      return createResponse(
+        400,
+        { message: "format must be csv or xlsx" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "view",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const performance = await getPerformance(performanceId);
+    if (!performance) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+
+    const exportData = await loadAttendeeExport(performanceId, scheduleId);
+    if (scheduleId && exportData.length === 0) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
+
+    const body =
+      format === "csv"
+        ? toCsv(buildAttendeeCsvRows(exportData))
+        : buildXlsx(buildAttendeeSheets(exportData));
+
+    // ファイル名は ASCII のみ（公演タイトルは使わない）
+    const scheduleSuffix = scheduleId
+      ? `-${exportData[0].schedule.date}-${exportData[0].schedule.time.replace(
+          ":",
+          ""
+        )}`
+      : "";
+    return createFileResponse(
+      200,
+      {
+        body,
+        contentType: CONTENT_TYPES[format],
+        filename: `attendees-${performanceId}${scheduleSuffix}.${format}`,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in exportAttendeesAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
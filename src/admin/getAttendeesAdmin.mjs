@@ -1,53 +1,23 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  QueryCommand,
-} from "@aws-sdk/lib-dynamodb";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { listAttendeesBySchedule } from "../lib/repositories/attendees.js";
+import { TICKET_TIER_LABELS } from "../lib/ticketTiers.js";
 
-// 環境変数
-const ddbClient = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(ddbClient);
-
-const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
-const ATTENDEES_TABLE_NAME = process.env.ATTENDEES_TABLE_NAME;
-const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
-
-// CORS用ヘッダー
-const corsHeaders = {
-  "Access-Control-Allow-Methods": "GET,OPTIONS",
-  "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-};
-
-// 共通のレスポンス生成関数
-function createResponse(statusCode, body, origin) {
-  return {
-    statusCode,
-    headers: {
-      ...corsHeaders,
-      "Access-Control-Allow-Origin": origin,
-    },
-    body: JSON.stringify(body),
-  };
-}
+const { createResponse } = createResponder("GET,OPTIONS");
 
 export const handler = async (event) => {
-  console.log("Received event:", JSON.stringify(event, null, 2));
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
 
   // 呼び出し元の Origin をチェック
-  const origin = ALLOWED_ORIGINS.includes(event.headers.origin)
-    ? event.headers.origin
-    : ALLOWED_ORIGINS[0];
+  const origin = getOrigin(event);
 
   try {
     const performanceId = event.pathParameters?.performanceId;
     const scheduleId = event.pathParameters?.scheduleId;
-    const queryParams = event.queryStringParameters || {};
-    const adminUuid = queryParams.uuid;
 
     // 入力チェック
-    if (!performanceId || !scheduleId || !adminUuid) {
+    if (!performanceId || !scheduleId) {
       return createResponse(
         400,
         { message: "Missing required parameters" },
@@ -55,24 +25,35 @@ export const handler = async (event) => {
       );
     }
 
-    // 1. Performancesテーブルから公演情報を取得し、adminUuidを照合
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "view",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    // 1. Performancesテーブルから公演情報を取得
     const performance = await getPerformance(performanceId);
     if (!performance) {
       return createResponse(404, { message: "Performance not found" }, origin);
     }
-    if (performance.adminUuid !== adminUuid) {
-      return createResponse(403, { message: "Forbidden" }, origin);
-    }
 
     // 2. Attendeesテーブルから該当の performanceId + scheduleId で検索
-    const attendees = await getAttendees(performanceId, scheduleId);
+    const attendees = await listAttendeesBySchedule(performanceId, scheduleId);
 
     // 3. JSON整形。フロントで使いやすい形式にする。
     const formatted = attendees.map((att) => ({
       attendeeId: att.id,
       reservationId: att.reservationId,
       name: att.name,
+      isRepresentative: Boolean(att.isRepresentative),
+      ticketTier: att.ticketTier || "",
+      ticketTierLabel: TICKET_TIER_LABELS[att.ticketTier] || "",
       checkedIn: att.checkedIn,
+      checkedInAt: att.checkedInAt || null,
+      checkedInBy: att.checkedInBy || null,
       createdAt: att.createdAt,
       notes: att.notes || "",
     }));
@@ -83,28 +64,3 @@ export const handler = async (event) => {
     return createResponse(500, { message: "Internal server error" }, origin);
   }
 };
-
-// Performancesテーブルから公演1件を取得
-async function getPerformance(performanceId) {
-  const cmd = new GetCommand({
-    TableName: PERFORMANCES_TABLE_NAME,
-    Key: { id: performanceId },
-  });
-  const res = await dynamodb.send(cmd);
-  return res.Item;
-}
-
-// AttendeesテーブルのGSIで、performanceId + scheduleIdに一致するレコードを検索
-async function getAttendees(performanceId, scheduleId) {
-  const cmd = new QueryCommand({
-    TableName: ATTENDEES_TABLE_NAME,
-    IndexName: "PerformanceIdScheduleIdIndex",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-    },
-  });
-  const res = await dynamodb.send(cmd);
-  return res.Items || [];
-}
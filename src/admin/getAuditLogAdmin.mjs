@@ -0,0 +1,108 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { queryAuditLogs } from "../lib/repositories/auditLogs.js";
+
+const { createResponse } = createResponder("GET,OPTIONS");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * 公演の監査ログ（新しい順）
+ *   GET /admin/performances/{performanceId}/audit
+ *     ?limit=50&cursor=...&entityType=reservation&entityId=...&actor=<email など>
+ * 次のページがある場合は nextCursor を返す。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const { limit, cursor, entityType, entityId, actor } =
+      event.queryStringParameters || {};
+
+    const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize <= 0 || pageSize > MAX_LIMIT) {
+      return createResponse(
+        400,
+        { message: `limit must be an integer between 1 and ${MAX_LIMIT}` },
+        origin
+      );
+    }
+
+    const startKey = cursor === undefined ? undefined : decodeCursor(cursor);
+    if (
+      startKey === null ||
+      (startKey && startKey.performanceId !== performanceId)
+    ) {
+      return createResponse(400, { message: "Invalid cursor" }, origin);
+    }
+
+    const { items, lastKey } = await queryAuditLogs(performanceId, {
+      limit: pageSize,
+      startKey,
+      filters: { entityType, entityId, actorId: actor },
+    });
+
+    return createResponse(
+      200,
+      {
+        performanceId,
+        items: items.map(formatAuditLog),
+        nextCursor: lastKey ? encodeCursor(lastKey) : null,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in getAuditLogAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
+
+function formatAuditLog(item) {
+  return {
+    id: item.id,
+    createdAt: item.createdAt,
+    entityType: item.entityType,
+    entityId: item.entityId,
+    action: item.action,
+    actor: { type: item.actorType, id: item.actorId },
+    before: item.before ?? null,
+    after: item.after ?? null,
+  };
+}
+
+function encodeCursor(lastKey) {
+  return Buffer.from(JSON.stringify(lastKey)).toString("base64url");
+}
+
+/** 不正なカーソルは null */
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return typeof key?.performanceId === "string" && typeof key.sk === "string"
+      ? { performanceId: key.performanceId, sk: key.sk }
+      : null;
+  } catch {
+    return null;
+  }
+}
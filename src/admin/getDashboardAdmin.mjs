@@ -0,0 +1,62 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { loadDashboard } from "../lib/dashboard.js";
+
+const { createResponse } = createResponder("GET,OPTIONS");
+
+/**
+ * 受付ダッシュボード（スケジュールごとの座席・チェックイン状況）
+ *   GET /admin/performances/{performanceId}/dashboard?scheduleId=...
+ * 以降の変化は WebSocket（dashboardSocketAdmin）で受け取る。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "view",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const performance = await getPerformance(performanceId);
+    if (!performance) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+
+    const scheduleId = event.queryStringParameters?.scheduleId;
+    const schedules = await loadDashboard(performanceId, scheduleId);
+    if (scheduleId && schedules.length === 0) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
+
+    return createResponse(
+      200,
+      {
+        performanceId,
+        title: performance.title || "",
+        generatedAt: new Date().toISOString(),
+        schedules,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in getDashboardAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
@@ -0,0 +1,69 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { loadEmailTemplate } from "../lib/emailTemplates.js";
+import { SUPPORTED_LOCALES } from "../lib/locales.js";
+import {
+  EMAIL_TEMPLATE_SCHEMAS,
+  PERFORMANCE_EMAIL_TEMPLATES,
+} from "../lib/emailTemplateSchema.js";
+
+const { createResponse } = createResponder("GET,OPTIONS");
+
+/**
+ * 公演で使うメールテンプレートの一覧
+ *   GET /admin/performances/{performanceId}/email-templates
+ * テンプレート・言語ごとに、実際に送る件名・本文（差し替えがあればそれ、なければ既定）と
+ * 差し替えの有無（overridden）、使える変数を返す。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    if (!(await getPerformance(performanceId))) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+
+    const templates = await Promise.all(
+      PERFORMANCE_EMAIL_TEMPLATES.flatMap((name) =>
+        SUPPORTED_LOCALES.map(async (locale) => ({
+          name,
+          locale,
+          ...(await loadEmailTemplate(name, performanceId, locale)),
+          variables: Object.entries(EMAIL_TEMPLATE_SCHEMAS[name]).map(
+            ([variable, spec]) => ({
+              name: variable,
+              required: spec.required,
+              ...(spec.list && { fields: spec.fields }),
+            })
+          ),
+        }))
+      )
+    );
+
+    return createResponse(200, { performanceId, templates }, origin);
+  } catch (error) {
+    console.error("Error in getEmailTemplatesAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
@@ -0,0 +1,68 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { listNoShowRecords } from "../lib/repositories/noShowRecords.js";
+import { getNoShowStatus, getNoShowPolicy } from "../lib/noShowPolicy.js";
+
+const { createResponse } = createResponder("GET,OPTIONS");
+
+/**
+ * メールアドレスの無断キャンセル（no-show）の履歴と、現在かかっている制限
+ *   GET /admin/no-shows?email=...
+ * 履歴は公演をまたぐため、公演ごとの権限ではなく manage のロールで確認する。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const email = event.queryStringParameters?.email?.trim();
+    if (!email) {
+      return createResponse(400, { message: "Missing email" }, origin);
+    }
+
+    // 管理ユーザーの認証と権限チェック
+    const auth = await authorizeAdmin(event, { permission: "manage" });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const [records, status] = await Promise.all([
+      listNoShowRecords(email),
+      getNoShowStatus(email),
+    ]);
+
+    return createResponse(
+      200,
+      {
+        email: email.toLowerCase(),
+        records: records.map(formatNoShowRecord),
+        recentCount: status.count,
+        since: status.since,
+        restriction: status.restriction,
+        policy: getNoShowPolicy(),
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in getNoShowRecordsAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
+
+function formatNoShowRecord(record) {
+  return {
+    reservationId: record.reservationId,
+    performanceId: record.performanceId,
+    scheduleId: record.scheduleId,
+    date: record.date,
+    time: record.time,
+    name: record.name,
+    reservedSeats: record.reservedSeats,
+    recordedAt: record.recordedAt,
+  };
+}
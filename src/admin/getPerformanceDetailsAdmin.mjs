@@ -1,57 +1,35 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  QueryCommand,
-} from "@aws-sdk/lib-dynamodb";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { listSchedules } from "../lib/repositories/schedules.js";
+import { countWaitingEntries } from "../lib/repositories/waitlist.js";
+import { getOccupiedSeats } from "../lib/seats.js";
+import { getScheduleStartTime, formatDate, formatTime } from "../lib/dates.js";
+import { getReservationEndTime } from "../lib/reservationWindow.js";
 
-const client = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(client);
-
-const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
-const SCHEDULES_TABLE_NAME = process.env.SCHEDULES_TABLE_NAME;
-const RESERVATIONS_TABLE_NAME = process.env.RESERVATIONS_TABLE_NAME;
-const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
-
-// CORS用のヘッダー
-const corsHeaders = {
-  "Access-Control-Allow-Methods": "GET,OPTIONS",
-  "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-};
-
-// レスポンス生成
-function createResponse(statusCode, body, origin) {
-  return {
-    statusCode,
-    headers: {
-      ...corsHeaders,
-      "Access-Control-Allow-Origin": origin,
-    },
-    body: JSON.stringify(body),
-  };
-}
+const { createResponse } = createResponder("GET,OPTIONS");
 
 export const handler = async (event) => {
-  console.log("Received event:", JSON.stringify(event, null, 2));
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
 
   // 呼び出し元の Origin をチェック
-  const origin = ALLOWED_ORIGINS.includes(event.headers.origin)
-    ? event.headers.origin
-    : ALLOWED_ORIGINS[0];
+  const origin = getOrigin(event);
 
   try {
     const performanceId = event.pathParameters?.performanceId;
-    const queryParams = event.queryStringParameters || {};
-    const adminUuid = queryParams.uuid;
 
     // パラメータ検証
-    if (!performanceId || !adminUuid) {
-      return createResponse(
-        400,
-        { message: "Missing performanceId or uuid" },
-        origin
-      );
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "view",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
     }
 
     // Performances テーブルから公演情報を取得
@@ -60,27 +38,17 @@ export const handler = async (event) => {
       return createResponse(404, { message: "Performance not found" }, origin);
     }
 
-    // 管理用 UUID の照合
-    if (performance.adminUuid !== adminUuid) {
-      return createResponse(403, { message: "Forbidden" }, origin);
-    }
-
     // Schedules テーブルから全スケジュールを取得
-    const schedules = await getSchedules(performanceId);
+    const schedules = await listSchedules(performanceId);
 
-    // 各スケジュールについて、有効な予約数を取得しフィールドに追加
-    const schedulesWithActiveReservations = [];
-    for (const schedule of schedules) {
-      const activeCount = await getActiveReservationCount(
-        performanceId,
-        schedule.id
-      );
-      const formatted = formatSchedule(schedule);
-      schedulesWithActiveReservations.push({
-        ...formatted,
-        reservedSeats: activeCount,
-      });
-    }
+    // 各スケジュールについて、有効な予約数（仮予約含む）とキャンセル待ち件数をフィールドに追加
+    const schedulesWithActiveReservations = await Promise.all(
+      schedules.map(async (schedule) => ({
+        ...formatSchedule(schedule, performance),
+        reservedSeats: getOccupiedSeats(schedule),
+        waitlistCount: await countWaitingEntries(performanceId, schedule.id),
+      }))
+    );
 
     // null の項目があれば空文字 / 0 に置き換え
     const safeReservationStartTime = performance.reservationStartTime || "";
@@ -96,6 +64,9 @@ export const handler = async (event) => {
       title: safeTitle,
       reservationStartTime: safeReservationStartTime,
       maxReservations: safeMaxReservations,
+      surveyFormUrl: performance.surveyFormUrl || "",
+      reservationEndTime: performance.reservationEndTime ?? null,
+      reservationCutoffMinutes: performance.reservationCutoffMinutes ?? null,
       schedules: schedulesWithActiveReservations,
     };
 
@@ -106,83 +77,22 @@ export const handler = async (event) => {
   }
 };
 
-/** 公演 (Performances テーブル) から1件取得 */
-async function getPerformance(performanceId) {
-  const command = new GetCommand({
-    TableName: PERFORMANCES_TABLE_NAME,
-    Key: { id: performanceId },
-  });
-  const result = await dynamodb.send(command);
-  return result.Item;
-}
-
-/** スケジュール一覧取得 (全件) */
-async function getSchedules(performanceId) {
-  const command = new QueryCommand({
-    TableName: SCHEDULES_TABLE_NAME,
-    KeyConditionExpression: "performanceId = :pid",
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-    },
-  });
-  const result = await dynamodb.send(command);
-  return result.Items || [];
-}
-
-/** 有効な予約数（仮予約含む）を取得 */
-async function getActiveReservationCount(performanceId, scheduleId) {
-  // Reservationsテーブルを Query し、status IN ('pending','confirmed') の reservedSeats を合計
-  // GSI1: partitionKey=performanceId, sortKey=scheduleId
-  const command = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression: "#st IN (:pending, :confirmed)",
-    ExpressionAttributeNames: {
-      "#st": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-      ":pending": "pending",
-      ":confirmed": "confirmed",
-    },
-    ProjectionExpression: "reservedSeats",
-  });
-
-  const result = await dynamodb.send(command);
-  const items = result.Items || [];
-  let total = 0;
-  for (const r of items) {
-    total += r.reservedSeats;
-  }
-  return total;
-}
-
 /** スケジュールをフォーマット */
-function formatSchedule(schedule) {
+function formatSchedule(schedule, performance) {
   // 好みに応じて日付フォーマット
-  const dateObj = new Date(`${schedule.date}T${schedule.time}`);
+  const dateObj = getScheduleStartTime(schedule);
+  const endTime = getReservationEndTime(schedule, performance);
   return {
     id: schedule.id,
     date: formatDate(dateObj),
     time: formatTime(dateObj),
     totalSeats: schedule.totalSeats || 0,
     entryUrl: schedule.entryUrl || "",
+    ticketTiers: schedule.ticketTiers || {},
+    ticketTierRemaining: schedule.ticketTierRemaining || {},
+    reservationEndTime: schedule.reservationEndTime ?? null,
+    reservationCutoffMinutes: schedule.reservationCutoffMinutes ?? null,
+    // 公演の設定・既定値も反映した実際の締め切り（日本時間）
+    reservationClosesAt: `${formatDate(endTime)} ${formatTime(endTime)}`,
   };
 }
-
-/** YYYY-MM-DD */
-function formatDate(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const d = String(date.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
-
-/** HH:mm */
-function formatTime(date) {
-  const hh = String(date.getHours()).padStart(2, "0");
-  const mm = String(date.getMinutes()).padStart(2, "0");
-  return `${hh}:${mm}`;
-}
@@ -0,0 +1,100 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import {
+  queryReservations,
+  RESERVATION_STATUSES,
+} from "../lib/repositories/reservations.js";
+
+const { createResponse } = createResponder("GET,OPTIONS");
+
+/**
+ * 公演の予約一覧・検索（新しい順）
+ *   GET /admin/performances/{performanceId}/reservations
+ *     ?status=confirmed,pending&scheduleId=...&email=...&confirmationCode=...
+ * status はカンマ区切りで複数指定できる。email は大文字・小文字を区別しない。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const performanceId = event.pathParameters?.performanceId;
+    if (!performanceId) {
+      return createResponse(400, { message: "Missing performanceId" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "view",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const { status, scheduleId, email, confirmationCode } =
+      event.queryStringParameters || {};
+
+    const statuses = status ? status.split(",").map((s) => s.trim()) : null;
+    if (statuses?.some((s) => !RESERVATION_STATUSES.includes(s))) {
+      return createResponse(
+        400,
+        {
+          message: `status must be one of ${RESERVATION_STATUSES.join(", ")}`,
+        },
+        origin
+      );
+    }
+
+    const reservations = await queryReservations({
+      performanceId,
+      scheduleId: scheduleId || undefined,
+      statuses: statuses || undefined,
+    });
+
+    const normalizedEmail = email?.trim().toLowerCase();
+    const normalizedCode = confirmationCode?.trim().toUpperCase();
+    const items = reservations
+      .filter(
+        (r) =>
+          (!normalizedEmail ||
+            (r.email || "").toLowerCase() === normalizedEmail) &&
+          (!normalizedCode || r.confirmationCode === normalizedCode)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(formatReservation);
+
+    return createResponse(
+      200,
+      { performanceId, count: items.length, reservations: items },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in listReservationsAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
+
+function formatReservation(reservation) {
+  return {
+    id: reservation.id,
+    scheduleId: reservation.scheduleId,
+    status: reservation.status,
+    name: reservation.name,
+    email: reservation.email || "",
+    reservedSeats: reservation.reservedSeats,
+    tickets: reservation.tickets || null,
+    totalPrice: reservation.totalPrice || 0,
+    paymentStatus: reservation.paymentStatus || null,
+    confirmationCode: reservation.confirmationCode,
+    notes: reservation.notes || "",
+    source: reservation.source || "customer",
+    createdAt: reservation.createdAt,
+    updatedAt: reservation.updatedAt,
+  };
+}
@@ -0,0 +1,117 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder } from "../lib/http.js";
+import {
+  getAdminUser,
+  listAdminGrants,
+  markAdminLogin,
+} from "../lib/repositories/adminUsers.js";
+import { hashPassword, verifyPassword } from "../lib/passwords.js";
+import { createSessionToken } from "../lib/adminAuth.js";
+import { consumeRateLimit, getSourceIp } from "../lib/rateLimit.js";
+
+const { createResponse } = createResponder("POST,OPTIONS");
+
+// パスワードの総当たりを防ぐためのログイン試行回数の上限（15分あたり、成功した試行も数える）
+const RATE_LIMITS = {
+  ip: { limit: 20, windowSeconds: 15 * 60 },
+  email: { limit: 10, windowSeconds: 15 * 60 },
+};
+
+// 存在しないユーザーでもパスワード検証と同じだけ時間をかけるためのハッシュ
+let dummyHashPromise;
+
+/**
+ * 管理画面ログイン
+ *   POST /admin/login  body: { email, password }
+ * 成功するとセッショントークンを返す。以降の管理 API は Authorization: Bearer <token> で呼ぶ。
+ */
+export const handler = async (event) => {
+  // パスワードを含むため event はログに出さない
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const { email, password } = JSON.parse(event.body || "{}");
+    if (typeof email !== "string" || typeof password !== "string") {
+      return createResponse(
+        400,
+        { message: "Missing email or password" },
+        origin
+      );
+    }
+
+    // IP アドレスごと・ユーザーごとの回数制限（パスワードの検証より前に行う）
+    for (const [subjectType, subject] of [
+      ["ip", getSourceIp(event)],
+      ["email", email],
+    ]) {
+      const { allowed, retryAfter } = await consumeRateLimit(
+        `admin-login:${subjectType}`,
+        subject,
+        RATE_LIMITS[subjectType]
+      );
+      if (!allowed) {
+        return createResponse(
+          429,
+          {
+            message: "Too many login attempts. Please try again later",
+            retryAfter,
+          },
+          origin
+        );
+      }
+    }
+
+    const admin = await getAdminUser(email);
+    if (!admin || admin.disabled) {
+      dummyHashPromise ??= hashPassword("dummy-password");
+      await verifyPassword(password, await dummyHashPromise);
+      return createResponse(
+        401,
+        { message: "Invalid email or password" },
+        origin
+      );
+    }
+    if (!(await verifyPassword(password, admin.passwordHash))) {
+      return createResponse(
+        401,
+        { message: "Invalid email or password" },
+        origin
+      );
+    }
+
+    const [{ token, expiresAt }, grants] = await Promise.all([
+      createSessionToken(admin),
+      admin.role === "owner" ? [] : listAdminGrants(admin.email),
+    ]);
+    await markAdminLogin(admin.email);
+
+    return createResponse(
+      200,
+      {
+        token,
+        expiresAt,
+        user: {
+          email: admin.email,
+          name: admin.name || "",
+          role: admin.role,
+          // owner はすべての公演を操作できるため空
+          performanceIds: grants.map((g) => g.performanceId),
+        },
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in loginAdmin:", error);
+    await sendNotification(
+      `管理画面ログインエラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "loginAdmin"
+    );
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
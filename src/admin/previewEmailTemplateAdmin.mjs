@@ -0,0 +1,136 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { normalizeLocale } from "../lib/locales.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import { listSchedules } from "../lib/repositories/schedules.js";
+import { loadEmailTemplate } from "../lib/emailTemplates.js";
+import {
+  PERFORMANCE_EMAIL_TEMPLATES,
+  validateEmailTemplateOverride,
+} from "../lib/emailTemplateSchema.js";
+import { renderEmailContent } from "../lib/mailer.js";
+import { buildSampleTemplateVariables } from "../lib/emails.js";
+
+const { createResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * 公演のメールテンプレートのプレビュー（見本の予約で変数を埋める。送信はしない）
+ *   POST /admin/performances/{performanceId}/email-templates/{templateName}/preview?locale=en
+ *     body: { subject?, text?, html?, scheduleId? }
+ * text を渡すと保存前の下書き（subject を省略すると現在の件名）を、省略すると現在のテンプレートを表示する。
+ * 日時は scheduleId（省略時は最初のスケジュール）のものを使い、locale（省略時は ja）の言語で表示する。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const { performanceId, templateName } = event.pathParameters || {};
+    if (!performanceId || !templateName) {
+      return createResponse(
+        400,
+        { message: "Missing performanceId or templateName" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    if (!PERFORMANCE_EMAIL_TEMPLATES.includes(templateName)) {
+      return createResponse(
+        404,
+        { message: "Email template not found" },
+        origin
+      );
+    }
+
+    const locale = normalizeLocale(event.queryStringParameters?.locale);
+    if (!locale) {
+      return createResponse(400, { message: "Unsupported locale" }, origin);
+    }
+    const performance = await getPerformance(performanceId);
+    if (!performance) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+
+    const { subject, text, html, scheduleId } = JSON.parse(event.body || "{}");
+    const schedules = await listSchedules(performanceId);
+    const schedule = scheduleId
+      ? schedules.find((s) => s.id === scheduleId)
+      : schedules[0];
+    if (scheduleId && !schedule) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
+
+    const current = await loadEmailTemplate(
+      templateName,
+      performanceId,
+      locale
+    );
+    const source =
+      text === undefined
+        ? current
+        : { subject: subject ?? current.subject, text, html: html ?? null };
+    if (text !== undefined) {
+      const errors = validateEmailTemplateOverride(templateName, source);
+      if (errors.length > 0) {
+        return createResponse(
+          400,
+          { errorCode: "E117", message: "Invalid email template", errors },
+          origin
+        );
+      }
+    }
+
+    const variables = buildSampleTemplateVariables(
+      templateName,
+      performance,
+      schedule,
+      locale
+    );
+    let rendered;
+    try {
+      rendered = renderEmailContent(source, variables);
+    } catch (error) {
+      return createResponse(
+        400,
+        {
+          errorCode: "E117",
+          message: "Invalid email template",
+          errors: [error.message],
+        },
+        origin
+      );
+    }
+
+    return createResponse(
+      200,
+      {
+        templateName,
+        locale,
+        draft: text !== undefined,
+        overridden: current.overridden,
+        subject: rendered.subject,
+        text: rendered.body,
+        html: rendered.html ?? null,
+        variables,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in previewEmailTemplateAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
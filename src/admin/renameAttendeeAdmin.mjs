@@ -0,0 +1,64 @@
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { adminActor } from "../lib/audit.js";
+import { getAttendee } from "../lib/repositories/attendees.js";
+import { normalizeAttendeeName, renameAttendee } from "../lib/attendeeSync.js";
+
+const { createResponse } = createResponder("PUT,OPTIONS");
+
+/**
+ * 管理者による参加者の名前の変更
+ *   PUT /admin/attendees/{attendeeId}/name  body: { name }
+ * 予約者本人の名前も変更できる（予約の name は変えない）。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const attendeeId = event.pathParameters?.attendeeId;
+    if (!attendeeId) {
+      return createResponse(400, { message: "Missing attendeeId" }, origin);
+    }
+
+    const name = normalizeAttendeeName(JSON.parse(event.body || "{}").name);
+    if (!name) {
+      return createResponse(400, { message: "Invalid name" }, origin);
+    }
+
+    const attendee = await getAttendee(attendeeId);
+    if (!attendee) {
+      return createResponse(404, { message: "Attendee not found" }, origin);
+    }
+
+    // attendee の公演に対する権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "checkin",
+      performanceId: attendee.performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    await renameAttendee(
+      attendee,
+      name,
+      adminActor(auth.admin),
+      "renameAttendeeAdmin"
+    );
+
+    return createResponse(
+      200,
+      { message: "Attendee renamed", attendeeId, name },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in renameAttendeeAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
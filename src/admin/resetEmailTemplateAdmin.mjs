@@ -0,0 +1,109 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { normalizeLocale } from "../lib/locales.js";
+import { recordAudit, adminActor } from "../lib/audit.js";
+import {
+  getEmailTemplateOverride,
+  deleteEmailTemplateOverride,
+} from "../lib/emailTemplates.js";
+import { PERFORMANCE_EMAIL_TEMPLATES } from "../lib/emailTemplateSchema.js";
+
+const { createResponse } = createResponder("DELETE,OPTIONS");
+
+/**
+ * 公演のメールテンプレートの差し替えを削除して既定のテンプレート・件名に戻す
+ *   DELETE /admin/performances/{performanceId}/email-templates/{templateName}?locale=en
+ * 差し替えは言語（locale、省略時は ja）ごとに削除する。
+ * 差し替えがなければ何もせずに成功扱い。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const { performanceId, templateName } = event.pathParameters || {};
+    if (!performanceId || !templateName) {
+      return createResponse(
+        400,
+        { message: "Missing performanceId or templateName" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    if (!PERFORMANCE_EMAIL_TEMPLATES.includes(templateName)) {
+      return createResponse(
+        404,
+        { message: "Email template not found" },
+        origin
+      );
+    }
+
+    const locale = normalizeLocale(event.queryStringParameters?.locale);
+    if (!locale) {
+      return createResponse(400, { message: "Unsupported locale" }, origin);
+    }
+
+    const previous = await getEmailTemplateOverride(
+      templateName,
+      performanceId,
+      locale
+    );
+    if (previous) {
+      await deleteEmailTemplateOverride(templateName, performanceId, locale);
+      await recordAudit(
+        {
+          performanceId,
+          entityType: "performance",
+          entityId: performanceId,
+          action: "performance.email_template.reset",
+          actor: adminActor(auth.admin),
+          before: {
+            templateName,
+            locale,
+            overridden: true,
+            subject: previous.subject,
+          },
+          after: { templateName, locale, overridden: false },
+        },
+        "resetEmailTemplateAdmin"
+      );
+      await sendNotification(
+        `メールテンプレートの差し替えの削除: 公演 ${performanceId}, ${templateName} (${locale}), 担当 ${auth.admin.email}`,
+        "INFO",
+        "LOW",
+        "resetEmailTemplateAdmin"
+      );
+    }
+
+    return createResponse(
+      200,
+      {
+        message: previous
+          ? "Email template reset to default"
+          : "Email template is not overridden",
+        performanceId,
+        templateName,
+        locale,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in resetEmailTemplateAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
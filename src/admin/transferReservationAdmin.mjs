@@ -0,0 +1,93 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { adminActor } from "../lib/audit.js";
+import { getReservation } from "../lib/repositories/reservations.js";
+import {
+  transferReservation,
+  TRANSFER_ERRORS,
+} from "../lib/reservationTransfer.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * 管理者による予約のスケジュール変更
+ *   POST /admin/reservations/{reservationId}/transfer  body: { scheduleId }
+ * 予約受付の締め切り後でも変更できる（残席・重複予約のルールは適用する）
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const { scheduleId } = JSON.parse(event.body || "{}");
+
+    if (!reservationId || !scheduleId) {
+      return createResponse(
+        400,
+        { message: "Missing reservationId or scheduleId" },
+        origin
+      );
+    }
+
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      return createResponse(404, { message: "Reservation not found" }, origin);
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId: reservation.performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const result = await transferReservation(reservation, scheduleId, {
+      ignoreReservationWindow: true,
+      actor: adminActor(auth.admin),
+      service: "transferReservationAdmin",
+    });
+    if (!result.transferred) {
+      const {
+        statusCode = 400,
+        errorCode,
+        errorMessage,
+      } = TRANSFER_ERRORS[result.reason];
+      return createErrorResponse(statusCode, errorCode, errorMessage, origin);
+    }
+
+    await sendNotification(
+      `管理者による予約スケジュール変更: ID ${reservationId}, 担当 ${auth.admin.email}, スケジュール ${reservation.scheduleId} → ${scheduleId}, 人数 ${reservation.reservedSeats}`,
+      "INFO",
+      "LOW",
+      "transferReservationAdmin"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Reservation transferred successfully",
+        reservationId,
+        scheduleId,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in transferReservationAdmin:", error);
+    await sendNotification(
+      `予約スケジュール変更エラー(管理): ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "transferReservationAdmin"
+    );
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
@@ -1,44 +1,15 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  UpdateCommand,
-} from "@aws-sdk/lib-dynamodb";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { getAttendee } from "../lib/repositories/attendees.js";
+import { checkInAttendees, undoCheckin } from "../lib/checkin.js";
 
-// 環境変数等
-const dynamoClient = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
-
-const ATTENDEES_TABLE_NAME = process.env.ATTENDEES_TABLE_NAME;
-const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
-const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
-
-/** CORS用ヘッダ */
-const corsHeaders = {
-  "Access-Control-Allow-Methods": "PATCH,OPTIONS",
-  "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-};
-
-/** レスポンス返却ユーティリティ */
-function createResponse(statusCode, body, origin) {
-  return {
-    statusCode,
-    headers: {
-      ...corsHeaders,
-      "Access-Control-Allow-Origin": origin,
-    },
-    body: JSON.stringify(body),
-  };
-}
+const { createResponse } = createResponder("PATCH,OPTIONS");
 
 export const handler = async (event) => {
-  console.log("Received event:", JSON.stringify(event, null, 2));
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
 
   // CORS origin
-  const origin = ALLOWED_ORIGINS.includes(event.headers.origin)
-    ? event.headers.origin
-    : ALLOWED_ORIGINS[0];
+  const origin = getOrigin(event);
 
   // OPTIONSリクエストならCORSプリフライト
   if (event.httpMethod === "OPTIONS") {
@@ -47,14 +18,12 @@ export const handler = async (event) => {
 
   try {
     const attendeeId = event.pathParameters?.attendeeId;
-    const queryParams = event.queryStringParameters || {};
-    const adminUuid = queryParams.uuid;
 
-    if (!attendeeId || !adminUuid) {
+    if (!attendeeId) {
       return createResponse(
         400,
         {
-          message: "Missing attendeeId or uuid",
+          message: "Missing attendeeId",
         },
         origin
       );
@@ -87,37 +56,44 @@ export const handler = async (event) => {
       );
     }
 
-    // 2. performance取得 & adminUuid照合
-    //    attendee には { performanceId, scheduleId, ... } が含まれる想定
-    const performance = await getPerformance(attendee.performanceId);
-    if (!performance) {
-      return createResponse(
-        404,
-        {
-          message: "Performance not found",
-        },
-        origin
-      );
+    // 2. attendee の公演に対する権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "checkin",
+      performanceId: attendee.performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
     }
-    if (performance.adminUuid !== adminUuid) {
+
+    // 3. AttendeesテーブルをUpdate（すでに同じ状態なら何もしない）
+    if (!checkedIn) {
+      await undoCheckin(attendee, auth.admin, "updateCheckinAdmin");
       return createResponse(
-        403,
+        200,
         {
-          message: "Forbidden",
+          message: "Checkin status updated",
+          attendeeId,
+          checkedIn,
+          checkedInAt: null,
+          checkedInBy: null,
         },
         origin
       );
     }
 
-    // 3. AttendeesテーブルをUpdate
-    await updateAttendeeCheckin(attendeeId, checkedIn);
-
+    const [result] = await checkInAttendees(
+      [attendee],
+      auth.admin,
+      "updateCheckinAdmin"
+    );
     return createResponse(
       200,
       {
         message: "Checkin status updated",
         attendeeId,
         checkedIn,
+        checkedInAt: result.checkedInAt,
+        checkedInBy: result.checkedInBy,
       },
       origin
     );
@@ -132,36 +108,3 @@ export const handler = async (event) => {
     );
   }
 };
-
-/** Attendeesテーブルから1件をGet */
-async function getAttendee(attendeeId) {
-  const cmd = new GetCommand({
-    TableName: ATTENDEES_TABLE_NAME,
-    Key: { id: attendeeId },
-  });
-  const res = await dynamodb.send(cmd);
-  return res.Item;
-}
-
-/** Performancesテーブルから1件をGet */
-async function getPerformance(performanceId) {
-  const cmd = new GetCommand({
-    TableName: PERFORMANCES_TABLE_NAME,
-    Key: { id: performanceId },
-  });
-  const res = await dynamodb.send(cmd);
-  return res.Item;
-}
-
-/** Attendeesテーブルで checkedIn を更新 */
-async function updateAttendeeCheckin(attendeeId, checkedIn) {
-  const cmd = new UpdateCommand({
-    TableName: ATTENDEES_TABLE_NAME,
-    Key: { id: attendeeId },
-    UpdateExpression: "SET checkedIn = :val",
-    ExpressionAttributeValues: {
-      ":val": checkedIn,
-    },
-  });
-  await dynamodb.send(cmd);
-}
@@ -0,0 +1,147 @@
+import { sendNotification } from "../utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { normalizeLocale } from "../lib/locales.js";
+import { recordAudit, adminActor } from "../lib/audit.js";
+import { getPerformance } from "../lib/repositories/performances.js";
+import {
+  getEmailTemplateOverride,
+  putEmailTemplateOverride,
+} from "../lib/emailTemplates.js";
+import {
+  PERFORMANCE_EMAIL_TEMPLATES,
+  validateEmailTemplateOverride,
+} from "../lib/emailTemplateSchema.js";
+
+const { createResponse } = createResponder("PUT,OPTIONS");
+
+// S3 に置く1ファイルあたりの上限（文字数）
+const MAX_TEMPLATE_LENGTH = 100000;
+
+/**
+ * 公演のメールテンプレートの差し替えを登録する
+ *   PUT /admin/performances/{performanceId}/email-templates/{templateName}?locale=en
+ *     body: { subject, text, html? }
+ * 差し替えは言語（locale、省略時は ja）ごと。
+ * 登録前に変数の定義と照らし合わせ、問題があれば何も保存せずに 400 (E117) で errors を返す。
+ * html を省略すると HTML 版なし（テキストのみ）で送る。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(200, { message: "CORS preflight request" }, origin);
+  }
+
+  try {
+    const { performanceId, templateName } = event.pathParameters || {};
+    if (!performanceId || !templateName) {
+      return createResponse(
+        400,
+        { message: "Missing performanceId or templateName" },
+        origin
+      );
+    }
+
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    if (!PERFORMANCE_EMAIL_TEMPLATES.includes(templateName)) {
+      return createResponse(
+        404,
+        { message: "Email template not found" },
+        origin
+      );
+    }
+
+    const locale = normalizeLocale(event.queryStringParameters?.locale);
+    if (!locale) {
+      return createResponse(400, { message: "Unsupported locale" }, origin);
+    }
+    if (!(await getPerformance(performanceId))) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+
+    const { subject, text, html } = JSON.parse(event.body || "{}");
+    const errors = validateEmailTemplateOverride(templateName, {
+      subject,
+      text,
+      html,
+    });
+    for (const [field, value] of Object.entries({ text, html })) {
+      if (typeof value === "string" && value.length > MAX_TEMPLATE_LENGTH) {
+        errors.push(`${field}: must be at most ${MAX_TEMPLATE_LENGTH} chars`);
+      }
+    }
+    if (errors.length > 0) {
+      return createResponse(
+        400,
+        { errorCode: "E117", message: "Invalid email template", errors },
+        origin
+      );
+    }
+
+    const previous = await getEmailTemplateOverride(
+      templateName,
+      performanceId,
+      locale
+    );
+    await putEmailTemplateOverride(templateName, performanceId, locale, {
+      subject: subject.trim(),
+      text,
+      html: html || null,
+    });
+
+    await recordAudit(
+      {
+        performanceId,
+        entityType: "performance",
+        entityId: performanceId,
+        action: "performance.email_template.update",
+        actor: adminActor(auth.admin),
+        before: {
+          templateName,
+          locale,
+          overridden: Boolean(previous),
+          ...(previous && { subject: previous.subject }),
+        },
+        after: {
+          templateName,
+          locale,
+          overridden: true,
+          subject: subject.trim(),
+          hasHtml: Boolean(html),
+        },
+      },
+      "updateEmailTemplateAdmin"
+    );
+    await sendNotification(
+      `メールテンプレートの差し替え: 公演 ${performanceId}, ${templateName} (${locale}), 担当 ${auth.admin.email}`,
+      "INFO",
+      "LOW",
+      "updateEmailTemplateAdmin"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Email template updated",
+        performanceId,
+        templateName,
+        locale,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in updateEmailTemplateAdmin:", error);
+    return createResponse(500, { message: "Internal server error" }, origin);
+  }
+};
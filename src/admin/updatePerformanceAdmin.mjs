@@ -1,64 +1,101 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { getOrigin, createResponder, redactEvent } from "../lib/http.js";
+import { authorizeAdmin } from "../lib/adminAuth.js";
+import { recordAudit, adminActor, pickDefined } from "../lib/audit.js";
+import { transactWrite, isConditionFailure } from "../lib/db.js";
 import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  UpdateCommand,
-  QueryCommand,
-} from "@aws-sdk/lib-dynamodb";
-
-const dynamoClient = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
-
-const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
-const SCHEDULES_TABLE_NAME = process.env.SCHEDULES_TABLE_NAME;
-const RESERVATIONS_TABLE_NAME = process.env.RESERVATIONS_TABLE_NAME;
-const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
-const THEATER_CAPACITY = 48; // 座席の上限(固定)
-
-/** CORS用ヘッダ */
-const corsHeaders = {
-  "Access-Control-Allow-Methods": "PUT,OPTIONS",
-  "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-};
+  getPerformance,
+  updatePerformanceFieldsTransactItem,
+} from "../lib/repositories/performances.js";
+import {
+  listSchedules,
+  updateScheduleSettingsTransactItem,
+} from "../lib/repositories/schedules.js";
+import {
+  hasReminderEmailSent,
+  hasSurveyEmailSent,
+  queryReservations,
+  ACTIVE_STATUSES,
+} from "../lib/repositories/reservations.js";
+import { validateReservationEndSettings } from "../lib/reservationWindow.js";
+import { getOccupiedSeats, THEATER_CAPACITY } from "../lib/seats.js";
+import {
+  validateTicketTiersConfig,
+  calculateTicketTierRemaining,
+} from "../lib/ticketTiers.js";
+import { isPaidReservationAvailable } from "../lib/payments/index.js";
 
-/** レスポンス生成ユーティリティ */
-function createResponse(statusCode, body, origin) {
-  return {
-    statusCode,
-    headers: {
-      ...corsHeaders,
-      "Access-Control-Allow-Origin": origin,
-    },
-    body: JSON.stringify(body),
-  };
-}
+const { createResponse } = createResponder("PUT,OPTIONS");
+
+/**
+ * 公演・スケジュールの設定変更
+ *   PUT /admin/performances/{performanceId}[?dryRun=true]
+ * dryRun=true の場合は検証のみ行い、変更内容と影響を受ける予約の一覧を返す（更新はしない）。
+ */
+
+// 監査ログ・dryRun の差分に使う項目
+const PERFORMANCE_AUDIT_FIELDS = [
+  "title",
+  "surveyFormUrl",
+  "reservationStartTime",
+  "maxReservations",
+  "reservationEndTime",
+  "reservationCutoffMinutes",
+];
+const SCHEDULE_AUDIT_FIELDS = [
+  "totalSeats",
+  "entryUrl",
+  "ticketTiers",
+  "reservationEndTime",
+  "reservationCutoffMinutes",
+];
+// 変更すると公演の全予約に影響する（メール本文や受付締め切りが変わる）項目
+const PERFORMANCE_FIELDS_AFFECTING_RESERVATIONS = [
+  "title",
+  "surveyFormUrl",
+  "reservationEndTime",
+  "reservationCutoffMinutes",
+];
 
 export const handler = async (event) => {
-  console.log("Received event:", JSON.stringify(event, null, 2));
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
 
   // CORS用にリクエスト元のOriginを判定
-  const origin = ALLOWED_ORIGINS.includes(event.headers.origin)
-    ? event.headers.origin
-    : ALLOWED_ORIGINS[0];
+  const origin = getOrigin(event);
 
   try {
     const performanceId = event.pathParameters?.performanceId;
-    const queryParams = event.queryStringParameters || {};
-    const adminUuid = queryParams.uuid;
 
     // 必須パラメータチェック
-    if (!performanceId || !adminUuid) {
+    if (!performanceId) {
       return createResponse(
         400,
-        { errorCode: "E001", message: "Missing performanceId or uuid" },
+        { errorCode: "E001", message: "Missing performanceId" },
         origin
       );
     }
 
+    // 管理ユーザーの認証と公演の権限チェック
+    const auth = await authorizeAdmin(event, {
+      permission: "manage",
+      performanceId,
+    });
+    if (!auth.authorized) {
+      return createResponse(auth.statusCode, { message: auth.message }, origin);
+    }
+
+    const dryRun = event.queryStringParameters?.dryRun === "true";
+
     // リクエストボディパース
     const body = JSON.parse(event.body || "{}");
-    const { reservationStartTime, maxReservations, schedules } = body;
+    const {
+      title,
+      surveyFormUrl,
+      reservationStartTime,
+      maxReservations,
+      reservationEndTime,
+      reservationCutoffMinutes,
+      schedules,
+    } = body;
 
     // 1. Performancesテーブルから公演を取得
     const performanceItem = await getPerformance(performanceId);
@@ -69,15 +106,19 @@ export const handler = async (event) => {
         origin
       );
     }
-    // adminUuid認証
-    if (performanceItem.adminUuid !== adminUuid) {
-      return createResponse(403, { message: "Forbidden" }, origin);
-    }
 
     // 2. Schedules一覧を取得し、あとでチェックに使う
-    const existingSchedules = await getSchedules(performanceId);
+    const existingSchedules = await listSchedules(performanceId);
     const scheduleCount = existingSchedules.length;
 
+    // 有効な予約（上限の引き下げチェックと dryRun の影響範囲で使う）
+    let activeReservations;
+    const getActiveReservations = async () =>
+      (activeReservations ??= await queryReservations({
+        performanceId,
+        statuses: ACTIVE_STATUSES,
+      }));
+
     // 3. maxReservationsバリデーション
     if (maxReservations !== undefined) {
       if (
@@ -92,19 +133,22 @@ export const handler = async (event) => {
           origin
         );
       }
-      // 小さくできない（現状より下回る場合はエラー）
-      if (
-        typeof performanceItem.maxReservations === "number" &&
-        maxReservations < performanceItem.maxReservations
-      ) {
-        return createResponse(
-          400,
-          {
-            errorCode: "E106",
-            message: `Cannot decrease maxReservations from ${performanceItem.maxReservations} to ${maxReservations}`,
-          },
-          origin
+      // 1人あたりの有効な予約数より小さくはできない（0 は上限なし）
+      if (maxReservations > 0) {
+        const maxUsage = Math.max(
+          0,
+          ...countByEmail(await getActiveReservations()).values()
         );
+        if (maxReservations < maxUsage) {
+          return createResponse(
+            400,
+            {
+              errorCode: "E106",
+              message: `maxReservations(${maxReservations}) is less than reservations per email (${maxUsage})`,
+            },
+            origin
+          );
+        }
       }
     }
 
@@ -124,10 +168,66 @@ export const handler = async (event) => {
       }
     }
 
+    // 4-2. title / surveyFormUrl バリデーション
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return createResponse(
+        400,
+        { errorCode: "E112", message: "Invalid title" },
+        origin
+      );
+    }
+    if (surveyFormUrl !== undefined) {
+      if (typeof surveyFormUrl !== "string") {
+        return createResponse(
+          400,
+          { errorCode: "E112", message: "Invalid surveyFormUrl" },
+          origin
+        );
+      }
+      // 送信済みのアンケートメールと URL が食い違わないようにする
+      if (
+        surveyFormUrl !== performanceItem.surveyFormUrl &&
+        (await hasSurveyEmailSent(performanceId))
+      ) {
+        return createResponse(
+          400,
+          {
+            errorCode: "E114",
+            message:
+              "Cannot change surveyFormUrl because survey emails have been sent",
+          },
+          origin
+        );
+      }
+    }
+
+    // 4-3. 予約締め切り（公演全体）バリデーション
+    const endSettingsError = validateReservationEndSettings({
+      reservationEndTime,
+      reservationCutoffMinutes,
+    });
+    if (endSettingsError) {
+      return createResponse(
+        400,
+        { errorCode: "E113", message: endSettingsError },
+        origin
+      );
+    }
+
     // 5. schedules 更新差分をチェック
     if (Array.isArray(schedules)) {
+      // 同じスケジュールを2回更新すると1つのトランザクションにまとめられない
+      const scheduleIds = schedules.map((schUpdate) => schUpdate.id);
+      if (new Set(scheduleIds).size !== scheduleIds.length) {
+        return createResponse(
+          400,
+          { errorCode: "E109", message: "Duplicate schedule id" },
+          origin
+        );
+      }
+
       for (const schUpdate of schedules) {
-        const { id, totalSeats, entryUrl } = schUpdate;
+        const { id, totalSeats, entryUrl, ticketTiers } = schUpdate;
 
         // スケジュール存在確認
         const existing = existingSchedules.find((s) => s.id === id);
@@ -144,10 +244,10 @@ export const handler = async (event) => {
 
         // (A) totalSeats バリデーション
         if (totalSeats !== undefined) {
-          if (typeof totalSeats !== "number") {
+          if (!Number.isInteger(totalSeats) || totalSeats <= 0) {
             return createResponse(
               400,
-              { errorCode: "E102", message: "Invalid totalSeats type" },
+              { errorCode: "E102", message: "Invalid totalSeats" },
               origin
             );
           }
@@ -162,22 +262,8 @@ export const handler = async (event) => {
               origin
             );
           }
-          // 現状より下げられない
-          if (totalSeats < existing.totalSeats) {
-            return createResponse(
-              400,
-              {
-                errorCode: "E107",
-                message: `Cannot decrease totalSeats from ${existing.totalSeats} to ${totalSeats}`,
-              },
-              origin
-            );
-          }
-          // 予約席数以上
-          const reserved = await getReservedSeats(performanceId, id, [
-            "pending",
-            "confirmed",
-          ]);
+          // 予約席数（仮予約・確定済み）以上なら減らしてもよい
+          const reserved = getOccupiedSeats(existing);
           if (totalSeats < reserved) {
             return createResponse(
               400,
@@ -188,6 +274,20 @@ export const handler = async (event) => {
               origin
             );
           }
+          // 券種設定を変えない場合も、既存の券種の枠数が総座席数に収まること
+          if (ticketTiers === undefined && existing.ticketTiers) {
+            const configError = validateTicketTiersConfig(
+              existing.ticketTiers,
+              totalSeats
+            );
+            if (configError) {
+              return createResponse(
+                400,
+                { errorCode: "E108", message: configError },
+                origin
+              );
+            }
+          }
         }
 
         // (B) entryUrl バリデーション
@@ -204,73 +304,138 @@ export const handler = async (event) => {
             );
           }
         }
-      }
-    }
 
-    // 6. 更新ロジック
-    // 6-1. Performances (reservationStartTime, maxReservations)
-    if (reservationStartTime !== undefined || maxReservations !== undefined) {
-      const updateExpressions = [];
-      const attrNames = {};
-      const attrValues = {};
-
-      if (reservationStartTime !== undefined) {
-        updateExpressions.push("#rst = :rst");
-        attrNames["#rst"] = "reservationStartTime";
-        attrValues[":rst"] = reservationStartTime;
-      }
-      if (maxReservations !== undefined) {
-        updateExpressions.push("#mr = :mr");
-        attrNames["#mr"] = "maxReservations";
-        attrValues[":mr"] = maxReservations;
-      }
+        // (C) ticketTiers バリデーション（券種ごとの残数もここで計算しておく）
+        if (ticketTiers !== undefined) {
+          const configError = validateTicketTiersConfig(
+            ticketTiers,
+            totalSeats ?? existing.totalSeats,
+            { allowPaid: isPaidReservationAvailable() }
+          );
+          const { ticketTierRemaining, error } = configError
+            ? { error: configError }
+            : calculateTicketTierRemaining(existing, ticketTiers);
+          if (error) {
+            return createResponse(
+              400,
+              { errorCode: "E108", message: error },
+              origin
+            );
+          }
+          schUpdate.ticketTierRemaining = ticketTierRemaining;
+        }
 
-      if (updateExpressions.length > 0) {
-        const updateExpression = "SET " + updateExpressions.join(", ");
-        const command = new UpdateCommand({
-          TableName: PERFORMANCES_TABLE_NAME,
-          Key: { id: performanceId },
-          UpdateExpression: updateExpression,
-          ExpressionAttributeNames: attrNames,
-          ExpressionAttributeValues: attrValues,
-        });
-        await dynamodb.send(command);
+        // (D) 予約締め切り（スケジュール個別）バリデーション
+        const scheduleEndSettingsError =
+          validateReservationEndSettings(schUpdate);
+        if (scheduleEndSettingsError) {
+          return createResponse(
+            400,
+            { errorCode: "E113", message: scheduleEndSettingsError },
+            origin
+          );
+        }
       }
     }
 
-    // 6-2. Schedules (totalSeats, entryUrl)
-    if (Array.isArray(schedules)) {
-      for (const schUpdate of schedules) {
-        const { id, totalSeats, entryUrl } = schUpdate;
-        const updateSet = [];
-        const attrNames = {};
-        const attrValues = {};
+    // dryRun: 変更内容と影響を受ける予約を返して終了
+    if (dryRun) {
+      const changes = [
+        ...diffSettings(
+          "performance",
+          performanceItem,
+          body,
+          PERFORMANCE_AUDIT_FIELDS
+        ),
+        ...(Array.isArray(schedules) ? schedules : []).flatMap((schUpdate) =>
+          diffSettings(
+            "schedule",
+            existingSchedules.find((s) => s.id === schUpdate.id),
+            schUpdate,
+            SCHEDULE_AUDIT_FIELDS
+          )
+        ),
+      ];
+      const affectedReservations =
+        changes.length > 0
+          ? findAffectedReservations(
+              await getActiveReservations(),
+              changes,
+              performanceItem.maxReservations
+            )
+          : [];
+      return createResponse(
+        200,
+        { dryRun: true, changes, affectedReservations },
+        origin
+      );
+    }
 
-        if (totalSeats !== undefined) {
-          updateSet.push("#ts = :ts");
-          attrNames["#ts"] = "totalSeats";
-          attrValues[":ts"] = totalSeats;
-        }
-        if (entryUrl !== undefined) {
-          updateSet.push("#eu = :eu");
-          attrNames["#eu"] = "entryUrl";
-          attrValues[":eu"] = entryUrl;
-        }
+    // 6. 更新ロジック
+    // 公演 (title, surveyFormUrl, reservationStartTime, maxReservations, 予約締め切り) と
+    // 各スケジュール (totalSeats, entryUrl, ticketTiers, 予約締め切り) を1つのトランザクションで更新し、
+    // 一部だけ反映された状態にならないようにする
+    const scheduleUpdates = (Array.isArray(schedules) ? schedules : []).map(
+      (schUpdate) => ({
+        existing: existingSchedules.find((s) => s.id === schUpdate.id),
+        schUpdate,
+      })
+    );
+    // 条件チェックで失敗した項目からスケジュールを特定できるよう、項目とスケジュール ID を組にする
+    const writes = [
+      {
+        item: updatePerformanceFieldsTransactItem(performanceId, {
+          title: title?.trim(),
+          surveyFormUrl,
+          reservationStartTime,
+          maxReservations,
+          reservationEndTime,
+          reservationCutoffMinutes,
+        }),
+      },
+      ...scheduleUpdates.map(({ existing, schUpdate }) => ({
+        scheduleId: existing.id,
+        item: updateScheduleSettingsTransactItem(existing, schUpdate),
+      })),
+    ].filter(({ item }) => item);
 
-        if (updateSet.length > 0) {
-          const updExpr = "SET " + updateSet.join(", ");
-          const command = new UpdateCommand({
-            TableName: SCHEDULES_TABLE_NAME,
-            Key: { performanceId, id },
-            UpdateExpression: updExpr,
-            ExpressionAttributeNames: attrNames,
-            ExpressionAttributeValues: attrValues,
-          });
-          await dynamodb.send(command);
-        }
+    if (writes.length > 0) {
+      try {
+        await transactWrite(writes.map(({ item }) => item));
+      } catch (error) {
+        const failedIndex = writes.findIndex((_, i) =>
+          isConditionFailure(error, i)
+        );
+        if (failedIndex < 0) throw error;
+        // 読み込み後に予約が入るなどして座席数・券種の残数が変わった
+        return createResponse(
+          409,
+          {
+            errorCode: "E115",
+            message: `Schedule ${writes[failedIndex].scheduleId} was changed by another request. Please reload.`,
+          },
+          origin
+        );
       }
     }
 
+    await recordSettingsAudit(auth.admin, performanceId, {
+      entityType: "performance",
+      entityId: performanceId,
+      current: performanceItem,
+      update: body,
+      fields: PERFORMANCE_AUDIT_FIELDS,
+    });
+    for (const { existing, schUpdate } of scheduleUpdates) {
+      await recordSettingsAudit(auth.admin, performanceId, {
+        entityType: "schedule",
+        entityId: existing.id,
+        current: existing,
+        update: schUpdate,
+        fields: SCHEDULE_AUDIT_FIELDS,
+      });
+    }
+
     // 成功レスポンス
     return createResponse(
       200,
@@ -287,69 +452,106 @@ export const handler = async (event) => {
   }
 };
 
-/** 公演データを取得 */
-async function getPerformance(performanceId) {
-  const cmd = new GetCommand({
-    TableName: PERFORMANCES_TABLE_NAME,
-    Key: { id: performanceId },
-  });
-  const res = await dynamodb.send(cmd);
-  return res.Item;
-}
+/** 設定の変更前後を監査ログに記録する（変更のない場合は記録しない） */
+async function recordSettingsAudit(
+  admin,
+  performanceId,
+  { entityType, entityId, current, update, fields }
+) {
+  const after = pickDefined(update, fields);
+  if (Object.keys(after).length === 0) return;
 
-/** スケジュール一覧取得 */
-async function getSchedules(performanceId) {
-  const cmd = new QueryCommand({
-    TableName: SCHEDULES_TABLE_NAME,
-    KeyConditionExpression: "performanceId = :pid",
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
+  await recordAudit(
+    {
+      performanceId,
+      entityType,
+      entityId,
+      action: `${entityType}.update`,
+      actor: adminActor(admin),
+      before: pickDefined(current, Object.keys(after)),
+      after,
     },
-  });
-  const res = await dynamodb.send(cmd);
-  return res.Items || [];
+    "updatePerformanceAdmin"
+  );
 }
 
-/** 指定ステータスの予約合計人数を取得 */
-async function getReservedSeats(performanceId, scheduleId, statuses) {
-  const cmd = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression:
-      "#st IN (" + statuses.map((_, i) => `:s${i}`).join(", ") + ")",
-    ExpressionAttributeNames: {
-      "#st": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-      ...statuses.reduce((acc, s, i) => {
-        acc[`:s${i}`] = s;
-        return acc;
-      }, {}),
-    },
-    ProjectionExpression: "reservedSeats",
-  });
-  const res = await dynamodb.send(cmd);
-  const items = res.Items || [];
-  return items.reduce((sum, r) => sum + r.reservedSeats, 0);
+/** 変更のある項目を { entityType, entityId, field, before, after } の一覧にする */
+function diffSettings(entityType, current, update, fields) {
+  return Object.entries(pickDefined(update, fields))
+    .filter(
+      ([field, value]) =>
+        JSON.stringify(current[field] ?? null) !== JSON.stringify(value)
+    )
+    .map(([field, value]) => ({
+      entityType,
+      entityId: current.id,
+      field,
+      before: current[field] ?? null,
+      after: value,
+    }));
 }
 
-/** リマインドメール送信済み予約があるか判定 */
-async function hasReminderEmailSent(performanceId, scheduleId) {
-  const cmd = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression: "reminderEmailSent = :trueVal",
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-      ":trueVal": true,
-    },
-    ProjectionExpression: "id",
-  });
-  const res = await dynamodb.send(cmd);
-  return (res.Items || []).length > 0;
+/**
+ * 変更の影響を受ける有効な予約と、その理由（変更された項目）を返す。
+ *   公演の title / surveyFormUrl / 予約締め切り: 公演のすべての予約
+ *   スケジュールの項目: そのスケジュールの予約
+ *   maxReservations の引き下げ: 新しい上限に達する予約者の予約（追加の予約ができなくなる）
+ */
+function findAffectedReservations(
+  reservations,
+  changes,
+  currentMaxReservations
+) {
+  const performanceFields = changes
+    .filter(
+      (c) =>
+        c.entityType === "performance" &&
+        PERFORMANCE_FIELDS_AFFECTING_RESERVATIONS.includes(c.field)
+    )
+    .map((c) => c.field);
+  const maxChange = changes.find(
+    (c) => c.entityType === "performance" && c.field === "maxReservations"
+  );
+  const newMax = maxChange?.after;
+  const isMaxLowered =
+    newMax > 0 &&
+    (!(currentMaxReservations > 0) || newMax < currentMaxReservations);
+  const counts = countByEmail(reservations);
+
+  return reservations
+    .map((reservation) => {
+      const reasons = [
+        ...performanceFields,
+        ...changes
+          .filter(
+            (c) =>
+              c.entityType === "schedule" &&
+              c.entityId === reservation.scheduleId
+          )
+          .map((c) => c.field),
+      ];
+      if (isMaxLowered && counts.get(reservation.email) >= newMax) {
+        reasons.push("maxReservations");
+      }
+      return { reservation, reasons };
+    })
+    .filter(({ reasons }) => reasons.length > 0)
+    .map(({ reservation, reasons }) => ({
+      id: reservation.id,
+      scheduleId: reservation.scheduleId,
+      name: reservation.name,
+      email: reservation.email,
+      status: reservation.status,
+      reservedSeats: reservation.reservedSeats,
+      reasons,
+    }));
+}
+
+/** 予約者（メールアドレス）ごとの予約数 */
+function countByEmail(reservations) {
+  const counts = new Map();
+  for (const { email } of reservations) {
+    counts.set(email, (counts.get(email) || 0) + 1);
+  }
+  return counts;
 }
@@ -1,16 +1,14 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  ScanCommand,
-  UpdateCommand,
-} from "@aws-sdk/lib-dynamodb";
 import { sendNotification } from "./utils/notification.js";
+import {
+  scanReservationsCreatedBefore,
+  scanAwaitingPaymentBefore,
+} from "./lib/repositories/reservations.js";
+import { expireUnconfirmedReservation } from "./lib/reservationLifecycle.js";
+import { promoteWaitlistSafely } from "./lib/waitlist.js";
+import { recordReservationStatusChange, systemActor } from "./lib/audit.js";
 
-const client = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(client);
-
-const RESERVATIONS_TABLE_NAME = process.env.RESERVATIONS_TABLE_NAME;
 const RESERVATION_EXPIRATION_HOURS = 1; // 予約の有効期限（時間）
+const PAYMENT_EXPIRATION_MINUTES = 30; // 決済開始からの支払期限（分）
 
 export const handler = async (event) => {
   console.log("Received event:", JSON.stringify(event, null, 2));
@@ -19,6 +17,21 @@ export const handler = async (event) => {
     const expiredReservations = await getExpiredReservations();
     await Promise.all(expiredReservations.map(updateReservationToExpired));
 
+    // 座席が空いたスケジュールごとにキャンセル待ちを繰り上げる
+    const freedSchedules = new Map(
+      expiredReservations.map((r) => [
+        `${r.performanceId}#${r.scheduleId}`,
+        { performanceId: r.performanceId, scheduleId: r.scheduleId },
+      ])
+    );
+    for (const { performanceId, scheduleId } of freedSchedules.values()) {
+      await promoteWaitlistSafely(
+        performanceId,
+        scheduleId,
+        "checkExpiredReservations"
+      );
+    }
+
     if (expiredReservations.length > 0) {
       await sendNotification(
         `失効チェック: ${expiredReservations.length}件の予約が失効しました`,
@@ -54,49 +67,36 @@ async function getExpiredReservations() {
   const expirationTime = new Date(
     Date.now() - RESERVATION_EXPIRATION_HOURS * 60 * 60 * 1000
   ).toISOString();
+  // 支払期限切れ基準時刻 (now - 30分)
+  const paymentExpirationTime = new Date(
+    Date.now() - PAYMENT_EXPIRATION_MINUTES * 60 * 1000
+  ).toISOString();
 
-  const command = new ScanCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    FilterExpression: "#status = :status AND createdAt < :expirationTime",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":status": "pending",
-      ":expirationTime": expirationTime,
-    },
-  });
-
-  const result = await dynamodb.send(command);
-  return result.Items || [];
+  const [unconfirmed, unpaid] = await Promise.all([
+    scanReservationsCreatedBefore("pending", expirationTime),
+    scanAwaitingPaymentBefore(paymentExpirationTime),
+  ]);
+  // 管理者が承認した予約は承認時刻から数える
+  const unconfirmedExpired = unconfirmed.filter(
+    (r) => !r.approvedAt || r.approvedAt < expirationTime
+  );
+  return [...unconfirmedExpired, ...unpaid];
 }
 
 async function updateReservationToExpired(reservation) {
-  const command = new UpdateCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    Key: { id: reservation.id },
-    UpdateExpression: "SET #status = :expired, updatedAt = :updatedAt",
-    ConditionExpression: "#status = :pending", // すでに変更されていたら上書きしない
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pending": "pending",
-      ":expired": "expired",
-      ":updatedAt": new Date().toISOString(),
-    },
-  });
-
-  try {
-    await dynamodb.send(command);
+  // 予約の失効と、仮予約（決済待ち）で確保していた座席の解放を同時に行う
+  const expired = await expireUnconfirmedReservation(reservation);
+  if (expired) {
     console.log("expired: " + reservation.id);
-  } catch (error) {
-    // もし #status != pending（たとえば confirmed になった）なら ConditionalCheckFailedException が投げられる
-    if (error.name === "ConditionalCheckFailedException") {
-      console.log(`skip expiring: ${reservation.id} (already changed)`);
-      // ここでは特に再スローせず、単にスキップ扱いにする
-    } else {
-      throw error;
-    }
+    await recordReservationStatusChange(
+      reservation,
+      { status: "expired" },
+      systemActor("checkExpiredReservations"),
+      "checkExpiredReservations"
+    );
+  } else {
+    // すでに変更されていたら（たとえば confirmed になった）上書きしない
+    // 失効後に支払いが完了した場合は Webhook 側で返金を依頼する
+    console.log(`skip expiring: ${reservation.id} (already changed)`);
   }
 }
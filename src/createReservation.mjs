@@ -1,74 +1,77 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  PutCommand,
-  QueryCommand,
-  TransactWriteCommand,
-} from "@aws-sdk/lib-dynamodb";
-import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
-import { SSMClient, GetParameterCommand } from "@aws-sdk/client-ssm";
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
-import { createHash } from "crypto";
 import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder } from "./lib/http.js";
+import { getPerformance } from "./lib/repositories/performances.js";
+import { getSchedule } from "./lib/repositories/schedules.js";
+import { isReservationClosed } from "./lib/reservationWindow.js";
+import {
+  checkExistingReservation,
+  RESERVATION_CHECK_ERRORS,
+} from "./lib/reservationRules.js";
+import {
+  createPendingReservation,
+  holdForApproval,
+  generateReservationId,
+  generateConfirmationCode,
+} from "./lib/reservationLifecycle.js";
+import { getNoShowStatus } from "./lib/noShowPolicy.js";
+import {
+  checkReservationRequest,
+  RESERVATION_ABUSE_ERRORS,
+} from "./lib/abuseProtection.js";
+import { getSourceIp } from "./lib/rateLimit.js";
+import { resolveCompanionNames } from "./lib/attendeeSync.js";
+import { normalizeLocale } from "./lib/locales.js";
+import {
+  sendReservationConfirmationEmail,
+  sendApprovalPendingEmail,
+} from "./lib/emails.js";
+import {
+  recordAudit,
+  recordReservationStatusChange,
+  customerActor,
+  systemActor,
+  reservationSnapshot,
+} from "./lib/audit.js";
+import {
+  resolveTicketFields,
+  formatTicketNotification,
+} from "./lib/ticketTiers.js";
 
-const client = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(client);
-const sesClient = new SESClient({ region: process.env.SES_REGION });
-const ssmClient = new SSMClient({ region: process.env.AWS_REGION });
-const s3Client = new S3Client({ region: process.env.AWS_REGION });
-
-const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
-const SCHEDULES_TABLE_NAME = process.env.SCHEDULES_TABLE_NAME;
-const RESERVATIONS_TABLE_NAME = process.env.RESERVATIONS_TABLE_NAME;
-const SENDER_EMAIL = process.env.SENDER_EMAIL;
-const STAGE = process.env.STAGE;
-const CONFIRMATION_URL = process.env.CONFIRMATION_URL;
-const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
-
-const corsHeaders = {
-  "Access-Control-Allow-Methods": "POST,OPTIONS",
-  "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-};
-
-async function getSecretKey() {
-  const parameterName = `/${STAGE}/mashirotheater/reservation/secret-key`;
-  const command = new GetParameterCommand({
-    Name: parameterName,
-    WithDecryption: true,
-  });
-  const response = await ssmClient.send(command);
-  return response.Parameter.Value;
-}
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
 
 export const handler = async (event) => {
   console.log("Received event:", JSON.stringify(event, null, 2));
 
-  const origin = ALLOWED_ORIGINS.includes(event.headers.origin)
-    ? event.headers.origin
-    : ALLOWED_ORIGINS[0];
+  const origin = getOrigin(event);
 
   if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers: {
-        ...corsHeaders,
-        "Access-Control-Allow-Origin": origin,
-      },
-      body: JSON.stringify({ message: "CORS preflight request successful" }),
-    };
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
   }
 
   try {
-    const { performanceId, scheduleId, name, email, reservedSeats, notes } =
-      JSON.parse(event.body);
+    const {
+      performanceId,
+      scheduleId,
+      name,
+      email,
+      reservedSeats,
+      tickets,
+      notes,
+      companionNames,
+      captchaToken,
+      locale,
+    } = JSON.parse(event.body);
 
     if (
       !performanceId ||
       !scheduleId ||
       !name ||
       !email ||
+      !Number.isInteger(reservedSeats) ||
       reservedSeats <= 0
     ) {
       return createErrorResponse(
@@ -79,11 +82,45 @@ export const handler = async (event) => {
       );
     }
 
+    // メールの言語（省略時は日本語）
+    const reservationLocale = normalizeLocale(locale);
+    if (!reservationLocale) {
+      return createErrorResponse(400, "E002", "Unsupported locale", origin);
+    }
+
+    // 不正利用対策（メールアドレスの検証・回数制限・CAPTCHA・未確定の仮予約の数）
+    const requestCheck = await checkReservationRequest({
+      email,
+      sourceIp: getSourceIp(event),
+      captchaToken,
+    });
+    if (!requestCheck.allowed) {
+      const { statusCode, errorCode, errorMessage } =
+        RESERVATION_ABUSE_ERRORS[requestCheck.reason];
+      return createResponse(
+        statusCode,
+        {
+          errorCode,
+          errorMessage,
+          ...(requestCheck.retryAfter !== undefined && {
+            retryAfter: requestCheck.retryAfter,
+          }),
+        },
+        origin
+      );
+    }
+
     // 公演データの取得
-    const performance = await getPerformance(performanceId);
+    const [performance, schedule] = await Promise.all([
+      getPerformance(performanceId),
+      getSchedule(performanceId, scheduleId),
+    ]);
     if (!performance) {
       return createResponse(404, { message: "Performance not found" }, origin);
     }
+    if (!schedule) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
 
     // 予約開始時間のチェック
     const reservationStartTime = new Date(performance.reservationStartTime);
@@ -98,6 +135,30 @@ export const handler = async (event) => {
       );
     }
 
+    // 予約受付の締め切りチェック
+    if (isReservationClosed(schedule, performance)) {
+      return createResponse(
+        403,
+        { message: "Reservations are closed for this schedule" },
+        origin
+      );
+    }
+
+    // お連れ様の名前（任意）
+    const companionResult = resolveCompanionNames(
+      companionNames,
+      reservedSeats
+    );
+    if (companionResult.error) {
+      return createErrorResponse(400, "E002", companionResult.error, origin);
+    }
+
+    // 券種のあるスケジュールは券種ごとの枚数が必要
+    const ticketResult = resolveTicketFields(schedule, reservedSeats, tickets);
+    if (ticketResult.error) {
+      return createErrorResponse(400, "E010", ticketResult.error, origin);
+    }
+
     // 予約重複チェック
     const reservationCheck = await checkExistingReservation(
       performanceId,
@@ -106,33 +167,25 @@ export const handler = async (event) => {
       performance.maxReservations
     );
     if (!reservationCheck.allowed) {
-      let errorCode, errorMessage;
-      if (reservationCheck.reason === "SAME_SCHEDULE") {
-        errorCode = "E004";
-        errorMessage =
-          "A reservation already exists for this schedule and email address";
-      } else if (reservationCheck.reason === "MAX_PERFORMANCE_REACHED") {
-        errorCode = "E005";
-        errorMessage =
-          "Maximum number of reservations reached for this performance";
-      }
+      const { errorCode, errorMessage } =
+        RESERVATION_CHECK_ERRORS[reservationCheck.reason];
       return createErrorResponse(400, errorCode, errorMessage, origin);
     }
 
-    const availableSeats = await getAvailableSeats(performanceId, scheduleId);
-    if (availableSeats < reservedSeats) {
+    // 無断キャンセル（no-show）の多いお客様は予約不可、または管理者の承認待ちにする
+    const noShowStatus = await getNoShowStatus(email);
+    if (noShowStatus.restriction === "block") {
       return createErrorResponse(
-        400,
-        "E001",
-        "Not enough available seats",
+        403,
+        "E011",
+        "Reservations are restricted due to repeated no-shows",
         origin
       );
     }
+    const approvalRequired = noShowStatus.restriction === "approval";
 
     const reservationId = generateReservationId();
     const confirmationCode = generateConfirmationCode();
-    const SECRET_KEY = await getSecretKey();
-    const tempUrl = generateTemporaryUrl(reservationId, email, SECRET_KEY);
 
     const now = new Date().toISOString();
     const reservation = {
@@ -142,29 +195,61 @@ export const handler = async (event) => {
       name,
       email,
       reservedSeats,
+      ...ticketResult.fields,
       notes,
+      ...(companionResult.companionNames.length > 0 && {
+        companionNames: companionResult.companionNames,
+      }),
       confirmationCode,
+      locale: reservationLocale,
       status: "pending",
+      sourceIpHash: requestCheck.sourceIpHash,
       createdAt: now,
       updatedAt: now,
     };
 
-    await createReservation(reservation);
+    // 予約の作成と座席の確保を同一トランザクションで行う
+    const created = await createPendingReservation(reservation);
+    if (!created) {
+      return createErrorResponse(
+        400,
+        "E001",
+        "Not enough available seats",
+        origin
+      );
+    }
 
-    const performanceDetails = await getPerformanceDetails(
-      performanceId,
-      scheduleId
-    );
-    await sendConfirmationEmail(
-      email,
-      name,
-      tempUrl,
-      performanceDetails,
-      reservedSeats
+    await recordAudit(
+      {
+        performanceId,
+        entityType: "reservation",
+        entityId: reservationId,
+        action: "reservation.create",
+        actor: customerActor(reservation),
+        after: reservationSnapshot(reservation),
+      },
+      "createReservation"
     );
 
+    if (approvalRequired) {
+      await holdReservationForApproval(reservation, noShowStatus.count);
+      await sendApprovalPendingEmail(reservation, performance, schedule);
+    } else {
+      await sendReservationConfirmationEmail(
+        reservation,
+        performance,
+        schedule
+      );
+    }
+
     await sendNotification(
-      `仮予約作成: ID ${reservationId}, 公演 ${performanceId}, スケジュール ${scheduleId}, 名前 ${name}, 人数 ${reservedSeats}, 備考 ${notes}`,
+      `${
+        approvalRequired
+          ? `承認待ちの予約作成 (no-show ${noShowStatus.count}回)`
+          : "仮予約作成"
+      }: ID ${reservationId}, 公演 ${performanceId}, スケジュール ${scheduleId}, 名前 ${name}, 人数 ${reservedSeats}${formatTicketNotification(
+        reservation
+      )}, 備考 ${notes}`,
       "INFO",
       "LOW",
       "createReservation"
@@ -172,9 +257,13 @@ export const handler = async (event) => {
     return createResponse(
       200,
       {
-        message: "Reservation created successfully",
+        message: approvalRequired
+          ? "Reservation is awaiting approval"
+          : "Reservation created successfully",
         reservationId,
         confirmationCode,
+        totalPrice: reservation.totalPrice,
+        ...(approvalRequired && { approvalRequired: true }),
       },
       origin
     );
@@ -190,252 +279,20 @@ export const handler = async (event) => {
   }
 };
 
-async function getPerformance(performanceId) {
-  const command = new GetCommand({
-    TableName: PERFORMANCES_TABLE_NAME,
-    Key: { id: performanceId },
-  });
-  const result = await dynamodb.send(command);
-  return result.Item;
-}
-
-function generateReservationId() {
-  return `RES${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
-}
-
-async function getAvailableSeats(performanceId, scheduleId) {
-  const scheduleCommand = new GetCommand({
-    TableName: SCHEDULES_TABLE_NAME,
-    Key: {
-      performanceId: performanceId,
-      id: scheduleId,
-    },
-  });
-
-  const reservationsCommand = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression: "#status IN (:pending, :confirmed)",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-      ":pending": "pending",
-      ":confirmed": "confirmed",
-    },
-    ProjectionExpression: "reservedSeats",
-  });
-
-  try {
-    const [scheduleResult, reservationsResult] = await Promise.all([
-      dynamodb.send(scheduleCommand),
-      dynamodb.send(reservationsCommand),
-    ]);
-
-    if (!scheduleResult.Item) {
-      throw new Error("Schedule not found");
-    }
-
-    const totalSeats = scheduleResult.Item.totalSeats;
-    const reservedSeats = reservationsResult.Items.reduce(
-      (total, item) => total + item.reservedSeats,
-      0
+/** 作成した仮予約を管理者の承認待ちにする（座席は確保したまま） */
+async function holdReservationForApproval(reservation, noShowCount) {
+  if (!(await holdForApproval(reservation))) {
+    throw new Error(
+      `Failed to hold reservation ${reservation.id} for approval`
     );
-
-    return totalSeats - reservedSeats;
-  } catch (error) {
-    console.error("Error fetching available seats:", error);
-    throw error;
   }
-}
-
-async function createReservation(reservation) {
-  const command = new PutCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    Item: {
-      ...reservation,
-      status: "pending",
-    },
-    ConditionExpression: "attribute_not_exists(id)",
-  });
-
-  await dynamodb.send(command);
-}
-
-function generateConfirmationCode() {
-  return Math.random().toString(36).substr(2, 8).toUpperCase();
-}
-
-function generateTemporaryUrl(reservationId, email, secretKey) {
-  const hash = createHash("sha256")
-    .update(`${reservationId}${email}${secretKey}`)
-    .digest("hex");
-  return `${CONFIRMATION_URL}?id=${reservationId}&token=${hash}`;
-}
-
-async function getPerformanceDetails(performanceId, scheduleId) {
-  const performanceCommand = new GetCommand({
-    TableName: PERFORMANCES_TABLE_NAME,
-    Key: { id: performanceId },
-  });
-
-  const scheduleCommand = new GetCommand({
-    TableName: SCHEDULES_TABLE_NAME,
-    Key: { performanceId, id: scheduleId },
-  });
-
-  const [performanceResult, scheduleResult] = await Promise.all([
-    dynamodb.send(performanceCommand),
-    dynamodb.send(scheduleCommand),
-  ]);
-
-  if (!performanceResult.Item || !scheduleResult.Item) {
-    throw new Error("Performance or schedule not found");
-  }
-
-  return {
-    title: performanceResult.Item.title,
-    date: scheduleResult.Item.date,
-    time: scheduleResult.Item.time,
-    performanceId: performanceId,
-  };
-}
-
-async function sendConfirmationEmail(
-  email,
-  name,
-  tempUrl,
-  performanceDetails,
-  reservedSeats
-) {
-  const template = await getEmailTemplate("reservation-confirmation");
-
-  const dayOfWeek = ["日", "月", "火", "水", "木", "金", "土"][
-    new Date(performanceDetails.date).getDay()
-  ];
-  const formattedDate = `${performanceDetails.date.replace(
-    /-/g,
-    "/"
-  )} (${dayOfWeek}) ${performanceDetails.time}`;
-  const eventPageUrl = `${process.env.FRONTEND_URL}/events/${performanceDetails.performanceId}`;
-
-  const emailBody = template
-    .replaceAll("{{name}}", name)
-    .replace("{{confirmationLink}}", tempUrl)
-    .replace("{{performanceTitle}}", performanceDetails.title)
-    .replace("{{performanceDateTime}}", formattedDate)
-    .replace("{{reservedSeats}}", reservedSeats)
-    .replace("{{eventPageUrl}}", eventPageUrl);
-
-  const params = {
-    Destination: { ToAddresses: [email] },
-    Message: {
-      Body: { Text: { Data: emailBody } },
-      Subject: { Data: "【ましろ小劇場】予約内容のご確認" },
-    },
-    Source: SENDER_EMAIL,
-  };
-
-  await sesClient.send(new SendEmailCommand(params));
-}
-
-async function getEmailTemplate(templateName) {
-  const command = new GetObjectCommand({
-    Bucket: process.env.TEMPLATE_BUCKET,
-    Key: `email-templates/${templateName}.txt`,
-  });
-
-  const response = await s3Client.send(command);
-  return await streamToString(response.Body);
-}
-
-function streamToString(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on("data", (chunk) => chunks.push(chunk));
-    stream.on("error", reject);
-    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
-  });
-}
-
-async function checkExistingReservation(
-  performanceId,
-  scheduleId,
-  email,
-  maxReservations
-) {
-  // 同一の日程（ScheduleId）に対する予約をチェック
-  const scheduleCommand = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression: "email = :email AND #status IN (:pending, :confirmed)",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-      ":email": email,
-      ":pending": "pending",
-      ":confirmed": "confirmed",
-    },
-  });
-
-  // 同一の公演（PerformanceId）に対する予約をチェック
-  const performanceCommand = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid",
-    FilterExpression: "email = :email AND #status IN (:pending, :confirmed)",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":email": email,
-      ":pending": "pending",
-      ":confirmed": "confirmed",
-    },
-  });
-
-  const [scheduleResult, performanceResult] = await Promise.all([
-    dynamodb.send(scheduleCommand),
-    dynamodb.send(performanceCommand),
-  ]);
-
-  const sameScheduleReservations = scheduleResult.Items.length;
-  const samePerformanceReservations = performanceResult.Items.length;
-
-  if (sameScheduleReservations > 0) {
-    return { allowed: false, reason: "SAME_SCHEDULE" };
-  }
-
-  if (
-    typeof maxReservations === "number" &&
-    maxReservations > 0 &&
-    samePerformanceReservations >= maxReservations
-  ) {
-    return { allowed: false, reason: "MAX_PERFORMANCE_REACHED" };
-  }
-
-  return { allowed: true };
-}
-
-function createResponse(statusCode, body, origin) {
-  return {
-    statusCode,
-    headers: {
-      ...corsHeaders,
-      "Access-Control-Allow-Origin": origin,
-    },
-    body: JSON.stringify(body),
-  };
-}
-
-function createErrorResponse(statusCode, errorCode, errorMessage, origin) {
-  return createResponse(statusCode, { errorCode, errorMessage }, origin);
+  await recordReservationStatusChange(
+    reservation,
+    { status: "awaiting_approval" },
+    systemActor("createReservation"),
+    "createReservation"
+  );
+  console.log(
+    `Reservation ${reservation.id} is awaiting approval (${noShowCount} no-shows)`
+  );
 }
@@ -1,54 +1,27 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { getOrigin, createResponder } from "./lib/http.js";
+import { getPerformance } from "./lib/repositories/performances.js";
+import { listSchedules } from "./lib/repositories/schedules.js";
+import { getAvailableSeats } from "./lib/seats.js";
 import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  QueryCommand,
-} from "@aws-sdk/lib-dynamodb";
-
-const client = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(client);
-
-const performancesTableName = process.env.PERFORMANCES_TABLE_NAME;
-const schedulesTableName = process.env.SCHEDULES_TABLE_NAME;
-const reservationsTableName = process.env.RESERVATIONS_TABLE_NAME;
-const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
-
-const corsHeaders = {
-  "Access-Control-Allow-Methods": "GET,OPTIONS",
-  "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-};
-
-const TIME_ZONE = "Asia/Tokyo";
-
-function getJSTDate(date = new Date()) {
-  return new Date(date.toLocaleString("en-US", { timeZone: TIME_ZONE }));
-}
-
-function isWithinOneHourBeforeStart(schedule) {
-  const now = getJSTDate();
-  const performanceTime = new Date(`${schedule.date}T${schedule.time}`);
-  const oneHourBefore = new Date(performanceTime.getTime() - 60 * 60 * 1000);
-  return now < oneHourBefore;
-}
+  getJSTDate,
+  getScheduleStartTime,
+  formatDate,
+  formatTime,
+} from "./lib/dates.js";
+import { isReservationClosed } from "./lib/reservationWindow.js";
+import {
+  getTicketTiers,
+  getTierRemainingSeats,
+  TICKET_TIER_IDS,
+  TICKET_TIER_LABELS,
+} from "./lib/ticketTiers.js";
 
-const createResponse = (statusCode, body, origin) => {
-  return {
-    statusCode,
-    headers: {
-      ...corsHeaders,
-      "Access-Control-Allow-Origin": origin,
-    },
-    body: JSON.stringify(body),
-  };
-};
+const { createResponse } = createResponder("GET,OPTIONS");
 
 export const handler = async (event) => {
   console.log("Received event:", JSON.stringify(event, null, 2));
 
-  const origin = ALLOWED_ORIGINS.includes(event.headers.origin)
-    ? event.headers.origin
-    : ALLOWED_ORIGINS[0];
+  const origin = getOrigin(event);
 
   try {
     const performanceId = event.pathParameters?.performanceId;
@@ -86,12 +59,9 @@ export const handler = async (event) => {
         origin
       );
     }
-    const schedules = await getSchedules(performanceId);
-    const schedulesWithAvailableSeats = await Promise.all(
-      schedules.map(getAvailableSeats)
-    );
-    const formattedSchedules = schedulesWithAvailableSeats
-      .filter(isWithinOneHourBeforeStart)
+    const schedules = await listSchedules(performanceId);
+    const formattedSchedules = schedules
+      .filter((schedule) => !isReservationClosed(schedule, performance))
       .map(formatSchedule);
 
     if (formattedSchedules.length === 0) {
@@ -102,7 +72,7 @@ export const handler = async (event) => {
           title: performance.title,
           reservationStatus: "closed",
           message:
-            "All performances are within one hour of start time or have already begun.",
+            "Reservations are closed for all schedules or all have already begun.",
         },
         origin
       );
@@ -129,75 +99,31 @@ export const handler = async (event) => {
   }
 };
 
-async function getPerformance(performanceId) {
-  const command = new GetCommand({
-    TableName: performancesTableName,
-    Key: { id: performanceId },
-  });
-  const result = await dynamodb.send(command);
-  return result.Item;
-}
-
-async function getSchedules(performanceId) {
-  const command = new QueryCommand({
-    TableName: schedulesTableName,
-    KeyConditionExpression: "performanceId = :pid",
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-    },
-  });
-  const result = await dynamodb.send(command);
-  return result.Items;
-}
-
-async function getAvailableSeats(schedule) {
-  const reservationsCommand = new QueryCommand({
-    TableName: reservationsTableName,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression: "#status IN (:pending, :confirmed)",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": schedule.performanceId,
-      ":sid": schedule.id,
-      ":pending": "pending",
-      ":confirmed": "confirmed",
-    },
-    ProjectionExpression: "reservedSeats",
-  });
-
-  const reservationsResult = await dynamodb.send(reservationsCommand);
-  const reservedSeats = reservationsResult.Items.reduce(
-    (total, item) => total + item.reservedSeats,
-    0
-  );
-  const availableSeats = schedule.totalSeats - reservedSeats;
-
-  return { ...schedule, availableSeats };
-}
-
 function formatSchedule(schedule) {
   // DBに格納されている日時はすでに日本時間なので、getJSTDate()は使用しない
-  const date = new Date(`${schedule.date}T${schedule.time}`);
+  const date = getScheduleStartTime(schedule);
   return {
     id: schedule.id,
     date: formatDate(date),
     time: formatTime(date),
-    remainingSeats: Math.max(0, schedule.availableSeats),
+    remainingSeats: Math.max(0, getAvailableSeats(schedule)),
+    ...formatTicketTiers(schedule),
   };
 }
 
-function formatDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
-function formatTime(date) {
-  const hours = String(date.getHours()).padStart(2, "0");
-  const minutes = String(date.getMinutes()).padStart(2, "0");
-  return `${hours}:${minutes}`;
+/** 券種のあるスケジュールは券種ごとの料金・上限・残数を返す */
+function formatTicketTiers(schedule) {
+  const ticketTiers = getTicketTiers(schedule);
+  if (!ticketTiers) return {};
+  return {
+    ticketTiers: TICKET_TIER_IDS.filter((tierId) => ticketTiers[tierId]).map(
+      (tierId) => ({
+        id: tierId,
+        label: TICKET_TIER_LABELS[tierId],
+        price: ticketTiers[tierId].price,
+        maxPerReservation: ticketTiers[tierId].maxPerReservation,
+        remainingSeats: getTierRemainingSeats(schedule, tierId),
+      })
+    ),
+  };
 }
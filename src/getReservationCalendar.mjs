@@ -0,0 +1,95 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "./lib/http.js";
+import { getReservation } from "./lib/repositories/reservations.js";
+import { getPerformance } from "./lib/repositories/performances.js";
+import { getSchedule } from "./lib/repositories/schedules.js";
+import { verifyCancelToken } from "./lib/tokens.js";
+import {
+  buildReservationCalendar,
+  CALENDAR_FILENAME,
+  CALENDAR_CONTENT_TYPE,
+} from "./lib/calendar.js";
+
+const { createResponse, createErrorResponse, createFileResponse } =
+  createResponder("GET,OPTIONS");
+
+/**
+ * 確定した予約の予定（iCalendar）の再ダウンロード
+ *   GET /reservations/{reservationId}/calendar.ics?token=...
+ * token は確定メールのキャンセル・予約管理 URL のトークン。
+ * 内容は確定・リマインドのメールに添付するものと同じ（入場用 URL が設定されていれば含む）。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const token = event.queryStringParameters?.token;
+    if (!reservationId || !token) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "Missing reservationId or token",
+        origin
+      );
+    }
+
+    const reservation = await getReservation(reservationId);
+    if (!reservation || !(await verifyCancelToken(reservationId, token))) {
+      return createErrorResponse(403, "E002", "Invalid token", origin);
+    }
+    if (reservation.status === "canceled") {
+      return createErrorResponse(
+        400,
+        "E003",
+        "Reservation has been canceled",
+        origin
+      );
+    }
+    if (reservation.status !== "confirmed") {
+      return createErrorResponse(
+        400,
+        "E008",
+        `Reservation is not confirmed (status: ${reservation.status})`,
+        origin
+      );
+    }
+
+    const [performance, schedule] = await Promise.all([
+      getPerformance(reservation.performanceId),
+      getSchedule(reservation.performanceId, reservation.scheduleId),
+    ]);
+    if (!performance || !schedule) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
+
+    return createFileResponse(
+      200,
+      {
+        body: buildReservationCalendar(reservation, performance, schedule),
+        contentType: CALENDAR_CONTENT_TYPE,
+        filename: CALENDAR_FILENAME,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error in getReservationCalendar:", error);
+    await sendNotification(
+      `予定（.ics）の取得エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "getReservationCalendar"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
@@ -0,0 +1,131 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "./lib/http.js";
+import { verifyHistoryToken, buildCancelUrl } from "./lib/tokens.js";
+import { queryReservationsByEmail } from "./lib/repositories/reservations.js";
+import { getPerformances } from "./lib/repositories/performances.js";
+import { listSchedules } from "./lib/repositories/schedules.js";
+import { getJSTDate, getScheduleStartTime } from "./lib/dates.js";
+
+const { createResponse, createErrorResponse } = createResponder("GET,OPTIONS");
+
+/**
+ * メールアドレスの予約の一覧（公演をまたぐ）
+ *   GET /reservations/history?token=...
+ * token は予約履歴リンクのトークン（POST /reservations/history でメールに送ったもの）。
+ * これからの公演（開演の早い順）と終わった公演（新しい順）に分け、
+ * 各予約に確認・変更・キャンセル用の URL を付ける。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const email = await verifyHistoryToken(event.queryStringParameters?.token);
+    if (!email) {
+      return createErrorResponse(
+        403,
+        "E002",
+        "Invalid or expired token",
+        origin
+      );
+    }
+
+    const reservations = await findReservations(email);
+    const performanceIds = [
+      ...new Set(reservations.map((r) => r.performanceId)),
+    ];
+    const [performances, scheduleLists] = await Promise.all([
+      getPerformances(performanceIds),
+      Promise.all(performanceIds.map((id) => listSchedules(id))),
+    ]);
+    const performancesById = new Map(performances.map((p) => [p.id, p]));
+    const schedulesById = new Map(
+      scheduleLists.flat().map((s) => [`${s.performanceId}#${s.id}`, s])
+    );
+
+    const items = await Promise.all(
+      reservations.map((reservation) =>
+        formatHistoryItem(
+          reservation,
+          performancesById.get(reservation.performanceId),
+          schedulesById.get(
+            `${reservation.performanceId}#${reservation.scheduleId}`
+          )
+        )
+      )
+    );
+
+    // DBに格納されている日時は日本時間の壁時計なので、現在時刻も日本時間で比べる
+    const now = getJSTDate();
+    const isUpcoming = (item) =>
+      item.schedule && getScheduleStartTime(item.schedule) >= now;
+    const byStartTime = (a, b) =>
+      `${a.schedule?.date}T${a.schedule?.time}`.localeCompare(
+        `${b.schedule?.date}T${b.schedule?.time}`
+      );
+
+    return createResponse(
+      200,
+      {
+        email,
+        upcoming: items.filter(isUpcoming).sort(byStartTime),
+        past: items
+          .filter((item) => !isUpcoming(item))
+          .sort((a, b) => byStartTime(b, a)),
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `予約履歴の取得エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "getReservationHistory"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
+
+/**
+ * メールアドレスの予約を取得する。
+ * 予約には入力されたままのメールアドレスが入っているため、小文字にしたものでも探す。
+ */
+async function findReservations(email) {
+  const emails = [...new Set([email, email.toLowerCase()])];
+  const results = await Promise.all(emails.map(queryReservationsByEmail));
+  const byId = new Map(results.flat().map((r) => [r.id, r]));
+  return [...byId.values()];
+}
+
+async function formatHistoryItem(reservation, performance, schedule) {
+  return {
+    id: reservation.id,
+    status: reservation.status,
+    name: reservation.name,
+    reservedSeats: reservation.reservedSeats,
+    tickets: reservation.tickets,
+    totalPrice: reservation.totalPrice,
+    paymentStatus: reservation.paymentStatus,
+    confirmationCode: reservation.confirmationCode,
+    createdAt: reservation.createdAt,
+    performance: {
+      id: reservation.performanceId,
+      title: performance?.title ?? null,
+    },
+    // 削除されたスケジュールの予約は null
+    schedule: schedule
+      ? { id: schedule.id, date: schedule.date, time: schedule.time }
+      : null,
+    manageUrl: await buildCancelUrl(reservation),
+  };
+}
@@ -0,0 +1,234 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder } from "./lib/http.js";
+import { getPerformance } from "./lib/repositories/performances.js";
+import { getSchedule } from "./lib/repositories/schedules.js";
+import { isReservationClosed } from "./lib/reservationWindow.js";
+import {
+  getWaitlistKey,
+  generateWaitlistId,
+  listWaitingEntries,
+  putWaitlistEntry,
+} from "./lib/repositories/waitlist.js";
+import {
+  checkExistingReservation,
+  RESERVATION_CHECK_ERRORS,
+} from "./lib/reservationRules.js";
+import { getNoShowStatus } from "./lib/noShowPolicy.js";
+import {
+  resolveTicketFields,
+  hasEnoughSeats,
+  formatTicketNotification,
+} from "./lib/ticketTiers.js";
+import { normalizeLocale } from "./lib/locales.js";
+import {
+  checkWaitlistRequest,
+  RESERVATION_ABUSE_ERRORS,
+} from "./lib/abuseProtection.js";
+import { getSourceIp } from "./lib/rateLimit.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event, null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const {
+      performanceId,
+      scheduleId,
+      name,
+      email,
+      reservedSeats,
+      tickets,
+      notes,
+      locale,
+    } = JSON.parse(event.body);
+
+    if (
+      !performanceId ||
+      !scheduleId ||
+      !name ||
+      !email ||
+      !Number.isInteger(reservedSeats) ||
+      reservedSeats <= 0
+    ) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "Missing required fields or invalid seat count",
+        origin
+      );
+    }
+
+    // 繰り上げの案内以降のメールの言語（省略時は日本語）
+    const entryLocale = normalizeLocale(locale);
+    if (!entryLocale) {
+      return createErrorResponse(400, "E002", "Unsupported locale", origin);
+    }
+
+    // 不正利用対策（メールアドレスの検証・回数制限）
+    const requestCheck = await checkWaitlistRequest({
+      email,
+      sourceIp: getSourceIp(event),
+    });
+    if (!requestCheck.allowed) {
+      const { statusCode, errorCode, errorMessage } =
+        RESERVATION_ABUSE_ERRORS[requestCheck.reason];
+      return createResponse(
+        statusCode,
+        {
+          errorCode,
+          errorMessage,
+          ...(requestCheck.retryAfter !== undefined && {
+            retryAfter: requestCheck.retryAfter,
+          }),
+        },
+        origin
+      );
+    }
+
+    // 公演データの取得
+    const [performance, schedule] = await Promise.all([
+      getPerformance(performanceId),
+      getSchedule(performanceId, scheduleId),
+    ]);
+    if (!performance) {
+      return createResponse(404, { message: "Performance not found" }, origin);
+    }
+    if (!schedule) {
+      return createResponse(404, { message: "Schedule not found" }, origin);
+    }
+
+    // 予約開始時間のチェック
+    const reservationStartTime = new Date(performance.reservationStartTime);
+    if (new Date() < reservationStartTime) {
+      return createResponse(
+        403,
+        {
+          message: "Reservations are not yet open",
+          reservationStartTime: performance.reservationStartTime,
+        },
+        origin
+      );
+    }
+
+    // 予約受付の締め切りチェック
+    if (isReservationClosed(schedule, performance)) {
+      return createResponse(
+        403,
+        { message: "Reservations are closed for this schedule" },
+        origin
+      );
+    }
+
+    // 券種のあるスケジュールは券種ごとの枚数が必要
+    const ticketResult = resolveTicketFields(schedule, reservedSeats, tickets);
+    if (ticketResult.error) {
+      return createErrorResponse(400, "E010", ticketResult.error, origin);
+    }
+
+    // 残席があるなら通常の予約を案内する
+    if (hasEnoughSeats(schedule, reservedSeats, ticketResult.fields.tickets)) {
+      return createErrorResponse(
+        400,
+        "E007",
+        "Seats are available for this schedule",
+        origin
+      );
+    }
+
+    // 予約重複チェック（繰り上げ後に予約できない人は登録させない）
+    const reservationCheck = await checkExistingReservation(
+      performanceId,
+      scheduleId,
+      email,
+      performance.maxReservations
+    );
+    if (!reservationCheck.allowed) {
+      const { errorCode, errorMessage } =
+        RESERVATION_CHECK_ERRORS[reservationCheck.reason];
+      return createErrorResponse(400, errorCode, errorMessage, origin);
+    }
+
+    // 無断キャンセル（no-show）の多いお客様は登録させない
+    // （繰り上げの予約は承認を経ずに作られるため、承認待ちの対象者も含む）
+    if ((await getNoShowStatus(email)).restriction) {
+      return createErrorResponse(
+        403,
+        "E011",
+        "Reservations are restricted due to repeated no-shows",
+        origin
+      );
+    }
+
+    // キャンセル待ち重複チェック
+    const waitingEntries = await listWaitingEntries(performanceId, scheduleId);
+    if (waitingEntries.some((entry) => entry.email === email)) {
+      return createErrorResponse(
+        400,
+        "E006",
+        "Already on the waitlist for this schedule",
+        origin
+      );
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      scheduleKey: getWaitlistKey(performanceId, scheduleId),
+      id: generateWaitlistId(),
+      performanceId,
+      scheduleId,
+      name,
+      email,
+      reservedSeats,
+      ...ticketResult.fields,
+      notes,
+      locale: entryLocale,
+      status: "waiting",
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await putWaitlistEntry(entry);
+
+    const position = waitingEntries.length + 1;
+    await sendNotification(
+      `キャンセル待ち登録: ID ${
+        entry.id
+      }, 公演 ${performanceId}, スケジュール ${scheduleId}, 名前 ${name}, 人数 ${reservedSeats}${formatTicketNotification(
+        entry
+      )}, 順番 ${position}`,
+      "INFO",
+      "LOW",
+      "joinWaitlist"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Added to waitlist successfully",
+        waitlistId: entry.id,
+        position,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `キャンセル待ち登録エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "joinWaitlist"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
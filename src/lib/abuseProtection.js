@@ -0,0 +1,154 @@
+import { consumeRateLimit, hashSubject } from "./rateLimit.js";
+import { isValidEmailSyntax, isDisposableEmail } from "./emailValidation.js";
+import { verifyCaptcha } from "./captcha/index.js";
+import { queryReservationsBySourceIp } from "./repositories/reservations.js";
+
+/**
+ * 予約作成 (POST /reservations) の不正利用対策。
+ * スクリプトで仮予約を大量に作って座席を押さえる・任意のアドレスに確認メールを送らせることを防ぐ。
+ *   1. メールアドレスの構文・使い捨てメールのドメイン
+ *   2. IP アドレスごと・メールアドレスごとの回数制限
+ *   3. CAPTCHA（CAPTCHA_PROVIDER を設定した場合のみ）
+ *   4. IP アドレスごとの未確定の仮予約（pending / awaiting_payment / awaiting_approval）の数
+ * キャンセル待ちの登録 (POST /waitlist) は 1・2 を別の回数制限で行う。
+ */
+
+// 1時間あたりの予約リクエストの上限
+const RATE_LIMITS = {
+  ip: { limit: 20, windowSeconds: 60 * 60 },
+  email: { limit: 5, windowSeconds: 60 * 60 },
+};
+// 1時間あたりのキャンセル待ち登録リクエストの上限
+const WAITLIST_RATE_LIMITS = {
+  ip: { limit: 10, windowSeconds: 60 * 60 },
+  email: { limit: 5, windowSeconds: 60 * 60 },
+};
+// IP アドレスごとに同時に持てる未確定の仮予約の数
+const MAX_PENDING_HOLDS_PER_IP = 5;
+const PENDING_HOLD_STATUSES = [
+  "pending",
+  "awaiting_payment",
+  "awaiting_approval",
+];
+// 仮予約は作成から1時間、決済待ちはその後30分で失効するため、それより前の予約は数えない
+const PENDING_HOLD_LOOKBACK_MS = 2 * 60 * 60 * 1000;
+
+/** checkReservationRequest の reason ごとのエラー */
+export const RESERVATION_ABUSE_ERRORS = {
+  INVALID_EMAIL: {
+    statusCode: 400,
+    errorCode: "E013",
+    errorMessage: "Invalid email address",
+  },
+  DISPOSABLE_EMAIL: {
+    statusCode: 400,
+    errorCode: "E014",
+    errorMessage: "Disposable email addresses are not accepted",
+  },
+  IP_RATE_LIMITED: {
+    statusCode: 429,
+    errorCode: "E015",
+    errorMessage: "Too many reservation requests from this network",
+  },
+  EMAIL_RATE_LIMITED: {
+    statusCode: 429,
+    errorCode: "E016",
+    errorMessage: "Too many reservation requests for this email address",
+  },
+  CAPTCHA_FAILED: {
+    statusCode: 403,
+    errorCode: "E017",
+    errorMessage: "CAPTCHA verification failed",
+  },
+  TOO_MANY_PENDING_HOLDS: {
+    statusCode: 429,
+    errorCode: "E018",
+    errorMessage: "Too many unconfirmed reservations from this network",
+  },
+};
+
+/**
+ * 予約リクエストを受け付けてよいか確認する。
+ * 回数制限は受け付けなかったリクエストも数える。reason は RESERVATION_ABUSE_ERRORS のキー。
+ * @param {object} request
+ * @param {string} request.email
+ * @param {string} request.sourceIp
+ * @param {string} [request.captchaToken]
+ * @returns {Promise<{ allowed: true, sourceIpHash: string } | { allowed: false, reason: string, retryAfter?: number }>}
+ *   sourceIpHash は予約に記録し、未確定の仮予約の数を数えるのに使う
+ */
+export async function checkReservationRequest({
+  email,
+  sourceIp,
+  captchaToken,
+}) {
+  const basicCheck = await checkEmailAndRateLimits(
+    "reservation",
+    { email, sourceIp },
+    RATE_LIMITS
+  );
+  if (!basicCheck.allowed) {
+    return basicCheck;
+  }
+
+  if (!(await verifyCaptcha(captchaToken, sourceIp))) {
+    return { allowed: false, reason: "CAPTCHA_FAILED" };
+  }
+
+  const sourceIpHash = hashSubject(sourceIp);
+  const pendingHolds = await queryReservationsBySourceIp(
+    sourceIpHash,
+    new Date(Date.now() - PENDING_HOLD_LOOKBACK_MS).toISOString(),
+    PENDING_HOLD_STATUSES
+  );
+  if (pendingHolds.length >= MAX_PENDING_HOLDS_PER_IP) {
+    return { allowed: false, reason: "TOO_MANY_PENDING_HOLDS" };
+  }
+
+  return { allowed: true, sourceIpHash };
+}
+
+/**
+ * キャンセル待ちの登録リクエストを受け付けてよいか確認する（メールアドレスの検証と回数制限）。
+ * reason は RESERVATION_ABUSE_ERRORS のキー。
+ * @returns {Promise<{ allowed: true } | { allowed: false, reason: string, retryAfter?: number }>}
+ */
+export async function checkWaitlistRequest({ email, sourceIp }) {
+  return checkEmailAndRateLimits(
+    "waitlist",
+    { email, sourceIp },
+    WAITLIST_RATE_LIMITS
+  );
+}
+
+/** メールアドレスの構文・使い捨てメールのドメインと、IP アドレスごと・メールアドレスごとの回数制限 */
+async function checkEmailAndRateLimits(name, { email, sourceIp }, limits) {
+  if (!isValidEmailSyntax(email)) {
+    return { allowed: false, reason: "INVALID_EMAIL" };
+  }
+  if (isDisposableEmail(email)) {
+    return { allowed: false, reason: "DISPOSABLE_EMAIL" };
+  }
+
+  const ipLimit = await consumeRateLimit(`${name}:ip`, sourceIp, limits.ip);
+  if (!ipLimit.allowed) {
+    return {
+      allowed: false,
+      reason: "IP_RATE_LIMITED",
+      retryAfter: ipLimit.retryAfter,
+    };
+  }
+  const emailLimit = await consumeRateLimit(
+    `${name}:email`,
+    email,
+    limits.email
+  );
+  if (!emailLimit.allowed) {
+    return {
+      allowed: false,
+      reason: "EMAIL_RATE_LIMITED",
+      retryAfter: emailLimit.retryAfter,
+    };
+  }
+  return { allowed: true };
+}
@@ -0,0 +1,136 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { getAdminSessionSecret } from "./secrets.js";
+import { getAdminUser, hasAdminGrant } from "./repositories/adminUsers.js";
+
+/**
+ * 管理画面の認証・認可。
+ * ログインで発行したセッショントークンを Authorization: Bearer <token> で受け取り、
+ * ロールと公演ごとの権限（AdminGrants）を確認する。
+ *   owner     : すべての公演のすべての操作
+ *   staff     : 公演の作成、権限のある公演の閲覧・設定変更・予約操作・チェックイン
+ *   reception : 権限のある公演の閲覧・チェックイン
+ * トークンの検証時に毎回ユーザーを読み直すので、無効化（disabled）や
+ * sessionVersion の更新で発行済みのトークンをすぐに失効できる。
+ */
+
+export const ADMIN_ROLES = ["owner", "staff", "reception"];
+
+// 操作ごとに許可するロール
+const ROLE_PERMISSIONS = {
+  view: ["owner", "staff", "reception"],
+  checkin: ["owner", "staff", "reception"],
+  manage: ["owner", "staff"],
+  create: ["owner", "staff"],
+};
+
+const SESSION_TTL_HOURS = 12; // セッションの有効期限（時間）
+
+/** セッショントークンを発行する。形式: base64url(payload).base64url(HMAC-SHA256) */
+export async function createSessionToken(user) {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: user.email,
+      ver: user.sessionVersion || 0,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    })
+  ).toString("base64url");
+  const signature = await sign(payload);
+  return {
+    token: `${payload}.${signature}`,
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * リクエストのセッショントークンを検証し、管理ユーザーを返す。
+ * @returns {{ admin: object } | { statusCode: number, message: string }}
+ */
+export async function authenticateAdmin(event) {
+  const header = Object.entries(event.headers || {}).find(
+    ([key]) => key.toLowerCase() === "authorization"
+  )?.[1];
+  const token = header?.startsWith("Bearer ") ? header.slice(7).trim() : null;
+  return authenticateToken(token);
+}
+
+/**
+ * 認証したうえで、操作と公演に対する権限を確認する。
+ * 各管理ハンドラはこの結果が authorized でなければそのままエラーを返す。
+ * @param {object} event API Gateway のイベント
+ * @param {object} options
+ * @param {"view" | "checkin" | "manage" | "create"} options.permission
+ * @param {string} [options.performanceId] 対象の公演。owner 以外は権限の付与が必要
+ * @returns {{ authorized: true, admin: object } | { authorized: false, statusCode: number, message: string }}
+ */
+export async function authorizeAdmin(event, options) {
+  return checkPermission(await authenticateAdmin(event), options);
+}
+
+/**
+ * Authorization ヘッダを付けられない接続（WebSocket）用。
+ * セッショントークンを直接受け取り、authorizeAdmin と同じ確認をする。
+ */
+export async function authorizeAdminToken(token, options) {
+  return checkPermission(await authenticateToken(token), options);
+}
+
+async function authenticateToken(token) {
+  if (!token) {
+    return { statusCode: 401, message: "Missing authorization token" };
+  }
+
+  const payload = await verifySessionToken(token);
+  if (!payload) {
+    return { statusCode: 401, message: "Invalid or expired token" };
+  }
+
+  const admin = await getAdminUser(payload.sub);
+  if (!admin || admin.disabled || (admin.sessionVersion || 0) !== payload.ver) {
+    return { statusCode: 401, message: "Session has been revoked" };
+  }
+  return { admin };
+}
+
+async function checkPermission(authentication, { permission, performanceId }) {
+  if (!authentication.admin) {
+    return { authorized: false, ...authentication };
+  }
+
+  const { admin } = authentication;
+  if (!ROLE_PERMISSIONS[permission]?.includes(admin.role)) {
+    return { authorized: false, statusCode: 403, message: "Forbidden" };
+  }
+  if (
+    performanceId &&
+    admin.role !== "owner" &&
+    !(await hasAdminGrant(admin.email, performanceId))
+  ) {
+    return { authorized: false, statusCode: 403, message: "Forbidden" };
+  }
+  return { authorized: true, admin };
+}
+
+async function verifySessionToken(token) {
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(await sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!claims.sub || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+async function sign(payload) {
+  const secret = await getAdminSessionSecret();
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
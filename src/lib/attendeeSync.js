@@ -0,0 +1,261 @@
+import { randomUUID } from "crypto";
+import { expandTickets } from "./ticketTiers.js";
+import { recordAudit } from "./audit.js";
+import {
+  hasAnyAttendees,
+  listAttendeesByReservation,
+  putAttendees,
+  deleteAttendees,
+  updateAttendeeFields,
+} from "./repositories/attendees.js";
+
+const MAX_ATTENDEE_NAME_LENGTH = 100;
+
+/**
+ * 予約が confirmed になった後に Attendees レコードを作成する。
+ * 重複防止のため、reservationId で Attendees を検索し、既にあればスキップ。
+ * @returns 作成した場合 true
+ */
+export async function createAttendeesIfNotExists(reservation) {
+  const alreadyExists = await hasAnyAttendees(reservation.id);
+  if (alreadyExists) {
+    console.log(
+      `Attendees already exist for reservation ${reservation.id}. Skipping.`
+    );
+    return false;
+  }
+
+  await putAttendees(buildAttendeeRecords(reservation));
+  console.log(`Attendees created for reservation ${reservation.id}`);
+  return true;
+}
+
+/** 予約に紐づく Attendees をすべて削除 */
+export async function deleteAttendeesForReservation(reservationId) {
+  const attendees = await listAttendeesByReservation(reservationId);
+  await deleteAttendees(attendees);
+}
+
+/**
+ * 席数を減らすときの下限（予約者本人 + チェックイン済みのお連れ様）。
+ * チェックイン済みのお連れ様は削除できないため、これより少なくはできない。
+ */
+export function getMinimumReservedSeats(attendees) {
+  const representative = findRepresentative(attendees);
+  return (
+    1 + attendees.filter((a) => a !== representative && a.checkedIn).length
+  );
+}
+
+/**
+ * 席数・券種・備考の変更後の予約に Attendees を合わせる。
+ * 席数が増えた分はお連れ様を追加し、減った分は未チェックインのお連れ様を
+ * 新しいものから削除する。予約者本人とチェックイン済みのお連れ様は削除しない
+ * （足りなければエラー。呼び出し側で getMinimumReservedSeats により事前に断る）。
+ * 券種はなるべく今の割り当てを保ち、足りない分だけ割り当て直す。
+ */
+export async function syncAttendeesWithReservation(reservation) {
+  const attendees = await listAttendeesByReservation(reservation.id);
+  if (attendees.length === 0) {
+    await putAttendees(buildAttendeeRecords(reservation));
+    return;
+  }
+
+  const representative = findRepresentative(attendees);
+  let companions = attendees
+    .filter((a) => a !== representative)
+    .sort(byCreatedAt);
+  const diff = reservation.reservedSeats - attendees.length;
+
+  let added = [];
+  if (diff > 0) {
+    const now = new Date().toISOString();
+    added = Array.from({ length: diff }, () =>
+      buildAttendeeRecord(reservation, false, now)
+    );
+  } else if (diff < 0) {
+    const removable = companions.filter((a) => !a.checkedIn);
+    if (removable.length < -diff) {
+      throw new Error(
+        `Cannot remove checked-in attendees of reservation ${reservation.id} (reservedSeats ${reservation.reservedSeats})`
+      );
+    }
+    const removed = [...removable]
+      .sort((a, b) => byCreatedAt(b, a))
+      .slice(0, -diff);
+    await deleteAttendees(removed);
+    companions = companions.filter((a) => !removed.includes(a));
+  }
+
+  const tiers = assignTicketTiers(
+    [representative, ...companions, ...added],
+    reservation.tickets
+  );
+  added.forEach((attendee, i) => {
+    const ticketTier = tiers[1 + companions.length + i];
+    if (ticketTier) attendee.ticketTier = ticketTier;
+  });
+  await putAttendees(added);
+
+  const updates = [representative, ...companions].map((attendee, i) => ({
+    attendee,
+    fields: {
+      ticketTier: tiers[i] !== attendee.ticketTier ? tiers[i] : undefined,
+      notes:
+        attendee === representative &&
+        (attendee.notes || "") !== (reservation.notes || "")
+          ? reservation.notes || ""
+          : undefined,
+    },
+  }));
+  for (const { attendee, fields } of updates) {
+    await updateAttendeeFields(attendee.id, fields);
+  }
+}
+
+/**
+ * 券種ごとの枚数を参加者に割り当てる（参加者と同じ並びの券種の配列）。
+ * 今の券種のままで収まる参加者はそのまま、残りに余った券種を表示順に割り当てる。
+ * 券種なしの予約は空配列。
+ */
+function assignTicketTiers(attendees, tickets) {
+  if (!tickets) return [];
+
+  const left = { ...tickets };
+  const tiers = attendees.map((a) => {
+    if (a.ticketTier && left[a.ticketTier] > 0) {
+      left[a.ticketTier]--;
+      return a.ticketTier;
+    }
+    return undefined;
+  });
+  const rest = expandTickets(left);
+  return tiers.map((tier) => tier || rest.shift());
+}
+
+/**
+ * 予約者を occupant i=0 / お連れ様 i>0 として Attendees レコードを組み立てる。
+ * 予約者本人は isRepresentative: true。お連れ様の名前は予約の companionNames の順に使い、
+ * 指定がなければ「<予約者名> お連れ様」にする。
+ * notes は i=0 のみコピーし、お連れ様は空文字。
+ * 券種のある予約は ticketTier を表示順（一般→学生→サポーター）に割り当てる。
+ */
+export function buildAttendeeRecords(reservation) {
+  const now = new Date().toISOString();
+  const tiers = expandTickets(reservation.tickets);
+  const items = [];
+  for (let i = 0; i < reservation.reservedSeats; i++) {
+    const item = buildAttendeeRecord(
+      reservation,
+      i === 0,
+      now,
+      reservation.companionNames?.[i - 1]
+    );
+    if (tiers[i]) {
+      item.ticketTier = tiers[i];
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * 参加者の名前を変更する（受付で呼ぶ名前。予約者名 reservation.name は変えない）。
+ * @returns 変更した場合 true。同じ名前なら false
+ */
+export async function renameAttendee(attendee, name, actor, service) {
+  if (attendee.name === name) {
+    return false;
+  }
+  await updateAttendeeFields(attendee.id, { name });
+  await recordAudit(
+    {
+      performanceId: attendee.performanceId,
+      entityType: "attendee",
+      entityId: attendee.id,
+      action: "attendee.rename",
+      actor,
+      before: { name: attendee.name },
+      after: { name },
+    },
+    service
+  );
+  return true;
+}
+
+/**
+ * 参加者名の入力チェック（前後の空白は除く）。
+ * @returns 整えた名前。不正なら null
+ */
+export function normalizeAttendeeName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_ATTENDEE_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * 予約時に指定するお連れ様の名前のチェック。
+ * 席数 - 1 件まで指定でき、空文字の項目は既定の名前にする。
+ * @returns {{ companionNames: string[] } | { error: string }}
+ */
+export function resolveCompanionNames(companionNames, reservedSeats) {
+  if (companionNames === undefined || companionNames === null) {
+    return { companionNames: [] };
+  }
+  if (
+    !Array.isArray(companionNames) ||
+    companionNames.length > reservedSeats - 1
+  ) {
+    return {
+      error: "companionNames must be an array of up to reservedSeats - 1 names",
+    };
+  }
+  const names = companionNames.map((name) =>
+    name === "" ? "" : normalizeAttendeeName(name)
+  );
+  if (names.includes(null)) {
+    return {
+      error: `Each companion name must be a string of up to ${MAX_ATTENDEE_NAME_LENGTH} characters`,
+    };
+  }
+  return { companionNames: names };
+}
+
+function buildAttendeeRecord(
+  reservation,
+  isRepresentative,
+  now,
+  companionName
+) {
+  const {
+    id: reservationId,
+    performanceId,
+    scheduleId,
+    name,
+    notes, // Reservationテーブルのnotes
+  } = reservation;
+
+  return {
+    id: `ATT-${randomUUID()}`,
+    reservationId,
+    performanceId,
+    scheduleId,
+    name: isRepresentative ? name : companionName || `${name} お連れ様`,
+    isRepresentative,
+    checkedIn: false,
+    createdAt: now,
+    notes: isRepresentative ? notes || "" : "",
+  };
+}
+
+/** 予約者本人のレコード（isRepresentative のない古いレコードは最も古いもの） */
+function findRepresentative(attendees) {
+  return (
+    attendees.find((a) => a.isRepresentative) ||
+    [...attendees].sort(byCreatedAt)[0]
+  );
+}
+
+function byCreatedAt(a, b) {
+  return (a.createdAt || "").localeCompare(b.createdAt || "");
+}
@@ -0,0 +1,120 @@
+import { randomUUID } from "crypto";
+import { putAuditLog } from "./repositories/auditLogs.js";
+import { sendNotification } from "../utils/notification.js";
+
+/**
+ * 監査ログ。予約・公演設定・チェックインなど状態を変える操作を
+ * 「誰が・いつ・何を・どう変えたか」として AuditLog テーブルに追記する。
+ * 記録は状態の更新が成功した後に行い、記録の失敗で本来の処理はエラーにしない（通知のみ）。
+ */
+
+/** お客様本人の操作（予約のメールアドレスで識別） */
+export function customerActor(reservation) {
+  return { type: "customer", id: reservation.email };
+}
+
+/** 管理ユーザーの操作 */
+export function adminActor(admin) {
+  return { type: "admin", id: admin.email };
+}
+
+/** バッチ・Webhook など システムによる操作 */
+export function systemActor(service) {
+  return { type: "system", id: service };
+}
+
+// 予約の変更前後として記録する項目
+const RESERVATION_AUDIT_FIELDS = [
+  "status",
+  "scheduleId",
+  "reservedSeats",
+  "tickets",
+  "totalPrice",
+  "notes",
+  "paymentStatus",
+];
+
+/** 予約の監査用スナップショット（未設定の項目は含めない） */
+export function reservationSnapshot(reservation, overrides = {}) {
+  return pickDefined(
+    { ...reservation, ...overrides },
+    RESERVATION_AUDIT_FIELDS
+  );
+}
+
+/**
+ * 予約のステータス変更を記録する。action は "reservation.<変更後のステータス>"。
+ * @param {object} reservation 変更前の予約
+ * @param {object} changes 変更した項目（status は必須）
+ */
+export async function recordReservationStatusChange(
+  reservation,
+  changes,
+  actor,
+  service
+) {
+  await recordAudit(
+    {
+      performanceId: reservation.performanceId,
+      entityType: "reservation",
+      entityId: reservation.id,
+      action: `reservation.${changes.status}`,
+      actor,
+      before: reservationSnapshot(reservation),
+      after: reservationSnapshot(reservation, changes),
+    },
+    service
+  );
+}
+
+/** 指定した項目のうち値のあるものだけを取り出す */
+export function pickDefined(source, fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => source?.[field] !== undefined)
+      .map((field) => [field, source[field]])
+  );
+}
+
+/**
+ * 監査ログを1件記録する。
+ * @param {object} entry
+ * @param {string} entry.performanceId
+ * @param {"performance" | "schedule" | "reservation" | "attendee"} entry.entityType
+ * @param {string} entry.entityId
+ * @param {string} entry.action 例: "reservation.create", "attendee.checkin"
+ * @param {{ type: string, id: string }} entry.actor
+ * @param {object} [entry.before]
+ * @param {object} [entry.after]
+ * @param {string} service 記録に失敗したときの通知元
+ */
+export async function recordAudit(
+  { performanceId, entityType, entityId, action, actor, before, after },
+  service
+) {
+  const now = new Date().toISOString();
+  const id = randomUUID();
+  try {
+    await putAuditLog({
+      performanceId,
+      sk: `${now}#${id}`,
+      id,
+      entityType,
+      entityId,
+      action,
+      actorType: actor.type,
+      actorId: actor.id,
+      ...(before !== undefined && { before }),
+      ...(after !== undefined && { after }),
+      createdAt: now,
+    });
+  } catch (error) {
+    console.error("Error recording audit log:", error);
+    await sendNotification(
+      `監査ログ記録エラー: ${action} ${entityType} ${entityId} (${actor.type}:${actor.id}), ${error.message}`,
+      "ERROR",
+      "MEDIUM",
+      service
+    );
+  }
+}
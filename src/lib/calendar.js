@@ -0,0 +1,110 @@
+import { DEFAULT_LOCALE, getReservationLocale } from "./locales.js";
+import { buildEventPageUrl } from "./tokens.js";
+
+/**
+ * 予約の iCalendar (.ics) の予定。確定・日時変更・リマインドのメールに添付し、
+ * GET /reservations/{reservationId}/calendar.ics でも取得できる。
+ * UID は予約ごとに固定なので、日時の変更や入場 URL の追加後の .ics を開くとカレンダーの予定が更新される。
+ */
+
+const CRLF = "\r\n";
+const UID_DOMAIN = "mashirotheater.com";
+// スケジュールに終演時刻がないため、予定の長さは一律にする
+const EVENT_DURATION_MINUTES = 120;
+// スケジュールの日時は日本時間の壁時計（夏時間なし）
+const JST_OFFSET = "+09:00";
+
+export const CALENDAR_FILENAME = "mashirotheater.ics";
+export const CALENDAR_CONTENT_TYPE =
+  "text/calendar; charset=UTF-8; method=PUBLISH";
+
+const DESCRIPTION_LABELS = {
+  ja: { eventPage: "公演詳細", entry: "入場用URL" },
+  en: { eventPage: "Event details", entry: "Entry URL" },
+};
+
+/**
+ * 予約の予定を .ics の文字列にする。
+ * 説明には公演ページの URL と、設定されていれば入場用 URL を入れる（予約の言語で）。
+ */
+export function buildReservationCalendar(reservation, performance, schedule) {
+  const labels =
+    DESCRIPTION_LABELS[getReservationLocale(reservation)] ||
+    DESCRIPTION_LABELS[DEFAULT_LOCALE];
+  const eventPageUrl = buildEventPageUrl(performance.id);
+  const start = new Date(`${schedule.date}T${schedule.time}:00${JST_OFFSET}`);
+  const end = new Date(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+
+  const description = [
+    `${labels.eventPage}: ${eventPageUrl}`,
+    ...(schedule.entryUrl ? [`${labels.entry}: ${schedule.entryUrl}`] : []),
+  ].join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Mashiro Theater//Reservation System//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${reservation.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(performance.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${eventPageUrl}`,
+    ...(schedule.entryUrl ? [`LOCATION:${escapeText(schedule.entryUrl)}`] : []),
+    "STATUS:CONFIRMED",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/** メールの添付ファイル */
+export function buildReservationCalendarAttachment(
+  reservation,
+  performance,
+  schedule
+) {
+  return {
+    filename: CALENDAR_FILENAME,
+    contentType: CALENDAR_CONTENT_TYPE,
+    content: buildReservationCalendar(reservation, performance, schedule),
+  };
+}
+
+/** 20250308T100000Z */
+function formatUtc(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/** TEXT 型の値の escape（RFC 5545 3.3.11） */
+function escapeText(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** 1行 75 バイトを超える行を折り返す（マルチバイト文字の途中では切らない） */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = "";
+  for (const char of line) {
+    // 2行目以降は先頭の空白の分だけ短くする
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join(`${CRLF} `);
+}
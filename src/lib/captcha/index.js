@@ -0,0 +1,32 @@
+import { turnstileProvider } from "./turnstileProvider.js";
+
+/**
+ * CAPTCHA の検証のアダプタ。CAPTCHA_PROVIDER で切り替え、未設定・"none" なら検証しない。
+ *
+ * @typedef {object} CaptchaVerifier
+ * @property {string} name
+ * @property {(params: { token: string, remoteIp?: string }) => Promise<boolean>} verify
+ *   トークンを検証する。不正・期限切れなら false
+ */
+
+const VERIFIERS = {
+  [turnstileProvider.name]: turnstileProvider,
+};
+
+/** @returns {CaptchaVerifier | null} 検証しない設定なら null */
+export function getCaptchaVerifier(name = process.env.CAPTCHA_PROVIDER) {
+  if (!name || name === "none") return null;
+  const verifier = VERIFIERS[name];
+  if (!verifier) {
+    throw new Error(`Unknown captcha provider: ${name}`);
+  }
+  return verifier;
+}
+
+/** CAPTCHA のトークンを検証する。検証しない設定なら常に true */
+export async function verifyCaptcha(token, remoteIp) {
+  const verifier = getCaptchaVerifier();
+  if (!verifier) return true;
+  if (typeof token !== "string" || !token) return false;
+  return verifier.verify({ token, remoteIp });
+}
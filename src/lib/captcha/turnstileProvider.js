@@ -0,0 +1,30 @@
+import { getCaptchaSecret } from "../secrets.js";
+
+/**
+ * Cloudflare Turnstile による CAPTCHA の検証。
+ * フロントエンドのウィジェットが発行したトークンを siteverify API で確認する。
+ */
+
+const SITEVERIFY_URL =
+  "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+export const turnstileProvider = {
+  name: "turnstile",
+
+  async verify({ token, remoteIp }) {
+    const response = await fetch(SITEVERIFY_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        secret: await getCaptchaSecret(),
+        response: token,
+        ...(remoteIp && { remoteip: remoteIp }),
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Turnstile siteverify failed: ${response.status}`);
+    }
+    const result = await response.json();
+    return result.success === true;
+  },
+};
@@ -0,0 +1,112 @@
+import {
+  getAttendee,
+  markAttendeeCheckedIn,
+  clearAttendeeCheckin,
+} from "./repositories/attendees.js";
+import { recordAudit, adminActor } from "./audit.js";
+import { publishDashboardUpdate } from "./livePush.js";
+
+/**
+ * 受付でのチェックイン。
+ * チェックイン済みの参加者はそのまま（最初のチェックイン日時・担当者を保つ）にするため、
+ * 同じ操作を繰り返しても結果は変わらない。
+ */
+
+/**
+ * 参加者をまとめてチェックインする。
+ * @param {object[]} attendees
+ * @param {object} admin 操作した管理ユーザー
+ * @param {string} service 監査ログの記録に失敗したときの通知元
+ * @returns 参加者ごとの結果。alreadyCheckedIn はこの操作の前からチェックイン済みだったもの
+ */
+export async function checkInAttendees(attendees, admin, service) {
+  const checkedInAt = new Date().toISOString();
+  const results = await Promise.all(
+    attendees.map(async (attendee) => {
+      const updated =
+        !attendee.checkedIn &&
+        (await markAttendeeCheckedIn(attendee.id, admin.email, checkedInAt));
+      if (!updated) {
+        // 別の受付で先にチェックインされた場合も記録済みの日時・担当者を返す
+        const current = attendee.checkedIn
+          ? attendee
+          : (await getAttendee(attendee.id)) || attendee;
+        return { ...formatCheckin(current), alreadyCheckedIn: true };
+      }
+
+      const after = { checkedIn: true, checkedInAt, checkedInBy: admin.email };
+      await recordAudit(
+        {
+          performanceId: attendee.performanceId,
+          entityType: "attendee",
+          entityId: attendee.id,
+          action: "attendee.checkin",
+          actor: adminActor(admin),
+          before: { checkedIn: false },
+          after,
+        },
+        service
+      );
+      return {
+        ...formatCheckin({ ...attendee, ...after }),
+        alreadyCheckedIn: false,
+      };
+    })
+  );
+
+  // チェックイン数が変わったスケジュールのダッシュボードを更新
+  const changedSchedules = new Map(
+    attendees
+      .filter((_, i) => !results[i].alreadyCheckedIn)
+      .map((a) => [`${a.performanceId}#${a.scheduleId}`, a])
+  );
+  for (const { performanceId, scheduleId } of changedSchedules.values()) {
+    await publishDashboardUpdate(performanceId, scheduleId, service);
+  }
+  return results;
+}
+
+/**
+ * チェックインを取り消す。
+ * @returns 取り消した場合 true。チェックインしていなければ false
+ */
+export async function undoCheckin(attendee, admin, service) {
+  const cleared = await clearAttendeeCheckin(attendee.id);
+  if (cleared) {
+    await recordAudit(
+      {
+        performanceId: attendee.performanceId,
+        entityType: "attendee",
+        entityId: attendee.id,
+        action: "attendee.checkin_undo",
+        actor: adminActor(admin),
+        before: {
+          checkedIn: true,
+          ...(attendee.checkedInAt && { checkedInAt: attendee.checkedInAt }),
+          ...(attendee.checkedInBy && { checkedInBy: attendee.checkedInBy }),
+        },
+        after: { checkedIn: false },
+      },
+      service
+    );
+    await publishDashboardUpdate(
+      attendee.performanceId,
+      attendee.scheduleId,
+      service
+    );
+  }
+  return cleared;
+}
+
+/** レスポンス用のチェックイン状態 */
+export function formatCheckin(attendee) {
+  return {
+    attendeeId: attendee.id,
+    reservationId: attendee.reservationId,
+    name: attendee.name,
+    isRepresentative: Boolean(attendee.isRepresentative),
+    checkedIn: Boolean(attendee.checkedIn),
+    checkedInAt: attendee.checkedInAt || null,
+    checkedInBy: attendee.checkedInBy || null,
+  };
+}
@@ -0,0 +1,67 @@
+import { listSchedules, getSchedule } from "./repositories/schedules.js";
+import { listAttendeesBySchedule } from "./repositories/attendees.js";
+import { getAvailableSeats } from "./seats.js";
+import { getJSTDate, getScheduleStartTime } from "./dates.js";
+
+/**
+ * 受付ダッシュボードの集計（スケジュールごとの座席・チェックイン状況）。
+ * 座席数はスケジュールの座席カウンタ、チェックインは Attendees から数える。
+ */
+
+// 直近のチェックインとして返す件数
+const RECENT_CHECKINS_LIMIT = 10;
+
+/**
+ * 公演（または1スケジュール）のダッシュボードを開演順に返す。
+ * scheduleId に該当するスケジュールがなければ空配列。
+ */
+export async function loadDashboard(performanceId, scheduleId) {
+  const schedules = scheduleId
+    ? [await getSchedule(performanceId, scheduleId)].filter(Boolean)
+    : await listSchedules(performanceId);
+
+  const stats = await Promise.all(
+    schedules.map(async (schedule) =>
+      buildScheduleStats(
+        schedule,
+        await listAttendeesBySchedule(performanceId, schedule.id)
+      )
+    )
+  );
+  return stats.sort((a, b) =>
+    `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`)
+  );
+}
+
+/**
+ * スケジュール1件の集計。
+ * noShow は開演後も未チェックインの参加者数（開演前は 0）。
+ */
+export function buildScheduleStats(schedule, attendees) {
+  const started = getJSTDate() >= getScheduleStartTime(schedule);
+  const checkedIn = attendees.filter((a) => a.checkedIn);
+
+  return {
+    scheduleId: schedule.id,
+    date: schedule.date,
+    time: schedule.time,
+    capacity: schedule.totalSeats || 0,
+    confirmedSeats: schedule.confirmedSeats || 0,
+    pendingSeats: schedule.pendingSeats || 0,
+    remainingSeats: getAvailableSeats(schedule),
+    attendees: attendees.length,
+    checkedIn: checkedIn.length,
+    noShow: started ? attendees.length - checkedIn.length : 0,
+    recentCheckins: checkedIn
+      .filter((a) => a.checkedInAt)
+      .sort((a, b) => b.checkedInAt.localeCompare(a.checkedInAt))
+      .slice(0, RECENT_CHECKINS_LIMIT)
+      .map((a) => ({
+        attendeeId: a.id,
+        reservationId: a.reservationId,
+        name: a.name,
+        checkedInAt: a.checkedInAt,
+        checkedInBy: a.checkedInBy || null,
+      })),
+  };
+}
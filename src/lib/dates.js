@@ -0,0 +1,79 @@
+import { DEFAULT_LOCALE } from "./locales.js";
+
+export const TIME_ZONE = "Asia/Tokyo";
+
+/** 現在時刻(または指定時刻)を日本時間の壁時計として扱う Date に変換 */
+export function getJSTDate(date = new Date()) {
+  return new Date(date.toLocaleString("en-US", { timeZone: TIME_ZONE }));
+}
+
+// 言語ごとのメールの日時の表記。日時は日本時間の壁時計なので、日本語以外では (JST) を付ける
+const PERFORMANCE_DATE_TIME_FORMATS = {
+  ja: ({ year, month, day, weekday, time }) =>
+    `${year}/${month}/${day} (${weekday}) ${time}`,
+  en: ({ year, shortMonth, numericDay, weekday, time }) =>
+    `${weekday}, ${shortMonth} ${numericDay}, ${year} ${time} (JST)`,
+};
+
+/**
+ * スケジュールの日付・時刻をメール表示用に整形する（曜日・月名は Intl で言語に合わせる）。
+ * 例: ("2025-03-08", "19:00") → "2025/03/08 (土) 19:00"
+ *     ("2025-03-08", "19:00", "en") → "Sat, Mar 8, 2025 19:00 (JST)"
+ */
+export function formatPerformanceDateTime(date, time, locale = DEFAULT_LOCALE) {
+  const [year, month, day] = date.split("-");
+  // 実行環境のタイムゾーンに左右されないよう UTC の日付として求める
+  const utcDate = new Date(Date.UTC(year, month - 1, day));
+  const format = (options) =>
+    new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" }).format(
+      utcDate
+    );
+
+  const formatter =
+    PERFORMANCE_DATE_TIME_FORMATS[locale] ||
+    PERFORMANCE_DATE_TIME_FORMATS[DEFAULT_LOCALE];
+  return formatter({
+    year,
+    month,
+    day,
+    shortMonth: format({ month: "short" }),
+    numericDay: Number(day),
+    weekday: format({ weekday: "short" }),
+    time,
+  });
+}
+
+/** YYYY-MM-DD */
+export function formatDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+/** HH:mm */
+export function formatTime(date) {
+  const hh = String(date.getHours()).padStart(2, "0");
+  const mm = String(date.getMinutes()).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+/** スケジュールの開演日時（DBの値は日本時間の壁時計） */
+export function getScheduleStartTime(schedule) {
+  return new Date(`${schedule.date}T${schedule.time}`);
+}
+
+/** 実在する日付の YYYY-MM-DD か */
+export function isValidDateString(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/** HH:mm (00:00〜23:59) か */
+export function isValidTimeString(value) {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
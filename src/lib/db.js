@@ -0,0 +1,78 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  TransactWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+const client = new DynamoDBClient({});
+// 同じ項目への同時トランザクションで競合した場合の再試行回数
+const TRANSACTION_CONFLICT_RETRIES = 3;
+
+/** 全ハンドラで共有する DynamoDB DocumentClient */
+export const dynamodb = DynamoDBDocumentClient.from(client);
+
+export const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
+export const SCHEDULES_TABLE_NAME = process.env.SCHEDULES_TABLE_NAME;
+export const RESERVATIONS_TABLE_NAME = process.env.RESERVATIONS_TABLE_NAME;
+export const ATTENDEES_TABLE_NAME = process.env.ATTENDEES_TABLE_NAME;
+export const WAITLIST_TABLE_NAME = process.env.WAITLIST_TABLE_NAME;
+export const ADMIN_USERS_TABLE_NAME = process.env.ADMIN_USERS_TABLE_NAME;
+export const ADMIN_GRANTS_TABLE_NAME = process.env.ADMIN_GRANTS_TABLE_NAME;
+export const AUDIT_LOG_TABLE_NAME = process.env.AUDIT_LOG_TABLE_NAME;
+export const NO_SHOW_RECORDS_TABLE_NAME =
+  process.env.NO_SHOW_RECORDS_TABLE_NAME;
+export const LIVE_CONNECTIONS_TABLE_NAME =
+  process.env.LIVE_CONNECTIONS_TABLE_NAME;
+export const RATE_LIMITS_TABLE_NAME = process.env.RATE_LIMITS_TABLE_NAME;
+
+/** ページングしながら Query / Scan の結果をすべて取得 */
+export async function sendPaginated(createCommand) {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.send(createCommand(lastKey));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+/**
+ * TransactWrite が指定位置の項目の条件チェックで失敗したか判定する。
+ * index を省略した場合はいずれかの項目の失敗で true。
+ */
+export function isConditionFailure(error, index) {
+  if (error.name !== "TransactionCanceledException") return false;
+  const reasons = error.CancellationReasons || [];
+  if (index === undefined) {
+    return reasons.some((r) => r?.Code === "ConditionalCheckFailed");
+  }
+  return reasons[index]?.Code === "ConditionalCheckFailed";
+}
+
+/**
+ * TransactWrite を実行する。
+ * 同じスケジュールへの同時予約などで TransactionConflict になった場合は少し待って再試行する。
+ */
+export async function transactWrite(transactItems) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await dynamodb.send(
+        new TransactWriteCommand({ TransactItems: transactItems })
+      );
+    } catch (error) {
+      const conflicted =
+        error.name === "TransactionCanceledException" &&
+        (error.CancellationReasons || []).some(
+          (r) => r?.Code === "TransactionConflict"
+        ) &&
+        !isConditionFailure(error);
+      if (!conflicted || attempt >= TRANSACTION_CONFLICT_RETRIES) {
+        throw error;
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, 50 * 2 ** attempt + Math.random() * 50)
+      );
+    }
+  }
+}
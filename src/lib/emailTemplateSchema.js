@@ -0,0 +1,235 @@
+import { listTemplateVariables } from "./templateEngine.js";
+
+/**
+ * メールテンプレートごとの変数の定義。
+ * テンプレートで使える変数はここに定義したものだけで、required の変数は送信時に必ず値を渡す。
+ * optional の変数は {{#if}} / {{#each}} の中でだけ出力できる。
+ * list は {{#each}} で繰り返す配列で、fields が要素の項目（{{this.label}} など）。
+ *
+ * scripts/uploadTemplates.js はアップロード前に、管理画面の公演ごとの差し替えは登録前に、この定義でテンプレートを検証する。
+ * 件名も同じ変数を使えるテンプレートとして扱う。
+ */
+
+const required = { required: true };
+const optional = { required: false };
+
+// 公演・予約の基本項目
+const RESERVATION_VARIABLES = {
+  name: required,
+  performanceTitle: required,
+  performanceDateTime: required,
+  reservedSeats: required,
+};
+
+// 券種ごとの枚数と料金（券種のない予約では渡さない）
+const TICKET_VARIABLES = {
+  tickets: { required: false, list: true, fields: ["label", "count"] },
+  totalPrice: optional,
+};
+
+export const EMAIL_TEMPLATE_SCHEMAS = {
+  "reservation-confirmation": {
+    ...RESERVATION_VARIABLES,
+    ...TICKET_VARIABLES,
+    confirmationLink: required,
+    eventPageUrl: required,
+  },
+  "reservation-approval-pending": {
+    ...RESERVATION_VARIABLES,
+    ...TICKET_VARIABLES,
+    eventPageUrl: required,
+  },
+  "reservation-declined": {
+    ...RESERVATION_VARIABLES,
+  },
+  "reservation-confirmed": {
+    ...RESERVATION_VARIABLES,
+    ...TICKET_VARIABLES,
+    eventPageUrl: required,
+    cancelUrl: required,
+  },
+  "reservation-changed": {
+    ...RESERVATION_VARIABLES,
+    ...TICKET_VARIABLES,
+    previousDateTime: required,
+    eventPageUrl: required,
+    cancelUrl: required,
+  },
+  "waitlist-offer": {
+    ...RESERVATION_VARIABLES,
+    ...TICKET_VARIABLES,
+    confirmationLink: required,
+    eventPageUrl: required,
+  },
+  "reservation-canceled": {
+    ...RESERVATION_VARIABLES,
+    ...TICKET_VARIABLES,
+    eventPageUrl: required,
+    // 支払い済みで返金を依頼したとき true
+    refundRequested: optional,
+  },
+  "reminder-email": {
+    ...RESERVATION_VARIABLES,
+    eventPageUrl: required,
+    entryUrl: required,
+  },
+  "survey-email": {
+    name: required,
+    performanceTitle: required,
+    performanceDateTime: required,
+    surveyFormUrl: required,
+  },
+  "reservation-history": {
+    historyLink: required,
+  },
+};
+
+/** 言語ごとの件名の既定値（公演ごとの差し替えで変更できる） */
+export const DEFAULT_EMAIL_SUBJECTS = {
+  ja: {
+    "reservation-confirmation": "【ましろ小劇場】予約内容のご確認",
+    "reservation-approval-pending":
+      "【ましろ小劇場】ご予約のお申し込みを受け付けました",
+    "reservation-declined": "【ましろ小劇場】ご予約についてのお知らせ",
+    "reservation-confirmed": "【ましろ小劇場】ご予約が確定いたしました",
+    "reservation-changed": "【ましろ小劇場】ご予約の日時を変更いたしました",
+    "waitlist-offer": "【ましろ小劇場】キャンセル待ちのお席をご用意しました",
+    "reservation-canceled": "【ましろ小劇場】ご予約のキャンセルを承りました",
+    "reminder-email": "【ましろ小劇場】公演のご案内",
+    "survey-email": "【ましろ小劇場】公演アンケートへのご協力のお願い",
+    "reservation-history": "【ましろ小劇場】ご予約の確認",
+  },
+  en: {
+    "reservation-confirmation":
+      "[Mashiro Theater] Please confirm your reservation",
+    "reservation-approval-pending":
+      "[Mashiro Theater] We have received your reservation request",
+    "reservation-declined": "[Mashiro Theater] About your reservation request",
+    "reservation-confirmed": "[Mashiro Theater] Your reservation is confirmed",
+    "reservation-changed":
+      "[Mashiro Theater] The date of your reservation has been changed",
+    "waitlist-offer": "[Mashiro Theater] Seats are now available for you",
+    "reservation-canceled":
+      "[Mashiro Theater] Your reservation has been canceled",
+    "reminder-email": "[Mashiro Theater] Information about your performance",
+    "survey-email": "[Mashiro Theater] Please tell us about the performance",
+    "reservation-history": "[Mashiro Theater] Your reservations",
+  },
+};
+
+/** 公演ごとに差し替えられるテンプレート（予約履歴は公演によらないので除く） */
+export const PERFORMANCE_EMAIL_TEMPLATES = Object.keys(
+  EMAIL_TEMPLATE_SCHEMAS
+).filter((templateName) => templateName !== "reservation-history");
+
+/**
+ * 送信時の変数のチェック。定義のないテンプレート・required の変数の不足はエラーにする。
+ */
+export function assertTemplateVariables(templateName, variables) {
+  const schema = EMAIL_TEMPLATE_SCHEMAS[templateName];
+  if (!schema) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+  const missing = Object.entries(schema)
+    .filter(([key, spec]) => spec.required && variables[key] == null)
+    .map(([key]) => key);
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing variables for email template ${templateName}: ${missing.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+/**
+ * テンプレートの本文を定義と照らし合わせる（アップロード前の検証）。
+ * @returns {string[]} エラーメッセージ。問題なければ空配列
+ */
+export function validateEmailTemplate(templateName, source) {
+  const schema = EMAIL_TEMPLATE_SCHEMAS[templateName];
+  if (!schema) {
+    return [`no variable schema is defined for "${templateName}"`];
+  }
+
+  let references;
+  try {
+    references = listTemplateVariables(source);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const errors = [];
+  for (const { path, usage, guarded, line, list } of references) {
+    if (list !== undefined) {
+      const field = path.split(".")[1];
+      const listSpec = schema[list];
+      if (
+        path === "this" ? listSpec?.fields : !listSpec?.fields?.includes(field)
+      ) {
+        errors.push(
+          `line ${line}: "${path}" is not an item field of "${list}"`
+        );
+      }
+      continue;
+    }
+
+    const [name] = path.split(".");
+    const spec = schema[name];
+    if (!spec) {
+      errors.push(`line ${line}: unknown variable "${path}"`);
+    } else if (usage === "each" && !spec.list) {
+      errors.push(`line ${line}: "${path}" is not a list`);
+    } else if (usage === "output" && spec.list) {
+      errors.push(`line ${line}: list "${path}" must be used with {{#each}}`);
+    } else if (usage === "output" && !spec.required && !guarded) {
+      errors.push(
+        `line ${line}: optional variable "${path}" must be inside {{#if ${path}}}`
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * 公演ごとの差し替え（件名・テキスト版・HTML 版）の検証。
+ * @returns {string[]} "subject: ..." のように項目名を付けたエラーメッセージ
+ */
+export function validateEmailTemplateOverride(
+  templateName,
+  { subject, text, html }
+) {
+  const errors = [];
+  if (typeof subject !== "string" || !subject.trim()) {
+    errors.push("subject: must be a non-empty string");
+  } else if (/[\r\n]/.test(subject)) {
+    errors.push("subject: must be a single line");
+  } else {
+    errors.push(
+      ...validateEmailTemplate(templateName, subject).map(
+        (error) => `subject: ${error}`
+      )
+    );
+  }
+  if (typeof text !== "string" || !text.trim()) {
+    errors.push("text: must be a non-empty string");
+  } else {
+    errors.push(
+      ...validateEmailTemplate(templateName, text).map(
+        (error) => `text: ${error}`
+      )
+    );
+  }
+  if (html !== undefined && html !== null) {
+    if (typeof html !== "string" || !html.trim()) {
+      errors.push("html: must be a non-empty string or null");
+    } else {
+      errors.push(
+        ...validateEmailTemplate(templateName, html).map(
+          (error) => `html: ${error}`
+        )
+      );
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,190 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+} from "@aws-sdk/client-s3";
+import { DEFAULT_EMAIL_SUBJECTS } from "./emailTemplateSchema.js";
+import { DEFAULT_LOCALE } from "./locales.js";
+
+/**
+ * S3 のメールテンプレート（TEMPLATE_BUCKET の email-templates/）。
+ *   <name>.txt / <name>.html                          既定のテンプレート（scripts/uploadTemplates.js でアップロード）
+ *   <performanceId>/<name>.txt / .html / .subject.txt  公演ごとの差し替え（管理画面から登録）
+ * 既定の言語以外は <name> を <name>.<locale> にしたファイル（例: reminder-email.en.txt）。
+ * 公演の差し替えのテキスト版があればそれを使い、HTML 版も差し替えのものだけを使う（なければテキストのみ）。
+ * 差し替えは言語ごとで、その言語の差し替えがなければその言語の既定のテンプレートを使う。
+ * 件名は差し替えがなければ DEFAULT_EMAIL_SUBJECTS。
+ * 送信側は短時間キャッシュするので、差し替えの登録・削除が反映されるまで最大 TEMPLATE_CACHE_TTL_MS かかる。
+ */
+
+const s3Client = new S3Client({ region: process.env.AWS_REGION });
+const TEMPLATE_BUCKET = process.env.TEMPLATE_BUCKET;
+const PREFIX = "email-templates";
+// バッチ送信で毎回 S3 を読まないよう短時間だけキャッシュする。
+// テンプレートをアップロードしてから反映されるまで最大でこの時間かかる。
+const TEMPLATE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const templateCache = new Map();
+
+/**
+ * 送信に使うテンプレート（キャッシュ付き）。
+ * @param {string} templateName
+ * @param {string} [performanceId] 指定時は公演の差し替えを優先する
+ * @param {string} [locale]
+ * @returns {Promise<{ subject: string, text: string, html: string | null, overridden: boolean }>}
+ */
+export async function getEmailTemplate(
+  templateName,
+  performanceId,
+  locale = DEFAULT_LOCALE
+) {
+  const cacheKey = `${performanceId || ""}/${templateFileBase(
+    templateName,
+    locale
+  )}`;
+  const cached = templateCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.template;
+  }
+
+  const template = await loadEmailTemplate(templateName, performanceId, locale);
+  templateCache.set(cacheKey, {
+    template,
+    expiresAt: Date.now() + TEMPLATE_CACHE_TTL_MS,
+  });
+  return template;
+}
+
+/** 送信に使うテンプレートを S3 から読み込む（キャッシュなし。管理画面用） */
+export async function loadEmailTemplate(
+  templateName,
+  performanceId,
+  locale = DEFAULT_LOCALE
+) {
+  const override = performanceId
+    ? await getEmailTemplateOverride(templateName, performanceId, locale)
+    : null;
+  if (override) {
+    return {
+      ...override,
+      subject: override.subject ?? DEFAULT_EMAIL_SUBJECTS[locale][templateName],
+      overridden: true,
+    };
+  }
+  return {
+    ...(await getDefaultEmailTemplate(templateName, locale)),
+    overridden: false,
+  };
+}
+
+/** 既定のテンプレート。テキスト版は必須 */
+export async function getDefaultEmailTemplate(
+  templateName,
+  locale = DEFAULT_LOCALE
+) {
+  const base = `${PREFIX}/${templateFileBase(templateName, locale)}`;
+  const [text, html] = await Promise.all([
+    getObject(`${base}.txt`),
+    getObjectIfExists(`${base}.html`),
+  ]);
+  return { subject: DEFAULT_EMAIL_SUBJECTS[locale][templateName], text, html };
+}
+
+/**
+ * 公演の差し替えのテンプレート。
+ * @returns {Promise<{ subject: string | null, text: string, html: string | null } | null>} 差し替えがなければ null
+ */
+export async function getEmailTemplateOverride(
+  templateName,
+  performanceId,
+  locale = DEFAULT_LOCALE
+) {
+  const base = overrideFileBase(templateName, performanceId, locale);
+  const text = await getObjectIfExists(`${base}.txt`);
+  if (text === null) return null;
+
+  const [html, subject] = await Promise.all([
+    getObjectIfExists(`${base}.html`),
+    getObjectIfExists(`${base}.subject.txt`),
+  ]);
+  return { subject, text, html };
+}
+
+/** 公演の差し替えを登録する（HTML 版を省略した場合は既存の HTML 版を消す） */
+export async function putEmailTemplateOverride(
+  templateName,
+  performanceId,
+  locale,
+  { subject, text, html }
+) {
+  const base = overrideFileBase(templateName, performanceId, locale);
+  await Promise.all([
+    putObject(`${base}.subject.txt`, subject, "text/plain"),
+    putObject(`${base}.txt`, text, "text/plain"),
+    html
+      ? putObject(`${base}.html`, html, "text/html")
+      : deleteObjects([`${base}.html`]),
+  ]);
+}
+
+/** 公演の差し替えを消して既定のテンプレートに戻す */
+export async function deleteEmailTemplateOverride(
+  templateName,
+  performanceId,
+  locale
+) {
+  const base = overrideFileBase(templateName, performanceId, locale);
+  await deleteObjects([`${base}.txt`, `${base}.html`, `${base}.subject.txt`]);
+}
+
+/** 拡張子を除いたファイル名（既定の言語は <name>、ほかは <name>.<locale>） */
+function templateFileBase(templateName, locale) {
+  return locale === DEFAULT_LOCALE ? templateName : `${templateName}.${locale}`;
+}
+
+function overrideFileBase(templateName, performanceId, locale) {
+  return `${PREFIX}/${performanceId}/${templateFileBase(templateName, locale)}`;
+}
+
+async function getObject(key) {
+  const command = new GetObjectCommand({ Bucket: TEMPLATE_BUCKET, Key: key });
+  const response = await s3Client.send(command);
+  return streamToString(response.Body);
+}
+
+async function getObjectIfExists(key) {
+  try {
+    return await getObject(key);
+  } catch (error) {
+    if (error.name !== "NoSuchKey") throw error;
+    return null;
+  }
+}
+
+async function putObject(key, body, contentType) {
+  const command = new PutObjectCommand({
+    Bucket: TEMPLATE_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: `${contentType}; charset=utf-8`,
+  });
+  await s3Client.send(command);
+}
+
+async function deleteObjects(keys) {
+  const command = new DeleteObjectsCommand({
+    Bucket: TEMPLATE_BUCKET,
+    Delete: { Objects: keys.map((Key) => ({ Key })), Quiet: true },
+  });
+  await s3Client.send(command);
+}
+
+function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * お客様が入力したメールアドレスの検証。
+ * 構文は RFC 5321/5322 のうち実際に使われる範囲（dot-atom 形式、引用符・IP アドレス表記は不可）に絞る。
+ * 使い捨てメールのドメインは予約を受け付けない（サブドメインも含む）。
+ */
+
+// ローカル部の dot-atom（先頭・末尾・連続のドットは不可）
+const LOCAL_PART_PATTERN =
+  /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+// ドメインのラベル（英数字とハイフン、先頭・末尾のハイフンは不可）
+const DOMAIN_LABEL_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+// トップレベルドメイン（英字2文字以上、または IDN の xn--）
+const TLD_PATTERN = /^([A-Za-z]{2,63}|xn--[A-Za-z0-9-]{1,59})$/;
+
+// 使い捨てメールの主なドメイン
+const DISPOSABLE_DOMAINS = new Set([
+  "10minutemail.com",
+  "20minutemail.com",
+  "burnermail.io",
+  "discard.email",
+  "dispostable.com",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "getairmail.com",
+  "getnada.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "guerrillamailblock.com",
+  "mail-temp.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailnesia.com",
+  "mintemail.com",
+  "mohmal.com",
+  "moakt.com",
+  "sharklasers.com",
+  "spamgourmet.com",
+  "temp-mail.org",
+  "tempail.com",
+  "tempmail.com",
+  "tempmail.net",
+  "tempmailo.com",
+  "tempr.email",
+  "throwawaymail.com",
+  "trashmail.com",
+  "yopmail.com",
+]);
+
+/** 予約を受け付けられる構文のメールアドレスか */
+export function isValidEmailSyntax(email) {
+  if (typeof email !== "string" || email.length > 254) return false;
+
+  const at = email.lastIndexOf("@");
+  const localPart = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  if (at <= 0 || localPart.length > 64 || !LOCAL_PART_PATTERN.test(localPart)) {
+    return false;
+  }
+
+  const labels = domain.split(".");
+  return (
+    labels.length >= 2 &&
+    labels.every((label) => DOMAIN_LABEL_PATTERN.test(label)) &&
+    TLD_PATTERN.test(labels[labels.length - 1])
+  );
+}
+
+/** 使い捨てメールのドメイン（またはそのサブドメイン）か */
+export function isDisposableEmail(email) {
+  const labels = email
+    .slice(email.lastIndexOf("@") + 1)
+    .toLowerCase()
+    .split(".");
+  return labels.some((_, i) =>
+    DISPOSABLE_DOMAINS.has(labels.slice(i).join("."))
+  );
+}
@@ -0,0 +1,284 @@
+import { sendTemplatedEmail } from "./mailer.js";
+import { formatPerformanceDateTime } from "./dates.js";
+import { formatTicketVariables } from "./ticketTiers.js";
+import { getReservationLocale } from "./locales.js";
+import { buildReservationCalendarAttachment } from "./calendar.js";
+import { EMAIL_TEMPLATE_SCHEMAS } from "./emailTemplateSchema.js";
+import {
+  buildConfirmationUrl,
+  buildCancelUrl,
+  buildEventPageUrl,
+  buildHistoryUrl,
+} from "./tokens.js";
+
+/**
+ * 予約まわりのメール。
+ * 各関数は (reservation, performance, schedule) を受け取り、テンプレートの変数を組み立てて送信する。
+ * 予約履歴のリンクだけは予約によらず、メールアドレスに送る。
+ * テンプレートの変数の定義と件名の既定値は emailTemplateSchema.js。
+ * 公演の予約のメールは、公演ごとの差し替えのテンプレート・件名があればそれを使う。
+ * テンプレート・件名・日時や券種の表記は予約の locale の言語にする。
+ * 確定・日時変更・リマインドのメールには予定の .ics（calendar.js）を添付する。
+ */
+
+/** 仮予約の確認メール（確定用リンク付き） */
+export async function sendReservationConfirmationEmail(
+  reservation,
+  performance,
+  schedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reservation-confirmation",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      ...ticketVariables(reservation),
+      confirmationLink: await buildConfirmationUrl(reservation),
+      eventPageUrl: buildEventPageUrl(performance.id),
+    },
+  });
+}
+
+/** 承認待ちの予約の受付メール（確定用リンクは承認後に送る） */
+export async function sendApprovalPendingEmail(
+  reservation,
+  performance,
+  schedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reservation-approval-pending",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      ...ticketVariables(reservation),
+      eventPageUrl: buildEventPageUrl(performance.id),
+    },
+  });
+}
+
+/** 承認待ちの予約をお受けできなかった旨のお知らせ */
+export async function sendReservationDeclinedEmail(
+  reservation,
+  performance,
+  schedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reservation-declined",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    variables: reservationVariables(reservation, performance, schedule),
+  });
+}
+
+/** 予約確定メール（キャンセル用リンク・予定の .ics 付き） */
+export async function sendReservationConfirmedEmail(
+  reservation,
+  performance,
+  schedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reservation-confirmed",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    attachments: [
+      buildReservationCalendarAttachment(reservation, performance, schedule),
+    ],
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      ...ticketVariables(reservation),
+      eventPageUrl: buildEventPageUrl(performance.id),
+      cancelUrl: await buildCancelUrl(reservation),
+    },
+  });
+}
+
+/** 日時変更の完了メール（変更前の日時・キャンセル用リンク・変更後の予定の .ics 付き） */
+export async function sendReservationChangedEmail(
+  reservation,
+  performance,
+  schedule,
+  previousSchedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reservation-changed",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    attachments: [
+      buildReservationCalendarAttachment(reservation, performance, schedule),
+    ],
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      ...ticketVariables(reservation),
+      previousDateTime: formatPerformanceDateTime(
+        previousSchedule.date,
+        previousSchedule.time,
+        getReservationLocale(reservation)
+      ),
+      eventPageUrl: buildEventPageUrl(performance.id),
+      cancelUrl: await buildCancelUrl(reservation),
+    },
+  });
+}
+
+/** キャンセル待ち繰り上げの案内（確定用リンク付き） */
+export async function sendWaitlistOfferEmail(
+  reservation,
+  performance,
+  schedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "waitlist-offer",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      ...ticketVariables(reservation),
+      confirmationLink: await buildConfirmationUrl(reservation),
+      eventPageUrl: buildEventPageUrl(performance.id),
+    },
+  });
+}
+
+/** お客様によるキャンセルの完了メール（返金を依頼した場合はその旨も） */
+export async function sendReservationCanceledEmail(
+  reservation,
+  performance,
+  schedule
+) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reservation-canceled",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      ...ticketVariables(reservation),
+      eventPageUrl: buildEventPageUrl(performance.id),
+      refundRequested: reservation.paymentStatus === "paid",
+    },
+  });
+}
+
+/** 公演前日・当日のリマインドメール（入場URL・予定の .ics 付き） */
+export async function sendReminderEmail(reservation, performance, schedule) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "reminder-email",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    attachments: [
+      buildReservationCalendarAttachment(reservation, performance, schedule),
+    ],
+    variables: {
+      ...reservationVariables(reservation, performance, schedule),
+      eventPageUrl: buildEventPageUrl(performance.id),
+      entryUrl: schedule.entryUrl,
+    },
+  });
+}
+
+/** 公演翌日のアンケート依頼メール */
+export async function sendSurveyEmail(reservation, performance, schedule) {
+  await sendTemplatedEmail({
+    to: reservation.email,
+    template: "survey-email",
+    performanceId: performance.id,
+    locale: getReservationLocale(reservation),
+    variables: {
+      name: reservation.name,
+      performanceTitle: performance.title,
+      performanceDateTime: formatPerformanceDateTime(
+        schedule.date,
+        schedule.time,
+        getReservationLocale(reservation)
+      ),
+      surveyFormUrl: performance.surveyFormUrl,
+    },
+  });
+}
+
+/** 予約履歴の確認リンク（メールアドレスの予約の一覧）。locale はリクエスト時の言語 */
+export async function sendReservationHistoryEmail(email, locale) {
+  await sendTemplatedEmail({
+    to: email,
+    template: "reservation-history",
+    locale,
+    variables: { historyLink: await buildHistoryUrl(email) },
+  });
+}
+
+/**
+ * 管理画面のプレビュー用の変数。見本の予約で組み立て、リンクは見本の URL にする。
+ * schedule がなければ（スケジュール未登録の公演）見本の日時にする。
+ */
+export function buildSampleTemplateVariables(
+  templateName,
+  performance,
+  schedule,
+  locale
+) {
+  const reservation = {
+    ...SAMPLE_RESERVATION,
+    name: SAMPLE_NAMES[locale],
+    locale,
+  };
+  const sampleSchedule = schedule || { date: "2025-01-01", time: "19:00" };
+  const eventPageUrl = buildEventPageUrl(performance.id);
+  const variables = {
+    ...reservationVariables(reservation, performance, sampleSchedule),
+    ...ticketVariables(reservation),
+    previousDateTime: formatPerformanceDateTime(
+      sampleSchedule.date,
+      sampleSchedule.time,
+      getReservationLocale(reservation)
+    ),
+    confirmationLink: `${eventPageUrl}#sample-confirmation-link`,
+    cancelUrl: `${eventPageUrl}#sample-cancel-url`,
+    eventPageUrl,
+    entryUrl: sampleSchedule.entryUrl || `${eventPageUrl}#sample-entry-url`,
+    surveyFormUrl:
+      performance.surveyFormUrl || `${eventPageUrl}#sample-survey-form-url`,
+    refundRequested: true,
+  };
+  return Object.fromEntries(
+    Object.keys(EMAIL_TEMPLATE_SCHEMAS[templateName]).map((key) => [
+      key,
+      variables[key],
+    ])
+  );
+}
+
+// プレビューの見本の予約
+const SAMPLE_RESERVATION = {
+  reservedSeats: 2,
+  tickets: { general: 1, student: 1 },
+  totalPrice: 5000,
+};
+const SAMPLE_NAMES = { ja: "見本 花子", en: "Alex Sample" };
+
+/** 各メールで共通の、公演・予約の基本項目 */
+function reservationVariables(reservation, performance, schedule) {
+  return {
+    name: reservation.name,
+    performanceTitle: performance.title,
+    performanceDateTime: formatPerformanceDateTime(
+      schedule.date,
+      schedule.time,
+      getReservationLocale(reservation)
+    ),
+    reservedSeats: reservation.reservedSeats,
+  };
+}
+
+/** 券種・料金（券種名は予約の言語） */
+function ticketVariables(reservation) {
+  return formatTicketVariables(reservation, getReservationLocale(reservation));
+}
@@ -0,0 +1,142 @@
+import { listSchedules } from "../repositories/schedules.js";
+import { listAttendeesBySchedule } from "../repositories/attendees.js";
+import { queryReservations } from "../repositories/reservations.js";
+import { TICKET_TIER_LABELS } from "../ticketTiers.js";
+
+/**
+ * 参加者名簿の書き出し（CSV / XLSX）用のデータ作成。
+ * 予約者のメールアドレス・席数は予約者本人の行にだけ載せ、お連れ様の行は空欄にする。
+ */
+
+const ATTENDEE_HEADER = [
+  "氏名",
+  "予約ID",
+  "メールアドレス",
+  "席数",
+  "券種",
+  "チェックイン",
+  "備考",
+];
+
+const SUMMARY_HEADER = [
+  "日付",
+  "時刻",
+  "総座席数",
+  "予約席数",
+  "参加者数",
+  "チェックイン数",
+  "チェックイン率",
+];
+
+/**
+ * 公演（または1スケジュール）の参加者を開演順に取得する。
+ * @returns {Promise<Array<{ schedule: object, rows: Array<Array<string | number>> }>>}
+ *   scheduleId に該当するスケジュールがなければ空配列
+ */
+export async function loadAttendeeExport(performanceId, scheduleId) {
+  const schedules = (await listSchedules(performanceId))
+    .filter((s) => !scheduleId || s.id === scheduleId)
+    .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+
+  return Promise.all(
+    schedules.map(async (schedule) => {
+      const [attendees, reservations] = await Promise.all([
+        listAttendeesBySchedule(performanceId, schedule.id),
+        queryReservations({ performanceId, scheduleId: schedule.id }),
+      ]);
+      const reservationsById = new Map(reservations.map((r) => [r.id, r]));
+      return {
+        schedule,
+        attendees,
+        rows: sortAttendees(attendees, reservationsById).map((attendee) =>
+          attendeeRow(attendee, reservationsById)
+        ),
+      };
+    })
+  );
+}
+
+/** CSV 用。全スケジュールを1つの表にし、先頭に日付・時刻の列を付ける */
+export function buildAttendeeCsvRows(exportData) {
+  return [
+    ["日付", "時刻", ...ATTENDEE_HEADER],
+    ...exportData.flatMap(({ schedule, rows }) =>
+      rows.map((row) => [schedule.date, schedule.time, ...row])
+    ),
+  ];
+}
+
+/** XLSX 用。先頭に集計シート、続けてスケジュールごとのシート */
+export function buildAttendeeSheets(exportData) {
+  return [
+    { name: "集計", rows: buildSummaryRows(exportData) },
+    ...exportData.map(({ schedule, rows }) => ({
+      // シート名に「/」「:」は使えないため日付・時刻は区切りなしで書く
+      name: `${schedule.date.replace(/-/g, "")} ${schedule.time.replace(
+        ":",
+        ""
+      )}`,
+      rows: [ATTENDEE_HEADER, ...rows],
+    })),
+  ];
+}
+
+function buildSummaryRows(exportData) {
+  const totals = {
+    totalSeats: 0,
+    reservedSeats: 0,
+    attendees: 0,
+    checkedIn: 0,
+  };
+  const rows = exportData.map(({ schedule, attendees }) => {
+    const counts = {
+      totalSeats: schedule.totalSeats || 0,
+      reservedSeats: schedule.confirmedSeats || 0,
+      attendees: attendees.length,
+      checkedIn: attendees.filter((a) => a.checkedIn).length,
+    };
+    Object.keys(totals).forEach((key) => {
+      totals[key] += counts[key];
+    });
+    return [schedule.date, schedule.time, ...summaryCells(counts)];
+  });
+  return [SUMMARY_HEADER, ...rows, ["合計", "", ...summaryCells(totals)]];
+}
+
+function summaryCells({ totalSeats, reservedSeats, attendees, checkedIn }) {
+  return [
+    totalSeats,
+    reservedSeats,
+    attendees,
+    checkedIn,
+    attendees > 0 ? `${((checkedIn / attendees) * 100).toFixed(1)}%` : "-",
+  ];
+}
+
+/** 予約の申込順、同じ予約内は予約者本人 → お連れ様の順 */
+function sortAttendees(attendees, reservationsById) {
+  const reservationOrder = (attendee) =>
+    reservationsById.get(attendee.reservationId)?.createdAt || "";
+  return [...attendees].sort(
+    (a, b) =>
+      reservationOrder(a).localeCompare(reservationOrder(b)) ||
+      a.reservationId.localeCompare(b.reservationId) ||
+      Number(Boolean(b.isRepresentative)) -
+        Number(Boolean(a.isRepresentative)) ||
+      (a.createdAt || "").localeCompare(b.createdAt || "")
+  );
+}
+
+function attendeeRow(attendee, reservationsById) {
+  const reservation = reservationsById.get(attendee.reservationId);
+  const representative = attendee.isRepresentative && reservation;
+  return [
+    attendee.name,
+    attendee.reservationId,
+    representative ? reservation.email || "" : "",
+    representative ? reservation.reservedSeats : "",
+    TICKET_TIER_LABELS[attendee.ticketTier] || "",
+    attendee.checkedIn ? "済" : "未",
+    attendee.notes || "",
+  ];
+}
@@ -0,0 +1,19 @@
+// Excel で文字化けしないよう UTF-8 の BOM を付ける
+const BOM = "\uFEFF";
+
+/**
+ * 行の配列を CSV にする（RFC 4180、改行は CRLF、先頭に BOM）。
+ * @param {Array<Array<string | number | null | undefined>>} rows
+ */
+export function toCsv(rows) {
+  return BOM + rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+}
+
+function escapeCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // お客様の入力（氏名・備考）が Excel で数式として実行されないようにする
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
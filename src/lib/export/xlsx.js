@@ -0,0 +1,207 @@
+import { deflateRawSync } from "zlib";
+
+/**
+ * 最小構成の XLSX（Office Open XML）ワークブックを作る。
+ * 文字列はインライン文字列、数値は数値セルとして書き込み、1行目は太字にする。
+ * @param {Array<{ name: string, rows: Array<Array<string | number | null | undefined>> }>} sheets
+ * @returns {Buffer}
+ */
+export function buildXlsx(sheets) {
+  const names = uniqueSheetNames(sheets.map((s) => s.name));
+
+  const files = [
+    ["[Content_Types].xml", contentTypesXml(sheets.length)],
+    ["_rels/.rels", ROOT_RELS_XML],
+    ["xl/workbook.xml", workbookXml(names)],
+    ["xl/_rels/workbook.xml.rels", workbookRelsXml(sheets.length)],
+    ["xl/styles.xml", STYLES_XML],
+    ...sheets.map((sheet, i) => [
+      `xl/worksheets/sheet${i + 1}.xml`,
+      worksheetXml(sheet.rows),
+    ]),
+  ];
+  return buildZip(files.map(([name, xml]) => [name, Buffer.from(xml, "utf8")]));
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS =
+  "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELS_NS =
+  "http://schemas.openxmlformats.org/package/2006/relationships";
+
+const ROOT_RELS_XML = `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELS_NS}"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+// 0: 標準, 1: 太字（見出し行）
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="2"><xf fontId="0"/><xf fontId="1" applyFont="1"/></cellXfs></styleSheet>`;
+
+function contentTypesXml(sheetCount) {
+  const sheetOverrides = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${
+        i + 1
+      }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join("");
+  return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheetOverrides}</Types>`;
+}
+
+function workbookXml(names) {
+  const sheets = names
+    .map(
+      (name, i) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${
+          i + 1
+        }"/>`
+    )
+    .join("");
+  return `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>${sheets}</sheets></workbook>`;
+}
+
+function workbookRelsXml(sheetCount) {
+  const sheetRels = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Relationship Id="rId${
+        i + 1
+      }" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${
+        i + 1
+      }.xml"/>`
+  ).join("");
+  const stylesRel = `<Relationship Id="rId${
+    sheetCount + 1
+  }" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>`;
+  return `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELS_NS}">${sheetRels}${stylesRel}</Relationships>`;
+}
+
+function worksheetXml(rows) {
+  const rowsXml = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => cellXml(`${columnName(c)}${r + 1}`, value, r === 0))
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+  return `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+function cellXml(ref, value, isHeader) {
+  const style = isHeader ? ' s="1"' : "";
+  if (value === null || value === undefined || value === "") {
+    return `<c r="${ref}"${style}/>`;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    String(value)
+  )}</t></is></c>`;
+}
+
+/** 0 → A, 25 → Z, 26 → AA */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/** シート名は 31 文字まで、一部の記号は使えず、重複も不可 */
+function uniqueSheetNames(names) {
+  const used = new Set();
+  return names.map((raw) => {
+    const base = (raw.replace(/[\\/?*[\]:]/g, "_").trim() || "Sheet").slice(
+      0,
+      31
+    );
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** ZIP（deflate 圧縮）を作る */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, data] of files) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // flags: UTF-8 のファイル名
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(0, 10); // time
+    local.writeUInt16LE(0x21, 12); // date (1980-01-01)
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42); // local header offset
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,105 @@
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS.split(",");
+
+/** 許可リストにある Origin ならそのまま、なければ先頭の Origin を返す */
+export function getOrigin(event) {
+  const requestOrigin = event.headers?.origin;
+  return ALLOWED_ORIGINS.includes(requestOrigin)
+    ? requestOrigin
+    : ALLOWED_ORIGINS[0];
+}
+
+/**
+ * ログ出力用に Authorization ヘッダと token クエリ
+ * （ヘッダを付けられない WebSocket 接続のセッショントークン、予約のキャンセル用トークン）、
+ * JSON ボディの token を伏せたイベントを返す
+ */
+export function redactEvent(event) {
+  const redactHeaders = (headers) =>
+    headers &&
+    Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [
+        key,
+        key.toLowerCase() === "authorization" ? "[REDACTED]" : value,
+      ])
+    );
+  const redactToken = (params) =>
+    params?.token ? { ...params, token: "[REDACTED]" } : params;
+  const redactBody = (body) => {
+    try {
+      const parsed = JSON.parse(body);
+      return parsed?.token
+        ? JSON.stringify({ ...parsed, token: "[REDACTED]" })
+        : body;
+    } catch {
+      return body;
+    }
+  };
+  return {
+    ...event,
+    headers: redactHeaders(event.headers),
+    multiValueHeaders: redactHeaders(event.multiValueHeaders),
+    queryStringParameters: redactToken(event.queryStringParameters),
+    multiValueQueryStringParameters: redactToken(
+      event.multiValueQueryStringParameters
+    ),
+    body:
+      event.body && !event.isBase64Encoded
+        ? redactBody(event.body)
+        : event.body,
+  };
+}
+
+/**
+ * 許可メソッドごとの CORS ヘッダ付きレスポンス生成関数を作る。
+ * 例: const { createResponse } = createResponder("GET,OPTIONS");
+ */
+export function createResponder(allowedMethods) {
+  const corsHeaders = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Allow-Methods": allowedMethods,
+    "Access-Control-Allow-Headers":
+      "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
+  };
+
+  function createResponse(statusCode, body, origin) {
+    return {
+      statusCode,
+      headers: {
+        ...corsHeaders,
+        "Access-Control-Allow-Origin": origin,
+      },
+      body: JSON.stringify(body),
+    };
+  }
+
+  function createErrorResponse(statusCode, errorCode, errorMessage, origin) {
+    return createResponse(statusCode, { errorCode, errorMessage }, origin);
+  }
+
+  /**
+   * ファイルのダウンロード用レスポンス。Buffer は base64 で返す
+   * （API Gateway の binaryMediaTypes に contentType の登録が必要）。
+   */
+  function createFileResponse(
+    statusCode,
+    { body, contentType, filename },
+    origin
+  ) {
+    const isBinary = Buffer.isBuffer(body);
+    return {
+      statusCode,
+      headers: {
+        ...corsHeaders,
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Access-Control-Expose-Headers": "Content-Disposition",
+        "Access-Control-Allow-Origin": origin,
+      },
+      body: isBinary ? body.toString("base64") : body,
+      isBase64Encoded: isBinary,
+    };
+  }
+
+  return { createResponse, createErrorResponse, createFileResponse };
+}
@@ -0,0 +1,78 @@
+import {
+  ApiGatewayManagementApiClient,
+  PostToConnectionCommand,
+} from "@aws-sdk/client-apigatewaymanagementapi";
+import {
+  listLiveConnections,
+  deleteLiveConnection,
+} from "./repositories/liveConnections.js";
+import { loadDashboard } from "./dashboard.js";
+import { sendNotification } from "../utils/notification.js";
+
+/**
+ * 受付ダッシュボードへのプッシュ（API Gateway WebSocket）。
+ * チェックイン・予約の確定・キャンセルで数字が変わったスケジュールの集計を、
+ * その公演のダッシュボードを開いている全接続に送る。
+ */
+
+const client = new ApiGatewayManagementApiClient({
+  endpoint: process.env.LIVE_UPDATES_ENDPOINT,
+});
+
+/**
+ * スケジュールの最新の集計を送る。
+ * 送信はベストエフォートで、失敗しても呼び出し元の操作は成功扱いにする。
+ */
+export async function publishDashboardUpdate(
+  performanceId,
+  scheduleId,
+  service
+) {
+  try {
+    const connections = await listLiveConnections(performanceId);
+    if (connections.length === 0) {
+      return;
+    }
+
+    const [schedule] = await loadDashboard(performanceId, scheduleId);
+    if (!schedule) {
+      return;
+    }
+    const data = Buffer.from(
+      JSON.stringify({ type: "dashboard.update", performanceId, schedule })
+    );
+
+    const results = await Promise.allSettled(
+      connections.map((connection) =>
+        postToConnection(connection.connectionId, data)
+      )
+    );
+    const failures = results.filter((r) => r.status === "rejected");
+    if (failures.length > 0) {
+      throw failures[0].reason;
+    }
+  } catch (error) {
+    console.error("Error publishing dashboard update:", error);
+    await sendNotification(
+      `ダッシュボード更新の送信エラー: 公演 ${performanceId}, スケジュール ${scheduleId}, ${error.message}`,
+      "ERROR",
+      "LOW",
+      service
+    );
+  }
+}
+
+async function postToConnection(connectionId, data) {
+  try {
+    await client.send(
+      new PostToConnectionCommand({ ConnectionId: connectionId, Data: data })
+    );
+  } catch (error) {
+    // 切断済みの接続は削除する
+    if (error.name === "GoneException") {
+      await deleteLiveConnection(connectionId);
+      return;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * お客様向けメールの言語。
+ * 予約・キャンセル待ちの locale に保存し、メールのテンプレート・件名・日時や券種の表記を切り替える。
+ * 既定の言語のテンプレートは <name>.txt、ほかの言語は <name>.<locale>.txt（emailTemplates.js）。
+ */
+
+export const DEFAULT_LOCALE = "ja";
+export const SUPPORTED_LOCALES = ["ja", "en"];
+
+/**
+ * リクエストの locale を対応する言語にする。
+ * 省略時は既定の言語、"en-US" のような地域付きの指定は言語の部分だけを見る。
+ * @returns {string | null} 対応していない言語・不正な値は null
+ */
+export function normalizeLocale(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_LOCALE;
+  }
+  if (typeof value !== "string") return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/** 予約（またはキャンセル待ちのエントリ）のメールの言語。locale のない古い予約は既定の言語 */
+export function getReservationLocale(reservation) {
+  return SUPPORTED_LOCALES.includes(reservation.locale)
+    ? reservation.locale
+    : DEFAULT_LOCALE;
+}
@@ -0,0 +1,95 @@
+import { SESClient, SendRawEmailCommand } from "@aws-sdk/client-ses";
+import { getJSTDate } from "./dates.js";
+import { renderTemplate, escapeHtml } from "./templateEngine.js";
+import { assertTemplateVariables } from "./emailTemplateSchema.js";
+import { getEmailTemplate } from "./emailTemplates.js";
+import { buildMimeMessage } from "./mime.js";
+
+const sesClient = new SESClient({ region: process.env.SES_REGION });
+
+const SENDER_EMAIL = process.env.SENDER_EMAIL;
+const SENDING_START_HOUR = parseInt(process.env.SENDING_START_HOUR || "0", 10);
+const SENDING_END_HOUR = parseInt(process.env.SENDING_END_HOUR || "24", 10);
+
+/**
+ * テンプレートに変数を埋めて送信する（HTML 版があればテキストとの multipart）。
+ * 件名もテンプレートとして変数を埋める。変数が足りなければ送信せずにエラーにする。
+ * @param {object} params
+ * @param {string} params.to
+ * @param {string} params.template テンプレート名
+ * @param {object} params.variables
+ * @param {string} [params.performanceId] 指定時は公演の差し替えのテンプレート・件名を優先する
+ * @param {string} [params.locale] テンプレート・件名の言語（省略時は既定の言語）
+ * @param {Array<object>} [params.attachments] 添付ファイル（sendEmail を参照）
+ */
+export async function sendTemplatedEmail({
+  to,
+  template,
+  variables,
+  performanceId,
+  locale,
+  attachments,
+}) {
+  assertTemplateVariables(template, variables);
+  const source = await getEmailTemplate(template, performanceId, locale);
+  await sendEmail({
+    to,
+    ...renderEmailContent(source, variables),
+    attachments,
+  });
+}
+
+/**
+ * 件名・テキスト版・HTML 版に変数を埋める（送信と管理画面のプレビューで共通）。
+ * @param {{ subject: string, text: string, html?: string | null }} source
+ * @returns {{ subject: string, body: string, html?: string }}
+ */
+export function renderEmailContent({ subject, text, html }, variables) {
+  return {
+    subject: renderTemplate(subject, variables),
+    body: renderTemplate(text, variables),
+    ...(html && {
+      html: renderTemplate(html, variables, { escape: escapeHtml }),
+    }),
+  };
+}
+
+/** 一斉送信メール（リマインド・アンケート）の送信可能時間帯か */
+export function isWithinSendingHours() {
+  const hour = getJSTDate().getHours();
+  return hour >= SENDING_START_HOUR && hour < SENDING_END_HOUR;
+}
+
+/** 送信可能時間帯の表示用文字列 */
+export function getSendingHoursLabel() {
+  return `${SENDING_START_HOUR}:00-${SENDING_END_HOUR}:00`;
+}
+
+/**
+ * メールを送信（SES の SendRawEmail）。html を渡すとテキストと HTML の multipart/alternative、
+ * attachments を渡すと添付ファイル付きの multipart/mixed になる。
+ * @param {object} params
+ * @param {string} params.to
+ * @param {string} params.subject
+ * @param {string} params.body テキスト版
+ * @param {string} [params.html]
+ * @param {Array<{ filename: string, contentType: string, content: string | Buffer }>} [params.attachments]
+ */
+export async function sendEmail({ to, subject, body, html, attachments }) {
+  const message = buildMimeMessage({
+    from: SENDER_EMAIL,
+    to,
+    subject,
+    text: body,
+    html,
+    attachments,
+  });
+
+  await sesClient.send(
+    new SendRawEmailCommand({
+      Source: SENDER_EMAIL,
+      Destinations: [to],
+      RawMessage: { Data: Buffer.from(message) },
+    })
+  );
+}
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+
+/**
+ * SES の SendRawEmail に渡す MIME メッセージの組み立て。
+ * テキスト版のみ、テキストと HTML の multipart/alternative、添付ファイルがあれば multipart/mixed にする。
+ * 本文・添付は base64、件名は RFC 2047 の encoded-word（UTF-8）。改行は CRLF。
+ */
+
+const CRLF = "\r\n";
+// encoded-word 1つあたりの元の文字列のバイト数の上限（base64 にして 75 文字以内に収まる長さ）
+const ENCODED_WORD_MAX_BYTES = 45;
+
+/**
+ * @param {object} params
+ * @param {string} params.from
+ * @param {string} params.to
+ * @param {string} params.subject
+ * @param {string} params.text テキスト版
+ * @param {string} [params.html] HTML 版
+ * @param {Array<{ filename: string, contentType: string, content: string | Buffer }>} [params.attachments]
+ * @returns {string}
+ */
+export function buildMimeMessage({
+  from,
+  to,
+  subject,
+  text,
+  html,
+  attachments = [],
+}) {
+  const bodyPart = html
+    ? multipart("alternative", [
+        contentPart("text/plain; charset=UTF-8", text),
+        contentPart("text/html; charset=UTF-8", html),
+      ])
+    : contentPart("text/plain; charset=UTF-8", text);
+  const rootPart =
+    attachments.length > 0
+      ? multipart("mixed", [bodyPart, ...attachments.map(attachmentPart)])
+      : bodyPart;
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    "MIME-Version: 1.0",
+    rootPart,
+  ].join(CRLF);
+}
+
+/** ASCII だけの値はそのまま、それ以外は encoded-word（長い場合は折り返して複数に分ける） */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+  const words = [];
+  let chunk = "";
+  for (const char of value) {
+    if (Buffer.byteLength(chunk + char) > ENCODED_WORD_MAX_BYTES) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words
+    .map((word) => `=?UTF-8?B?${Buffer.from(word).toString("base64")}?=`)
+    .join(`${CRLF} `);
+}
+
+// ヘッダーと本文を持つパート（入れ子の multipart もヘッダー込みの文字列で扱う）
+function contentPart(contentType, content, extraHeaders = []) {
+  return [
+    `Content-Type: ${contentType}`,
+    "Content-Transfer-Encoding: base64",
+    ...extraHeaders,
+    "",
+    base64Lines(content),
+  ].join(CRLF);
+}
+
+function attachmentPart({ filename, contentType, content }) {
+  return contentPart(`${contentType}; name="${filename}"`, content, [
+    `Content-Disposition: attachment; filename="${filename}"`,
+  ]);
+}
+
+function multipart(subtype, parts) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    "",
+    ...parts.map((part) => `--${boundary}${CRLF}${part}`),
+    `--${boundary}--`,
+    "",
+  ].join(CRLF);
+}
+
+/** base64 を 76 文字ごとに改行する */
+function base64Lines(content) {
+  const encoded = Buffer.from(content).toString("base64");
+  return encoded.match(/.{1,76}/g)?.join(CRLF) ?? "";
+}
@@ -0,0 +1,36 @@
+import { listNoShowRecords } from "./repositories/noShowRecords.js";
+import { getJSTDate, formatDate } from "./dates.js";
+
+/**
+ * 無断キャンセル（no-show）の多いお客様の予約の制限。
+ * 直近 NO_SHOW_WINDOW_MONTHS か月の no-show が NO_SHOW_LIMIT 回以上になったメールアドレスに、
+ * NO_SHOW_POLICY に応じて次の制限をかける。
+ *   off      : 制限しない
+ *   block    : 予約・キャンセル待ちの登録を受け付けない
+ *   approval : 予約を管理者の承認待ち（awaiting_approval）にする
+ */
+
+const POLICY = process.env.NO_SHOW_POLICY || "off";
+const LIMIT = Number(process.env.NO_SHOW_LIMIT) || 3;
+const WINDOW_MONTHS = Number(process.env.NO_SHOW_WINDOW_MONTHS) || 6;
+
+/**
+ * メールアドレスの直近の no-show の回数と制限。
+ * @returns {Promise<{ count: number, since: string, restriction: null | "block" | "approval" }>}
+ *   since は数え始めの公演日 (YYYY-MM-DD)
+ */
+export async function getNoShowStatus(email) {
+  const sinceDate = getJSTDate();
+  sinceDate.setMonth(sinceDate.getMonth() - WINDOW_MONTHS);
+  const since = formatDate(sinceDate);
+
+  const records = await listNoShowRecords(email);
+  const count = records.filter((r) => r.date >= since).length;
+  const restricted = POLICY !== "off" && count >= LIMIT;
+  return { count, since, restriction: restricted ? POLICY : null };
+}
+
+/** 設定中の制限（管理画面の表示用） */
+export function getNoShowPolicy() {
+  return { policy: POLICY, limit: LIMIT, windowMonths: WINDOW_MONTHS };
+}
@@ -0,0 +1,39 @@
+import { scrypt, randomBytes, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt のパラメータ。変更しても既存のハッシュは保存されたパラメータで検証できる
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/** パスワードをハッシュ化する。形式: scrypt$N$r$p$salt$hash (salt, hash は base64) */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, { N, r, p });
+  return [
+    "scrypt",
+    N,
+    r,
+    p,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+/** パスワードがハッシュと一致するか */
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, N, r, p, salt, hash] = (passwordHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scryptAsync(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    { N: Number(N), r: Number(r), p: Number(p) }
+  );
+  return timingSafeEqual(expected, actual);
+}
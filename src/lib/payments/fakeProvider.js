@@ -0,0 +1,68 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { getPaymentWebhookSecret } from "../secrets.js";
+
+/**
+ * ローカル・検証環境用の決済プロバイダ。実際の決済は行わない。
+ * 決済ページは FRONTEND_URL/payments/fake-checkout を使い、
+ * 支払い完了は scripts/sendFakePaymentWebhook.js で Webhook を送って再現する。
+ * Webhook は本文の HMAC-SHA256 を x-fake-signature ヘッダで送る。
+ */
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+export const FAKE_SIGNATURE_HEADER = "x-fake-signature";
+
+/** Webhook 本文の署名（送信側のスクリプトと共通） */
+export function signFakeWebhook(body, secret) {
+  return createHmac("sha256", secret).update(body).digest("hex");
+}
+
+export const fakeProvider = {
+  name: "fake",
+
+  async createCheckout({ reservation, amount, successUrl, cancelUrl }) {
+    const paymentId = `FAKEPAY${Date.now()}${randomSuffix()}`;
+    const params = new URLSearchParams({
+      paymentId,
+      reservationId: reservation.id,
+      amount: String(amount),
+      successUrl,
+      cancelUrl,
+    });
+    return {
+      paymentId,
+      checkoutUrl: `${FRONTEND_URL}/payments/fake-checkout?${params}`,
+    };
+  },
+
+  async verifyWebhook({ headers, body }) {
+    const signature = Object.entries(headers || {}).find(
+      ([key]) => key.toLowerCase() === FAKE_SIGNATURE_HEADER
+    )?.[1];
+    if (!signature || !body) return null;
+
+    const secret = await getPaymentWebhookSecret();
+    const expected = Buffer.from(signFakeWebhook(body, secret));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+
+    const { type, paymentId, reservationId, amount } = JSON.parse(body);
+    return { type, paymentId, reservationId, amount };
+  },
+
+  async requestRefund({ paymentId, amount, reservationId }) {
+    const refundId = `FAKEREFUND${Date.now()}${randomSuffix()}`;
+    console.log(
+      `fake refund requested: ${refundId} (payment ${paymentId}, reservation ${reservationId}, amount ${amount})`
+    );
+    return { refundId };
+  },
+};
+
+function randomSuffix() {
+  return Math.random().toString(36).substr(2, 6);
+}
@@ -0,0 +1,160 @@
+import { fakeProvider } from "./fakeProvider.js";
+import { startPayment } from "../reservationLifecycle.js";
+import {
+  addRefundRequest,
+  claimRefund,
+  releaseRefundClaim,
+} from "../repositories/reservations.js";
+import { sendNotification } from "../../utils/notification.js";
+
+/**
+ * 決済プロバイダのアダプタ。PAYMENT_PROVIDER で切り替える。
+ *
+ * @typedef {object} PaymentProvider
+ * @property {string} name
+ * @property {(params: { reservation: object, amount: number, successUrl: string, cancelUrl: string }) => Promise<{ paymentId: string, checkoutUrl: string }>} createCheckout
+ *   決済ページを作成する
+ * @property {(request: { headers: object, body: string }) => Promise<PaymentEvent | null>} verifyWebhook
+ *   Webhook の署名を検証してイベントを返す。署名が不正なら null
+ * @property {(params: { paymentId: string, amount: number, reservationId: string }) => Promise<{ refundId: string }>} requestRefund
+ *   返金を依頼する
+ *
+ * @typedef {object} PaymentEvent
+ * @property {"payment.succeeded" | "payment.failed"} type
+ * @property {string} paymentId
+ * @property {string} reservationId
+ * @property {number} amount
+ */
+
+const PROVIDERS = {
+  [fakeProvider.name]: fakeProvider,
+};
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+const STAGE = process.env.STAGE;
+
+/** @returns {PaymentProvider} */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  const provider = PROVIDERS[name || fakeProvider.name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * 有料の券種を受け付けられるか。
+ * fake プロバイダは実際に決済しないため、dev 以外では有料の予約を受け付けない。
+ */
+export function isPaidReservationAvailable(
+  name = process.env.PAYMENT_PROVIDER
+) {
+  return (name || fakeProvider.name) !== fakeProvider.name || STAGE === "dev";
+}
+
+/** 決済が必要な（有料の）予約か */
+export function isPaymentRequired(reservation) {
+  return (reservation.totalPrice || 0) > 0;
+}
+
+/**
+ * pending の予約の決済を開始する（awaiting_payment にして決済ページを作る）。
+ * @returns 決済ページの URL。予約がすでに pending でなければ null
+ */
+export async function beginPayment(reservation) {
+  if (!isPaidReservationAvailable()) {
+    throw new Error(
+      `Paid reservations are not available with payment provider ${process.env.PAYMENT_PROVIDER} on ${STAGE}`
+    );
+  }
+  const provider = getPaymentProvider();
+  const resultUrl = (status) =>
+    `${FRONTEND_URL}/reservations/result?status=${status}&performanceId=${reservation.performanceId}`;
+
+  const { paymentId, checkoutUrl } = await provider.createCheckout({
+    reservation,
+    amount: reservation.totalPrice,
+    successUrl: resultUrl("payment-processing"),
+    cancelUrl: resultUrl("payment-canceled"),
+  });
+
+  const started = await startPayment(reservation, {
+    provider: provider.name,
+    paymentId,
+    checkoutUrl,
+  });
+  return started ? checkoutUrl : null;
+}
+
+/**
+ * 返金を依頼し、予約に記録する。
+ * paymentId / amount を省略した場合は予約の決済を返金する。
+ * 同じ決済の返金を依頼済み（Webhook の再送など）なら依頼せずに null を返す。
+ */
+export async function requestRefund(
+  reservation,
+  { paymentId = reservation.paymentId, amount = reservation.totalPrice, reason }
+) {
+  if (reservation.refunds?.some((refund) => refund.paymentId === paymentId)) {
+    return null;
+  }
+  // 同時に届いた再送どうしで二重に返金しないよう、依頼の前に決済ごとに記録する
+  if (!(await claimRefund(reservation.id, paymentId))) {
+    return null;
+  }
+
+  const provider = getPaymentProvider(reservation.paymentProvider);
+  let refundId;
+  try {
+    ({ refundId } = await provider.requestRefund({
+      paymentId,
+      amount,
+      reservationId: reservation.id,
+    }));
+  } catch (error) {
+    await releaseRefundClaim(reservation.id, paymentId);
+    throw error;
+  }
+
+  await addRefundRequest(reservation.id, {
+    refundId,
+    paymentId,
+    amount,
+    provider: provider.name,
+    reason,
+    requestedAt: new Date().toISOString(),
+  });
+  return refundId;
+}
+
+/**
+ * requestRefund の失敗で呼び出し元の処理（キャンセルなど）をエラーにしない版。
+ * 失敗した場合は手動で返金できるよう通知する。
+ */
+export async function requestRefundSafely(reservation, options, service) {
+  const paymentId = options.paymentId ?? reservation.paymentId;
+  const amount = options.amount ?? reservation.totalPrice;
+  try {
+    const refundId = await requestRefund(reservation, options);
+    if (!refundId) {
+      console.log(
+        `Refund already requested: reservation ${reservation.id}, payment ${paymentId}`
+      );
+      return;
+    }
+    await sendNotification(
+      `返金依頼: 予約ID ${reservation.id}, 返金ID ${refundId}, 金額 ${amount}, 理由 ${options.reason}`,
+      "INFO",
+      "MEDIUM",
+      service
+    );
+  } catch (error) {
+    console.error("Error requesting refund:", error);
+    await sendNotification(
+      `返金依頼エラー（手動で返金してください）: 予約ID ${reservation.id}, 決済ID ${paymentId}, 金額 ${amount}, ${error.message}`,
+      "ERROR",
+      "HIGH",
+      service
+    );
+  }
+}
@@ -0,0 +1,45 @@
+import { createHash } from "crypto";
+import { incrementRateLimitCounter } from "./repositories/rateLimits.js";
+
+/**
+ * お客様向け API のレート制限（固定の時間枠ごとの回数）。
+ * 対象（IP アドレス・メールアドレス）はハッシュにしてから保存する。
+ */
+
+/**
+ * 1回分を消費する。上限に達していれば消費せずに allowed: false を返す。
+ * @param {string} name 制限の種類（例: "history-link:email"）
+ * @param {string} subject 対象（IP アドレス・メールアドレスなど）
+ * @param {object} options
+ * @param {number} options.limit 時間枠あたりの上限
+ * @param {number} options.windowSeconds 時間枠の長さ（秒）
+ * @returns {Promise<{ allowed: boolean, retryAfter?: number }>} retryAfter は次の時間枠までの秒数
+ */
+export async function consumeRateLimit(
+  name,
+  subject,
+  { limit, windowSeconds }
+) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % windowSeconds);
+  const windowEnd = windowStart + windowSeconds;
+
+  const allowed = await incrementRateLimitCounter(
+    `${name}#${hashSubject(subject)}#${windowStart}`,
+    limit,
+    windowEnd
+  );
+  return allowed ? { allowed } : { allowed, retryAfter: windowEnd - now };
+}
+
+/** リクエスト元の IP アドレス（API Gateway が見た接続元） */
+export function getSourceIp(event) {
+  return event.requestContext?.identity?.sourceIp || "unknown";
+}
+
+/** 対象（IP アドレス・メールアドレス）を保存用にハッシュにする（大文字・小文字は区別しない） */
+export function hashSubject(subject) {
+  return createHash("sha256")
+    .update(String(subject).toLowerCase())
+    .digest("hex");
+}
@@ -0,0 +1,72 @@
+import { GetCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import {
+  dynamodb,
+  sendPaginated,
+  ADMIN_USERS_TABLE_NAME,
+  ADMIN_GRANTS_TABLE_NAME,
+} from "../db.js";
+
+/** 管理ユーザーのキーは小文字にしたメールアドレス */
+export function normalizeAdminEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+/** 管理ユーザーを1件取得 */
+export async function getAdminUser(email) {
+  const command = new GetCommand({
+    TableName: ADMIN_USERS_TABLE_NAME,
+    Key: { email: normalizeAdminEmail(email) },
+  });
+  const result = await dynamodb.send(command);
+  return result.Item;
+}
+
+/** 管理ユーザーの最終ログイン日時を更新 */
+export async function markAdminLogin(email) {
+  const command = new UpdateCommand({
+    TableName: ADMIN_USERS_TABLE_NAME,
+    Key: { email: normalizeAdminEmail(email) },
+    UpdateExpression: "SET lastLoginAt = :now",
+    ExpressionAttributeValues: { ":now": new Date().toISOString() },
+  });
+  await dynamodb.send(command);
+}
+
+/** 管理ユーザーに付与された公演の一覧 */
+export async function listAdminGrants(email) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: ADMIN_GRANTS_TABLE_NAME,
+        KeyConditionExpression: "email = :email",
+        ExpressionAttributeValues: { ":email": normalizeAdminEmail(email) },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** 管理ユーザーが公演の権限を持っているか */
+export async function hasAdminGrant(email, performanceId) {
+  const command = new GetCommand({
+    TableName: ADMIN_GRANTS_TABLE_NAME,
+    Key: { email: normalizeAdminEmail(email), performanceId },
+  });
+  const result = await dynamodb.send(command);
+  return Boolean(result.Item);
+}
+
+/** 管理ユーザーに公演の権限を付与する TransactWrite 項目 */
+export function adminGrantTransactItem(email, performanceId) {
+  return {
+    Put: {
+      TableName: ADMIN_GRANTS_TABLE_NAME,
+      Item: {
+        email: normalizeAdminEmail(email),
+        performanceId,
+        grantedAt: new Date().toISOString(),
+      },
+    },
+  };
+}
@@ -0,0 +1,187 @@
+import {
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  BatchWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { dynamodb, sendPaginated, ATTENDEES_TABLE_NAME } from "../db.js";
+
+// BatchWrite は1リクエスト25件まで
+const BATCH_SIZE = 25;
+
+/** Attendeesテーブルから1件をGet */
+export async function getAttendee(attendeeId) {
+  const command = new GetCommand({
+    TableName: ATTENDEES_TABLE_NAME,
+    Key: { id: attendeeId },
+  });
+  const result = await dynamodb.send(command);
+  return result.Item;
+}
+
+/** 予約に紐づく Attendees を取得 (Index: ReservationIdIndex) */
+export async function listAttendeesByReservation(reservationId) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: ATTENDEES_TABLE_NAME,
+        IndexName: "ReservationIdIndex",
+        KeyConditionExpression: "reservationId = :rid",
+        ExpressionAttributeValues: {
+          ":rid": reservationId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** スケジュールの Attendees を取得 (Index: PerformanceIdScheduleIdIndex) */
+export async function listAttendeesBySchedule(performanceId, scheduleId) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: ATTENDEES_TABLE_NAME,
+        IndexName: "PerformanceIdScheduleIdIndex",
+        KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
+        ExpressionAttributeValues: {
+          ":pid": performanceId,
+          ":sid": scheduleId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** 予約に Attendees が1件でもあるか */
+export async function hasAnyAttendees(reservationId) {
+  const command = new QueryCommand({
+    TableName: ATTENDEES_TABLE_NAME,
+    IndexName: "ReservationIdIndex",
+    KeyConditionExpression: "reservationId = :rid",
+    ExpressionAttributeValues: {
+      ":rid": reservationId,
+    },
+    Limit: 1,
+  });
+  const result = await dynamodb.send(command);
+  return (result.Items || []).length > 0;
+}
+
+/** Attendees レコードを一括 Put */
+export async function putAttendees(attendeeItems) {
+  await batchWrite(
+    attendeeItems.map((item) => ({ PutRequest: { Item: item } }))
+  );
+}
+
+/** Attendees レコードを一括 Delete */
+export async function deleteAttendees(attendeeItems) {
+  await batchWrite(
+    attendeeItems.map((item) => ({ DeleteRequest: { Key: { id: item.id } } }))
+  );
+}
+
+/**
+ * チェックイン済みにし、日時と担当者を記録する。
+ * すでにチェックイン済み（または削除済み）なら何もせず false を返す。
+ */
+export async function markAttendeeCheckedIn(
+  attendeeId,
+  checkedInBy,
+  checkedInAt
+) {
+  const command = new UpdateCommand({
+    TableName: ATTENDEES_TABLE_NAME,
+    Key: { id: attendeeId },
+    UpdateExpression:
+      "SET checkedIn = :true, checkedInAt = :at, checkedInBy = :by",
+    ConditionExpression: "attribute_exists(id) AND checkedIn <> :true",
+    ExpressionAttributeValues: {
+      ":true": true,
+      ":at": checkedInAt,
+      ":by": checkedInBy,
+    },
+  });
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    return false;
+  }
+}
+
+/**
+ * チェックインを取り消す（日時・担当者も消す）。
+ * チェックインしていなければ何もせず false を返す。
+ */
+export async function clearAttendeeCheckin(attendeeId) {
+  const command = new UpdateCommand({
+    TableName: ATTENDEES_TABLE_NAME,
+    Key: { id: attendeeId },
+    UpdateExpression: "SET checkedIn = :false REMOVE checkedInAt, checkedInBy",
+    ConditionExpression: "checkedIn = :true",
+    ExpressionAttributeValues: {
+      ":true": true,
+      ":false": false,
+    },
+  });
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    return false;
+  }
+}
+
+/** notes / ticketTier などの項目を更新（undefined の項目は無視） */
+export async function updateAttendeeFields(attendeeId, fields) {
+  const entries = Object.entries(fields).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return;
+
+  const command = new UpdateCommand({
+    TableName: ATTENDEES_TABLE_NAME,
+    Key: { id: attendeeId },
+    UpdateExpression:
+      "SET " + entries.map(([key]) => `#${key} = :${key}`).join(", "),
+    ExpressionAttributeNames: Object.fromEntries(
+      entries.map(([key]) => [`#${key}`, key])
+    ),
+    ExpressionAttributeValues: Object.fromEntries(
+      entries.map(([key, value]) => [`:${key}`, value])
+    ),
+  });
+  await dynamodb.send(command);
+}
+
+/** 未チェックインの Attendee を別スケジュールに移す（TransactWrite 用） */
+export function moveAttendeeTransactItem(attendee, scheduleId) {
+  return {
+    Update: {
+      TableName: ATTENDEES_TABLE_NAME,
+      Key: { id: attendee.id },
+      UpdateExpression: "SET scheduleId = :sid",
+      ConditionExpression: "attribute_exists(id) AND checkedIn = :false",
+      ExpressionAttributeValues: {
+        ":sid": scheduleId,
+        ":false": false,
+      },
+    },
+  };
+}
+
+async function batchWrite(requestItems) {
+  for (let i = 0; i < requestItems.length; i += BATCH_SIZE) {
+    let pending = {
+      [ATTENDEES_TABLE_NAME]: requestItems.slice(i, i + BATCH_SIZE),
+    };
+    // 処理されなかった項目は再送する
+    while (pending && Object.keys(pending).length > 0) {
+      const result = await dynamodb.send(
+        new BatchWriteCommand({ RequestItems: pending })
+      );
+      pending = result.UnprocessedItems;
+    }
+  }
+}
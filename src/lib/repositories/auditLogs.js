@@ -0,0 +1,60 @@
+import { PutCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { dynamodb, AUDIT_LOG_TABLE_NAME } from "../db.js";
+
+/**
+ * 監査ログを追記する。
+ * キーは公演ID + 「日時#ID」なので、同じキーへの上書きは条件で拒否する（追記のみ）。
+ */
+export async function putAuditLog(entry) {
+  const command = new PutCommand({
+    TableName: AUDIT_LOG_TABLE_NAME,
+    Item: entry,
+    ConditionExpression: "attribute_not_exists(sk)",
+  });
+  await dynamodb.send(command);
+}
+
+/**
+ * 公演の監査ログを新しい順に取得する。
+ * 絞り込みは FilterExpression で行うため、limit 件そろうまで Query を繰り返す。
+ * @param {string} performanceId
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {object} [options.startKey] 前のページの lastKey
+ * @param {{ entityType?: string, entityId?: string, actorId?: string }} [options.filters]
+ * @returns {Promise<{ items: object[], lastKey: object | undefined }>}
+ */
+export async function queryAuditLogs(
+  performanceId,
+  { limit, startKey, filters = {} }
+) {
+  const conditions = [];
+  const values = { ":performanceId": performanceId };
+  for (const [field, value] of Object.entries(filters)) {
+    if (value === undefined) continue;
+    conditions.push(`${field} = :${field}`);
+    values[`:${field}`] = value;
+  }
+
+  const items = [];
+  let lastKey = startKey;
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: AUDIT_LOG_TABLE_NAME,
+        KeyConditionExpression: "performanceId = :performanceId",
+        ...(conditions.length > 0 && {
+          FilterExpression: conditions.join(" AND "),
+        }),
+        ExpressionAttributeValues: values,
+        ScanIndexForward: false,
+        Limit: limit - items.length,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey && items.length < limit);
+
+  return { items, lastKey };
+}
@@ -0,0 +1,48 @@
+import { PutCommand, DeleteCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { dynamodb, sendPaginated, LIVE_CONNECTIONS_TABLE_NAME } from "../db.js";
+
+// API Gateway の WebSocket 接続は最長 2 時間。切断イベントを取りこぼした接続は TTL で消える
+const CONNECTION_TTL_SECONDS = 3 * 60 * 60;
+
+/** ダッシュボードの WebSocket 接続を登録 */
+export async function putLiveConnection({
+  connectionId,
+  performanceId,
+  adminEmail,
+}) {
+  const now = new Date();
+  const command = new PutCommand({
+    TableName: LIVE_CONNECTIONS_TABLE_NAME,
+    Item: {
+      connectionId,
+      performanceId,
+      adminEmail,
+      connectedAt: now.toISOString(),
+      expiresAt: Math.floor(now.getTime() / 1000) + CONNECTION_TTL_SECONDS,
+    },
+  });
+  await dynamodb.send(command);
+}
+
+/** WebSocket 接続を削除 */
+export async function deleteLiveConnection(connectionId) {
+  const command = new DeleteCommand({
+    TableName: LIVE_CONNECTIONS_TABLE_NAME,
+    Key: { connectionId },
+  });
+  await dynamodb.send(command);
+}
+
+/** 公演のダッシュボードを開いている接続を取得 (Index: PerformanceIdIndex) */
+export async function listLiveConnections(performanceId) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: LIVE_CONNECTIONS_TABLE_NAME,
+        IndexName: "PerformanceIdIndex",
+        KeyConditionExpression: "performanceId = :pid",
+        ExpressionAttributeValues: { ":pid": performanceId },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
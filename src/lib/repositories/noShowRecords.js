@@ -0,0 +1,65 @@
+import {
+  PutCommand,
+  QueryCommand,
+  BatchWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { dynamodb, sendPaginated, NO_SHOW_RECORDS_TABLE_NAME } from "../db.js";
+
+/**
+ * 無断キャンセル（no-show）の履歴。メールアドレス（小文字）+ 予約ID をキーにする。
+ */
+
+// BatchWrite は1リクエスト25件まで
+const BATCH_SIZE = 25;
+
+/** no-show の履歴を記録する。同じ予約の記録があれば何もせず false を返す */
+export async function putNoShowRecord(record) {
+  const command = new PutCommand({
+    TableName: NO_SHOW_RECORDS_TABLE_NAME,
+    Item: { ...record, email: record.email.toLowerCase() },
+    ConditionExpression: "attribute_not_exists(reservationId)",
+  });
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    return false;
+  }
+}
+
+/** メールアドレスの no-show の履歴を公演日の新しい順に取得 */
+export async function listNoShowRecords(email) {
+  const records = await sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: NO_SHOW_RECORDS_TABLE_NAME,
+        KeyConditionExpression: "email = :email",
+        ExpressionAttributeValues: { ":email": email.toLowerCase() },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+  return records.sort((a, b) =>
+    `${b.date}T${b.time}`.localeCompare(`${a.date}T${a.time}`)
+  );
+}
+
+/** no-show の履歴を一括削除 */
+export async function deleteNoShowRecords(records) {
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    let pending = {
+      [NO_SHOW_RECORDS_TABLE_NAME]: records
+        .slice(i, i + BATCH_SIZE)
+        .map(({ email, reservationId }) => ({
+          DeleteRequest: { Key: { email, reservationId } },
+        })),
+    };
+    // 処理されなかった項目は再送する
+    while (pending && Object.keys(pending).length > 0) {
+      const result = await dynamodb.send(
+        new BatchWriteCommand({ RequestItems: pending })
+      );
+      pending = result.UnprocessedItems;
+    }
+  }
+}
@@ -0,0 +1,82 @@
+import { GetCommand, BatchGetCommand } from "@aws-sdk/lib-dynamodb";
+import { dynamodb, PERFORMANCES_TABLE_NAME } from "../db.js";
+import { getSchedule } from "./schedules.js";
+
+export function generatePerformanceId() {
+  return `PERF${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/** 公演を1件取得 */
+export async function getPerformance(performanceId) {
+  const command = new GetCommand({
+    TableName: PERFORMANCES_TABLE_NAME,
+    Key: { id: performanceId },
+  });
+  const result = await dynamodb.send(command);
+  return result.Item;
+}
+
+/** 公演をまとめて取得 */
+export async function getPerformances(performanceIds) {
+  if (performanceIds.length === 0) return [];
+
+  const command = new BatchGetCommand({
+    RequestItems: {
+      [PERFORMANCES_TABLE_NAME]: {
+        Keys: performanceIds.map((id) => ({ id })),
+      },
+    },
+  });
+
+  const result = await dynamodb.send(command);
+  return result.Responses[PERFORMANCES_TABLE_NAME];
+}
+
+/** 公演とスケジュールをまとめて取得。どちらかが無ければエラー */
+export async function getPerformanceDetails(performanceId, scheduleId) {
+  const [performance, schedule] = await Promise.all([
+    getPerformance(performanceId),
+    getSchedule(performanceId, scheduleId),
+  ]);
+
+  if (!performance || !schedule) {
+    throw new Error("Performance or schedule not found");
+  }
+
+  return { performance, schedule };
+}
+
+/**
+ * 指定フィールドのみ更新する TransactWrite 項目 (値が undefined のフィールドは無視)。
+ * 更新するフィールドがなければ null
+ */
+export function updatePerformanceFieldsTransactItem(performanceId, fields) {
+  const entries = Object.entries(fields).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return null;
+
+  return {
+    Update: {
+      TableName: PERFORMANCES_TABLE_NAME,
+      Key: { id: performanceId },
+      UpdateExpression:
+        "SET " + entries.map((_, i) => `#f${i} = :v${i}`).join(", "),
+      ExpressionAttributeNames: Object.fromEntries(
+        entries.map(([k], i) => [`#f${i}`, k])
+      ),
+      ExpressionAttributeValues: Object.fromEntries(
+        entries.map(([, v], i) => [`:v${i}`, v])
+      ),
+    },
+  };
+}
+
+/** 新しい公演を作成する TransactWrite 項目（同じ ID があれば失敗） */
+export function putPerformanceTransactItem(performance) {
+  return {
+    Put: {
+      TableName: PERFORMANCES_TABLE_NAME,
+      Item: performance,
+      ConditionExpression: "attribute_not_exists(id)",
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import { UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { dynamodb, RATE_LIMITS_TABLE_NAME } from "../db.js";
+
+/**
+ * レート制限のカウンタ。キー（制限の種類・対象・時間枠）ごとに回数を数え、
+ * 時間枠が終わった項目は TTL（expiresAt）で消える。
+ */
+
+/**
+ * カウンタを1つ増やす。すでに上限に達していれば増やさずに false を返す。
+ * @param {string} key
+ * @param {number} limit 時間枠あたりの上限
+ * @param {number} expiresAt 項目を消す時刻（UNIX 秒）
+ */
+export async function incrementRateLimitCounter(key, limit, expiresAt) {
+  const command = new UpdateCommand({
+    TableName: RATE_LIMITS_TABLE_NAME,
+    Key: { key },
+    UpdateExpression: "ADD #count :one SET expiresAt = :expiresAt",
+    ConditionExpression: "attribute_not_exists(#count) OR #count < :limit",
+    ExpressionAttributeNames: { "#count": "count" },
+    ExpressionAttributeValues: {
+      ":one": 1,
+      ":limit": limit,
+      ":expiresAt": expiresAt,
+    },
+  });
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    return false;
+  }
+}
@@ -0,0 +1,281 @@
+import {
+  GetCommand,
+  QueryCommand,
+  ScanCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { dynamodb, sendPaginated, RESERVATIONS_TABLE_NAME } from "../db.js";
+
+/** 座席を確保している（有効な）予約ステータス */
+export const ACTIVE_STATUSES = [
+  "pending",
+  "awaiting_payment",
+  "awaiting_approval",
+  "confirmed",
+];
+
+/** 予約ステータスの一覧 */
+export const RESERVATION_STATUSES = [
+  ...ACTIVE_STATUSES,
+  "canceled",
+  "expired",
+  "no_show",
+];
+
+/** 予約を1件取得 */
+export async function getReservation(reservationId) {
+  const command = new GetCommand({
+    TableName: RESERVATIONS_TABLE_NAME,
+    Key: { id: reservationId },
+  });
+  const result = await dynamodb.send(command);
+  return result.Item;
+}
+
+/**
+ * 公演（またはスケジュール）の予約を取得 (Index: GSI1)
+ * @param {object} options
+ * @param {string} options.performanceId
+ * @param {string} [options.scheduleId] 省略時は公演全体
+ * @param {string[]} [options.statuses] 省略時は全ステータス
+ * @param {string} [options.email] 指定時はメールアドレスで絞り込み
+ * @param {string} [options.confirmationCode] 指定時は予約確認コードで絞り込み
+ */
+export async function queryReservations({
+  performanceId,
+  scheduleId,
+  statuses,
+  email,
+  confirmationCode,
+}) {
+  const keyCondition = scheduleId
+    ? "performanceId = :pid AND scheduleId = :sid"
+    : "performanceId = :pid";
+  const filters = [];
+  const attrNames = {};
+  const attrValues = { ":pid": performanceId };
+  if (scheduleId) {
+    attrValues[":sid"] = scheduleId;
+  }
+  if (statuses) {
+    filters.push(
+      "#status IN (" + statuses.map((_, i) => `:s${i}`).join(", ") + ")"
+    );
+    attrNames["#status"] = "status";
+    statuses.forEach((s, i) => {
+      attrValues[`:s${i}`] = s;
+    });
+  }
+  if (email) {
+    filters.push("email = :email");
+    attrValues[":email"] = email;
+  }
+  if (confirmationCode) {
+    filters.push("confirmationCode = :code");
+    attrValues[":code"] = confirmationCode;
+  }
+
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: RESERVATIONS_TABLE_NAME,
+        IndexName: "GSI1",
+        KeyConditionExpression: keyCondition,
+        FilterExpression: filters.length ? filters.join(" AND ") : undefined,
+        ExpressionAttributeNames: Object.keys(attrNames).length
+          ? attrNames
+          : undefined,
+        ExpressionAttributeValues: attrValues,
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** メールアドレスの予約を公演をまたいで新しい順に取得 (Index: GSI2) */
+export async function queryReservationsByEmail(email) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: RESERVATIONS_TABLE_NAME,
+        IndexName: "GSI2",
+        KeyConditionExpression: "email = :email",
+        ExpressionAttributeValues: { ":email": email },
+        ScanIndexForward: false,
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/**
+ * 同じ接続元（IP アドレスのハッシュ）から createdAt 以降に作られた、指定ステータスの予約を取得 (Index: GSI3)
+ */
+export async function queryReservationsBySourceIp(
+  sourceIpHash,
+  createdAfter,
+  statuses
+) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: RESERVATIONS_TABLE_NAME,
+        IndexName: "GSI3",
+        KeyConditionExpression:
+          "sourceIpHash = :ip AND createdAt >= :createdAfter",
+        FilterExpression:
+          "#status IN (" + statuses.map((_, i) => `:s${i}`).join(", ") + ")",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":ip": sourceIpHash,
+          ":createdAfter": createdAfter,
+          ...Object.fromEntries(statuses.map((s, i) => [`:s${i}`, s])),
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** 指定ステータスで、createdAt が指定時刻より前の予約を取得 */
+export async function scanReservationsCreatedBefore(status, createdBefore) {
+  return scanReservationsBefore(status, "createdAt", createdBefore);
+}
+
+/** 決済待ちで、paymentRequestedAt が指定時刻より前の予約を取得 */
+export async function scanAwaitingPaymentBefore(requestedBefore) {
+  return scanReservationsBefore(
+    "awaiting_payment",
+    "paymentRequestedAt",
+    requestedBefore
+  );
+}
+
+async function scanReservationsBefore(status, timeAttribute, before) {
+  return sendPaginated(
+    (lastKey) =>
+      new ScanCommand({
+        TableName: RESERVATIONS_TABLE_NAME,
+        FilterExpression: "#status = :status AND #time < :before",
+        ExpressionAttributeNames: {
+          "#status": "status",
+          "#time": timeAttribute,
+        },
+        ExpressionAttributeValues: {
+          ":status": status,
+          ":before": before,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** 指定ステータスの予約を全件取得 */
+export async function scanReservationsByStatus(status) {
+  return sendPaginated(
+    (lastKey) =>
+      new ScanCommand({
+        TableName: RESERVATIONS_TABLE_NAME,
+        FilterExpression: "#status = :status",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: { ":status": status },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** リマインドメール送信済み予約があるか判定 */
+export async function hasReminderEmailSent(performanceId, scheduleId) {
+  const reservations = await queryReservations({ performanceId, scheduleId });
+  return reservations.some((r) => r.reminderEmailSent === true);
+}
+
+/** 公演のアンケートメールを送信済みの予約があるか */
+export async function hasSurveyEmailSent(performanceId) {
+  const reservations = await queryReservations({ performanceId });
+  return reservations.some((r) => r.surveyEmailSent === true);
+}
+
+/** reservation.confirmationEmailSent=true に更新 */
+export async function markConfirmationEmailSent(reservationId) {
+  await setFlag(reservationId, "confirmationEmailSent");
+}
+
+/** reservation.reminderEmailSent=true に更新 */
+export async function markReminderEmailSent(reservationId) {
+  await setFlag(reservationId, "reminderEmailSent");
+}
+
+/** reservation.surveyEmailSent=true に更新 */
+export async function markSurveyEmailSent(reservationId) {
+  await setFlag(reservationId, "surveyEmailSent");
+}
+
+/**
+ * 決済（paymentId）の返金を依頼中として予約に記録する（返金の依頼より前に呼ぶ）。
+ * refundedPaymentIds（String Set）に paymentId を追加する。
+ * Webhook の再送などで同じ決済の返金をすでに依頼していれば false を返す。
+ */
+export async function claimRefund(reservationId, paymentId) {
+  const command = new UpdateCommand({
+    TableName: RESERVATIONS_TABLE_NAME,
+    Key: { id: reservationId },
+    UpdateExpression: "ADD refundedPaymentIds :paymentIds",
+    ConditionExpression: "NOT contains(refundedPaymentIds, :paymentId)",
+    ExpressionAttributeValues: {
+      ":paymentIds": new Set([paymentId]),
+      ":paymentId": paymentId,
+    },
+  });
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    return false;
+  }
+}
+
+/** 返金の依頼に失敗したとき、claimRefund の記録を取り消す（再試行できるように） */
+export async function releaseRefundClaim(reservationId, paymentId) {
+  const command = new UpdateCommand({
+    TableName: RESERVATIONS_TABLE_NAME,
+    Key: { id: reservationId },
+    UpdateExpression: "DELETE refundedPaymentIds :paymentIds",
+    ExpressionAttributeValues: {
+      ":paymentIds": new Set([paymentId]),
+    },
+  });
+  await dynamodb.send(command);
+}
+
+/**
+ * 返金依頼を予約に記録する。
+ * refunds に履歴を追加し、refundStatus を requested にする。
+ */
+export async function addRefundRequest(reservationId, refund) {
+  const command = new UpdateCommand({
+    TableName: RESERVATIONS_TABLE_NAME,
+    Key: { id: reservationId },
+    UpdateExpression:
+      "SET refunds = list_append(if_not_exists(refunds, :empty), :refund), refundStatus = :requested, updatedAt = :updatedAt",
+    ExpressionAttributeValues: {
+      ":empty": [],
+      ":refund": [refund],
+      ":requested": "requested",
+      ":updatedAt": new Date().toISOString(),
+    },
+  });
+  await dynamodb.send(command);
+}
+
+async function setFlag(reservationId, attributeName) {
+  const command = new UpdateCommand({
+    TableName: RESERVATIONS_TABLE_NAME,
+    Key: { id: reservationId },
+    UpdateExpression: "SET #flag = :sent",
+    ExpressionAttributeNames: { "#flag": attributeName },
+    ExpressionAttributeValues: {
+      ":sent": true,
+    },
+  });
+
+  await dynamodb.send(command);
+}
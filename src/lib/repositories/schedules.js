@@ -0,0 +1,177 @@
+import {
+  GetCommand,
+  QueryCommand,
+  PutCommand,
+  DeleteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { dynamodb, sendPaginated, SCHEDULES_TABLE_NAME } from "../db.js";
+
+export function generateScheduleId() {
+  return `SCH${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/** スケジュールを1件取得 */
+export async function getSchedule(performanceId, scheduleId) {
+  const command = new GetCommand({
+    TableName: SCHEDULES_TABLE_NAME,
+    Key: { performanceId, id: scheduleId },
+  });
+  const result = await dynamodb.send(command);
+  return result.Item;
+}
+
+/** 公演の全スケジュールを取得 */
+export async function listSchedules(performanceId) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: SCHEDULES_TABLE_NAME,
+        KeyConditionExpression: "performanceId = :pid",
+        ExpressionAttributeValues: {
+          ":pid": performanceId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** 指定日 (YYYY-MM-DD) のスケジュールを取得 (Index: DateIndex) */
+export async function listSchedulesByDate(date) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: SCHEDULES_TABLE_NAME,
+        IndexName: "DateIndex",
+        KeyConditionExpression: "#date = :date",
+        ExpressionAttributeNames: {
+          "#date": "date",
+        },
+        ExpressionAttributeValues: {
+          ":date": date,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/**
+ * 総座席数・入場URL・券種設定・予約締め切りを更新する TransactWrite 項目。
+ * 総座席数を変える場合は残席カウンタも差分だけ動かし、
+ * 読み込み後に総座席数が変わっていたら（減らす場合は残席が足りなければ）
+ * 条件チェックで失敗する。
+ * 券種設定は券種ごとの残数 (ticketTierRemaining) と一緒に置き換え、
+ * 読み込み後に券種ごとの残数が変わっていた場合も同様に失敗する。
+ * 更新する項目がなければ null
+ */
+export function updateScheduleSettingsTransactItem(
+  schedule,
+  {
+    totalSeats,
+    entryUrl,
+    ticketTiers,
+    ticketTierRemaining,
+    reservationEndTime,
+    reservationCutoffMinutes,
+  }
+) {
+  const updateSet = [];
+  const attrNames = {};
+  const attrValues = {};
+  let addExpr = "";
+  const conditions = [];
+
+  if (totalSeats !== undefined) {
+    updateSet.push("#ts = :ts");
+    attrNames["#ts"] = "totalSeats";
+    attrValues[":ts"] = totalSeats;
+    addExpr = " ADD remainingSeats :delta";
+    attrValues[":delta"] = totalSeats - schedule.totalSeats;
+    attrValues[":oldTs"] = schedule.totalSeats;
+    conditions.push("#ts = :oldTs");
+    // 減らす場合は、読み込み後に入った予約で残席が足りなくなっていないこと
+    if (totalSeats < schedule.totalSeats) {
+      attrValues[":shrink"] = schedule.totalSeats - totalSeats;
+      conditions.push("remainingSeats >= :shrink");
+    }
+  }
+  if (entryUrl !== undefined) {
+    updateSet.push("#eu = :eu");
+    attrNames["#eu"] = "entryUrl";
+    attrValues[":eu"] = entryUrl;
+  }
+  if (reservationEndTime !== undefined) {
+    updateSet.push("#ret = :ret");
+    attrNames["#ret"] = "reservationEndTime";
+    attrValues[":ret"] = reservationEndTime;
+  }
+  if (reservationCutoffMinutes !== undefined) {
+    updateSet.push("#rcm = :rcm");
+    attrNames["#rcm"] = "reservationCutoffMinutes";
+    attrValues[":rcm"] = reservationCutoffMinutes;
+  }
+  if (ticketTiers !== undefined) {
+    updateSet.push("#tt = :tt", "#tr = :tr");
+    attrNames["#tt"] = "ticketTiers";
+    attrNames["#tr"] = "ticketTierRemaining";
+    attrValues[":tt"] = ticketTiers;
+    attrValues[":tr"] = ticketTierRemaining;
+    if (schedule.ticketTierRemaining) {
+      attrValues[":oldTr"] = schedule.ticketTierRemaining;
+      conditions.push("#tr = :oldTr");
+    } else {
+      conditions.push("attribute_not_exists(#tr)");
+    }
+  }
+
+  if (updateSet.length === 0) return null;
+
+  return {
+    Update: {
+      TableName: SCHEDULES_TABLE_NAME,
+      Key: { performanceId: schedule.performanceId, id: schedule.id },
+      UpdateExpression: "SET " + updateSet.join(", ") + addExpr,
+      ConditionExpression: conditions.length
+        ? conditions.join(" AND ")
+        : undefined,
+      ExpressionAttributeNames: attrNames,
+      ExpressionAttributeValues: attrValues,
+    },
+  };
+}
+
+/** 新しいスケジュールを作成する TransactWrite 項目（同じ ID があれば失敗） */
+export function putScheduleTransactItem(schedule) {
+  return {
+    Put: {
+      TableName: SCHEDULES_TABLE_NAME,
+      Item: schedule,
+      ConditionExpression: "attribute_not_exists(id)",
+    },
+  };
+}
+
+/** 新しいスケジュールを作成する（同じ ID があれば失敗） */
+export async function putSchedule(schedule) {
+  await dynamodb.send(new PutCommand(putScheduleTransactItem(schedule).Put));
+}
+
+/**
+ * スケジュールを削除する。
+ * 仮予約・確定済みの座席が残っている場合は削除せず false を返す。
+ */
+export async function deleteSchedule(schedule) {
+  const command = new DeleteCommand({
+    TableName: SCHEDULES_TABLE_NAME,
+    Key: { performanceId: schedule.performanceId, id: schedule.id },
+    ConditionExpression:
+      "attribute_exists(id) AND (attribute_not_exists(pendingSeats) OR pendingSeats = :zero) AND (attribute_not_exists(confirmedSeats) OR confirmedSeats = :zero)",
+    ExpressionAttributeValues: { ":zero": 0 },
+  });
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    return false;
+  }
+}
@@ -0,0 +1,86 @@
+import { PutCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { dynamodb, sendPaginated, WAITLIST_TABLE_NAME } from "../db.js";
+
+/** Waitlistテーブルのパーティションキー */
+export function getWaitlistKey(performanceId, scheduleId) {
+  return `${performanceId}#${scheduleId}`;
+}
+
+/** 時刻順に並ぶよう、ソートキーの先頭に Date.now() を置く */
+export function generateWaitlistId() {
+  return `WL${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/** 待機中のエントリを先着順で取得 */
+export async function listWaitingEntries(performanceId, scheduleId) {
+  return sendPaginated(
+    (lastKey) =>
+      new QueryCommand({
+        TableName: WAITLIST_TABLE_NAME,
+        KeyConditionExpression: "scheduleKey = :key",
+        FilterExpression: "#status = :waiting",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":key": getWaitlistKey(performanceId, scheduleId),
+          ":waiting": "waiting",
+        },
+        ExclusiveStartKey: lastKey,
+      })
+  );
+}
+
+/** 待機中のエントリ件数 */
+export async function countWaitingEntries(performanceId, scheduleId) {
+  const entries = await listWaitingEntries(performanceId, scheduleId);
+  return entries.length;
+}
+
+export async function putWaitlistEntry(entry) {
+  const command = new PutCommand({
+    TableName: WAITLIST_TABLE_NAME,
+    Item: entry,
+    ConditionExpression: "attribute_not_exists(id)",
+  });
+  await dynamodb.send(command);
+}
+
+/** 待機中のエントリのステータスを更新。待機中でなければ何もしない */
+export async function updateWaitingEntryStatus(entry, status) {
+  const command = new UpdateCommand({
+    TableName: WAITLIST_TABLE_NAME,
+    Key: { scheduleKey: entry.scheduleKey, id: entry.id },
+    UpdateExpression: "SET #status = :status, updatedAt = :updatedAt",
+    ConditionExpression: "#status = :waiting",
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: {
+      ":status": status,
+      ":waiting": "waiting",
+      ":updatedAt": new Date().toISOString(),
+    },
+  });
+  try {
+    await dynamodb.send(command);
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+  }
+}
+
+/** エントリを offered に更新するトランザクション項目 */
+export function offerEntryTransactItem(entry, reservationId, now) {
+  return {
+    Update: {
+      TableName: WAITLIST_TABLE_NAME,
+      Key: { scheduleKey: entry.scheduleKey, id: entry.id },
+      UpdateExpression:
+        "SET #status = :offered, reservationId = :rid, offeredAt = :now, updatedAt = :now",
+      ConditionExpression: "#status = :waiting",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":offered": "offered",
+        ":waiting": "waiting",
+        ":rid": reservationId,
+        ":now": now,
+      },
+    },
+  };
+}
@@ -0,0 +1,146 @@
+import {
+  cancelReservation,
+  createPendingReservation,
+  confirmPendingReservation,
+} from "./reservationLifecycle.js";
+import {
+  createAttendeesIfNotExists,
+  deleteAttendeesForReservation,
+} from "./attendeeSync.js";
+import { markConfirmationEmailSent } from "./repositories/reservations.js";
+import { SEAT_COUNTER_BY_STATUS } from "./seats.js";
+import { promoteWaitlistSafely } from "./waitlist.js";
+import { requestRefundSafely } from "./payments/index.js";
+import { sendReservationConfirmedEmail } from "./emails.js";
+import { publishDashboardUpdate } from "./livePush.js";
+import {
+  recordAudit,
+  recordReservationStatusChange,
+  reservationSnapshot,
+} from "./audit.js";
+
+/**
+ * お客様・管理者の操作で共通の、予約の確定・キャンセルに伴う後処理
+ * （Attendees の作成・削除、返金、キャンセル待ちの繰り上げ、監査ログ、受付ダッシュボードの更新）。
+ */
+
+/**
+ * 確定した予約の Attendees を作成し、確定メールを送る。
+ * confirmReservation・決済 Webhook・管理者による予約作成で共通。
+ * 途中で失敗した場合に再実行できるよう、Attendees は重複を作らず、確定メールは送信済みなら送らない。
+ * @param {object} options
+ * @param {boolean} [options.sendEmail] 確定メールを送るか（既定 true）
+ * @param {string} options.service 通知に使うサービス名
+ */
+export async function completeConfirmation(
+  reservation,
+  performance,
+  schedule,
+  { sendEmail = true, service }
+) {
+  // Attendees 作成（重複チェック込み）
+  await createAttendeesIfNotExists(reservation);
+
+  // 受付ダッシュボードの座席数・参加者数を更新
+  await publishDashboardUpdate(
+    reservation.performanceId,
+    reservation.scheduleId,
+    service
+  );
+
+  if (sendEmail && reservation.email && !reservation.confirmationEmailSent) {
+    await sendReservationConfirmedEmail(reservation, performance, schedule);
+    await markConfirmationEmailSent(reservation.id);
+  }
+}
+
+/**
+ * 予約をキャンセルし、Attendees の削除・支払い済みなら返金・キャンセル待ちの繰り上げを行う。
+ * @param {object} options
+ * @param {{ type: string, id: string }} options.actor 監査ログに記録する操作者
+ * @param {string} options.refundReason 返金の理由
+ * @param {string} options.service 通知に使うサービス名
+ * @returns キャンセル直前の予約。すでにキャンセル済みだった場合は null
+ */
+export async function cancelReservationWithCleanup(
+  reservation,
+  { actor, refundReason, service }
+) {
+  // 予約ステータスを canceled に更新し、確保していた座席を解放
+  const canceled = await cancelReservation(reservation);
+  if (!canceled) {
+    return null;
+  }
+
+  await recordReservationStatusChange(
+    canceled,
+    { status: "canceled" },
+    actor,
+    service
+  );
+
+  // Attendeesテーブルのレコードを削除
+  await deleteAttendeesForReservation(canceled.id);
+
+  // 受付ダッシュボードの座席数・参加者数を更新
+  await publishDashboardUpdate(
+    canceled.performanceId,
+    canceled.scheduleId,
+    service
+  );
+
+  // 支払い済みなら返金を依頼して記録する
+  if (canceled.paymentStatus === "paid") {
+    await requestRefundSafely(canceled, { reason: refundReason }, service);
+  }
+
+  // 座席が空いたのでキャンセル待ちを繰り上げる
+  if (SEAT_COUNTER_BY_STATUS[canceled.status]) {
+    await promoteWaitlistSafely(
+      canceled.performanceId,
+      canceled.scheduleId,
+      service
+    );
+  }
+
+  return canceled;
+}
+
+/**
+ * 確認メールを経ずに確定済みの予約を作成する（管理者による当日受付・招待など）。
+ * 座席の確保は通常の予約と同じ仮予約のトランザクションで行い、すぐに確定する。
+ * @returns 作成した予約。残席不足なら null
+ */
+export async function createConfirmedReservation(
+  reservation,
+  performance,
+  schedule,
+  { actor, sendEmail, service }
+) {
+  const created = await createPendingReservation(reservation);
+  if (!created) {
+    return null;
+  }
+  if (!(await confirmPendingReservation(reservation))) {
+    throw new Error(`Failed to confirm reservation ${reservation.id}`);
+  }
+
+  const confirmed = { ...reservation, status: "confirmed" };
+  await recordAudit(
+    {
+      performanceId: reservation.performanceId,
+      entityType: "reservation",
+      entityId: reservation.id,
+      action: "reservation.create",
+      actor,
+      after: reservationSnapshot(confirmed),
+    },
+    service
+  );
+
+  await completeConfirmation(confirmed, performance, schedule, {
+    sendEmail,
+    service,
+  });
+  return confirmed;
+}
@@ -0,0 +1,408 @@
+import {
+  RESERVATIONS_TABLE_NAME,
+  transactWrite,
+  isConditionFailure,
+} from "./db.js";
+import { getReservation } from "./repositories/reservations.js";
+import {
+  holdSeatsTransactItem,
+  confirmSeatsTransactItem,
+  releaseSeatsTransactItem,
+  adjustSeatsTransactItem,
+} from "./seats.js";
+
+/**
+ * 予約の状態遷移。ステータス更新と座席カウンタの増減を同一トランザクションで行う。
+ *   (作成) → pending → confirmed → canceled
+ *                   ↘ expired   ↗
+ * 有料の予約は pending → awaiting_payment（決済待ち）→ confirmed と進み、
+ * 決済待ちのまま期限を過ぎれば expired になる。
+ * confirmed の間は席数・備考の変更、同じ公演の別スケジュールへの移動ができる。
+ * 無断キャンセルの多いお客様の予約は pending → awaiting_approval（承認待ち）で座席を確保したまま止め、
+ * 管理者が承認すると pending に戻る（確認メールから通常どおり確定する）。
+ * 公演後、誰もチェックインしなかった confirmed の予約は no_show になる。
+ */
+
+const MAX_CANCEL_ATTEMPTS = 3;
+
+export function generateReservationId() {
+  return `RES${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+export function generateConfirmationCode() {
+  return Math.random().toString(36).substr(2, 8).toUpperCase();
+}
+
+/**
+ * 仮予約を作成し、座席を確保する。
+ * extraTransactItems は同じトランザクションで書き込む追加項目。
+ * 残席不足（または追加項目の条件失敗）の場合は false を返す。
+ */
+export async function createPendingReservation(
+  reservation,
+  extraTransactItems = []
+) {
+  try {
+    await transactWrite([
+      {
+        Put: {
+          TableName: RESERVATIONS_TABLE_NAME,
+          Item: {
+            ...reservation,
+            status: "pending",
+          },
+          ConditionExpression: "attribute_not_exists(id)",
+        },
+      },
+      holdSeatsTransactItem(reservation),
+      ...extraTransactItems,
+    ]);
+    return true;
+  } catch (error) {
+    // 予約IDの衝突は想定外なのでそのままエラーにする
+    if (isConditionFailure(error) && !isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * pending の予約を confirmed にする。
+ * 失効処理などと競合してすでに pending でなければ false を返す。
+ */
+export async function confirmPendingReservation(reservation) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, "pending", "confirmed"),
+      confirmSeatsTransactItem(reservation),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * pending の予約を awaiting_payment にし、決済の情報を記録する。
+ * 座席は仮予約のまま確保し続ける。すでに pending でなければ false を返す。
+ */
+export async function startPayment(reservation, payment) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, "pending", "awaiting_payment", {
+        paymentProvider: payment.provider,
+        paymentId: payment.paymentId,
+        paymentCheckoutUrl: payment.checkoutUrl,
+        paymentStatus: "awaiting",
+        paymentRequestedAt: new Date().toISOString(),
+      }),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 決済が完了した awaiting_payment の予約を confirmed にする。
+ * 失効処理などと競合してすでに awaiting_payment でなければ false を返す。
+ */
+export async function confirmPaidReservation(reservation) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, "awaiting_payment", "confirmed", {
+        paymentStatus: "paid",
+        paidAt: new Date().toISOString(),
+      }),
+      confirmSeatsTransactItem(reservation),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * pending の予約を awaiting_approval（管理者の承認待ち）にする。
+ * 座席は仮予約のまま確保し続ける。すでに pending でなければ false を返す。
+ */
+export async function holdForApproval(reservation) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, "pending", "awaiting_approval"),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 承認待ちの予約を承認して pending に戻す。
+ * 確定の期限は approvedAt から数える。すでに awaiting_approval でなければ false を返す。
+ */
+export async function approveReservation(reservation, approvedBy) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, "awaiting_approval", "pending", {
+        approvedAt: new Date().toISOString(),
+        approvedBy,
+      }),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 公演後、誰もチェックインしなかった confirmed の予約を no_show にする。
+ * 座席は確定分（confirmedSeats）に数えたままにする。すでに confirmed でなければ false を返す。
+ */
+export async function markNoShow(reservation) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, "confirmed", "no_show", {
+        noShowAt: new Date().toISOString(),
+      }),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 未確定（pending / awaiting_payment）の予約を expired にして座席を解放する。
+ * すでに別のステータスに変わっていれば false を返す。
+ */
+export async function expireUnconfirmedReservation(reservation) {
+  try {
+    await transactWrite([
+      statusUpdateTransactItem(reservation, reservation.status, "expired"),
+      releaseSeatsTransactItem(reservation),
+    ]);
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 予約を canceled にし、座席を確保していれば解放する。
+ * 確定処理などと競合した場合は最新の状態を読み直して再試行する。
+ * @returns キャンセル直前の予約。すでにキャンセル済みだった場合は null
+ */
+export async function cancelReservation(reservation) {
+  let current = reservation;
+  for (let attempt = 1; ; attempt++) {
+    if (current.status === "canceled") {
+      return null;
+    }
+
+    const transactItems = [
+      statusUpdateTransactItem(current, current.status, "canceled"),
+    ];
+    const releaseItem = releaseSeatsTransactItem(current);
+    if (releaseItem) {
+      transactItems.push(releaseItem);
+    }
+
+    try {
+      await transactWrite(transactItems);
+      return current;
+    } catch (error) {
+      if (!isConditionFailure(error, 0) || attempt >= MAX_CANCEL_ATTEMPTS) {
+        throw error;
+      }
+    }
+
+    current = await getReservation(reservation.id);
+  }
+}
+
+/**
+ * 確定済み予約の席数（券種ごとの枚数）・備考を変更する。
+ * 席数の差分は座席カウンタにも反映する。
+ * 予約が読み込み後に変更されていれば（updatedAt が違えば）更新しない。
+ * @param {object} reservation 変更前の予約
+ * @param {object} changes { reservedSeats?, tickets?, totalPrice?, notes? }
+ * @returns {{ updated: boolean, reason?: "NO_SEATS" | "CONFLICT" }}
+ */
+export async function updateConfirmedReservation(reservation, changes) {
+  const sets = ["updatedAt = :updatedAt"];
+  const attrValues = {
+    ":confirmed": "confirmed",
+    ":oldUpdatedAt": reservation.updatedAt,
+    ":updatedAt": new Date().toISOString(),
+  };
+  for (const field of ["reservedSeats", "tickets", "totalPrice", "notes"]) {
+    if (changes[field] !== undefined) {
+      sets.push(`${field} = :${field}`);
+      attrValues[`:${field}`] = changes[field];
+    }
+  }
+
+  const transactItems = [
+    {
+      Update: {
+        TableName: RESERVATIONS_TABLE_NAME,
+        Key: { id: reservation.id },
+        UpdateExpression: "SET " + sets.join(", "),
+        ConditionExpression:
+          "#status = :confirmed AND updatedAt = :oldUpdatedAt",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: attrValues,
+      },
+    },
+  ];
+  const delta =
+    changes.reservedSeats === undefined
+      ? 0
+      : changes.reservedSeats - reservation.reservedSeats;
+  const ticketsDelta = changes.tickets
+    ? diffTickets(changes.tickets, reservation.tickets)
+    : undefined;
+  if (delta !== 0 || ticketsDelta) {
+    transactItems.push(
+      adjustSeatsTransactItem(
+        { ...reservation, status: "confirmed" },
+        delta,
+        ticketsDelta
+      )
+    );
+  }
+
+  try {
+    await transactWrite(transactItems);
+    return { updated: true };
+  } catch (error) {
+    if (isConditionFailure(error, 0)) {
+      return { updated: false, reason: "CONFLICT" };
+    }
+    if (isConditionFailure(error, 1)) {
+      return { updated: false, reason: "NO_SEATS" };
+    }
+    throw error;
+  }
+}
+
+/**
+ * 確定済み予約を同じ公演の別スケジュールに移す。
+ * 旧スケジュールの座席解放と新スケジュールの座席確保を同一トランザクションで行い、
+ * 新しい回のリマインド・アンケートが届くよう送信済みフラグを消す。
+ * @param {object} [options]
+ * @param {number} [options.totalPrice] 移動先の料金で計算し直した合計金額（券種のある予約）
+ * @param {Array<object>} [options.extraTransactItems] 同じトランザクションで書き込む追加項目（Attendees の移動など）
+ * @returns {{ updated: boolean, reason?: "NO_SEATS" | "CONFLICT" }}
+ */
+export async function transferConfirmedReservation(
+  reservation,
+  newScheduleId,
+  { totalPrice, extraTransactItems = [] } = {}
+) {
+  const transactItems = [
+    {
+      Update: {
+        TableName: RESERVATIONS_TABLE_NAME,
+        Key: { id: reservation.id },
+        UpdateExpression: `SET scheduleId = :newScheduleId, updatedAt = :updatedAt${
+          totalPrice !== undefined ? ", totalPrice = :totalPrice" : ""
+        } REMOVE reminderEmailSent, surveyEmailSent`,
+        ConditionExpression:
+          "#status = :confirmed AND scheduleId = :oldScheduleId AND updatedAt = :oldUpdatedAt",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":confirmed": "confirmed",
+          ":oldScheduleId": reservation.scheduleId,
+          ":newScheduleId": newScheduleId,
+          ":oldUpdatedAt": reservation.updatedAt,
+          ":updatedAt": new Date().toISOString(),
+          ...(totalPrice !== undefined && { ":totalPrice": totalPrice }),
+        },
+      },
+    },
+    adjustSeatsTransactItem(
+      { ...reservation, status: "confirmed", scheduleId: newScheduleId },
+      reservation.reservedSeats,
+      reservation.tickets
+    ),
+    releaseSeatsTransactItem(reservation, "confirmed"),
+    ...extraTransactItems,
+  ];
+
+  try {
+    await transactWrite(transactItems);
+    return { updated: true };
+  } catch (error) {
+    if (isConditionFailure(error, 1)) {
+      return { updated: false, reason: "NO_SEATS" };
+    }
+    if (isConditionFailure(error)) {
+      return { updated: false, reason: "CONFLICT" };
+    }
+    throw error;
+  }
+}
+
+/** 券種ごとの枚数の差分（after - before） */
+function diffTickets(after, before = {}) {
+  const tierIds = new Set([...Object.keys(after), ...Object.keys(before)]);
+  return Object.fromEntries(
+    [...tierIds].map((tierId) => [
+      tierId,
+      (after[tierId] || 0) - (before[tierId] || 0),
+    ])
+  );
+}
+
+/** ステータスを fromStatus → toStatus に更新する。extraFields も同時に SET する */
+function statusUpdateTransactItem(
+  reservation,
+  fromStatus,
+  toStatus,
+  extraFields = {}
+) {
+  const extraEntries = Object.entries(extraFields);
+  return {
+    Update: {
+      TableName: RESERVATIONS_TABLE_NAME,
+      Key: { id: reservation.id },
+      UpdateExpression:
+        "SET #status = :to, updatedAt = :updatedAt" +
+        extraEntries.map(([key]) => `, ${key} = :${key}`).join(""),
+      ConditionExpression: "#status = :from",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":from": fromStatus,
+        ":to": toStatus,
+        ":updatedAt": new Date().toISOString(),
+        ...Object.fromEntries(
+          extraEntries.map(([key, value]) => [`:${key}`, value])
+        ),
+      },
+    },
+  };
+}
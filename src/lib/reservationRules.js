@@ -0,0 +1,52 @@
+import {
+  queryReservations,
+  ACTIVE_STATUSES,
+} from "./repositories/reservations.js";
+
+/** checkExistingReservation の reason ごとのエラー */
+export const RESERVATION_CHECK_ERRORS = {
+  SAME_SCHEDULE: {
+    errorCode: "E004",
+    errorMessage:
+      "A reservation already exists for this schedule and email address",
+  },
+  MAX_PERFORMANCE_REACHED: {
+    errorCode: "E005",
+    errorMessage: "Maximum number of reservations reached for this performance",
+  },
+};
+
+/**
+ * 同一スケジュールへの重複予約と、公演あたりの予約数上限をチェックする。
+ * 既存予約のスケジュール変更では excludeReservationId にその予約を指定する。
+ * @returns {{ allowed: boolean, reason?: "SAME_SCHEDULE" | "MAX_PERFORMANCE_REACHED" }}
+ */
+export async function checkExistingReservation(
+  performanceId,
+  scheduleId,
+  email,
+  maxReservations,
+  excludeReservationId
+) {
+  const activeReservations = (
+    await queryReservations({
+      performanceId,
+      email,
+      statuses: ACTIVE_STATUSES,
+    })
+  ).filter((r) => r.id !== excludeReservationId);
+
+  if (activeReservations.some((r) => r.scheduleId === scheduleId)) {
+    return { allowed: false, reason: "SAME_SCHEDULE" };
+  }
+
+  if (
+    typeof maxReservations === "number" &&
+    maxReservations > 0 &&
+    activeReservations.length >= maxReservations
+  ) {
+    return { allowed: false, reason: "MAX_PERFORMANCE_REACHED" };
+  }
+
+  return { allowed: true };
+}
@@ -0,0 +1,204 @@
+import { getPerformance } from "./repositories/performances.js";
+import { getSchedule } from "./repositories/schedules.js";
+import {
+  listAttendeesByReservation,
+  moveAttendeeTransactItem,
+} from "./repositories/attendees.js";
+import {
+  checkExistingReservation,
+  RESERVATION_CHECK_ERRORS,
+} from "./reservationRules.js";
+import { transferConfirmedReservation } from "./reservationLifecycle.js";
+import { isReservationClosed } from "./reservationWindow.js";
+import { sendReservationChangedEmail } from "./emails.js";
+import {
+  getTicketTiers,
+  validateTickets,
+  calculateTotalPrice,
+} from "./ticketTiers.js";
+import { promoteWaitlistSafely } from "./waitlist.js";
+import { recordAudit, reservationSnapshot } from "./audit.js";
+
+/** transferReservation の reason ごとのエラー（statusCode 省略時は 400） */
+export const TRANSFER_ERRORS = {
+  ...RESERVATION_CHECK_ERRORS,
+  NOT_CONFIRMED: {
+    errorCode: "E008",
+    errorMessage: "Only confirmed reservations can be transferred",
+  },
+  SAME_SCHEDULE_SELECTED: {
+    errorCode: "E002",
+    errorMessage: "Reservation is already for this schedule",
+  },
+  SCHEDULE_NOT_FOUND: {
+    statusCode: 404,
+    errorCode: "E002",
+    errorMessage: "Schedule not found",
+  },
+  CLOSED: {
+    errorCode: "E008",
+    errorMessage: "Reservations for this schedule are closed",
+  },
+  CHECKED_IN: {
+    errorCode: "E008",
+    errorMessage: "Attendees have already checked in",
+  },
+  TICKET_TIERS_MISMATCH: {
+    errorCode: "E010",
+    errorMessage: "The selected schedule does not offer the same ticket tiers",
+  },
+  PRICE_CHANGED: {
+    errorCode: "E008",
+    errorMessage:
+      "The price on the selected schedule differs from the paid amount",
+  },
+  NO_SEATS: {
+    errorCode: "E001",
+    errorMessage: "Not enough available seats",
+  },
+  CONFLICT: {
+    statusCode: 409,
+    errorCode: "E008",
+    errorMessage: "Reservation was changed by another request. Please reload.",
+  },
+};
+
+/**
+ * 確定済み予約を同じ公演の別スケジュールに移す。
+ * 座席・Attendees の移動は1トランザクションで行い、完了後に変更完了メールを送り、
+ * 空いた旧スケジュールのキャンセル待ちを繰り上げる。
+ * @param {object} options
+ * @param {boolean} [options.ignoreReservationWindow] 管理者操作では受付締め切りを無視する
+ * @param {{ type: string, id: string }} options.actor 監査ログに記録する操作者
+ * @param {string} options.service 通知に使うサービス名
+ * @returns {{ transferred: boolean, reason?: string, reservation?: object, performance?: object, schedule?: object, previousSchedule?: object }}
+ */
+export async function transferReservation(
+  reservation,
+  newScheduleId,
+  { ignoreReservationWindow = false, actor, service }
+) {
+  if (reservation.status !== "confirmed") {
+    return { transferred: false, reason: "NOT_CONFIRMED" };
+  }
+  if (reservation.scheduleId === newScheduleId) {
+    return { transferred: false, reason: "SAME_SCHEDULE_SELECTED" };
+  }
+
+  const { performanceId } = reservation;
+  const [performance, previousSchedule, schedule] = await Promise.all([
+    getPerformance(performanceId),
+    getSchedule(performanceId, reservation.scheduleId),
+    getSchedule(performanceId, newScheduleId),
+  ]);
+  if (!schedule) {
+    return { transferred: false, reason: "SCHEDULE_NOT_FOUND" };
+  }
+  if (!performance || !previousSchedule) {
+    throw new Error(
+      `Performance or schedule not found: ${performanceId}, ${reservation.scheduleId}`
+    );
+  }
+
+  // 券種のある回とない回の間では移動しない。
+  // 券種のある予約は、移動先にも同じ券種（と1予約あたりの上限）が必要
+  const ticketTiers = getTicketTiers(schedule);
+  if (
+    Boolean(getTicketTiers(previousSchedule)) !== Boolean(ticketTiers) ||
+    (reservation.tickets && validateTickets(reservation.tickets, schedule))
+  ) {
+    return { transferred: false, reason: "TICKET_TIERS_MISMATCH" };
+  }
+
+  // 料金は移動先の券種の料金で計算し直す。支払い済みの予約は料金が変わるなら移動しない
+  const totalPrice =
+    reservation.tickets && ticketTiers
+      ? calculateTotalPrice(reservation.tickets, ticketTiers)
+      : undefined;
+  if (
+    reservation.paymentStatus === "paid" &&
+    totalPrice !== undefined &&
+    totalPrice !== reservation.totalPrice
+  ) {
+    return { transferred: false, reason: "PRICE_CHANGED" };
+  }
+
+  if (
+    !ignoreReservationWindow &&
+    (isReservationClosed(previousSchedule, performance) ||
+      isReservationClosed(schedule, performance))
+  ) {
+    return { transferred: false, reason: "CLOSED" };
+  }
+
+  // 移動先について、新規予約と同じ重複・上限チェックを行う（この予約自身は除く）
+  const reservationCheck = await checkExistingReservation(
+    performanceId,
+    newScheduleId,
+    reservation.email,
+    performance.maxReservations,
+    reservation.id
+  );
+  if (!reservationCheck.allowed) {
+    return { transferred: false, reason: reservationCheck.reason };
+  }
+
+  // チェックイン済みの参加者がいる予約は移動しない
+  const attendees = await listAttendeesByReservation(reservation.id);
+  if (attendees.some((a) => a.checkedIn)) {
+    return { transferred: false, reason: "CHECKED_IN" };
+  }
+
+  const result = await transferConfirmedReservation(
+    reservation,
+    newScheduleId,
+    {
+      totalPrice,
+      extraTransactItems: attendees.map((a) =>
+        moveAttendeeTransactItem(a, newScheduleId)
+      ),
+    }
+  );
+  if (!result.updated) {
+    return { transferred: false, reason: result.reason };
+  }
+
+  const { reminderEmailSent, surveyEmailSent, ...rest } = reservation;
+  const transferred = {
+    ...rest,
+    scheduleId: newScheduleId,
+    ...(totalPrice !== undefined && { totalPrice }),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await recordAudit(
+    {
+      performanceId,
+      entityType: "reservation",
+      entityId: reservation.id,
+      action: "reservation.transfer",
+      actor,
+      before: reservationSnapshot(reservation),
+      after: reservationSnapshot(transferred),
+    },
+    service
+  );
+
+  await sendReservationChangedEmail(
+    transferred,
+    performance,
+    schedule,
+    previousSchedule
+  );
+
+  // 旧スケジュールに空いた座席でキャンセル待ちを繰り上げる
+  await promoteWaitlistSafely(performanceId, reservation.scheduleId, service);
+
+  return {
+    transferred: true,
+    reservation: transferred,
+    performance,
+    schedule,
+    previousSchedule,
+  };
+}
@@ -0,0 +1,65 @@
+import { getJSTDate, getScheduleStartTime } from "./dates.js";
+
+/**
+ * 予約受付の締め切り。
+ * スケジュール → 公演の順に、先に見つかった設定を使う。
+ *   reservationEndTime      : 締め切り日時 (ISO8601)
+ *   reservationCutoffMinutes: 開演の何分前で締め切るか
+ * どちらも未設定（null）なら開演 60 分前。設定にかかわらず開演後は受け付けない。
+ */
+
+// 開演の何分前で予約受付を締め切るか（既定値）
+export const DEFAULT_RESERVATION_CUTOFF_MINUTES = 60;
+const MAX_RESERVATION_CUTOFF_MINUTES = 7 * 24 * 60;
+
+/** スケジュールの予約受付終了時刻（日本時間の壁時計） */
+export function getReservationEndTime(schedule, performance) {
+  const startTime = getScheduleStartTime(schedule);
+  const settings = [schedule, performance].find(hasReservationEndSetting) || {};
+
+  if (settings.reservationEndTime != null) {
+    const endTime = getJSTDate(new Date(settings.reservationEndTime));
+    return endTime < startTime ? endTime : startTime;
+  }
+
+  const cutoffMinutes =
+    settings.reservationCutoffMinutes ?? DEFAULT_RESERVATION_CUTOFF_MINUTES;
+  return new Date(startTime.getTime() - cutoffMinutes * 60 * 1000);
+}
+
+/** 予約受付（予約・確定・変更）を締め切っているか */
+export function isReservationClosed(schedule, performance) {
+  return getJSTDate() >= getReservationEndTime(schedule, performance);
+}
+
+/**
+ * 締め切り設定の入力チェック。null は設定の解除（上位の設定・既定値に戻す）。
+ * @returns エラーメッセージ。問題なければ null
+ */
+export function validateReservationEndSettings({
+  reservationEndTime,
+  reservationCutoffMinutes,
+}) {
+  if (
+    reservationEndTime != null &&
+    (typeof reservationEndTime !== "string" ||
+      isNaN(new Date(reservationEndTime).getTime()))
+  ) {
+    return "Invalid reservationEndTime (must be valid ISO8601, e.g. 2025-03-08T18:00:00+09:00)";
+  }
+  if (
+    reservationCutoffMinutes != null &&
+    (!Number.isInteger(reservationCutoffMinutes) ||
+      reservationCutoffMinutes < 0 ||
+      reservationCutoffMinutes > MAX_RESERVATION_CUTOFF_MINUTES)
+  ) {
+    return `reservationCutoffMinutes must be an integer between 0 and ${MAX_RESERVATION_CUTOFF_MINUTES}`;
+  }
+  return null;
+}
+
+function hasReservationEndSetting(item) {
+  return (
+    item?.reservationEndTime != null || item?.reservationCutoffMinutes != null
+  );
+}
@@ -0,0 +1,113 @@
+import { THEATER_CAPACITY } from "./seats.js";
+import {
+  validateTicketTiersConfig,
+  calculateTicketTierRemaining,
+} from "./ticketTiers.js";
+import {
+  getJSTDate,
+  getScheduleStartTime,
+  isValidDateString,
+  isValidTimeString,
+} from "./dates.js";
+import { generateScheduleId } from "./repositories/schedules.js";
+import { validateReservationEndSettings } from "./reservationWindow.js";
+import { isPaidReservationAvailable } from "./payments/index.js";
+
+/**
+ * 新しいスケジュールの入力を検証し、保存する項目を組み立てる。
+ * 座席カウンタは空の状態（残席 = 総座席数）で作る。
+ * @param {string} performanceId
+ * @param {{ date, time, totalSeats, entryUrl?, ticketTiers?, reservationEndTime?, reservationCutoffMinutes? }} input
+ * @param {object[]} otherSchedules 同じ公演の既存（または同時に作成する）スケジュール
+ * @returns {{ schedule?: object, error?: { errorCode: string, message: string } }}
+ */
+export function buildNewSchedule(performanceId, input, otherSchedules) {
+  const {
+    date,
+    time,
+    totalSeats,
+    entryUrl,
+    ticketTiers,
+    reservationEndTime,
+    reservationCutoffMinutes,
+  } = input || {};
+
+  if (!isValidDateString(date) || !isValidTimeString(time)) {
+    return {
+      error: {
+        errorCode: "E109",
+        message: "Invalid date or time (date: YYYY-MM-DD, time: HH:mm)",
+      },
+    };
+  }
+  if (getScheduleStartTime({ date, time }) <= getJSTDate()) {
+    return {
+      error: {
+        errorCode: "E109",
+        message: `Schedule ${date} ${time} is in the past`,
+      },
+    };
+  }
+  if (
+    !Number.isInteger(totalSeats) ||
+    totalSeats <= 0 ||
+    totalSeats > THEATER_CAPACITY
+  ) {
+    return {
+      error: {
+        errorCode: "E102",
+        message: `totalSeats must be an integer between 1 and ${THEATER_CAPACITY}`,
+      },
+    };
+  }
+  if (entryUrl !== undefined && typeof entryUrl !== "string") {
+    return { error: { errorCode: "E109", message: "Invalid entryUrl" } };
+  }
+  const endSettingsError = validateReservationEndSettings({
+    reservationEndTime,
+    reservationCutoffMinutes,
+  });
+  if (endSettingsError) {
+    return { error: { errorCode: "E113", message: endSettingsError } };
+  }
+  if (otherSchedules.some((s) => s.date === date && s.time === time)) {
+    return {
+      error: {
+        errorCode: "E110",
+        message: `Schedule ${date} ${time} already exists`,
+      },
+    };
+  }
+
+  const schedule = {
+    performanceId,
+    id: generateScheduleId(),
+    date,
+    time,
+    totalSeats,
+    remainingSeats: totalSeats,
+    pendingSeats: 0,
+    confirmedSeats: 0,
+    ...(entryUrl !== undefined && { entryUrl }),
+    ...(reservationEndTime != null && { reservationEndTime }),
+    ...(reservationCutoffMinutes != null && { reservationCutoffMinutes }),
+    createdAt: new Date().toISOString(),
+  };
+
+  if (ticketTiers !== undefined) {
+    const configError = validateTicketTiersConfig(ticketTiers, totalSeats, {
+      allowPaid: isPaidReservationAvailable(),
+    });
+    if (configError) {
+      return { error: { errorCode: "E108", message: configError } };
+    }
+    // 予約のない状態から計算するので、ticketTiers はその後に設定する
+    schedule.ticketTierRemaining = calculateTicketTierRemaining(
+      schedule,
+      ticketTiers
+    ).ticketTierRemaining;
+    schedule.ticketTiers = ticketTiers;
+  }
+
+  return { schedule };
+}
@@ -0,0 +1,184 @@
+import { SCHEDULES_TABLE_NAME } from "./db.js";
+
+/**
+ * 座席数はスケジュールごとのカウンタで管理する。
+ *   remainingSeats = totalSeats - pendingSeats - confirmedSeats
+ * 券種のあるスケジュールは ticketTierRemaining（券種ごとの残数）も合わせて増減する。
+ * カウンタの増減は必ず予約の状態変更と同じトランザクションで行う。
+ */
+
+export const THEATER_CAPACITY = 48; // 座席の上限(固定)
+
+// 座席を確保しているステータスと、対応するスケジュール側のカウンタ
+// （決済待ち・承認待ちは仮予約と同じく pendingSeats で確保する。
+//  no_show は公演後のステータスで、確定分の座席として数えたままにする）
+export const SEAT_COUNTER_BY_STATUS = {
+  pending: "pendingSeats",
+  awaiting_payment: "pendingSeats",
+  awaiting_approval: "pendingSeats",
+  confirmed: "confirmedSeats",
+  no_show: "confirmedSeats",
+};
+
+/** 予約可能な残席数 */
+export function getAvailableSeats(schedule) {
+  return schedule.remainingSeats || 0;
+}
+
+/** 仮予約・確定済みで使用中の座席数 */
+export function getOccupiedSeats(schedule) {
+  return (schedule.pendingSeats || 0) + (schedule.confirmedSeats || 0);
+}
+
+/** 残席から仮予約分を確保する。残席不足なら条件チェックで失敗する */
+export function holdSeatsTransactItem(reservation) {
+  return withTierCounters(
+    {
+      Update: {
+        TableName: SCHEDULES_TABLE_NAME,
+        Key: scheduleKey(reservation),
+        UpdateExpression: "ADD remainingSeats :negSeats, pendingSeats :seats",
+        ConditionExpression: "remainingSeats >= :seats",
+        ExpressionAttributeValues: {
+          ":seats": reservation.reservedSeats,
+          ":negSeats": -reservation.reservedSeats,
+        },
+      },
+    },
+    reservation.tickets
+  );
+}
+
+/** 仮予約（決済待ち）分を確定分に移す */
+export function confirmSeatsTransactItem(reservation) {
+  return {
+    Update: {
+      TableName: SCHEDULES_TABLE_NAME,
+      Key: scheduleKey(reservation),
+      UpdateExpression: "ADD pendingSeats :negSeats, confirmedSeats :seats",
+      ExpressionAttributeValues: {
+        ":seats": reservation.reservedSeats,
+        ":negSeats": -reservation.reservedSeats,
+      },
+    },
+  };
+}
+
+/**
+ * 予約が確保していた座席を残席に戻す。
+ * status が座席を確保しないステータスなら null。
+ */
+export function releaseSeatsTransactItem(
+  reservation,
+  status = reservation.status
+) {
+  const counter = SEAT_COUNTER_BY_STATUS[status];
+  if (!counter) return null;
+
+  return withTierCounters(
+    {
+      Update: {
+        TableName: SCHEDULES_TABLE_NAME,
+        Key: scheduleKey(reservation),
+        UpdateExpression: "ADD #counter :negSeats, remainingSeats :seats",
+        ExpressionAttributeNames: { "#counter": counter },
+        ExpressionAttributeValues: {
+          ":seats": reservation.reservedSeats,
+          ":negSeats": -reservation.reservedSeats,
+        },
+      },
+    },
+    negateTickets(reservation.tickets)
+  );
+}
+
+/**
+ * 座席を確保中の予約の席数を delta だけ増減する。
+ * 増やす場合は残席が足りなければ条件チェックで失敗する。
+ * ticketsDelta は券種ごとの増減（券種のある予約のみ）。
+ */
+export function adjustSeatsTransactItem(reservation, delta, ticketsDelta) {
+  const counter = SEAT_COUNTER_BY_STATUS[reservation.status];
+  if (!counter) {
+    throw new Error(
+      `Reservation ${reservation.id} does not hold seats (${reservation.status})`
+    );
+  }
+
+  return withTierCounters(
+    {
+      Update: {
+        TableName: SCHEDULES_TABLE_NAME,
+        Key: scheduleKey(reservation),
+        UpdateExpression: "ADD #counter :delta, remainingSeats :negDelta",
+        ConditionExpression: delta > 0 ? "remainingSeats >= :delta" : undefined,
+        ExpressionAttributeNames: { "#counter": counter },
+        ExpressionAttributeValues: {
+          ":delta": delta,
+          ":negDelta": -delta,
+        },
+      },
+    },
+    ticketsDelta
+  );
+}
+
+/**
+ * Update に券種ごとの残数の増減を加える。
+ * ticketsTaken は券種ごとの確保数（負なら解放）で、確保する券種は残数を条件にする。
+ */
+function withTierCounters(transactItem, ticketsTaken) {
+  const entries = Object.entries(ticketsTaken || {}).filter(
+    ([, count]) => count !== 0
+  );
+  if (entries.length === 0) return transactItem;
+
+  const update = transactItem.Update;
+  const names = {
+    ...update.ExpressionAttributeNames,
+    "#tierRemaining": "ticketTierRemaining",
+  };
+  const values = { ...update.ExpressionAttributeValues };
+  const setClauses = [];
+  const conditions = update.ConditionExpression
+    ? [update.ConditionExpression]
+    : [];
+
+  for (const [tierId, count] of entries) {
+    const path = `#tierRemaining.#tier_${tierId}`;
+    names[`#tier_${tierId}`] = tierId;
+    values[`:tier_${tierId}`] = count;
+    setClauses.push(`${path} = ${path} - :tier_${tierId}`);
+    if (count > 0) {
+      conditions.push(`${path} >= :tier_${tierId}`);
+    }
+  }
+
+  return {
+    Update: {
+      ...update,
+      UpdateExpression: `SET ${setClauses.join(", ")} ${
+        update.UpdateExpression
+      }`,
+      ConditionExpression: conditions.length
+        ? conditions.join(" AND ")
+        : undefined,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+    },
+  };
+}
+
+function negateTickets(tickets) {
+  if (!tickets) return tickets;
+  return Object.fromEntries(
+    Object.entries(tickets).map(([tierId, count]) => [tierId, -count])
+  );
+}
+
+function scheduleKey(reservation) {
+  return {
+    performanceId: reservation.performanceId,
+    id: reservation.scheduleId,
+  };
+}
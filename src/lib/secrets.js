@@ -0,0 +1,49 @@
+import { SSMClient, GetParameterCommand } from "@aws-sdk/client-ssm";
+
+const ssmClient = new SSMClient({ region: process.env.AWS_REGION });
+const STAGE = process.env.STAGE;
+
+// ウォームスタート時は SSM を再度呼ばないよう、取得結果をコンテナ内で使い回す
+const parameterPromises = new Map();
+
+/** 予約トークンの署名に使う秘密鍵を取得 */
+export function getSecretKey() {
+  return getCachedParameter(`/${STAGE}/mashirotheater/reservation/secret-key`);
+}
+
+/** 決済プロバイダの Webhook 署名検証に使う秘密鍵を取得 */
+export function getPaymentWebhookSecret() {
+  return getCachedParameter(`/${STAGE}/mashirotheater/payment/webhook-secret`);
+}
+
+/** 管理画面のセッショントークンの署名に使う秘密鍵を取得 */
+export function getAdminSessionSecret() {
+  return getCachedParameter(`/${STAGE}/mashirotheater/admin/session-secret`);
+}
+
+/** CAPTCHA プロバイダのシークレットキーを取得 */
+export function getCaptchaSecret() {
+  return getCachedParameter(`/${STAGE}/mashirotheater/captcha/secret-key`);
+}
+
+function getCachedParameter(parameterName) {
+  if (!parameterPromises.has(parameterName)) {
+    parameterPromises.set(
+      parameterName,
+      fetchParameter(parameterName).catch((error) => {
+        parameterPromises.delete(parameterName);
+        throw error;
+      })
+    );
+  }
+  return parameterPromises.get(parameterName);
+}
+
+async function fetchParameter(parameterName) {
+  const command = new GetParameterCommand({
+    Name: parameterName,
+    WithDecryption: true,
+  });
+  const response = await ssmClient.send(command);
+  return response.Parameter.Value;
+}
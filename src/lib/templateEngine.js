@@ -0,0 +1,237 @@
+/**
+ * メールテンプレートのエンジン。
+ *   {{name}}                     変数（HTML では escape する）。ドット区切りで入れ子の値も参照できる
+ *   {{{name}}}                   escape しない変数
+ *   {{#if name}}…{{else}}…{{/if}}  条件（未定義・null・false・0・空文字・空配列は偽）
+ *   {{#each list}}…{{/each}}       繰り返し。要素は {{this}} / {{this.field}}、番号は {{@index}}（0 始まり）
+ *   {{! コメント }}
+ * 変数の名前はテンプレートに渡した値の直下から探す（{{#each}} の中でも同じ）。
+ * 出力する変数が未定義・null のときはエラーにする（送信を止めるため）。
+ * 改行・空白はそのまま出力する。
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([^}]*?)\s*\}\}/g;
+const PATH_PATTERN =
+  /^(@index|this(\.[A-Za-z_][A-Za-z0-9_]*)*|[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*)$/;
+
+/**
+ * テンプレートを構文木にする。構文エラーは行番号付きの Error。
+ * @returns {Array<object>} ノードの配列
+ */
+export function parseTemplate(source) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+
+  const lineOf = (index) => source.slice(0, index).split("\n").length;
+  const fail = (message, index) => {
+    throw new Error(
+      `Template syntax error (line ${lineOf(index)}): ${message}`
+    );
+  };
+  const checkPath = (path, index) => {
+    if (!PATH_PATTERN.test(path)) fail(`invalid variable "${path}"`, index);
+    return path;
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, rawExpression, expression] = match;
+    if (match.index > lastIndex) {
+      current.push({
+        type: "text",
+        value: source.slice(lastIndex, match.index),
+      });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (rawExpression !== undefined) {
+      current.push({
+        type: "variable",
+        path: checkPath(rawExpression, match.index),
+        raw: true,
+        line: lineOf(match.index),
+      });
+      continue;
+    }
+
+    const [keyword, ...args] = expression.split(/\s+/);
+    if (keyword.startsWith("!")) {
+      continue;
+    }
+    if (keyword === "#if" || keyword === "#each") {
+      if (args.length !== 1) fail(`${keyword} needs one variable`, match.index);
+      const node = {
+        type: keyword.slice(1),
+        path: checkPath(args[0], match.index),
+        children: [],
+        elseChildren: [],
+        line: lineOf(match.index),
+      };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (keyword === "else") {
+      const block = stack[stack.length - 1];
+      if (block === root || current === block.elseChildren) {
+        fail("unexpected {{else}}", match.index);
+      }
+      current = block.elseChildren;
+    } else if (keyword === "/if" || keyword === "/each") {
+      const block = stack.pop();
+      if (block === root || block.type !== keyword.slice(1)) {
+        fail(`unexpected {{${keyword}}}`, match.index);
+      }
+      const parent = stack[stack.length - 1];
+      current =
+        parent.type === "root" || !parent.elseChildren.includes(block)
+          ? parent.children
+          : parent.elseChildren;
+    } else if (args.length === 0) {
+      current.push({
+        type: "variable",
+        path: checkPath(keyword, match.index),
+        raw: false,
+        line: lineOf(match.index),
+      });
+    } else {
+      fail(`unknown tag "${expression}"`, match.index);
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new Error(
+      `Template syntax error (line ${block.line}): {{#${block.type}}} is not closed`
+    );
+  }
+  if (lastIndex < source.length) {
+    current.push({ type: "text", value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * テンプレートに値を埋める。
+ * @param {string} source
+ * @param {object} data
+ * @param {object} [options]
+ * @param {(value: string) => string} [options.escape] {{name}} の値に適用する（HTML なら escapeHtml）
+ */
+export function renderTemplate(
+  source,
+  data,
+  { escape = (value) => value } = {}
+) {
+  return renderNodes(parseTemplate(source), { data, items: [] }, escape);
+}
+
+/** HTML 用の escape */
+export function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * テンプレートで参照している変数を調べる（アップロード前の検証用）。
+ * @returns {Array<{ path: string, usage: "output" | "if" | "each", guarded: boolean, line: number, list?: string }>}
+ *   guarded は {{#if}} などで値があるときだけ出力されるか。list は {{#each}} の中の this.* の参照元
+ */
+export function listTemplateVariables(source) {
+  const references = [];
+  walk(parseTemplate(source), { guards: new Set(), lists: [] });
+  return references;
+
+  function walk(nodes, { guards, lists }) {
+    for (const node of nodes) {
+      if (node.type === "text") continue;
+
+      const isItem = node.path === "this" || node.path.startsWith("this.");
+      if (node.path !== "@index") {
+        references.push({
+          path: node.path,
+          usage: node.type === "variable" ? "output" : node.type,
+          guarded: isItem || guards.has(node.path),
+          line: node.line,
+          ...(isItem && { list: lists[lists.length - 1] }),
+        });
+      }
+
+      if (node.type === "if") {
+        walk(node.children, {
+          guards: new Set([...guards, node.path]),
+          lists,
+        });
+        walk(node.elseChildren, { guards, lists });
+      } else if (node.type === "each") {
+        walk(node.children, {
+          guards: new Set([...guards, node.path]),
+          lists: [...lists, node.path],
+        });
+        walk(node.elseChildren, { guards, lists });
+      }
+    }
+  }
+}
+
+function renderNodes(nodes, scope, escape) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "variable") {
+      const value = resolve(node.path, scope);
+      if (value === undefined || value === null) {
+        throw new Error(
+          `Missing template variable "${node.path}" (line ${node.line})`
+        );
+      }
+      output += node.raw ? String(value) : escape(String(value));
+    } else if (node.type === "if") {
+      output += renderNodes(
+        isTruthy(resolve(node.path, scope)) ? node.children : node.elseChildren,
+        scope,
+        escape
+      );
+    } else if (node.type === "each") {
+      const list = resolve(node.path, scope);
+      if (list !== undefined && list !== null && !Array.isArray(list)) {
+        throw new Error(
+          `Template variable "${node.path}" is not a list (line ${node.line})`
+        );
+      }
+      if (!list?.length) {
+        output += renderNodes(node.elseChildren, scope, escape);
+        continue;
+      }
+      list.forEach((item, index) => {
+        output += renderNodes(
+          node.children,
+          { ...scope, items: [...scope.items, { item, index }] },
+          escape
+        );
+      });
+    }
+  }
+  return output;
+}
+
+function resolve(path, { data, items }) {
+  const current = items[items.length - 1];
+  if (path === "@index") return current?.index;
+
+  const [head, ...rest] = path.split(".");
+  let value = head === "this" ? current?.item : data?.[head];
+  for (const key of rest) {
+    value = value?.[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
@@ -0,0 +1,237 @@
+import { DEFAULT_LOCALE } from "./locales.js";
+
+/**
+ * 券種（チケット種別）。
+ * スケジュールの ticketTiers に券種ごとの設定を持つ。
+ *   ticketTiers: { general: { price, quota, maxPerReservation }, student: {...}, ... }
+ *   ticketTierRemaining: { general: 残数, ... }  (quota から仮予約・確定分を引いた数)
+ * ticketTiers が無いスケジュールは従来どおり席数のみ（無料・券種なし）で予約する。
+ * 予約には券種ごとの枚数 tickets: { general: 2, student: 1 } と合計金額 totalPrice を持つ。
+ */
+
+// 表示順も兼ねる
+export const TICKET_TIER_LABELS = {
+  general: "一般",
+  student: "学生",
+  supporter: "サポーター",
+};
+
+export const TICKET_TIER_IDS = Object.keys(TICKET_TIER_LABELS);
+
+// お客様向けメールの言語ごとの券種名（管理画面・名簿は TICKET_TIER_LABELS）
+const TICKET_TIER_LABELS_BY_LOCALE = {
+  ja: TICKET_TIER_LABELS,
+  en: {
+    general: "General",
+    student: "Student",
+    supporter: "Supporter",
+  },
+};
+
+/** スケジュールの券種設定。券種なしのスケジュールは null */
+export function getTicketTiers(schedule) {
+  const tiers = schedule.ticketTiers;
+  return tiers && Object.keys(tiers).length > 0 ? tiers : null;
+}
+
+/** 券種ごとの枚数の合計 */
+export function countTickets(tickets) {
+  return Object.values(tickets).reduce((sum, count) => sum + count, 0);
+}
+
+/** 券種ごとの枚数と料金から合計金額を計算 */
+export function calculateTotalPrice(tickets, ticketTiers) {
+  return Object.entries(tickets).reduce(
+    (sum, [tierId, count]) => sum + ticketTiers[tierId].price * count,
+    0
+  );
+}
+
+/** 券種の残数（券種の残数と全体の残席の小さい方） */
+export function getTierRemainingSeats(schedule, tierId) {
+  const tierRemaining = schedule.ticketTierRemaining?.[tierId] || 0;
+  return Math.max(0, Math.min(tierRemaining, schedule.remainingSeats || 0));
+}
+
+/** 席数（と券種ごとの枚数）を確保できるだけの残席があるか */
+export function hasEnoughSeats(schedule, reservedSeats, tickets) {
+  if ((schedule.remainingSeats || 0) < reservedSeats) {
+    return false;
+  }
+  return Object.entries(tickets || {}).every(
+    ([tierId, count]) => (schedule.ticketTierRemaining?.[tierId] || 0) >= count
+  );
+}
+
+/**
+ * 予約時の券種ごとの枚数を検証する。
+ * @returns エラーメッセージ。問題なければ null
+ */
+export function validateTickets(tickets, schedule) {
+  const ticketTiers = getTicketTiers(schedule);
+  if (!ticketTiers) {
+    return "This schedule does not have ticket tiers";
+  }
+  if (
+    !tickets ||
+    typeof tickets !== "object" ||
+    Array.isArray(tickets) ||
+    Object.keys(tickets).length === 0
+  ) {
+    return "Ticket breakdown is required";
+  }
+
+  for (const [tierId, count] of Object.entries(tickets)) {
+    // constructor などの継承したプロパティを券種として扱わない
+    const tier = Object.hasOwn(ticketTiers, tierId) && ticketTiers[tierId];
+    if (!tier) {
+      return `Unknown ticket tier: ${tierId}`;
+    }
+    if (!Number.isInteger(count) || count <= 0) {
+      return `Invalid ticket count for ${tierId}`;
+    }
+    if (count > tier.maxPerReservation) {
+      return `Ticket count for ${tierId} exceeds the limit (${tier.maxPerReservation})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 予約・キャンセル待ちの申込内容から、予約に保存する券種の項目を決める。
+ * 券種のないスケジュールに tickets が指定された場合や、
+ * 券種ごとの枚数の合計が reservedSeats と合わない場合はエラー。
+ * @returns {{ fields: { tickets?, totalPrice? }, error?: string }}
+ */
+export function resolveTicketFields(schedule, reservedSeats, tickets) {
+  const ticketTiers = getTicketTiers(schedule);
+  if (!ticketTiers) {
+    return tickets === undefined
+      ? { fields: {} }
+      : { fields: {}, error: "This schedule does not have ticket tiers" };
+  }
+
+  const error = validateTickets(tickets, schedule);
+  if (error) {
+    return { fields: {}, error };
+  }
+  if (countTickets(tickets) !== reservedSeats) {
+    return {
+      fields: {},
+      error: "reservedSeats does not match the ticket breakdown",
+    };
+  }
+  return {
+    fields: { tickets, totalPrice: calculateTotalPrice(tickets, ticketTiers) },
+  };
+}
+
+/**
+ * 管理画面から設定する券種設定を検証する。
+ * @param {object} [options]
+ * @param {boolean} [options.allowPaid] 有料（price > 0）の券種を許可するか（既定 true）
+ * @returns エラーメッセージ。問題なければ null
+ */
+export function validateTicketTiersConfig(
+  ticketTiers,
+  totalSeats,
+  { allowPaid = true } = {}
+) {
+  if (
+    !ticketTiers ||
+    typeof ticketTiers !== "object" ||
+    Array.isArray(ticketTiers)
+  ) {
+    return "Invalid ticketTiers";
+  }
+
+  for (const [tierId, tier] of Object.entries(ticketTiers)) {
+    if (!Object.hasOwn(TICKET_TIER_LABELS, tierId)) {
+      return `Unknown ticket tier: ${tierId}`;
+    }
+    const { price, quota, maxPerReservation } = tier || {};
+    if (!Number.isInteger(price) || price < 0) {
+      return `Invalid price for ${tierId}`;
+    }
+    if (price > 0 && !allowPaid) {
+      return `Paid ticket tiers are not available (${tierId})`;
+    }
+    if (!Number.isInteger(quota) || quota <= 0 || quota > totalSeats) {
+      return `Invalid quota for ${tierId} (1-${totalSeats})`;
+    }
+    if (!Number.isInteger(maxPerReservation) || maxPerReservation <= 0) {
+      return `Invalid maxPerReservation for ${tierId}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 券種設定を変更した後の券種ごとの残数を計算する。
+ * 使用中（仮予約・確定済み）の枚数より少ない quota や、使用中の券種の削除はエラー。
+ * @returns {{ ticketTierRemaining?: object, error?: string }}
+ */
+export function calculateTicketTierRemaining(schedule, newTicketTiers) {
+  const oldTiers = schedule.ticketTiers || {};
+  const oldRemaining = schedule.ticketTierRemaining || {};
+  const used = (tierId) =>
+    oldTiers[tierId] ? oldTiers[tierId].quota - (oldRemaining[tierId] || 0) : 0;
+
+  for (const tierId of Object.keys(oldTiers)) {
+    if (!newTicketTiers[tierId] && used(tierId) > 0) {
+      return { error: `Cannot remove ticket tier ${tierId} that is in use` };
+    }
+  }
+
+  const ticketTierRemaining = {};
+  for (const [tierId, tier] of Object.entries(newTicketTiers)) {
+    if (tier.quota < used(tierId)) {
+      return {
+        error: `quota for ${tierId} (${
+          tier.quota
+        }) is less than reserved (${used(tierId)})`,
+      };
+    }
+    ticketTierRemaining[tierId] = tier.quota - used(tierId);
+  }
+  return { ticketTierRemaining };
+}
+
+/** 券種ごとの枚数を1枚ずつの券種の並びに展開する（表示順） */
+export function expandTickets(tickets) {
+  return TICKET_TIER_IDS.flatMap((tierId) =>
+    Array(tickets?.[tierId] || 0).fill(tierId)
+  );
+}
+
+/**
+ * メールテンプレート用の券種・料金。券種なしの予約は空のオブジェクト。
+ * 例: { tickets: [{ label: "一般", count: 2 }, { label: "学生", count: 1 }], totalPrice: "¥7,000" }
+ * 券種名は locale の言語にする。
+ */
+export function formatTicketVariables(reservation, locale = DEFAULT_LOCALE) {
+  const { tickets, totalPrice } = reservation;
+  if (!tickets) return {};
+  const labels =
+    TICKET_TIER_LABELS_BY_LOCALE[locale] ||
+    TICKET_TIER_LABELS_BY_LOCALE[DEFAULT_LOCALE];
+
+  return {
+    tickets: TICKET_TIER_IDS.filter((tierId) => tickets[tierId]).map(
+      (tierId) => ({
+        label: labels[tierId],
+        count: tickets[tierId],
+      })
+    ),
+    totalPrice: `¥${(totalPrice || 0).toLocaleString(locale)}`,
+  };
+}
+
+/** システム通知用の券種表記。券種なしは空文字。例: " (一般 2 / 学生 1)" */
+export function formatTicketNotification({ tickets }) {
+  if (!tickets) return "";
+  const breakdown = TICKET_TIER_IDS.filter((tierId) => tickets[tierId])
+    .map((tierId) => `${TICKET_TIER_LABELS[tierId]} ${tickets[tierId]}`)
+    .join(" / ");
+  return ` (${breakdown})`;
+}
@@ -0,0 +1,102 @@
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+import { getSecretKey } from "./secrets.js";
+
+const CONFIRMATION_URL = process.env.CONFIRMATION_URL;
+const FRONTEND_URL = process.env.FRONTEND_URL;
+// 予約履歴リンクの有効期限（分）
+const HISTORY_TOKEN_TTL_MINUTES = 30;
+
+/** 仮予約確定リンク用トークン (予約ID + メールアドレス) */
+export async function createConfirmationToken(reservationId, email) {
+  const secretKey = await getSecretKey();
+  return createHash("sha256")
+    .update(`${reservationId}${email}${secretKey}`)
+    .digest("hex");
+}
+
+/** キャンセル・予約管理リンク用トークン (予約IDのみ) */
+export async function createCancelToken(reservationId) {
+  const secretKey = await getSecretKey();
+  return createHash("sha256")
+    .update(`${reservationId}${secretKey}`)
+    .digest("hex");
+}
+
+export async function verifyConfirmationToken(reservationId, email, token) {
+  return safeEqual(token, await createConfirmationToken(reservationId, email));
+}
+
+export async function verifyCancelToken(reservationId, token) {
+  return safeEqual(token, await createCancelToken(reservationId));
+}
+
+export async function buildConfirmationUrl(reservation) {
+  const token = await createConfirmationToken(
+    reservation.id,
+    reservation.email
+  );
+  return `${CONFIRMATION_URL}?id=${reservation.id}&token=${token}`;
+}
+
+export async function buildCancelUrl(reservation) {
+  const token = await createCancelToken(reservation.id);
+  return `${FRONTEND_URL}/reservations/cancel?id=${reservation.id}&token=${token}`;
+}
+
+/**
+ * 予約履歴リンク用トークン（メールアドレス + 有効期限）。
+ * 形式: base64url(payload).base64url(HMAC-SHA256)
+ */
+export async function createHistoryToken(email) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      email,
+      exp: Math.floor(Date.now() / 1000) + HISTORY_TOKEN_TTL_MINUTES * 60,
+    })
+  ).toString("base64url");
+  return `${payload}.${await signHistoryPayload(payload)}`;
+}
+
+/**
+ * 予約履歴リンク用トークンを検証する。
+ * @returns メールアドレス。不正・期限切れなら null
+ */
+export async function verifyHistoryToken(token) {
+  const [payload, signature] =
+    typeof token === "string" ? token.split(".") : [];
+  if (!payload || !signature) return null;
+
+  try {
+    if (!safeEqual(signature, await signHistoryPayload(payload))) return null;
+    const { email, exp } = JSON.parse(
+      Buffer.from(payload, "base64url").toString()
+    );
+    if (!email || exp * 1000 <= Date.now()) return null;
+    return email;
+  } catch {
+    return null;
+  }
+}
+
+export async function buildHistoryUrl(email) {
+  const token = await createHistoryToken(email);
+  return `${FRONTEND_URL}/reservations/history?token=${token}`;
+}
+
+export function buildEventPageUrl(performanceId) {
+  return `${FRONTEND_URL}/events/${performanceId}`;
+}
+
+async function signHistoryPayload(payload) {
+  const secretKey = await getSecretKey();
+  return createHmac("sha256", secretKey)
+    .update(`history:${payload}`)
+    .digest("base64url");
+}
+
+function safeEqual(actual, expected) {
+  if (typeof actual !== "string" || actual.length !== expected.length) {
+    return false;
+  }
+  return timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
@@ -0,0 +1,160 @@
+import { isReservationClosed } from "./reservationWindow.js";
+import { getAvailableSeats } from "./seats.js";
+import { hasEnoughSeats } from "./ticketTiers.js";
+import { getPerformanceDetails } from "./repositories/performances.js";
+import {
+  queryReservations,
+  ACTIVE_STATUSES,
+} from "./repositories/reservations.js";
+import {
+  listWaitingEntries,
+  updateWaitingEntryStatus,
+  offerEntryTransactItem,
+} from "./repositories/waitlist.js";
+import {
+  createPendingReservation,
+  generateReservationId,
+  generateConfirmationCode,
+} from "./reservationLifecycle.js";
+import { sendWaitlistOfferEmail } from "./emails.js";
+import { recordAudit, systemActor, reservationSnapshot } from "./audit.js";
+import { sendNotification } from "../utils/notification.js";
+
+/**
+ * 空いた座席をキャンセル待ちの先頭から順に割り当てる。
+ * 人数が残席に収まるエントリに対して仮予約を作成し、確定用リンクをメールで送る。
+ * 確定されなかった仮予約は通常の失効処理で解放され、次のエントリに回る。
+ * @returns 案内したエントリ数
+ */
+export async function promoteWaitlist(performanceId, scheduleId) {
+  const { performance, schedule } = await getPerformanceDetails(
+    performanceId,
+    scheduleId
+  );
+  // 予約受付終了後は案内しない
+  if (isReservationClosed(schedule, performance)) {
+    return 0;
+  }
+
+  // 案内するたびに手元の残数を減らしていく
+  const available = {
+    remainingSeats: getAvailableSeats(schedule),
+    ticketTierRemaining: { ...schedule.ticketTierRemaining },
+  };
+  if (available.remainingSeats <= 0) {
+    return 0;
+  }
+
+  const entries = await listWaitingEntries(performanceId, scheduleId);
+  let offeredCount = 0;
+
+  for (const entry of entries) {
+    if (!hasEnoughSeats(available, entry.reservedSeats, entry.tickets)) {
+      continue;
+    }
+
+    // 待機中に同じスケジュールを別途予約していれば案内しない
+    const existing = await queryReservations({
+      performanceId,
+      scheduleId,
+      email: entry.email,
+      statuses: ACTIVE_STATUSES,
+    });
+    if (existing.length > 0) {
+      await updateWaitingEntryStatus(entry, "skipped");
+      continue;
+    }
+
+    const reservation = await offerSeats(entry);
+    if (!reservation) {
+      // 他の予約と競合して座席が取れなかった
+      break;
+    }
+
+    await recordAudit(
+      {
+        performanceId,
+        entityType: "reservation",
+        entityId: reservation.id,
+        action: "reservation.create_from_waitlist",
+        actor: systemActor("waitlist"),
+        after: reservationSnapshot(reservation),
+      },
+      "waitlist"
+    );
+    await sendWaitlistOfferEmail(reservation, performance, schedule);
+    await sendNotification(
+      `キャンセル待ち繰り上げ: 予約ID ${reservation.id}, 公演 ${performanceId}, スケジュール ${scheduleId}, 名前 ${entry.name}, 人数 ${entry.reservedSeats}`,
+      "INFO",
+      "LOW",
+      "waitlist"
+    );
+
+    available.remainingSeats -= entry.reservedSeats;
+    for (const [tierId, count] of Object.entries(entry.tickets || {})) {
+      available.ticketTierRemaining[tierId] -= count;
+    }
+    offeredCount++;
+    if (available.remainingSeats <= 0) break;
+  }
+
+  return offeredCount;
+}
+
+/**
+ * promoteWaitlist の失敗で呼び出し元の処理（キャンセルなど）をエラーにしない版。
+ * 失敗は通知のみ行う。
+ */
+export async function promoteWaitlistSafely(
+  performanceId,
+  scheduleId,
+  service
+) {
+  try {
+    await promoteWaitlist(performanceId, scheduleId);
+  } catch (error) {
+    console.error("Error promoting waitlist:", error);
+    await sendNotification(
+      `キャンセル待ち繰り上げエラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      service
+    );
+  }
+}
+
+/**
+ * 仮予約の作成・座席の確保・エントリの状態更新を1トランザクションで行う。
+ * 座席が取れなかった場合は null を返す。
+ */
+async function offerSeats(entry) {
+  const now = new Date().toISOString();
+  const reservation = {
+    id: generateReservationId(),
+    performanceId: entry.performanceId,
+    scheduleId: entry.scheduleId,
+    name: entry.name,
+    email: entry.email,
+    reservedSeats: entry.reservedSeats,
+    ...(entry.tickets && {
+      tickets: entry.tickets,
+      totalPrice: entry.totalPrice,
+    }),
+    notes: entry.notes,
+    ...(entry.locale && { locale: entry.locale }),
+    confirmationCode: generateConfirmationCode(),
+    waitlistEntryId: entry.id,
+    status: "pending",
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const created = await createPendingReservation(reservation, [
+    offerEntryTransactItem(entry, reservation.id, now),
+  ]);
+  if (!created) {
+    console.log(`skip waitlist offer: ${entry.id}`);
+    return null;
+  }
+  return reservation;
+}
@@ -0,0 +1,375 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder, redactEvent } from "./lib/http.js";
+import { getReservation } from "./lib/repositories/reservations.js";
+import { getPerformanceDetails } from "./lib/repositories/performances.js";
+import { getSchedule } from "./lib/repositories/schedules.js";
+import { verifyCancelToken } from "./lib/tokens.js";
+import { updateConfirmedReservation } from "./lib/reservationLifecycle.js";
+import {
+  syncAttendeesWithReservation,
+  getMinimumReservedSeats,
+} from "./lib/attendeeSync.js";
+import { listAttendeesByReservation } from "./lib/repositories/attendees.js";
+import { getAvailableSeats, THEATER_CAPACITY } from "./lib/seats.js";
+import { isReservationClosed } from "./lib/reservationWindow.js";
+import { getScheduleStartTime, formatDate, formatTime } from "./lib/dates.js";
+import { promoteWaitlistSafely } from "./lib/waitlist.js";
+import {
+  recordAudit,
+  customerActor,
+  reservationSnapshot,
+} from "./lib/audit.js";
+import {
+  getTicketTiers,
+  countTickets,
+  resolveTicketFields,
+  formatTicketNotification,
+} from "./lib/ticketTiers.js";
+
+const { createResponse, createErrorResponse } =
+  createResponder("GET,PATCH,OPTIONS");
+
+/**
+ * お客様向けの予約確認・変更
+ *   GET   /reservations/{reservationId}?token=...
+ *   PATCH /reservations/{reservationId}  body: { token, reservedSeats?, tickets?, notes? }
+ * token はキャンセル用トークン（確定メールのキャンセルURLと同じもの）
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const body = event.httpMethod === "PATCH" ? JSON.parse(event.body) : {};
+    const token =
+      event.httpMethod === "PATCH"
+        ? body.token
+        : event.queryStringParameters?.token;
+    if (!reservationId || !token) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "Missing reservationId or token",
+        origin
+      );
+    }
+
+    // 予約の取得とトークン検証
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      return createErrorResponse(404, "E002", "Reservation not found", origin);
+    }
+    if (!(await verifyCancelToken(reservationId, token))) {
+      return createErrorResponse(403, "E002", "Invalid token", origin);
+    }
+
+    const { performance, schedule } = await getPerformanceDetails(
+      reservation.performanceId,
+      reservation.scheduleId
+    );
+
+    if (event.httpMethod === "PATCH") {
+      return await updateReservation(
+        reservation,
+        performance,
+        schedule,
+        body,
+        origin
+      );
+    }
+
+    const attendees = await listAttendeesByReservation(reservationId);
+    return createResponse(
+      200,
+      formatReservation(reservation, performance, schedule, attendees),
+      origin
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `予約確認・変更エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "manageReservation"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
+
+async function updateReservation(
+  reservation,
+  performance,
+  schedule,
+  body,
+  origin
+) {
+  const { tickets, notes } = body;
+  let { reservedSeats } = body;
+
+  // 入力チェック
+  if (
+    reservedSeats === undefined &&
+    tickets === undefined &&
+    notes === undefined
+  ) {
+    return createErrorResponse(400, "E002", "Nothing to update", origin);
+  }
+  // 券種のあるスケジュールでは券種ごとの枚数で変更する（席数は省略可）
+  const ticketTiers = getTicketTiers(schedule);
+  if (ticketTiers && reservedSeats !== undefined && tickets === undefined) {
+    return createErrorResponse(
+      400,
+      "E010",
+      "Ticket breakdown is required",
+      origin
+    );
+  }
+  if (
+    ticketTiers &&
+    reservedSeats === undefined &&
+    tickets &&
+    typeof tickets === "object"
+  ) {
+    reservedSeats = countTickets(tickets);
+  }
+  if (
+    reservedSeats !== undefined &&
+    (!Number.isInteger(reservedSeats) || reservedSeats <= 0)
+  ) {
+    return createErrorResponse(400, "E002", "Invalid seat count", origin);
+  }
+  if (notes !== undefined && typeof notes !== "string") {
+    return createErrorResponse(400, "E002", "Invalid notes", origin);
+  }
+  const ticketResult =
+    reservedSeats === undefined && tickets === undefined
+      ? { fields: {} }
+      : resolveTicketFields(schedule, reservedSeats, tickets);
+  if (ticketResult.error) {
+    return createErrorResponse(400, "E010", ticketResult.error, origin);
+  }
+  if (reservedSeats > THEATER_CAPACITY) {
+    return createErrorResponse(
+      400,
+      "E009",
+      `Seat count exceeds the theater capacity (${THEATER_CAPACITY})`,
+      origin
+    );
+  }
+
+  // 変更できる状態かのチェック
+  if (reservation.status === "canceled") {
+    return createErrorResponse(
+      400,
+      "E003",
+      "Reservation has been canceled",
+      origin
+    );
+  }
+  if (reservation.status !== "confirmed") {
+    return createErrorResponse(
+      400,
+      "E008",
+      "Only confirmed reservations can be changed",
+      origin
+    );
+  }
+  if (isReservationClosed(schedule, performance)) {
+    return createErrorResponse(
+      400,
+      "E008",
+      "Reservations for this schedule are closed",
+      origin
+    );
+  }
+  // 支払い済みの予約は金額が変わるため席数・券種を変更できない
+  if (
+    reservation.paymentStatus === "paid" &&
+    ((reservedSeats !== undefined &&
+      reservedSeats !== reservation.reservedSeats) ||
+      (tickets !== undefined && !isSameTickets(tickets, reservation.tickets)))
+  ) {
+    return createErrorResponse(
+      400,
+      "E008",
+      "Seats of a paid reservation cannot be changed",
+      origin
+    );
+  }
+
+  // 変更のある項目だけ更新する
+  const changes = {};
+  if (
+    reservedSeats !== undefined &&
+    reservedSeats !== reservation.reservedSeats
+  ) {
+    changes.reservedSeats = reservedSeats;
+  }
+  if (
+    ticketResult.fields.tickets &&
+    !isSameTickets(ticketResult.fields.tickets, reservation.tickets)
+  ) {
+    Object.assign(changes, ticketResult.fields);
+  }
+  if (notes !== undefined && notes !== (reservation.notes || "")) {
+    changes.notes = notes;
+  }
+  if (Object.keys(changes).length === 0) {
+    const attendees = await listAttendeesByReservation(reservation.id);
+    return createResponse(
+      200,
+      formatReservation(reservation, performance, schedule, attendees),
+      origin
+    );
+  }
+
+  // チェックイン済みのお連れ様がいる場合、その人数より少なくはできない
+  if (changes.reservedSeats < reservation.reservedSeats) {
+    const attendees = await listAttendeesByReservation(reservation.id);
+    const minimumSeats = getMinimumReservedSeats(attendees);
+    if (changes.reservedSeats < minimumSeats) {
+      return createErrorResponse(
+        409,
+        "E008",
+        `Seats cannot be reduced below the checked-in attendees (${minimumSeats})`,
+        origin
+      );
+    }
+  }
+
+  const result = await updateConfirmedReservation(reservation, changes);
+  if (!result.updated) {
+    if (result.reason === "NO_SEATS") {
+      return createErrorResponse(
+        400,
+        "E001",
+        "Not enough available seats",
+        origin
+      );
+    }
+    return createErrorResponse(
+      409,
+      "E008",
+      "Reservation was changed by another request. Please reload.",
+      origin
+    );
+  }
+
+  const updated = {
+    ...reservation,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await recordAudit(
+    {
+      performanceId: reservation.performanceId,
+      entityType: "reservation",
+      entityId: reservation.id,
+      action: "reservation.update",
+      actor: customerActor(reservation),
+      before: reservationSnapshot(reservation),
+      after: reservationSnapshot(updated),
+    },
+    "manageReservation"
+  );
+
+  // Attendees を予約内容に合わせる
+  await syncAttendeesWithReservation(updated);
+
+  await sendNotification(
+    `予約変更: ID ${reservation.id}, 人数 ${reservation.reservedSeats} → ${
+      updated.reservedSeats
+    }${formatTicketNotification(updated)}, 備考 ${updated.notes}`,
+    "INFO",
+    "LOW",
+    "manageReservation"
+  );
+
+  // 席数を減らした場合は空いた座席でキャンセル待ちを繰り上げる
+  if (updated.reservedSeats < reservation.reservedSeats) {
+    await promoteWaitlistSafely(
+      reservation.performanceId,
+      reservation.scheduleId,
+      "manageReservation"
+    );
+  }
+
+  const [latestSchedule, attendees] = await Promise.all([
+    getSchedule(reservation.performanceId, reservation.scheduleId),
+    listAttendeesByReservation(reservation.id),
+  ]);
+  return createResponse(
+    200,
+    formatReservation(updated, performance, latestSchedule, attendees),
+    origin
+  );
+}
+
+function formatReservation(reservation, performance, schedule, attendees) {
+  // DBに格納されている日時はすでに日本時間なので、getJSTDate()は使用しない
+  const startTime = getScheduleStartTime(schedule);
+  const editable =
+    reservation.status === "confirmed" &&
+    !isReservationClosed(schedule, performance);
+
+  return {
+    id: reservation.id,
+    status: reservation.status,
+    name: reservation.name,
+    email: reservation.email,
+    reservedSeats: reservation.reservedSeats,
+    tickets: reservation.tickets,
+    totalPrice: reservation.totalPrice,
+    paymentStatus: reservation.paymentStatus,
+    notes: reservation.notes || "",
+    confirmationCode: reservation.confirmationCode,
+    createdAt: reservation.createdAt,
+    updatedAt: reservation.updatedAt,
+    performance: {
+      id: performance.id,
+      title: performance.title,
+    },
+    schedule: {
+      id: schedule.id,
+      date: formatDate(startTime),
+      time: formatTime(startTime),
+    },
+    // 参加者（予約者本人が先頭）。お連れ様の名前は editable の間だけ変更できる
+    attendees: [...attendees]
+      .sort(
+        (a, b) =>
+          Number(Boolean(b.isRepresentative)) -
+            Number(Boolean(a.isRepresentative)) ||
+          (a.createdAt || "").localeCompare(b.createdAt || "")
+      )
+      .map((a) => ({
+        id: a.id,
+        name: a.name,
+        isRepresentative: Boolean(a.isRepresentative),
+      })),
+    editable,
+    // 変更可能な最大席数（現在の席数 + 残席、劇場の定員まで）
+    maxReservedSeats: editable
+      ? Math.min(
+          THEATER_CAPACITY,
+          reservation.reservedSeats + Math.max(0, getAvailableSeats(schedule))
+        )
+      : reservation.reservedSeats,
+  };
+}
+
+function isSameTickets(a, b = {}) {
+  const tierIds = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...tierIds].every((tierId) => (a[tierId] || 0) === (b[tierId] || 0));
+}
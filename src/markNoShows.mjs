@@ -0,0 +1,98 @@
+import { sendNotification } from "./utils/notification.js";
+import { getJSTDate, formatDate } from "./lib/dates.js";
+import { listSchedulesByDate } from "./lib/repositories/schedules.js";
+import { queryReservations } from "./lib/repositories/reservations.js";
+import { listAttendeesBySchedule } from "./lib/repositories/attendees.js";
+import { putNoShowRecord } from "./lib/repositories/noShowRecords.js";
+import { markNoShow } from "./lib/reservationLifecycle.js";
+import { recordReservationStatusChange, systemActor } from "./lib/audit.js";
+
+/**
+ * 前日の公演で誰もチェックインしなかった confirmed の予約を no_show にし、
+ * メールアドレスごとの no-show の履歴に記録する（毎日深夜に実行）。
+ * Attendees が1件もない予約はチェックインできなかったため対象にしない。
+ */
+export const handler = async (event) => {
+  console.log("Starting markNoShows function");
+
+  try {
+    const yesterday = getJSTDate();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const schedules = await listSchedulesByDate(formatDate(yesterday));
+
+    let markedCount = 0;
+    for (const schedule of schedules) {
+      const [reservations, attendees] = await Promise.all([
+        queryReservations({
+          performanceId: schedule.performanceId,
+          scheduleId: schedule.id,
+          statuses: ["confirmed"],
+        }),
+        listAttendeesBySchedule(schedule.performanceId, schedule.id),
+      ]);
+
+      const withAttendees = new Set(attendees.map((a) => a.reservationId));
+      const checkedIn = new Set(
+        attendees.filter((a) => a.checkedIn).map((a) => a.reservationId)
+      );
+      const noShows = reservations.filter(
+        (r) => withAttendees.has(r.id) && !checkedIn.has(r.id)
+      );
+
+      for (const reservation of noShows) {
+        if (await markReservationNoShow(reservation, schedule)) {
+          markedCount++;
+        }
+      }
+    }
+
+    const resultMessage = `no-show 記録: ${markedCount}件`;
+    console.log(resultMessage);
+    if (markedCount > 0) {
+      await sendNotification(resultMessage, "INFO", "LOW", "markNoShows");
+    }
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: resultMessage }),
+    };
+  } catch (error) {
+    console.error("Error in markNoShows:", error);
+    await sendNotification(
+      `no-show 記録エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "markNoShows"
+    );
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: "Internal server error" }),
+    };
+  }
+};
+
+async function markReservationNoShow(reservation, schedule) {
+  // キャンセル・日時変更などと競合して confirmed でなくなっていればスキップ
+  if (!(await markNoShow(reservation))) {
+    console.log(`skip no-show: ${reservation.id} (already changed)`);
+    return false;
+  }
+
+  await recordReservationStatusChange(
+    reservation,
+    { status: "no_show" },
+    systemActor("markNoShows"),
+    "markNoShows"
+  );
+  await putNoShowRecord({
+    email: reservation.email,
+    reservationId: reservation.id,
+    performanceId: reservation.performanceId,
+    scheduleId: reservation.scheduleId,
+    date: schedule.date,
+    time: schedule.time,
+    name: reservation.name,
+    reservedSeats: reservation.reservedSeats,
+    recordedAt: new Date().toISOString(),
+  });
+  return true;
+}
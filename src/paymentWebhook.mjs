@@ -0,0 +1,150 @@
+import { sendNotification } from "./utils/notification.js";
+import { getReservation } from "./lib/repositories/reservations.js";
+import { getPerformanceDetails } from "./lib/repositories/performances.js";
+import { confirmPaidReservation } from "./lib/reservationLifecycle.js";
+import { completeConfirmation } from "./lib/reservationActions.js";
+import {
+  getPaymentProvider,
+  requestRefundSafely,
+} from "./lib/payments/index.js";
+import { recordReservationStatusChange, systemActor } from "./lib/audit.js";
+
+/**
+ * 決済プロバイダからの Webhook
+ *   POST /payments/webhook
+ * 署名を検証し、支払い完了なら決済待ちの予約を確定する。
+ * 失効・キャンセル済みの予約や別の決済への支払いは返金を依頼する。
+ * 処理済みのイベントは 200 を返し、プロバイダに再送させない。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event, null, 2));
+
+  try {
+    const body = event.isBase64Encoded
+      ? Buffer.from(event.body || "", "base64").toString("utf8")
+      : event.body;
+
+    const paymentEvent = await getPaymentProvider().verifyWebhook({
+      headers: event.headers,
+      body,
+    });
+    if (!paymentEvent) {
+      return createResponse(401, { message: "Invalid signature" });
+    }
+
+    const { type, paymentId, reservationId, amount } = paymentEvent;
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      await sendNotification(
+        `決済Webhook: 予約が見つかりません (予約ID ${reservationId}, 決済ID ${paymentId}, 種別 ${type})`,
+        "ERROR",
+        "HIGH",
+        "paymentWebhook"
+      );
+      return createResponse(200, { message: "Reservation not found" });
+    }
+
+    if (type === "payment.failed") {
+      // 支払期限までは同じ決済ページで再試行できるので、予約はそのままにする
+      await sendNotification(
+        `決済失敗: 予約ID ${reservationId}, 決済ID ${paymentId}`,
+        "INFO",
+        "LOW",
+        "paymentWebhook"
+      );
+      return createResponse(200, { message: "OK" });
+    }
+    if (type !== "payment.succeeded") {
+      return createResponse(200, { message: `Ignored event type ${type}` });
+    }
+
+    const isCurrentPayment = reservation.paymentId === paymentId;
+
+    // 同じ支払いの再送。確定後の Attendees 作成・確定メールが失敗して再送された場合はやり直す
+    if (reservation.status === "confirmed" && isCurrentPayment) {
+      if (!reservation.confirmationEmailSent) {
+        await completePaidConfirmation(reservation);
+      }
+      return createResponse(200, { message: "Already confirmed" });
+    }
+
+    // 金額が予約と一致しない支払いは確定しない
+    if (isCurrentPayment && amount !== reservation.totalPrice) {
+      await sendNotification(
+        `決済金額不一致: 予約ID ${reservationId}, 決済ID ${paymentId}, 請求 ${reservation.totalPrice}, 支払 ${amount}`,
+        "ERROR",
+        "HIGH",
+        "paymentWebhook"
+      );
+      return createResponse(200, { message: "Amount mismatch" });
+    }
+
+    const confirmed =
+      reservation.status === "awaiting_payment" &&
+      isCurrentPayment &&
+      (await confirmPaidReservation(reservation));
+
+    if (!confirmed) {
+      // 失効・キャンセル後の支払いや二重決済は座席を確保できないため返金する
+      await requestRefundSafely(
+        reservation,
+        {
+          paymentId,
+          amount,
+          reason: `payment received while reservation is ${reservation.status}`,
+        },
+        "paymentWebhook"
+      );
+      return createResponse(200, { message: "Refund requested" });
+    }
+
+    await recordReservationStatusChange(
+      reservation,
+      { status: "confirmed", paymentStatus: "paid" },
+      systemActor("paymentWebhook"),
+      "paymentWebhook"
+    );
+
+    await completePaidConfirmation(reservation);
+
+    await sendNotification(
+      `予約確定（決済完了）: ID ${reservationId}, 金額 ${amount}`,
+      "INFO",
+      "LOW",
+      "paymentWebhook"
+    );
+    return createResponse(200, { message: "Confirmed" });
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `決済Webhookエラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "paymentWebhook"
+    );
+    // プロバイダに再送してもらう
+    return createResponse(500, { message: "Internal server error" });
+  }
+};
+
+/**
+ * Attendees 作成と確認メールの送信。
+ * 失敗した場合は 500 を返してプロバイダに再送させ、再送時に「同じ支払いの再送」からやり直す。
+ */
+async function completePaidConfirmation(reservation) {
+  const { performance, schedule } = await getPerformanceDetails(
+    reservation.performanceId,
+    reservation.scheduleId
+  );
+  await completeConfirmation(reservation, performance, schedule, {
+    service: "paymentWebhook",
+  });
+}
+
+function createResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
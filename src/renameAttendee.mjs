@@ -0,0 +1,117 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder } from "./lib/http.js";
+import { getReservation } from "./lib/repositories/reservations.js";
+import { getPerformanceDetails } from "./lib/repositories/performances.js";
+import { getAttendee } from "./lib/repositories/attendees.js";
+import { verifyCancelToken } from "./lib/tokens.js";
+import { isReservationClosed } from "./lib/reservationWindow.js";
+import { normalizeAttendeeName, renameAttendee } from "./lib/attendeeSync.js";
+import { customerActor } from "./lib/audit.js";
+
+const { createResponse, createErrorResponse } =
+  createResponder("PATCH,OPTIONS");
+
+/**
+ * 予約者によるお連れ様の名前の変更
+ *   PATCH /reservations/{reservationId}/attendees/{attendeeId}  body: { token, name }
+ * token はキャンセル用トークン。予約者本人の名前は変更できない。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event, null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const attendeeId = event.pathParameters?.attendeeId;
+    const body = JSON.parse(event.body || "{}");
+    if (!reservationId || !attendeeId || !body.token) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "Missing reservationId, attendeeId or token",
+        origin
+      );
+    }
+    const name = normalizeAttendeeName(body.name);
+    if (!name) {
+      return createErrorResponse(400, "E002", "Invalid name", origin);
+    }
+
+    // 予約の取得とトークン検証
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      return createErrorResponse(404, "E002", "Reservation not found", origin);
+    }
+    if (!(await verifyCancelToken(reservationId, body.token))) {
+      return createErrorResponse(403, "E002", "Invalid token", origin);
+    }
+    if (reservation.status === "canceled") {
+      return createErrorResponse(
+        400,
+        "E003",
+        "Reservation has been canceled",
+        origin
+      );
+    }
+
+    const { performance, schedule } = await getPerformanceDetails(
+      reservation.performanceId,
+      reservation.scheduleId
+    );
+    if (
+      reservation.status !== "confirmed" ||
+      isReservationClosed(schedule, performance)
+    ) {
+      return createErrorResponse(
+        400,
+        "E008",
+        "Reservation cannot be changed",
+        origin
+      );
+    }
+
+    const attendee = await getAttendee(attendeeId);
+    if (!attendee || attendee.reservationId !== reservationId) {
+      return createErrorResponse(404, "E002", "Attendee not found", origin);
+    }
+    if (attendee.isRepresentative) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "The representative's name cannot be changed",
+        origin
+      );
+    }
+
+    await renameAttendee(
+      attendee,
+      name,
+      customerActor(reservation),
+      "renameAttendee"
+    );
+
+    return createResponse(
+      200,
+      { message: "Attendee renamed successfully", attendeeId, name },
+      origin
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `参加者名変更エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "renameAttendee"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
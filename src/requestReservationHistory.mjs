@@ -0,0 +1,90 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder } from "./lib/http.js";
+import { consumeRateLimit, getSourceIp } from "./lib/rateLimit.js";
+import {
+  isValidEmailSyntax,
+  isDisposableEmail,
+} from "./lib/emailValidation.js";
+import { sendReservationHistoryEmail } from "./lib/emails.js";
+import { normalizeLocale } from "./lib/locales.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+// 予約履歴リンクの送信回数の上限（1時間あたり）
+const RATE_LIMITS = {
+  ip: { limit: 10, windowSeconds: 60 * 60 },
+  email: { limit: 3, windowSeconds: 60 * 60 },
+};
+
+/**
+ * 予約履歴の確認リンクをメールで送る
+ *   POST /reservations/history  body: { email, locale? }
+ * 予約の有無にかかわらず同じレスポンスを返し、リンクも必ず送る
+ * （予約のあるメールアドレスを調べる用途に使えないようにするため）。
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event, null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const body = JSON.parse(event.body || "{}");
+    const email =
+      typeof body.email === "string" ? body.email.trim() : undefined;
+    if (!isValidEmailSyntax(email) || isDisposableEmail(email)) {
+      return createErrorResponse(400, "E002", "Invalid email", origin);
+    }
+    const locale = normalizeLocale(body.locale);
+    if (!locale) {
+      return createErrorResponse(400, "E002", "Unsupported locale", origin);
+    }
+
+    // IP アドレスごと・メールアドレスごとの回数制限
+    for (const [subjectType, subject] of [
+      ["ip", getSourceIp(event)],
+      ["email", email],
+    ]) {
+      const { allowed, retryAfter } = await consumeRateLimit(
+        `history-link:${subjectType}`,
+        subject,
+        RATE_LIMITS[subjectType]
+      );
+      if (!allowed) {
+        return createResponse(
+          429,
+          {
+            errorCode: "E012",
+            errorMessage: "Too many requests. Please try again later",
+            retryAfter,
+          },
+          origin
+        );
+      }
+    }
+
+    await sendReservationHistoryEmail(email, locale);
+
+    return createResponse(
+      200,
+      { message: "A link to your reservations has been sent" },
+      origin
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `予約履歴リンク送信エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "requestReservationHistory"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
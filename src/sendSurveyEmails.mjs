@@ -1,39 +1,14 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  QueryCommand,
-  UpdateCommand,
-  BatchGetCommand,
-} from "@aws-sdk/lib-dynamodb";
-import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
 import { sendNotification } from "./utils/notification.js";
-
-const dynamoClient = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
-const sesClient = new SESClient({ region: process.env.AWS_REGION });
-const s3Client = new S3Client({ region: process.env.AWS_REGION });
-
-// 追加: Attendeesテーブル
-const RESERVATIONS_TABLE_NAME = process.env.RESERVATIONS_TABLE_NAME;
-const ATTENDEES_TABLE_NAME = process.env.ATTENDEES_TABLE_NAME; // ← Here
-const SCHEDULES_TABLE_NAME = process.env.SCHEDULES_TABLE_NAME;
-const PERFORMANCES_TABLE_NAME = process.env.PERFORMANCES_TABLE_NAME;
-const SENDER_EMAIL = process.env.SENDER_EMAIL;
-const TEMPLATE_BUCKET = process.env.TEMPLATE_BUCKET;
-const TIME_ZONE = "Asia/Tokyo";
-const SENDING_START_HOUR = parseInt(process.env.SENDING_START_HOUR || "0", 10);
-const SENDING_END_HOUR = parseInt(process.env.SENDING_END_HOUR || "24", 10);
-
-function getJSTDate(date = new Date()) {
-  return new Date(date.toLocaleString("en-US", { timeZone: TIME_ZONE }));
-}
-
-function isWithinSendingHours() {
-  const now = getJSTDate();
-  const hour = now.getHours();
-  return hour >= SENDING_START_HOUR && hour < SENDING_END_HOUR;
-}
+import { getJSTDate, formatDate } from "./lib/dates.js";
+import { isWithinSendingHours } from "./lib/mailer.js";
+import { sendSurveyEmail } from "./lib/emails.js";
+import { getPerformances } from "./lib/repositories/performances.js";
+import { listSchedulesByDate } from "./lib/repositories/schedules.js";
+import {
+  queryReservations,
+  markSurveyEmailSent,
+} from "./lib/repositories/reservations.js";
+import { listAttendeesByReservation } from "./lib/repositories/attendees.js";
 
 export const handler = async (event) => {
   console.log("Starting sendSurveyEmails function");
@@ -61,7 +36,6 @@ export const handler = async (event) => {
 
     const performanceIds = [...new Set(schedules.map((s) => s.performanceId))];
     const performances = await getPerformances(performanceIds);
-    const template = await getEmailTemplate("survey-email");
 
     let sentCount = 0;
     let errorCount = 0;
@@ -79,9 +53,14 @@ export const handler = async (event) => {
         continue;
       }
 
-      const reservations = await getConfirmedReservationsForSchedule(
-        schedule.performanceId,
-        schedule.id
+      const reservations = await queryReservations({
+        performanceId: schedule.performanceId,
+        scheduleId: schedule.id,
+        statuses: ["confirmed"],
+      });
+      console.log(
+        `Found confirmed reservations for performance ${schedule.performanceId}, schedule ${schedule.id}:`,
+        reservations
       );
 
       const emailPromises = reservations.map(async (reservation) => {
@@ -94,8 +73,8 @@ export const handler = async (event) => {
               return;
             }
 
-            await sendSurveyEmail(reservation, schedule, performance, template);
-            await updateReservationSurveySent(reservation.id);
+            await sendSurveyEmail(reservation, performance, schedule);
+            await markSurveyEmailSent(reservation.id);
             sentCount++;
           } catch (error) {
             console.error(
@@ -143,69 +122,22 @@ export const handler = async (event) => {
   }
 };
 
-/** 1日前のスケジュールを取得 (Index: DateIndex) */
+/** 1日前のスケジュールを取得 */
 async function getPastSchedules() {
   const yesterday = getJSTDate();
   yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayDate = yesterday.toISOString().split("T")[0];
 
-  const command = new QueryCommand({
-    TableName: SCHEDULES_TABLE_NAME,
-    IndexName: "DateIndex",
-    KeyConditionExpression: "#date = :date",
-    ExpressionAttributeNames: {
-      "#date": "date",
-    },
-    ExpressionAttributeValues: {
-      ":date": yesterdayDate,
-    },
-  });
-
-  const result = await dynamodb.send(command);
-  console.log("Found schedules:", result.Items);
-  return result.Items || [];
-}
-
-/** スケジュールの confirmed 予約を取得 */
-async function getConfirmedReservationsForSchedule(performanceId, scheduleId) {
-  const command = new QueryCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    IndexName: "GSI1",
-    KeyConditionExpression: "performanceId = :pid AND scheduleId = :sid",
-    FilterExpression: "#status = :status",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":pid": performanceId,
-      ":sid": scheduleId,
-      ":status": "confirmed",
-    },
-  });
-
-  const result = await dynamodb.send(command);
-  console.log(
-    `Found confirmed reservations for performance ${performanceId}, schedule ${scheduleId}:`,
-    result.Items
-  );
-  return result.Items;
+  const schedules = await listSchedulesByDate(formatDate(yesterday));
+  console.log("Found schedules:", schedules);
+  return schedules;
 }
 
 /** 代表者がcheckedIn=true か判定 */
 async function isRepresentativeCheckedIn(reservation) {
-  // occupant i=0 は attendee.name === reservation.name とする想定
-  const command = new QueryCommand({
-    TableName: ATTENDEES_TABLE_NAME,
-    IndexName: "ReservationIdIndex",
-    KeyConditionExpression: "reservationId = :rid",
-    ExpressionAttributeValues: {
-      ":rid": reservation.id,
-    },
-  });
-  const res = await dynamodb.send(command);
-  const attendees = res.Items || [];
+  // 予約者本人は isRepresentative: true（名前はお連れ様と同じこともあるため使わない）
+  const attendees = await listAttendeesByReservation(reservation.id);
 
-  const mainAttendee = attendees.find((att) => att.name === reservation.name);
+  const mainAttendee = attendees.find((att) => att.isRepresentative);
   if (!mainAttendee) {
     // occupant i=0 not found => false
     return false;
@@ -213,78 +145,3 @@ async function isRepresentativeCheckedIn(reservation) {
 
   return mainAttendee.checkedIn === true;
 }
-
-/** Surveyメール送信 */
-async function sendSurveyEmail(reservation, schedule, performance, template) {
-  const performanceDate = new Date(schedule.date);
-  const dayOfWeek = ["日", "月", "火", "水", "木", "金", "土"][
-    performanceDate.getDay()
-  ];
-  const formattedDate = `${schedule.date.replace(/-/g, "/")} (${dayOfWeek}) ${
-    schedule.time
-  }`;
-
-  const emailBody = template
-    .replaceAll("{{name}}", reservation.name)
-    .replace("{{performanceTitle}}", performance.title)
-    .replace("{{performanceDateTime}}", formattedDate)
-    .replace("{{surveyFormUrl}}", performance.surveyFormUrl);
-
-  const params = {
-    Destination: { ToAddresses: [reservation.email] },
-    Message: {
-      Body: { Text: { Data: emailBody } },
-      Subject: { Data: "【ましろ小劇場】公演アンケートへのご協力のお願い" },
-    },
-    Source: SENDER_EMAIL,
-  };
-
-  await sesClient.send(new SendEmailCommand(params));
-}
-
-/** reservation.surveyEmailSent=true に更新 */
-async function updateReservationSurveySent(reservationId) {
-  const command = new UpdateCommand({
-    TableName: RESERVATIONS_TABLE_NAME,
-    Key: { id: reservationId },
-    UpdateExpression: "SET surveyEmailSent = :sent",
-    ExpressionAttributeValues: {
-      ":sent": true,
-    },
-  });
-
-  await dynamodb.send(command);
-}
-
-/** メールテンプレート読み込み */
-async function getEmailTemplate(templateName) {
-  const command = new GetObjectCommand({
-    Bucket: TEMPLATE_BUCKET,
-    Key: `email-templates/${templateName}.txt`,
-  });
-  const response = await s3Client.send(command);
-  return streamToString(response.Body);
-}
-
-function streamToString(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on("data", (chunk) => chunks.push(chunk));
-    stream.on("error", reject);
-    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
-  });
-}
-
-/** Performancesをまとめて取得 */
-async function getPerformances(performanceIds) {
-  const command = new BatchGetCommand({
-    RequestItems: {
-      [PERFORMANCES_TABLE_NAME]: {
-        Keys: performanceIds.map((id) => ({ id })),
-      },
-    },
-  });
-
-  const result = await dynamodb.send(command);
-  return result.Responses[PERFORMANCES_TABLE_NAME];
-}
@@ -0,0 +1,98 @@
+import { sendNotification } from "./utils/notification.js";
+import { getOrigin, createResponder } from "./lib/http.js";
+import { getReservation } from "./lib/repositories/reservations.js";
+import { verifyCancelToken } from "./lib/tokens.js";
+import {
+  transferReservation,
+  TRANSFER_ERRORS,
+} from "./lib/reservationTransfer.js";
+import { customerActor } from "./lib/audit.js";
+
+const { createResponse, createErrorResponse } = createResponder("POST,OPTIONS");
+
+/**
+ * お客様による予約の日時変更（同じ公演の別スケジュールへ移動）
+ *   POST /reservations/{reservationId}/transfer  body: { token, scheduleId }
+ */
+export const handler = async (event) => {
+  console.log("Received event:", JSON.stringify(event, null, 2));
+
+  const origin = getOrigin(event);
+
+  if (event.httpMethod === "OPTIONS") {
+    return createResponse(
+      200,
+      { message: "CORS preflight request successful" },
+      origin
+    );
+  }
+
+  try {
+    const reservationId = event.pathParameters?.reservationId;
+    const { token, scheduleId } = JSON.parse(event.body);
+    if (!reservationId || !token || !scheduleId) {
+      return createErrorResponse(
+        400,
+        "E002",
+        "Missing reservationId, token or scheduleId",
+        origin
+      );
+    }
+
+    // 予約の取得とトークン検証
+    const reservation = await getReservation(reservationId);
+    if (!reservation) {
+      return createErrorResponse(404, "E002", "Reservation not found", origin);
+    }
+    if (!(await verifyCancelToken(reservationId, token))) {
+      return createErrorResponse(403, "E002", "Invalid token", origin);
+    }
+    if (reservation.status === "canceled") {
+      return createErrorResponse(
+        400,
+        "E003",
+        "Reservation has been canceled",
+        origin
+      );
+    }
+
+    const result = await transferReservation(reservation, scheduleId, {
+      actor: customerActor(reservation),
+      service: "transferReservation",
+    });
+    if (!result.transferred) {
+      const {
+        statusCode = 400,
+        errorCode,
+        errorMessage,
+      } = TRANSFER_ERRORS[result.reason];
+      return createErrorResponse(statusCode, errorCode, errorMessage, origin);
+    }
+
+    await sendNotification(
+      `予約日時変更: ID ${reservationId}, スケジュール ${reservation.scheduleId} → ${scheduleId}, 人数 ${reservation.reservedSeats}`,
+      "INFO",
+      "LOW",
+      "transferReservation"
+    );
+
+    return createResponse(
+      200,
+      {
+        message: "Reservation transferred successfully",
+        reservationId,
+        scheduleId,
+      },
+      origin
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    await sendNotification(
+      `予約日時変更エラー: ${error.message}`,
+      "ERROR",
+      "HIGH",
+      "transferReservation"
+    );
+    return createErrorResponse(500, "E999", "Internal server error", origin);
+  }
+};
@@ -0,0 +1,186 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import {
+  isValidEmailSyntax,
+  isDisposableEmail,
+} from "../src/lib/emailValidation.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+
+describe("isValidEmailSyntax", () => {
+  it("dot-atom 形式のアドレスを受け付ける", () => {
+    for (const email of [
+      "taro@example.com",
+      "taro.yamada+theater@mail.example.co.jp",
+      "o'brien@example.xn--q9jyb4c",
+    ]) {
+      assert.equal(isValidEmailSyntax(email), true, email);
+    }
+  });
+
+  it("構文の誤り・ドットの位置・長すぎるアドレスは不可", () => {
+    for (const email of [
+      undefined,
+      "taro",
+      "taro@localhost",
+      "taro@@example.com",
+      ".taro@example.com",
+      "ta..ro@example.com",
+      "taro@-example.com",
+      "taro@example.c0m",
+      '"taro"@example.com',
+      "taro@[192.0.2.1]",
+      `${"a".repeat(65)}@example.com`,
+      `taro@${"a".repeat(250)}.com`,
+    ]) {
+      assert.equal(isValidEmailSyntax(email), false, email);
+    }
+  });
+});
+
+describe("isDisposableEmail", () => {
+  it("使い捨てメールのドメインとそのサブドメインを判定する", () => {
+    assert.equal(isDisposableEmail("x@mailinator.com"), true);
+    assert.equal(isDisposableEmail("x@Sub.YOPMAIL.com"), true);
+    assert.equal(isDisposableEmail("x@example.com"), false);
+    assert.equal(isDisposableEmail("x@notmailinator.com"), false);
+  });
+});
+
+describe("POST /reservations の不正利用対策", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    stubServices();
+    db.put("test-performances", {
+      id: "PERF1",
+      title: "春公演",
+      reservationStartTime: "2000-01-01T00:00:00.000Z",
+      maxReservations: 4,
+    });
+    db.put("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+      totalSeats: 50,
+      remainingSeats: 50,
+      pendingSeats: 0,
+      confirmedSeats: 0,
+    });
+  });
+  afterEach(() => {
+    delete process.env.CAPTCHA_PROVIDER;
+    mock.restoreAll();
+  });
+
+  async function reserve(email, { sourceIp = "192.0.2.1", ...body } = {}) {
+    const response = await createReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      requestContext: { identity: { sourceIp } },
+      body: JSON.stringify({
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        name: "山田 太郎",
+        email,
+        reservedSeats: 1,
+        ...body,
+      }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("不正な形式・使い捨てメールのアドレスは 400 で予約を作らない", async () => {
+    assert.equal((await reserve("taro@localhost")).errorCode, "E013");
+    assert.equal((await reserve("taro@mailinator.com")).errorCode, "E014");
+    assert.equal(db.items("test-reservations").length, 0);
+  });
+
+  it("同じメールアドレスからは1時間に5回まで (E016)", async () => {
+    assert.equal((await reserve("taro@example.com")).statusCode, 200);
+    for (let i = 1; i < 5; i++) {
+      // 同じ回への重複予約として断られたリクエストも数える
+      const result = await reserve("taro@example.com", {
+        sourceIp: `192.0.2.${i}`,
+      });
+      assert.equal(result.statusCode, 400);
+    }
+
+    const result = await reserve("TARO@example.com", {
+      sourceIp: "192.0.2.9",
+    });
+    assert.equal(result.statusCode, 429);
+    assert.equal(result.errorCode, "E016");
+    assert.ok(result.retryAfter > 0);
+  });
+
+  it("同じ IP アドレスの未確定・承認待ちの仮予約は5件まで (E018)。確定・失効したものは数えない", async () => {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push((await reserve(`user${i}@example.com`)).reservationId);
+    }
+
+    const rejected = await reserve("user5@example.com");
+    assert.equal(rejected.statusCode, 429);
+    assert.equal(rejected.errorCode, "E018");
+
+    // 別の IP アドレスからは予約できる
+    assert.equal(
+      (await reserve("user6@example.com", { sourceIp: "198.51.100.1" }))
+        .statusCode,
+      200
+    );
+
+    // 承認待ちの予約も座席を確保しているので数える
+    const approval = db.get("test-reservations", { id: ids[1] });
+    db.put("test-reservations", { ...approval, status: "awaiting_approval" });
+    assert.equal((await reserve("user5@example.com")).errorCode, "E018");
+
+    const reservation = db.get("test-reservations", { id: ids[0] });
+    assert.match(reservation.sourceIpHash, /^[0-9a-f]{64}$/);
+    db.put("test-reservations", { ...reservation, status: "confirmed" });
+    assert.equal((await reserve("user7@example.com")).statusCode, 200);
+  });
+
+  it("同じ IP アドレスからは1時間に20回まで (E015)", async () => {
+    for (let i = 0; i < 20; i++) {
+      // 受け付けなかったリクエスト（存在しない回への申し込み）も数える
+      await reserve(`user${i}@example.com`, { scheduleId: "SCH9" });
+    }
+
+    const result = await reserve("user20@example.com");
+    assert.equal(result.statusCode, 429);
+    assert.equal(result.errorCode, "E015");
+  });
+
+  it("CAPTCHA を設定するとトークンを siteverify で確認する (E017)", async () => {
+    process.env.CAPTCHA_PROVIDER = "turnstile";
+    const requests = [];
+    mock.method(globalThis, "fetch", async (url, init) => {
+      requests.push(Object.fromEntries(init.body));
+      return {
+        ok: true,
+        json: async () => ({ success: init.body.get("response") === "good" }),
+      };
+    });
+
+    assert.equal((await reserve("a@example.com")).errorCode, "E017");
+    assert.equal(
+      (await reserve("b@example.com", { captchaToken: "bad" })).errorCode,
+      "E017"
+    );
+    assert.equal(
+      (await reserve("c@example.com", { captchaToken: "good" })).statusCode,
+      200
+    );
+    assert.deepEqual(requests.at(-1), {
+      secret: "test-secret",
+      response: "good",
+      remoteip: "192.0.2.1",
+    });
+  });
+});
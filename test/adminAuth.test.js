@@ -0,0 +1,215 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { hashPassword } from "../src/lib/passwords.js";
+import { handler as loginAdmin } from "../src/admin/loginAdmin.mjs";
+import { handler as getAttendeesAdmin } from "../src/admin/getAttendeesAdmin.mjs";
+import { handler as updateCheckinAdmin } from "../src/admin/updateCheckinAdmin.mjs";
+import { handler as transferReservationAdmin } from "../src/admin/transferReservationAdmin.mjs";
+
+const ADMIN_USERS = "test-admin-users";
+const passwordHash = await hashPassword("correct-password");
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+  db.put("test-performances", { id: "PERF1", title: "春公演" });
+  db.put("test-attendees", {
+    id: "ATT1",
+    reservationId: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name: "山田 太郎",
+    checkedIn: false,
+  });
+  db.put("test-reservations", {
+    id: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "confirmed",
+    reservedSeats: 1,
+  });
+});
+afterEach(() => mock.restoreAll());
+
+async function login(email, password, sourceIp = "192.0.2.1") {
+  const response = await loginAdmin({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    requestContext: { identity: { sourceIp } },
+    body: JSON.stringify({ email, password }),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+function getAttendees(headers, performanceId = "PERF1") {
+  return getAttendeesAdmin({
+    httpMethod: "GET",
+    headers,
+    pathParameters: { performanceId, scheduleId: "SCH1" },
+  });
+}
+
+function checkIn(headers) {
+  return updateCheckinAdmin({
+    httpMethod: "PATCH",
+    headers,
+    pathParameters: { attendeeId: "ATT1" },
+    body: JSON.stringify({ checkedIn: true }),
+  });
+}
+
+describe("POST /admin/login", () => {
+  beforeEach(() => {
+    db.put(ADMIN_USERS, {
+      email: "staff@example.com",
+      name: "受付担当",
+      role: "staff",
+      passwordHash,
+    });
+    db.put("test-admin-grants", {
+      email: "staff@example.com",
+      performanceId: "PERF1",
+    });
+  });
+
+  it("メールアドレスの大文字小文字を区別せずにログインし、権限のある公演を返す", async () => {
+    const { statusCode, body } = await login(
+      "Staff@Example.com",
+      "correct-password"
+    );
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.user.role, "staff");
+    assert.deepEqual(body.user.performanceIds, ["PERF1"]);
+    assert.ok(db.get(ADMIN_USERS, { email: "staff@example.com" }).lastLoginAt);
+
+    const response = await getAttendees({
+      Authorization: `Bearer ${body.token}`,
+    });
+    assert.equal(response.statusCode, 200);
+    assert.equal(JSON.parse(response.body).length, 1);
+  });
+
+  it("パスワード違い・存在しないユーザー・無効化されたユーザーは 401", async () => {
+    assert.equal((await login("staff@example.com", "wrong")).statusCode, 401);
+    assert.equal(
+      (await login("nobody@example.com", "correct-password")).statusCode,
+      401
+    );
+
+    db.put(ADMIN_USERS, {
+      ...db.get(ADMIN_USERS, { email: "staff@example.com" }),
+      disabled: true,
+    });
+    assert.equal(
+      (await login("staff@example.com", "correct-password")).statusCode,
+      401
+    );
+  });
+  it("同じユーザーへの試行は15分に10回まで。超えると正しいパスワードでも 429", async () => {
+    for (let i = 0; i < 10; i++) {
+      const result = await login("staff@example.com", "wrong", `192.0.2.${i}`);
+      assert.equal(result.statusCode, 401);
+    }
+
+    const result = await login("staff@example.com", "correct-password");
+    assert.equal(result.statusCode, 429);
+    assert.ok(result.body.retryAfter > 0);
+    assert.equal(result.body.token, undefined);
+  });
+
+  it("同じ IP アドレスからの試行は15分に20回まで", async () => {
+    for (let i = 0; i < 20; i++) {
+      await login(`user${i}@example.com`, "wrong");
+    }
+
+    assert.equal(
+      (await login("staff@example.com", "correct-password")).statusCode,
+      429
+    );
+    assert.equal(
+      (await login("staff@example.com", "correct-password", "198.51.100.1"))
+        .statusCode,
+      200
+    );
+  });
+});
+
+describe("管理 API の認証・認可", () => {
+  it("トークンがない・改ざんされていれば 401", async () => {
+    assert.equal((await getAttendees({})).statusCode, 401);
+
+    const { Authorization } = await adminHeaders(db);
+    const [payload, signature] = Authorization.slice(7).split(".");
+    const forged = Buffer.from(
+      JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, "base64url").toString()),
+        sub: "owner@example.com",
+      })
+    ).toString("base64url");
+    assert.equal(
+      (await getAttendees({ Authorization: `Bearer ${forged}.${signature}` }))
+        .statusCode,
+      401
+    );
+  });
+
+  it("無効化や sessionVersion の更新で発行済みのトークンを失効させる", async () => {
+    const headers = await adminHeaders(db);
+    assert.equal((await getAttendees(headers)).statusCode, 200);
+
+    const admin = db.get(ADMIN_USERS, { email: "staff@example.com" });
+    db.put(ADMIN_USERS, { ...admin, sessionVersion: 1 });
+    assert.equal((await getAttendees(headers)).statusCode, 401);
+
+    db.put(ADMIN_USERS, { ...admin, disabled: true });
+    assert.equal((await getAttendees(headers)).statusCode, 401);
+  });
+
+  it("権限のない公演は 403。owner はすべての公演を操作できる", async () => {
+    const staff = await adminHeaders(db, { performanceIds: ["PERF2"] });
+    assert.equal((await getAttendees(staff)).statusCode, 403);
+
+    const owner = await adminHeaders(db, {
+      email: "owner@example.com",
+      role: "owner",
+      performanceIds: [],
+    });
+    assert.equal((await getAttendees(owner)).statusCode, 200);
+  });
+
+  it("reception はチェックインできるが予約は操作できない", async () => {
+    const headers = await adminHeaders(db, {
+      email: "reception@example.com",
+      role: "reception",
+    });
+
+    assert.equal((await checkIn(headers)).statusCode, 200);
+    assert.equal(db.get("test-attendees", { id: "ATT1" }).checkedIn, true);
+
+    const response = await transferReservationAdmin({
+      httpMethod: "POST",
+      headers,
+      pathParameters: { reservationId: "RES1" },
+      body: JSON.stringify({ scheduleId: "SCH2" }),
+    });
+    assert.equal(response.statusCode, 403);
+  });
+
+  it("ログには Authorization ヘッダを出さない", async () => {
+    const headers = await adminHeaders(db);
+    await getAttendees(headers);
+
+    const logged = console.log.mock.calls
+      .map((call) => call.arguments.join(" "))
+      .join("\n");
+    assert.ok(logged.includes("[REDACTED]"));
+    assert.ok(!logged.includes(headers.Authorization.slice(7)));
+  });
+});
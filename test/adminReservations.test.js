@@ -0,0 +1,262 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { handler as createReservationAdmin } from "../src/admin/createReservationAdmin.mjs";
+import { handler as listReservationsAdmin } from "../src/admin/listReservationsAdmin.mjs";
+import { handler as cancelReservationAdmin } from "../src/admin/cancelReservationAdmin.mjs";
+
+const SCHEDULES = "test-schedules";
+const RESERVATIONS = "test-reservations";
+const ATTENDEES = "test-attendees";
+
+let db;
+let emails;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails } = stubServices());
+  db.put("test-performances", {
+    id: "PERF1",
+    title: "春公演",
+    reservationStartTime: "2000-01-01T00:00:00.000Z",
+    maxReservations: 1,
+  });
+  db.put(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+    // 受付を締め切った当日の回でも管理者は予約を作成できる
+    date: "2000-03-08",
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 3,
+    pendingSeats: 0,
+    confirmedSeats: 7,
+    ticketTiers: {
+      general: { price: 3000, quota: 10, maxPerReservation: 4 },
+    },
+    ticketTierRemaining: { general: 3 },
+  });
+});
+afterEach(() => mock.restoreAll());
+
+const seats = () => {
+  const { remainingSeats, confirmedSeats, ticketTierRemaining } = db.get(
+    SCHEDULES,
+    { performanceId: "PERF1", id: "SCH1" }
+  );
+  return { remainingSeats, confirmedSeats, ticketTierRemaining };
+};
+
+async function call(handler, { headers, pathParameters, query, body }) {
+  const response = await handler({
+    httpMethod: body ? "POST" : "GET",
+    headers: headers ?? (await adminHeaders(db)),
+    pathParameters,
+    queryStringParameters: query,
+    body: body && JSON.stringify(body),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+function create(body, headers) {
+  return call(createReservationAdmin, {
+    headers,
+    pathParameters: { performanceId: "PERF1" },
+    body: {
+      scheduleId: "SCH1",
+      name: "当日 太郎",
+      email: "walkin@example.com",
+      reservedSeats: 2,
+      tickets: { general: 2 },
+      ...body,
+    },
+  });
+}
+
+describe("POST /admin/performances/{performanceId}/reservations", () => {
+  it("確定済みの予約を作成し、Attendees と確定メールを作る。料金は当日精算", async () => {
+    const { statusCode, body } = await create();
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.status, "confirmed");
+    assert.equal(body.totalPrice, 6000);
+    assert.deepEqual(seats(), {
+      remainingSeats: 1,
+      confirmedSeats: 9,
+      ticketTierRemaining: { general: 1 },
+    });
+
+    const reservation = db.get(RESERVATIONS, { id: body.reservationId });
+    assert.equal(reservation.source, "admin");
+    assert.equal(reservation.createdBy, "staff@example.com");
+    assert.equal(reservation.paymentStatus, "onsite");
+    assert.equal(db.items(ATTENDEES).length, 2);
+    assert.deepEqual(
+      emails.map((email) => email.to),
+      ["walkin@example.com"]
+    );
+
+    const [entry] = db.items("test-audit-log");
+    assert.equal(entry.action, "reservation.create");
+    assert.equal(entry.actorType, "admin");
+  });
+
+  it("招待は料金 0。sendEmail=false ならメールを送らない", async () => {
+    const { body } = await create({ comp: true, sendEmail: false });
+
+    const reservation = db.get(RESERVATIONS, { id: body.reservationId });
+    assert.equal(reservation.totalPrice, 0);
+    assert.equal(reservation.comp, true);
+    assert.equal(reservation.paymentStatus, undefined);
+    assert.equal(emails.length, 0);
+  });
+
+  it("残席・重複予約のチェックは通常の予約と同じ", async () => {
+    const full = await create({ reservedSeats: 4, tickets: { general: 4 } });
+    assert.equal(full.body.errorCode, "E001");
+
+    await create();
+    const duplicate = await create({
+      reservedSeats: 1,
+      tickets: { general: 1 },
+    });
+    assert.equal(duplicate.statusCode, 400);
+    assert.equal(db.items(RESERVATIONS).length, 1);
+  });
+
+  it("メールアドレスが不正 (E013)・使い捨て (E014) なら予約もメールも作らない", async () => {
+    for (const email of [
+      "walkin@",
+      "a b@example.com",
+      ["walkin@example.com"],
+    ]) {
+      const { statusCode, body } = await create({ email });
+      assert.equal(statusCode, 400, String(email));
+      assert.equal(body.errorCode, "E013");
+    }
+    const disposable = await create({ email: "walkin@mailinator.com" });
+    assert.equal(disposable.statusCode, 400);
+    assert.equal(disposable.body.errorCode, "E014");
+
+    assert.equal(db.items(RESERVATIONS).length, 0);
+    assert.equal(emails.length, 0);
+    assert.equal(seats().remainingSeats, 3);
+  });
+
+  it("reception は予約を作成できない", async () => {
+    const headers = await adminHeaders(db, {
+      email: "reception@example.com",
+      role: "reception",
+    });
+    assert.equal((await create({}, headers)).statusCode, 403);
+  });
+});
+
+describe("予約の一覧とキャンセル", () => {
+  beforeEach(() => {
+    db.put(
+      RESERVATIONS,
+      {
+        id: "RES1",
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        status: "confirmed",
+        name: "山田 太郎",
+        email: "Taro@Example.com",
+        reservedSeats: 2,
+        tickets: { general: 2 },
+        totalPrice: 6000,
+        confirmationCode: "ABCD1234",
+        createdAt: "2025-03-01T00:00:00.000Z",
+      },
+      {
+        id: "RES2",
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        status: "canceled",
+        name: "佐藤 花子",
+        email: "hanako@example.com",
+        reservedSeats: 1,
+        createdAt: "2025-03-02T00:00:00.000Z",
+      }
+    );
+    db.put(
+      ATTENDEES,
+      { id: "ATT1", reservationId: "RES1", scheduleId: "SCH1" },
+      { id: "ATT2", reservationId: "RES1", scheduleId: "SCH1" }
+    );
+  });
+
+  const list = (query) =>
+    call(listReservationsAdmin, {
+      pathParameters: { performanceId: "PERF1" },
+      query,
+    });
+
+  it("新しい順に返し、ステータス・メールアドレス・確認コードで絞り込む", async () => {
+    assert.deepEqual(
+      (await list()).body.reservations.map((r) => r.id),
+      ["RES2", "RES1"]
+    );
+    assert.deepEqual(
+      (await list({ status: "confirmed,pending" })).body.reservations.map(
+        (r) => r.id
+      ),
+      ["RES1"]
+    );
+    assert.equal((await list({ email: " taro@example.COM " })).body.count, 1);
+    assert.equal((await list({ confirmationCode: "abcd1234" })).body.count, 1);
+    assert.equal((await list({ status: "unknown" })).statusCode, 400);
+  });
+
+  it("キャンセルで座席・券種の残数を戻し、Attendees を削除する", async () => {
+    const { statusCode, body } = await call(cancelReservationAdmin, {
+      pathParameters: { reservationId: "RES1" },
+      body: { reason: "お客様から電話" },
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.refundRequested, false);
+    assert.equal(db.get(RESERVATIONS, { id: "RES1" }).status, "canceled");
+    assert.deepEqual(seats(), {
+      remainingSeats: 5,
+      confirmedSeats: 5,
+      ticketTierRemaining: { general: 5 },
+    });
+    assert.equal(db.items(ATTENDEES).length, 0);
+    assert.equal(db.items("test-audit-log")[0].actorId, "staff@example.com");
+  });
+
+  it("支払い済みの予約は返金を依頼し、理由に担当者を残す", async () => {
+    db.put(RESERVATIONS, {
+      ...db.get(RESERVATIONS, { id: "RES1" }),
+      paymentStatus: "paid",
+      paymentProvider: "fake",
+      paymentId: "FAKEPAY1",
+    });
+
+    const { body } = await call(cancelReservationAdmin, {
+      pathParameters: { reservationId: "RES1" },
+      body: { reason: "公演中止" },
+    });
+
+    assert.equal(body.refundRequested, true);
+    const [refund] = db.get(RESERVATIONS, { id: "RES1" }).refunds;
+    assert.equal(refund.paymentId, "FAKEPAY1");
+    assert.equal(
+      refund.reason,
+      "canceled by admin staff@example.com: 公演中止"
+    );
+  });
+
+  it("キャンセル済みの予約は 400 (E003)", async () => {
+    const { body } = await call(cancelReservationAdmin, {
+      pathParameters: { reservationId: "RES2" },
+      body: {},
+    });
+    assert.equal(body.errorCode, "E003");
+  });
+});
@@ -0,0 +1,237 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import {
+  buildAttendeeRecords,
+  resolveCompanionNames,
+} from "../src/lib/attendeeSync.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as manageReservation } from "../src/manageReservation.mjs";
+import { handler as renameAttendee } from "../src/renameAttendee.mjs";
+import { handler as renameAttendeeAdmin } from "../src/admin/renameAttendeeAdmin.mjs";
+
+const ATTENDEES = "test-attendees";
+
+describe("resolveCompanionNames", () => {
+  it("指定がなければ空配列、空文字は既定の名前にするため残す", () => {
+    assert.deepEqual(resolveCompanionNames(undefined, 3), {
+      companionNames: [],
+    });
+    assert.deepEqual(resolveCompanionNames([" 佐藤 花子 ", ""], 3), {
+      companionNames: ["佐藤 花子", ""],
+    });
+  });
+
+  it("席数 - 1 件を超える指定や文字列以外はエラー", () => {
+    assert.ok(resolveCompanionNames(["A", "B"], 2).error);
+    assert.ok(resolveCompanionNames("佐藤 花子", 2).error);
+    assert.ok(resolveCompanionNames([123], 2).error);
+    assert.ok(resolveCompanionNames(["  "], 2).error);
+    assert.ok(resolveCompanionNames(["あ".repeat(101)], 2).error);
+  });
+});
+
+describe("buildAttendeeRecords", () => {
+  it("先頭を予約者本人とし、お連れ様は指定の名前か「<予約者名> お連れ様」", () => {
+    const records = buildAttendeeRecords({
+      id: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name: "山田 太郎",
+      reservedSeats: 3,
+      notes: "",
+      companionNames: ["", "鈴木 一郎"],
+    });
+
+    assert.deepEqual(
+      records.map((r) => [r.name, r.isRepresentative]),
+      [
+        ["山田 太郎", true],
+        ["山田 太郎 お連れ様", false],
+        ["鈴木 一郎", false],
+      ]
+    );
+  });
+});
+
+describe("参加者名の登録・変更", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    stubServices();
+    db.put("test-performances", {
+      id: "PERF1",
+      title: "春公演",
+      reservationStartTime: "2000-01-01T00:00:00.000Z",
+      maxReservations: 4,
+    });
+    db.put("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+      totalSeats: 10,
+      remainingSeats: 7,
+      pendingSeats: 0,
+      confirmedSeats: 3,
+    });
+    db.put("test-reservations", {
+      id: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      status: "confirmed",
+      name: "山田 太郎",
+      email: "taro@example.com",
+      reservedSeats: 3,
+      createdAt: "2025-03-01T00:00:00.000Z",
+    });
+    db.put(
+      ATTENDEES,
+      // 予約者本人は名前ではなく isRepresentative で判定する
+      attendee("ATT1", "山田 太郎 お連れ様", false, "2025-03-01T00:00:01Z"),
+      attendee("ATT2", "山田 太郎", true, "2025-03-01T00:00:02Z"),
+      attendee("ATT3", "山田 太郎 お連れ様", false, "2025-03-01T00:00:03Z"),
+      { ...attendee("ATT9", "他人", true), reservationId: "RES9" }
+    );
+  });
+  afterEach(() => mock.restoreAll());
+
+  function attendee(id, name, isRepresentative, createdAt) {
+    return {
+      id,
+      reservationId: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name,
+      isRepresentative,
+      checkedIn: false,
+      createdAt,
+    };
+  }
+
+  const nameOf = (id) => db.get(ATTENDEES, { id }).name;
+
+  async function rename(attendeeId, { token, ...body }) {
+    token ??= await createCancelToken("RES1");
+    const response = await renameAttendee({
+      httpMethod: "PATCH",
+      headers: { origin: "http://localhost:3000" },
+      pathParameters: { reservationId: "RES1", attendeeId },
+      body: JSON.stringify({ token, ...body }),
+    });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  }
+
+  it("予約時のお連れ様の名前を予約に保存し、多すぎれば 400 (E002)", async () => {
+    const reserve = async (companionNames) => {
+      const response = await createReservation({
+        httpMethod: "POST",
+        headers: { origin: "http://localhost:3000" },
+        body: JSON.stringify({
+          performanceId: "PERF1",
+          scheduleId: "SCH1",
+          name: "佐藤 花子",
+          email: "hanako@example.com",
+          reservedSeats: 2,
+          companionNames,
+        }),
+      });
+      return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+    };
+
+    const rejected = await reserve(["A", "B"]);
+    assert.equal(rejected.statusCode, 400);
+    assert.equal(rejected.errorCode, "E002");
+
+    const { statusCode, reservationId } = await reserve(["佐藤 次郎"]);
+    assert.equal(statusCode, 200);
+    assert.deepEqual(
+      db.get("test-reservations", { id: reservationId }).companionNames,
+      ["佐藤 次郎"]
+    );
+  });
+
+  it("予約の照会で参加者を予約者本人から順に返す", async () => {
+    const response = await manageReservation({
+      httpMethod: "GET",
+      headers: { origin: "http://localhost:3000" },
+      pathParameters: { reservationId: "RES1" },
+      queryStringParameters: { token: await createCancelToken("RES1") },
+    });
+
+    assert.deepEqual(
+      JSON.parse(response.body).attendees.map((a) => [
+        a.id,
+        a.isRepresentative,
+      ]),
+      [
+        ["ATT2", true],
+        ["ATT1", false],
+        ["ATT3", false],
+      ]
+    );
+  });
+
+  it("予約者がお連れ様の名前を変更でき、監査ログに残る", async () => {
+    const { statusCode, body } = await rename("ATT3", { name: " 鈴木 一郎 " });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.name, "鈴木 一郎");
+    assert.equal(nameOf("ATT3"), "鈴木 一郎");
+    assert.equal(db.get("test-reservations", { id: "RES1" }).name, "山田 太郎");
+
+    const [entry] = db.items("test-audit-log");
+    assert.equal(entry.action, "attendee.rename");
+    assert.deepEqual(entry.before, { name: "山田 太郎 お連れ様" });
+    assert.deepEqual(entry.after, { name: "鈴木 一郎" });
+  });
+
+  it("予約者本人の名前・他の予約の参加者・不正なトークンは変更できない", async () => {
+    assert.equal((await rename("ATT2", { name: "別名" })).statusCode, 400);
+    assert.equal((await rename("ATT9", { name: "別名" })).statusCode, 404);
+    assert.equal(
+      (await rename("ATT3", { name: "別名", token: "invalid" })).statusCode,
+      403
+    );
+    assert.equal((await rename("ATT3", { name: "" })).statusCode, 400);
+    assert.equal(nameOf("ATT2"), "山田 太郎");
+    assert.equal(nameOf("ATT3"), "山田 太郎 お連れ様");
+  });
+
+  it("受付の締め切り後は予約者からは変更できない (E008)", async () => {
+    db.put("test-schedules", {
+      ...db.get("test-schedules", { performanceId: "PERF1", id: "SCH1" }),
+      date: "2000-01-01",
+    });
+
+    const { statusCode, body } = await rename("ATT3", { name: "鈴木 一郎" });
+    assert.equal(statusCode, 400);
+    assert.equal(body.errorCode, "E008");
+  });
+
+  it("管理者は予約者本人の名前も変更できる。権限のない公演は 403", async () => {
+    const request = async (headers) =>
+      renameAttendeeAdmin({
+        httpMethod: "PUT",
+        headers,
+        pathParameters: { attendeeId: "ATT2" },
+        body: JSON.stringify({ name: "山田 花子" }),
+      });
+
+    const denied = await request(
+      await adminHeaders(db, { email: "other@example.com", performanceIds: [] })
+    );
+    assert.equal(denied.statusCode, 403);
+    assert.equal(nameOf("ATT2"), "山田 太郎");
+
+    const response = await request(await adminHeaders(db));
+    assert.equal(response.statusCode, 200);
+    assert.equal(nameOf("ATT2"), "山田 花子");
+    assert.equal(db.items("test-audit-log")[0].actorId, "staff@example.com");
+  });
+});
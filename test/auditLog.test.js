@@ -0,0 +1,201 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+import { handler as updateCheckinAdmin } from "../src/admin/updateCheckinAdmin.mjs";
+import { handler as getAuditLogAdmin } from "../src/admin/getAuditLogAdmin.mjs";
+
+const AUDIT_LOG = "test-audit-log";
+
+let db;
+let notifications;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ notifications } = stubServices());
+  db.put("test-performances", {
+    id: "PERF1",
+    title: "春公演",
+    reservationStartTime: "2000-01-01T00:00:00.000Z",
+    maxReservations: 2,
+  });
+  db.put("test-schedules", {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 10,
+    pendingSeats: 0,
+    confirmedSeats: 0,
+  });
+});
+afterEach(() => mock.restoreAll());
+
+async function reserve() {
+  const response = await createReservation({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    body: JSON.stringify({
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name: "山田 太郎",
+      email: "taro@example.com",
+      reservedSeats: 2,
+    }),
+  });
+  return JSON.parse(response.body).reservationId;
+}
+
+async function auditLog(headers, query) {
+  const response = await getAuditLogAdmin({
+    httpMethod: "GET",
+    headers,
+    pathParameters: { performanceId: "PERF1" },
+    queryStringParameters: query,
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+describe("監査ログの記録", () => {
+  it("予約の作成・キャンセルを、お客様の操作として変更前後つきで記録する", async () => {
+    const reservationId = await reserve();
+    await cancelReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        id: reservationId,
+        token: await createCancelToken(reservationId),
+      }),
+    });
+
+    const entries = db.items(AUDIT_LOG);
+    assert.deepEqual(
+      entries.map((entry) => entry.action),
+      ["reservation.create", "reservation.canceled"]
+    );
+    assert.ok(entries.every((entry) => entry.entityId === reservationId));
+    assert.ok(
+      entries.every(
+        (entry) =>
+          entry.actorType === "customer" && entry.actorId === "taro@example.com"
+      )
+    );
+    assert.equal(entries[0].before, undefined);
+    assert.equal(entries[0].after.reservedSeats, 2);
+    assert.equal(entries[1].before.status, "pending");
+    assert.equal(entries[1].after.status, "canceled");
+  });
+
+  it("チェックインを管理ユーザーの操作として記録する", async () => {
+    db.put("test-attendees", {
+      id: "ATT1",
+      reservationId: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      checkedIn: false,
+    });
+    await updateCheckinAdmin({
+      httpMethod: "PATCH",
+      headers: await adminHeaders(db, { role: "reception" }),
+      pathParameters: { attendeeId: "ATT1" },
+      body: JSON.stringify({ checkedIn: true }),
+    });
+
+    const [entry] = db.items(AUDIT_LOG);
+    assert.equal(entry.action, "attendee.checkin");
+    assert.equal(entry.actorType, "admin");
+    assert.equal(entry.actorId, "staff@example.com");
+    assert.deepEqual(entry.before, { checkedIn: false });
+    assert.equal(entry.after.checkedIn, true);
+    assert.equal(entry.after.checkedInBy, "staff@example.com");
+  });
+
+  it("記録に失敗しても本来の処理は成功させ、通知する", async () => {
+    const send = db.send.bind(db);
+    mock.method(db, "send", async (command) => {
+      if (command.input.TableName === AUDIT_LOG) {
+        throw new Error("audit log unavailable");
+      }
+      return send(command);
+    });
+
+    const reservationId = await reserve();
+
+    assert.ok(db.get("test-reservations", { id: reservationId }));
+    assert.ok(
+      notifications.some((n) =>
+        JSON.stringify(n).includes("audit log unavailable")
+      )
+    );
+  });
+});
+
+describe("GET /admin/performances/{performanceId}/audit", () => {
+  beforeEach(() => {
+    for (let i = 1; i <= 3; i++) {
+      db.put(AUDIT_LOG, {
+        performanceId: "PERF1",
+        sk: `2025-03-0${i}T00:00:00.000Z#LOG${i}`,
+        id: `LOG${i}`,
+        entityType: i === 2 ? "attendee" : "reservation",
+        entityId: `ENT${i}`,
+        action: "test",
+        actorType: "admin",
+        actorId: "staff@example.com",
+        createdAt: `2025-03-0${i}T00:00:00.000Z`,
+      });
+    }
+  });
+
+  it("新しい順に返し、nextCursor で続きを取得する", async () => {
+    const headers = await adminHeaders(db);
+    const first = await auditLog(headers, { limit: "2" });
+
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(
+      first.body.items.map((item) => item.id),
+      ["LOG3", "LOG2"]
+    );
+
+    const second = await auditLog(headers, {
+      limit: "2",
+      cursor: first.body.nextCursor,
+    });
+    assert.deepEqual(
+      second.body.items.map((item) => item.id),
+      ["LOG1"]
+    );
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  it("種別で絞り込む", async () => {
+    const { body } = await auditLog(await adminHeaders(db), {
+      entityType: "reservation",
+    });
+    assert.deepEqual(
+      body.items.map((item) => item.id),
+      ["LOG3", "LOG1"]
+    );
+  });
+
+  it("reception は閲覧できない。不正なカーソル・件数は 400", async () => {
+    const reception = await adminHeaders(db, {
+      email: "reception@example.com",
+      role: "reception",
+    });
+    assert.equal((await auditLog(reception)).statusCode, 403);
+
+    const headers = await adminHeaders(db);
+    assert.equal(
+      (await auditLog(headers, { cursor: "invalid" })).statusCode,
+      400
+    );
+    assert.equal((await auditLog(headers, { limit: "101" })).statusCode, 400);
+  });
+});
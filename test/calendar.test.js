@@ -0,0 +1,145 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { buildReservationCalendar } from "../src/lib/calendar.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import { sendReservationConfirmedEmail } from "../src/lib/emails.js";
+import { handler as getReservationCalendar } from "../src/getReservationCalendar.mjs";
+
+const reservation = {
+  id: "RES1",
+  performanceId: "PERF1",
+  scheduleId: "SCH1",
+  name: "山田 太郎",
+  email: "taro@example.com",
+  reservedSeats: 2,
+  status: "confirmed",
+};
+const performance = { id: "PERF1", title: "春公演; 再演, 千秋楽" };
+const schedule = {
+  performanceId: "PERF1",
+  id: "SCH1",
+  date: "2099-03-08",
+  time: "19:00",
+};
+
+/** 折り返しをつないだ行 */
+function unfold(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+describe("buildReservationCalendar", () => {
+  it("日本時間の開演から2時間の予定。UID は予約ごとに固定", () => {
+    const lines = unfold(
+      buildReservationCalendar(reservation, performance, schedule)
+    );
+
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("UID:RES1@mashirotheater.com"));
+    assert.ok(lines.includes("DTSTART:20990308T100000Z"));
+    assert.ok(lines.includes("DTEND:20990308T120000Z"));
+    assert.ok(lines.includes("SUMMARY:春公演\\; 再演\\, 千秋楽"));
+    assert.ok(
+      lines.includes("DESCRIPTION:公演詳細: http://localhost:3000/events/PERF1")
+    );
+    assert.ok(!lines.some((line) => line.startsWith("LOCATION:")));
+    assert.equal(lines.at(-1), "");
+  });
+
+  it("入場用 URL があれば説明と場所に入れ、予約の言語で表記する", () => {
+    const lines = unfold(
+      buildReservationCalendar({ ...reservation, locale: "en" }, performance, {
+        ...schedule,
+        entryUrl: "https://stream.example.com/live",
+      })
+    );
+
+    assert.ok(
+      lines.includes(
+        "DESCRIPTION:Event details: http://localhost:3000/events/PERF1\\nEntry URL: https://stream.example.com/live"
+      )
+    );
+    assert.ok(lines.includes("LOCATION:https://stream.example.com/live"));
+  });
+
+  it("75 バイトを超える行はマルチバイト文字の途中で切らずに折り返す", () => {
+    const ics = buildReservationCalendar(
+      reservation,
+      { ...performance, title: "あ".repeat(60) },
+      schedule
+    );
+
+    for (const line of ics.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(unfold(ics).includes(`SUMMARY:${"あ".repeat(60)}`));
+  });
+});
+
+describe("予約確定メールの添付", () => {
+  let emails;
+
+  beforeEach(() => {
+    ({ emails } = stubServices());
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("予定の .ics を添付する", async () => {
+    await sendReservationConfirmedEmail(reservation, performance, schedule);
+
+    const [attachment] = emails[0].attachments;
+    assert.equal(attachment.filename, "mashirotheater.ics");
+    assert.equal(attachment.contentType, "text/calendar");
+    assert.match(attachment.content, /UID:RES1@mashirotheater\.com/);
+    assert.match(emails[0].text, /山田 太郎 様/);
+  });
+});
+
+describe("GET /reservations/{reservationId}/calendar.ics", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    stubServices();
+    db.put("test-performances", performance);
+    db.put("test-schedules", schedule);
+    db.put("test-reservations", reservation);
+  });
+  afterEach(() => mock.restoreAll());
+
+  async function download(token) {
+    return getReservationCalendar({
+      httpMethod: "GET",
+      headers: { origin: "http://localhost:3000" },
+      pathParameters: { reservationId: "RES1" },
+      queryStringParameters: { token },
+    });
+  }
+
+  it("確定した予約の予定をダウンロードできる", async () => {
+    const response = await download(await createCancelToken("RES1"));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(
+      response.headers["Content-Type"],
+      "text/calendar; charset=UTF-8; method=PUBLISH"
+    );
+    assert.equal(
+      response.headers["Content-Disposition"],
+      'attachment; filename="mashirotheater.ics"'
+    );
+    assert.match(response.body, /^BEGIN:VCALENDAR\r\n/);
+  });
+
+  it("トークンが不正なら 403、キャンセル済み・未確定なら 400", async () => {
+    assert.equal((await download("invalid")).statusCode, 403);
+
+    const token = await createCancelToken("RES1");
+    db.put("test-reservations", { ...reservation, status: "canceled" });
+    assert.equal(JSON.parse((await download(token)).body).errorCode, "E003");
+    db.put("test-reservations", { ...reservation, status: "pending" });
+    assert.equal(JSON.parse((await download(token)).body).errorCode, "E008");
+  });
+});
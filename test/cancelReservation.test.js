@@ -0,0 +1,136 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { SESClient } from "@aws-sdk/client-ses";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+
+const RESERVATIONS = "test-reservations";
+
+let db;
+let emails;
+let notifications;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails, notifications } = stubServices());
+  db.put("test-performances", { id: "PERF1", title: "春公演" });
+  db.put("test-schedules", {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 7,
+    pendingSeats: 0,
+    confirmedSeats: 3,
+    ticketTiers: {
+      general: { price: 3000, quota: 6, maxPerReservation: 4 },
+      student: { price: 1500, quota: 4, maxPerReservation: 4 },
+    },
+    ticketTierRemaining: { general: 4, student: 3 },
+  });
+  db.put(RESERVATIONS, {
+    id: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "confirmed",
+    name: "山田 太郎",
+    email: "taro@example.com",
+    reservedSeats: 3,
+    tickets: { general: 2, student: 1 },
+    totalPrice: 7500,
+    createdAt: "2025-03-01T00:00:00.000Z",
+  });
+});
+afterEach(() => mock.restoreAll());
+
+async function cancel() {
+  const response = await cancelReservation({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    body: JSON.stringify({
+      id: "RES1",
+      token: await createCancelToken("RES1"),
+    }),
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+const cancelNotification = () =>
+  notifications.find((n) => n.message.startsWith("予約キャンセル: ID RES1"));
+
+describe("お客様によるキャンセルの通知", () => {
+  it("キャンセル完了メールを送り、管理者に公演・日時・解放した席数を通知する", async () => {
+    assert.equal((await cancel()).statusCode, 200);
+
+    const [email] = emails;
+    assert.equal(email.to, "taro@example.com");
+    assert.equal(
+      email.subject,
+      "【ましろ小劇場】ご予約のキャンセルを承りました"
+    );
+    assert.match(email.text, /春公演\n日時 : 2099\/03\/08 \(日\) 19:00/);
+    assert.match(email.text, /券種 : 一般 2枚 \/ 学生 1枚/);
+    assert.doesNotMatch(email.text, /返金/);
+
+    const notification = cancelNotification();
+    assert.equal(
+      notification.message,
+      "予約キャンセル: ID RES1, 公演 春公演, 日時 2099/03/08 (日) 19:00, 解放した席数 3 (一般 2 / 学生 1)"
+    );
+    assert.equal(notification.type, "INFO");
+  });
+
+  it("支払い済みなら返金の手続き中である旨をメールに入れる", async () => {
+    db.put(RESERVATIONS, {
+      ...db.get(RESERVATIONS, { id: "RES1" }),
+      paymentStatus: "paid",
+      paymentId: "pay_1",
+    });
+
+    await cancel();
+
+    assert.match(emails[0].text, /返金の手続きを進めております/);
+  });
+
+  it("リマインドメールの送信後のキャンセルは WARNING で知らせる", async () => {
+    db.put(RESERVATIONS, {
+      ...db.get(RESERVATIONS, { id: "RES1" }),
+      reminderEmailSent: true,
+    });
+
+    await cancel();
+
+    const notification = cancelNotification();
+    assert.equal(notification.type, "WARNING");
+    assert.match(notification.message, /\n【要確認】リマインドメール送信後/);
+  });
+
+  it("メールの送信に失敗してもキャンセルは成功し、エラーを通知する", async () => {
+    mock.method(SESClient.prototype, "send", async () => {
+      throw new Error("SES unavailable");
+    });
+
+    assert.equal((await cancel()).statusCode, 200);
+
+    assert.equal(db.get(RESERVATIONS, { id: "RES1" }).status, "canceled");
+    assert.ok(
+      notifications.some(
+        (n) =>
+          n.type === "ERROR" &&
+          n.message.startsWith("キャンセル完了メールの送信エラー: ID RES1")
+      )
+    );
+    assert.ok(cancelNotification());
+  });
+
+  it("キャンセル済みの予約をもう一度キャンセルしてもメールは送らない", async () => {
+    await cancel();
+    assert.equal((await cancel()).statusCode, 200);
+
+    assert.equal(emails.length, 1);
+  });
+});
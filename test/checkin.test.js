@@ -0,0 +1,203 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { handler as bulkCheckinAdmin } from "../src/admin/bulkCheckinAdmin.mjs";
+import { handler as checkinByCodeAdmin } from "../src/admin/checkinByCodeAdmin.mjs";
+import { handler as updateCheckinAdmin } from "../src/admin/updateCheckinAdmin.mjs";
+
+const ATTENDEES = "test-attendees";
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+  db.put("test-schedules", {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+  });
+  db.put(
+    "test-reservations",
+    {
+      id: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      status: "confirmed",
+      name: "山田 太郎",
+      reservedSeats: 2,
+      totalPrice: 6000,
+      paymentStatus: "onsite",
+      confirmationCode: "ABCD1234",
+    },
+    {
+      id: "RES2",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      status: "canceled",
+      name: "佐藤 花子",
+      reservedSeats: 1,
+      confirmationCode: "WXYZ9876",
+    }
+  );
+  db.put(
+    ATTENDEES,
+    attendee("ATT1", "山田 太郎"),
+    attendee("ATT2", "山田 太郎 お連れ様"),
+    // 先に別の受付でチェックイン済み
+    {
+      ...attendee("ATT3", "鈴木 一郎", "RES3"),
+      checkedIn: true,
+      checkedInAt: "2099-03-08T09:00:00.000Z",
+      checkedInBy: "other@example.com",
+    }
+  );
+});
+afterEach(() => mock.restoreAll());
+
+function attendee(id, name, reservationId = "RES1") {
+  return {
+    id,
+    reservationId,
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name,
+    checkedIn: false,
+  };
+}
+
+async function call(
+  handler,
+  body,
+  pathParameters = { performanceId: "PERF1" }
+) {
+  const response = await handler({
+    httpMethod: "POST",
+    headers: await adminHeaders(db, { role: "reception" }),
+    pathParameters,
+    body: JSON.stringify(body),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+describe("POST /admin/performances/{performanceId}/checkin", () => {
+  it("まとめてチェックインし、日時と担当者を記録する。チェックイン済みはそのまま", async () => {
+    const { statusCode, body } = await call(bulkCheckinAdmin, {
+      attendeeIds: ["ATT1", "ATT3", "ATT1"],
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.checkedInCount, 1);
+    const byId = Object.fromEntries(
+      body.attendees.map((a) => [a.attendeeId, a])
+    );
+    assert.equal(byId.ATT1.alreadyCheckedIn, false);
+    assert.equal(byId.ATT1.checkedInBy, "staff@example.com");
+    assert.equal(byId.ATT3.alreadyCheckedIn, true);
+    assert.equal(byId.ATT3.checkedInBy, "other@example.com");
+
+    assert.equal(db.get(ATTENDEES, { id: "ATT1" }).checkedIn, true);
+    assert.equal(
+      db.get(ATTENDEES, { id: "ATT3" }).checkedInAt,
+      "2099-03-08T09:00:00.000Z"
+    );
+    // 状態を変えたものだけ監査ログに残す
+    assert.deepEqual(
+      db.items("test-audit-log").map((entry) => entry.entityId),
+      ["ATT1"]
+    );
+  });
+
+  it("reservationId で予約の全員をチェックインする。確定済みでなければ 409", async () => {
+    const { body } = await call(bulkCheckinAdmin, { reservationId: "RES1" });
+    assert.equal(body.checkedInCount, 2);
+
+    const canceled = await call(bulkCheckinAdmin, { reservationId: "RES2" });
+    assert.equal(canceled.statusCode, 409);
+  });
+
+  it("別の公演の参加者が含まれていれば何もせず 404", async () => {
+    db.put(ATTENDEES, {
+      ...attendee("ATT9", "他公演"),
+      performanceId: "PERF2",
+    });
+    const { statusCode, body } = await call(bulkCheckinAdmin, {
+      attendeeIds: ["ATT1", "ATT9"],
+    });
+
+    assert.equal(statusCode, 404);
+    assert.deepEqual(body.attendeeIds, ["ATT9"]);
+    assert.equal(db.get(ATTENDEES, { id: "ATT1" }).checkedIn, false);
+  });
+
+  it("attendeeIds と reservationId のどちらか一方が必要", async () => {
+    assert.equal((await call(bulkCheckinAdmin, {})).statusCode, 400);
+    assert.equal(
+      (
+        await call(bulkCheckinAdmin, {
+          attendeeIds: ["ATT1"],
+          reservationId: "RES1",
+        })
+      ).statusCode,
+      400
+    );
+  });
+});
+
+describe("POST /admin/performances/{performanceId}/checkin-by-code", () => {
+  it("確認コード（大文字小文字を区別しない）で予約の全員をチェックインし、精算の情報を返す", async () => {
+    const { statusCode, body } = await call(checkinByCodeAdmin, {
+      confirmationCode: " abcd1234 ",
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.checkedInCount, 2);
+    assert.equal(body.reservation.totalPrice, 6000);
+    assert.equal(body.reservation.paymentStatus, "onsite");
+    assert.equal(body.reservation.date, "2099-03-08");
+  });
+
+  it("受付中の回と違う予約は E116、キャンセル済みは 409、見つからなければ 404", async () => {
+    const other = await call(checkinByCodeAdmin, {
+      confirmationCode: "ABCD1234",
+      scheduleId: "SCH2",
+    });
+    assert.equal(other.body.errorCode, "E116");
+    assert.equal(db.get(ATTENDEES, { id: "ATT1" }).checkedIn, false);
+
+    assert.equal(
+      (await call(checkinByCodeAdmin, { confirmationCode: "WXYZ9876" }))
+        .statusCode,
+      409
+    );
+    assert.equal(
+      (await call(checkinByCodeAdmin, { confirmationCode: "NONE" })).statusCode,
+      404
+    );
+  });
+});
+
+describe("PATCH /admin/attendees/{attendeeId}/checkin", () => {
+  it("取り消すと日時・担当者も消す", async () => {
+    const response = await updateCheckinAdmin({
+      httpMethod: "PATCH",
+      headers: await adminHeaders(db, { role: "reception" }),
+      pathParameters: { attendeeId: "ATT3" },
+      body: JSON.stringify({ checkedIn: false }),
+    });
+
+    assert.equal(response.statusCode, 200);
+    const current = db.get(ATTENDEES, { id: "ATT3" });
+    assert.equal(current.checkedIn, false);
+    assert.equal(current.checkedInAt, undefined);
+    assert.equal(current.checkedInBy, undefined);
+
+    const [entry] = db.items("test-audit-log");
+    assert.equal(entry.action, "attendee.checkin_undo");
+    assert.equal(entry.before.checkedInBy, "other@example.com");
+  });
+});
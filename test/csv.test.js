@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../src/lib/export/csv.js";
+
+const BOM = "\uFEFF";
+
+/** BOM を除いた1行分 */
+const row = (cells) => toCsv([cells]).slice(BOM.length);
+
+describe("toCsv", () => {
+  it("先頭に BOM を付け、行は CRLF で区切る", () => {
+    assert.equal(
+      toCsv([
+        ["氏名", "席数"],
+        ["山田", 2],
+      ]),
+      `${BOM}氏名,席数\r\n山田,2`
+    );
+  });
+
+  it("カンマ・引用符・改行を含むセルは引用符で囲む", () => {
+    assert.equal(
+      row(["a,b", 'say "hi"', "1行目\n2行目"]),
+      '"a,b","say ""hi""","1行目\n2行目"'
+    );
+  });
+
+  it("null・undefined は空のセル", () => {
+    assert.equal(row([null, undefined, 0]), ",,0");
+  });
+
+  it("数式として解釈される文字で始まる文字列は先頭に ' を付ける", () => {
+    for (const value of ["=1+1", "+81", "-2+3", "@SUM(A1)", "\tx"]) {
+      assert.equal(row([value]), `'${value}`);
+    }
+    assert.equal(row(["\r=1"]), `"'\r=1"`);
+  });
+
+  it("数値は負の数でもそのまま", () => {
+    assert.equal(row([-1]), "-1");
+  });
+});
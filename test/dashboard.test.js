@@ -0,0 +1,199 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { ApiGatewayManagementApiClient } from "@aws-sdk/client-apigatewaymanagementapi";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { createSessionToken } from "../src/lib/adminAuth.js";
+import { buildScheduleStats } from "../src/lib/dashboard.js";
+import { handler as getDashboardAdmin } from "../src/admin/getDashboardAdmin.mjs";
+import { handler as dashboardSocketAdmin } from "../src/admin/dashboardSocketAdmin.mjs";
+import { handler as updateCheckinAdmin } from "../src/admin/updateCheckinAdmin.mjs";
+
+const CONNECTIONS = "test-live-connections";
+
+function attendee(id, scheduleId, checkedInAt) {
+  return {
+    id,
+    reservationId: `RES-${id}`,
+    performanceId: "PERF1",
+    scheduleId,
+    name: `参加者 ${id}`,
+    checkedIn: Boolean(checkedInAt),
+    ...(checkedInAt && { checkedInAt, checkedInBy: "staff@example.com" }),
+  };
+}
+
+const schedule = (id, date, time) => ({
+  performanceId: "PERF1",
+  id,
+  date,
+  time,
+  totalSeats: 10,
+  remainingSeats: 6,
+  pendingSeats: 1,
+  confirmedSeats: 3,
+});
+
+describe("buildScheduleStats", () => {
+  const attendees = [
+    attendee("ATT1", "SCH1", "2025-03-08T09:01:00.000Z"),
+    attendee("ATT2", "SCH1", "2025-03-08T09:03:00.000Z"),
+    attendee("ATT3", "SCH1"),
+  ];
+
+  it("座席数とチェックイン数を数え、直近のチェックインを新しい順に返す", () => {
+    const stats = buildScheduleStats(
+      schedule("SCH1", "2099-03-08", "19:00"),
+      attendees
+    );
+
+    assert.equal(stats.capacity, 10);
+    assert.equal(stats.remainingSeats, 6);
+    assert.equal(stats.attendees, 3);
+    assert.equal(stats.checkedIn, 2);
+    assert.deepEqual(
+      stats.recentCheckins.map((c) => c.attendeeId),
+      ["ATT2", "ATT1"]
+    );
+  });
+
+  it("未チェックインの人数は開演後だけ noShow に数える", () => {
+    assert.equal(
+      buildScheduleStats(schedule("SCH1", "2099-03-08", "19:00"), attendees)
+        .noShow,
+      0
+    );
+    assert.equal(
+      buildScheduleStats(schedule("SCH1", "2000-03-08", "19:00"), attendees)
+        .noShow,
+      1
+    );
+  });
+});
+
+describe("受付ダッシュボード", () => {
+  let db;
+  let pushes;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    ({ pushes } = stubServices());
+    db.put("test-performances", { id: "PERF1", title: "春公演" });
+    db.put(
+      "test-schedules",
+      schedule("SCH2", "2099-03-09", "13:00"),
+      schedule("SCH1", "2099-03-08", "19:00")
+    );
+    db.put(
+      "test-attendees",
+      attendee("ATT1", "SCH1", "2025-03-08T09:01:00.000Z"),
+      attendee("ATT2", "SCH1"),
+      attendee("ATT3", "SCH2")
+    );
+  });
+  afterEach(() => mock.restoreAll());
+
+  async function getDashboard(headers, queryStringParameters) {
+    const response = await getDashboardAdmin({
+      httpMethod: "GET",
+      headers,
+      pathParameters: { performanceId: "PERF1" },
+      queryStringParameters,
+    });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  }
+
+  const connect = async (token) =>
+    dashboardSocketAdmin({
+      requestContext: { routeKey: "$connect", connectionId: "CONN1" },
+      queryStringParameters: { performanceId: "PERF1", token },
+    });
+
+  it("スケジュールごとの集計を開演順に返す", async () => {
+    const { statusCode, body } = await getDashboard(await adminHeaders(db));
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.title, "春公演");
+    assert.deepEqual(
+      body.schedules.map((s) => [s.scheduleId, s.attendees, s.checkedIn]),
+      [
+        ["SCH1", 2, 1],
+        ["SCH2", 1, 0],
+      ]
+    );
+  });
+
+  it("scheduleId で1回分に絞り込み、ない回は 404", async () => {
+    const headers = await adminHeaders(db);
+
+    const { body } = await getDashboard(headers, { scheduleId: "SCH2" });
+    assert.deepEqual(
+      body.schedules.map((s) => s.scheduleId),
+      ["SCH2"]
+    );
+
+    const missing = await getDashboard(headers, { scheduleId: "SCH9" });
+    assert.equal(missing.statusCode, 404);
+  });
+
+  it("権限のない公演は 403", async () => {
+    const headers = await adminHeaders(db, { performanceIds: [] });
+    assert.equal((await getDashboard(headers)).statusCode, 403);
+  });
+
+  it("WebSocket の接続はトークンを確認して登録し、切断で削除する", async () => {
+    assert.equal((await connect("invalid")).statusCode, 401);
+    assert.equal(db.items(CONNECTIONS).length, 0);
+
+    await adminHeaders(db);
+    const { token } = await createSessionToken({
+      email: "staff@example.com",
+      sessionVersion: 0,
+    });
+    assert.equal((await connect(token)).statusCode, 200);
+    assert.equal(db.items(CONNECTIONS)[0].adminEmail, "staff@example.com");
+
+    await dashboardSocketAdmin({
+      requestContext: { routeKey: "$disconnect", connectionId: "CONN1" },
+    });
+    assert.equal(db.items(CONNECTIONS).length, 0);
+  });
+
+  it("チェックインすると接続中のダッシュボードにその回の集計を送る", async () => {
+    db.put(CONNECTIONS, { connectionId: "CONN1", performanceId: "PERF1" });
+
+    const response = await updateCheckinAdmin({
+      httpMethod: "PATCH",
+      headers: await adminHeaders(db),
+      pathParameters: { attendeeId: "ATT2" },
+      body: JSON.stringify({ checkedIn: true }),
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(pushes.length, 1);
+    assert.equal(pushes[0].connectionId, "CONN1");
+    assert.equal(pushes[0].data.type, "dashboard.update");
+    assert.equal(pushes[0].data.schedule.scheduleId, "SCH1");
+    assert.equal(pushes[0].data.schedule.checkedIn, 2);
+  });
+
+  it("切断済みの接続は削除し、チェックインは成功させる", async () => {
+    db.put(CONNECTIONS, { connectionId: "CONN1", performanceId: "PERF1" });
+    mock.method(ApiGatewayManagementApiClient.prototype, "send", async () => {
+      throw Object.assign(new Error("Gone"), { name: "GoneException" });
+    });
+
+    const response = await updateCheckinAdmin({
+      httpMethod: "PATCH",
+      headers: await adminHeaders(db),
+      pathParameters: { attendeeId: "ATT2" },
+      body: JSON.stringify({ checkedIn: true }),
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(db.items(CONNECTIONS).length, 0);
+    assert.equal(db.get("test-attendees", { id: "ATT2" }).checkedIn, true);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatPerformanceDateTime,
+  isValidDateString,
+  isValidTimeString,
+} from "../src/lib/dates.js";
+
+describe("formatPerformanceDateTime", () => {
+  it("日付に曜日を付けて整形する", () => {
+    assert.equal(
+      formatPerformanceDateTime("2025-03-08", "19:00"),
+      "2025/03/08 (土) 19:00"
+    );
+    assert.equal(
+      formatPerformanceDateTime("2025-03-09", "13:00"),
+      "2025/03/09 (日) 13:00"
+    );
+  });
+
+  it("曜日は実行環境のタイムゾーンに左右されない", () => {
+    const timeZone = process.env.TZ;
+    try {
+      for (const zone of ["UTC", "America/Los_Angeles", "Pacific/Kiritimati"]) {
+        process.env.TZ = zone;
+        assert.equal(
+          formatPerformanceDateTime("2025-03-08", "19:00"),
+          "2025/03/08 (土) 19:00"
+        );
+      }
+    } finally {
+      process.env.TZ = timeZone;
+    }
+  });
+});
+
+describe("isValidDateString / isValidTimeString", () => {
+  it("実在する日付の YYYY-MM-DD だけを受け付ける", () => {
+    assert.equal(isValidDateString("2028-02-29"), true);
+    assert.equal(isValidDateString("2027-02-29"), false);
+    assert.equal(isValidDateString("2025-3-8"), false);
+    assert.equal(isValidDateString(20250308), false);
+  });
+
+  it("00:00〜23:59 の HH:mm だけを受け付ける", () => {
+    assert.equal(isValidTimeString("00:00"), true);
+    assert.equal(isValidTimeString("23:59"), true);
+    assert.equal(isValidTimeString("24:00"), false);
+    assert.equal(isValidTimeString("9:00"), false);
+  });
+});
@@ -0,0 +1,182 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { validateEmailTemplateOverride } from "../src/lib/emailTemplateSchema.js";
+import { sendReservationConfirmedEmail } from "../src/lib/emails.js";
+import { handler as getEmailTemplatesAdmin } from "../src/admin/getEmailTemplatesAdmin.mjs";
+import { handler as updateEmailTemplateAdmin } from "../src/admin/updateEmailTemplateAdmin.mjs";
+import { handler as previewEmailTemplateAdmin } from "../src/admin/previewEmailTemplateAdmin.mjs";
+import { handler as resetEmailTemplateAdmin } from "../src/admin/resetEmailTemplateAdmin.mjs";
+
+const TEMPLATE = "reservation-confirmed";
+const OVERRIDE = {
+  subject: "【{{performanceTitle}}】ご予約確定",
+  text: "{{name}} 様\n{{performanceDateTime}} にお待ちしております。\n{{cancelUrl}}",
+  html: "<p>{{name}} 様</p>",
+};
+
+describe("validateEmailTemplateOverride", () => {
+  it("件名・テキスト版・HTML 版を項目名付きで検証する", () => {
+    assert.deepEqual(validateEmailTemplateOverride(TEMPLATE, OVERRIDE), []);
+    assert.deepEqual(
+      validateEmailTemplateOverride(TEMPLATE, {
+        subject: "1行目\n2行目",
+        text: "{{unknown}}",
+        html: "",
+      }),
+      [
+        "subject: must be a single line",
+        'text: line 1: unknown variable "unknown"',
+        "html: must be a non-empty string or null",
+      ]
+    );
+    assert.deepEqual(
+      validateEmailTemplateOverride(TEMPLATE, { subject: " ", text: "" }),
+      [
+        "subject: must be a non-empty string",
+        "text: must be a non-empty string",
+      ]
+    );
+  });
+});
+
+describe("公演ごとのメールテンプレートの差し替え", () => {
+  let db;
+  let emails;
+  let s3Objects;
+  let performanceId;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    ({ emails, s3Objects } = stubServices());
+    // 送信側のテンプレートのキャッシュが残らないよう、テストごとに別の公演にする
+    performanceId = `PERF${Math.random().toString(36).slice(2, 8)}`;
+    db.put("test-performances", { id: performanceId, title: "春公演" });
+    db.put("test-schedules", {
+      performanceId,
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  async function request(handler, method, { body, templateName = TEMPLATE }) {
+    const response = await handler({
+      httpMethod: method,
+      headers: await adminHeaders(db, { performanceIds: [performanceId] }),
+      pathParameters: { performanceId, templateName },
+      body: body && JSON.stringify(body),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  const update = (body, templateName) =>
+    request(updateEmailTemplateAdmin, "PUT", { body, templateName });
+
+  async function sendConfirmed() {
+    await sendReservationConfirmedEmail(
+      {
+        id: "RES1",
+        name: "山田 太郎",
+        email: "taro@example.com",
+        reservedSeats: 2,
+      },
+      { id: performanceId, title: "春公演" },
+      { date: "2099-03-08", time: "19:00" }
+    );
+    return emails.at(-1);
+  }
+
+  it("登録した差し替えの件名・本文で送り、監査ログに残す", async () => {
+    const result = await update(OVERRIDE);
+
+    assert.equal(result.statusCode, 200);
+    const base = `email-templates/${performanceId}/${TEMPLATE}`;
+    assert.equal(s3Objects.get(`${base}.txt`).toString(), OVERRIDE.text);
+    assert.equal(
+      s3Objects.get(`${base}.subject.txt`).toString(),
+      OVERRIDE.subject
+    );
+
+    const email = await sendConfirmed();
+    assert.equal(email.subject, "【春公演】ご予約確定");
+    assert.match(email.text, /^山田 太郎 様\n2099\/03\/08/);
+    assert.equal(email.html, "<p>山田 太郎 様</p>");
+
+    const [entry] = db.items("test-audit-log");
+    assert.equal(entry.action, "performance.email_template.update");
+    assert.equal(entry.after.hasHtml, true);
+  });
+
+  it("定義にない変数などがあれば何も保存せず 400 (E117)", async () => {
+    const result = await update({ ...OVERRIDE, text: "{{confirmationLink}}" });
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(result.errorCode, "E117");
+    assert.deepEqual(result.errors, [
+      'text: line 1: unknown variable "confirmationLink"',
+    ]);
+    assert.equal(s3Objects.size, 0);
+  });
+
+  it("予約履歴のメールと存在しないテンプレートは差し替えられない", async () => {
+    assert.equal(
+      (await update(OVERRIDE, "reservation-history")).statusCode,
+      404
+    );
+    assert.equal((await update(OVERRIDE, "unknown")).statusCode, 404);
+  });
+
+  it("一覧で差し替えの有無と使える変数を返す", async () => {
+    await update(OVERRIDE);
+    const response = await getEmailTemplatesAdmin({
+      httpMethod: "GET",
+      headers: await adminHeaders(db, { performanceIds: [performanceId] }),
+      pathParameters: { performanceId },
+    });
+    const { templates } = JSON.parse(response.body);
+
+    const confirmed = templates.find((t) => t.name === TEMPLATE);
+    assert.equal(confirmed.overridden, true);
+    assert.equal(confirmed.subject, OVERRIDE.subject);
+    const changed = templates.find((t) => t.name === "reservation-changed");
+    assert.equal(changed.overridden, false);
+    assert.equal(
+      changed.subject,
+      "【ましろ小劇場】ご予約の日時を変更いたしました"
+    );
+    assert.ok(
+      confirmed.variables.some((v) => v.name === "cancelUrl" && v.required)
+    );
+    assert.ok(!templates.some((t) => t.name === "reservation-history"));
+  });
+
+  it("下書きを見本の予約でプレビューし、保存はしない", async () => {
+    const result = await request(previewEmailTemplateAdmin, "POST", {
+      body: { text: "{{name}} 様 {{reservedSeats}}席" },
+    });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.draft, true);
+    assert.equal(result.subject, "【ましろ小劇場】ご予約が確定いたしました");
+    assert.equal(result.text, "見本 花子 様 2席");
+    assert.equal(result.html, null);
+    assert.equal(s3Objects.size, 0);
+  });
+
+  it("差し替えを削除すると既定のテンプレートに戻る", async () => {
+    await update(OVERRIDE);
+    const result = await request(resetEmailTemplateAdmin, "DELETE", {});
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.message, "Email template reset to default");
+    assert.equal(s3Objects.size, 0);
+
+    const email = await sendConfirmed();
+    assert.equal(email.subject, "【ましろ小劇場】ご予約が確定いたしました");
+  });
+});
@@ -0,0 +1,115 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { stubServices } from "./helpers/services.js";
+import {
+  EMAIL_TEMPLATE_SCHEMAS,
+  assertTemplateVariables,
+  validateEmailTemplate,
+} from "../src/lib/emailTemplateSchema.js";
+import { sendReservationConfirmationEmail } from "../src/lib/emails.js";
+import { SUPPORTED_LOCALES } from "../src/lib/locales.js";
+
+const TEMPLATE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "templates",
+  "email"
+);
+
+describe("templates/email", () => {
+  it("すべてのテンプレートが変数の定義どおりで、全言語のテキスト版がそろっている", async () => {
+    const files = await readdir(TEMPLATE_DIR);
+    for (const file of files) {
+      const source = await readFile(path.join(TEMPLATE_DIR, file), "utf8");
+      // <name>.txt（日本語）と <name>.en.txt
+      const templateName = path
+        .basename(file, path.extname(file))
+        .replace(/\.en$/, "");
+      assert.deepEqual(validateEmailTemplate(templateName, source), [], file);
+    }
+    for (const templateName of Object.keys(EMAIL_TEMPLATE_SCHEMAS)) {
+      for (const locale of SUPPORTED_LOCALES) {
+        const file =
+          locale === "ja"
+            ? `${templateName}.txt`
+            : `${templateName}.${locale}.txt`;
+        assert.ok(files.includes(file), file);
+      }
+    }
+  });
+});
+
+describe("validateEmailTemplate", () => {
+  it("未定義の変数・{{#if}} の外の任意項目・リストの誤用を報告する", () => {
+    assert.deepEqual(
+      validateEmailTemplate(
+        "reservation-confirmed",
+        "{{nmae}}\n{{totalPrice}}\n{{tickets}}\n{{#each name}}{{/each}}\n{{#each tickets}}{{this.price}}{{/each}}"
+      ),
+      [
+        'line 1: unknown variable "nmae"',
+        'line 2: optional variable "totalPrice" must be inside {{#if totalPrice}}',
+        'line 3: list "tickets" must be used with {{#each}}',
+        'line 4: "name" is not a list',
+        'line 5: "this.price" is not an item field of "tickets"',
+      ]
+    );
+  });
+
+  it("定義のないテンプレート・構文エラー", () => {
+    assert.equal(validateEmailTemplate("unknown", "").length, 1);
+    assert.match(
+      validateEmailTemplate("reservation-history", "{{#if historyLink}}")[0],
+      /is not closed/
+    );
+  });
+});
+
+describe("assertTemplateVariables", () => {
+  it("required の変数が足りなければエラー", () => {
+    assert.throws(
+      () =>
+        assertTemplateVariables("survey-email", {
+          name: "山田 太郎",
+          performanceTitle: "春公演",
+        }),
+      /performanceDateTime, surveyFormUrl/
+    );
+    assert.throws(() => assertTemplateVariables("unknown", {}), /Unknown/);
+  });
+});
+
+describe("メールの送信", () => {
+  let emails;
+
+  beforeEach(() => {
+    ({ emails } = stubServices());
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("HTML 版があればテキストとあわせて送り、HTML では値を escape する", async () => {
+    await sendReservationConfirmationEmail(
+      {
+        id: "RES1",
+        name: "<山田>",
+        email: "taro@example.com",
+        reservedSeats: 2,
+        tickets: { general: 2 },
+        totalPrice: 6000,
+      },
+      { id: "PERF1", title: "春公演" },
+      { date: "2099-03-08", time: "19:00" }
+    );
+
+    const [email] = emails;
+    assert.equal(email.to, "taro@example.com");
+    assert.match(email.text, /<山田> 様/);
+    assert.match(email.text, /券種 : 一般 2枚/);
+    assert.match(email.html, /&lt;山田&gt; 様/);
+    assert.match(email.html, /料金 : ¥6,000/);
+  });
+});
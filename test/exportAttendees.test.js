@@ -0,0 +1,177 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { inflateRawSync } from "zlib";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { handler } from "../src/admin/exportAttendeesAdmin.mjs";
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+  db.put("test-performances", { id: "PERF1", title: "春公演" });
+  db.put(
+    "test-schedules",
+    schedule("SCH2", "2099-03-09", "13:00", 0),
+    schedule("SCH1", "2099-03-08", "19:00", 3)
+  );
+  db.put(
+    "test-reservations",
+    reservation("RES1", "山田 太郎", 2, "2025-03-02T00:00:00.000Z"),
+    reservation("RES2", "=HYPERLINK(1)", 1, "2025-03-01T00:00:00.000Z")
+  );
+  db.put(
+    "test-attendees",
+    attendee(
+      "ATT1",
+      "RES1",
+      "山田 太郎 お連れ様",
+      false,
+      "2025-03-02T00:00:01Z"
+    ),
+    {
+      ...attendee("ATT2", "RES1", "山田 太郎", true, "2025-03-02T00:00:00Z"),
+      isRepresentative: true,
+    },
+    {
+      ...attendee(
+        "ATT3",
+        "RES2",
+        "=HYPERLINK(1)",
+        false,
+        "2025-03-01T00:00:00Z"
+      ),
+      isRepresentative: true,
+    }
+  );
+});
+afterEach(() => mock.restoreAll());
+
+function schedule(id, date, time, confirmedSeats) {
+  return {
+    performanceId: "PERF1",
+    id,
+    date,
+    time,
+    totalSeats: 10,
+    remainingSeats: 10 - confirmedSeats,
+    confirmedSeats,
+  };
+}
+
+function reservation(id, name, reservedSeats, createdAt) {
+  return {
+    id,
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "confirmed",
+    name,
+    email: `${id.toLowerCase()}@example.com`,
+    reservedSeats,
+    createdAt,
+  };
+}
+
+function attendee(id, reservationId, name, checkedIn, createdAt) {
+  return {
+    id,
+    reservationId,
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name,
+    checkedIn,
+    createdAt,
+  };
+}
+
+async function exportAttendees(query, headers) {
+  return handler({
+    httpMethod: "GET",
+    headers: headers ?? (await adminHeaders(db, { role: "reception" })),
+    pathParameters: { performanceId: "PERF1" },
+    queryStringParameters: query,
+  });
+}
+
+/** ZIP のファイル名 → 内容（テキスト） */
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString("utf8", offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = inflateRawSync(buffer.subarray(start, start + size)).toString(
+      "utf8"
+    );
+    offset = start + size;
+  }
+  return files;
+}
+
+describe("GET /admin/performances/{performanceId}/export", () => {
+  it("CSV は申込順・予約者本人が先。メールアドレスと席数は本人の行だけに載せる", async () => {
+    const response = await exportAttendees({ format: "csv" });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers["Content-Type"], "text/csv; charset=utf-8");
+    assert.equal(
+      response.headers["Content-Disposition"],
+      'attachment; filename="attendees-PERF1.csv"'
+    );
+    assert.equal(response.isBase64Encoded, false);
+    assert.deepEqual(response.body.replace(/^\uFEFF/, "").split("\r\n"), [
+      "日付,時刻,氏名,予約ID,メールアドレス,席数,券種,チェックイン,備考",
+      "2099-03-08,19:00,'=HYPERLINK(1),RES2,res2@example.com,1,,未,",
+      "2099-03-08,19:00,山田 太郎,RES1,res1@example.com,2,,済,",
+      "2099-03-08,19:00,山田 太郎 お連れ様,RES1,,,,未,",
+    ]);
+  });
+
+  it("XLSX は集計シートとスケジュールごとのシートを開演順に作る", async () => {
+    const response = await exportAttendees({ format: "xlsx" });
+
+    assert.equal(response.isBase64Encoded, true);
+    const files = unzip(Buffer.from(response.body, "base64"));
+    const sheetNames = [
+      ...files["xl/workbook.xml"].matchAll(/<sheet name="([^"]+)"/g),
+    ].map((match) => match[1]);
+    assert.deepEqual(sheetNames, ["集計", "20990308 1900", "20990309 1300"]);
+
+    const summary = files["xl/worksheets/sheet1.xml"];
+    assert.ok(summary.includes("33.3%"));
+    assert.ok(summary.includes("合計"));
+    assert.ok(files["xl/worksheets/sheet2.xml"].includes("山田 太郎 お連れ様"));
+  });
+
+  it("scheduleId を指定するとそのスケジュールだけ。存在しなければ 404", async () => {
+    const response = await exportAttendees({
+      format: "csv",
+      scheduleId: "SCH2",
+    });
+    assert.equal(
+      response.headers["Content-Disposition"],
+      'attachment; filename="attendees-PERF1-2099-03-09-1300.csv"'
+    );
+    assert.equal(response.body.split("\r\n").length, 1);
+
+    assert.equal(
+      (await exportAttendees({ scheduleId: "SCH9" })).statusCode,
+      404
+    );
+  });
+
+  it("不正な形式は 400、権限のない公演は 403", async () => {
+    assert.equal((await exportAttendees({ format: "pdf" })).statusCode, 400);
+
+    const headers = await adminHeaders(db, {
+      email: "other@example.com",
+      performanceIds: ["PERF2"],
+    });
+    assert.equal((await exportAttendees({}, headers)).statusCode, 403);
+  });
+});
@@ -0,0 +1,26 @@
+import { createSessionToken } from "../../src/lib/adminAuth.js";
+
+/**
+ * 管理ユーザーを登録し、そのユーザーのセッショントークンを付けたヘッダを返す。
+ * @param {import("./dynamodb.js").FakeDynamoDB} db
+ * @param {object} [user] role と、owner 以外は権限を付与する performanceIds
+ */
+export async function adminHeaders(
+  db,
+  {
+    email = "staff@example.com",
+    role = "staff",
+    performanceIds = ["PERF1"],
+  } = {}
+) {
+  const admin = { email, name: "管理者", role, sessionVersion: 0 };
+  db.put("test-admin-users", admin);
+  for (const performanceId of performanceIds) {
+    db.put("test-admin-grants", { email, performanceId });
+  }
+  const { token } = await createSessionToken(admin);
+  return {
+    origin: "http://localhost:3000",
+    Authorization: `Bearer ${token}`,
+  };
+}
@@ -0,0 +1,700 @@
+import { mock } from "node:test";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+/**
+ * テスト用のメモリ上の DynamoDB。
+ * DocumentClient の send を置き換え、条件式・更新式を評価して項目を書き換える。
+ * テーブルのキーは serverless.yml の定義に合わせる。
+ */
+const TABLES = {
+  [process.env.PERFORMANCES_TABLE_NAME]: { key: ["id"] },
+  [process.env.SCHEDULES_TABLE_NAME]: {
+    key: ["performanceId", "id"],
+    indexes: { DateIndex: ["date"] },
+  },
+  [process.env.RESERVATIONS_TABLE_NAME]: {
+    key: ["id"],
+    indexes: {
+      GSI1: ["performanceId", "scheduleId"],
+      GSI2: ["email", "createdAt"],
+      GSI3: ["sourceIpHash", "createdAt"],
+    },
+  },
+  [process.env.ATTENDEES_TABLE_NAME]: {
+    key: ["id"],
+    indexes: {
+      ReservationIdIndex: ["reservationId"],
+      PerformanceIdScheduleIdIndex: ["performanceId", "scheduleId"],
+    },
+  },
+  [process.env.WAITLIST_TABLE_NAME]: { key: ["scheduleKey", "id"] },
+  [process.env.ADMIN_USERS_TABLE_NAME]: { key: ["email"] },
+  [process.env.ADMIN_GRANTS_TABLE_NAME]: { key: ["email", "performanceId"] },
+  [process.env.AUDIT_LOG_TABLE_NAME]: { key: ["performanceId", "sk"] },
+  [process.env.NO_SHOW_RECORDS_TABLE_NAME]: { key: ["email", "reservationId"] },
+  [process.env.RATE_LIMITS_TABLE_NAME]: { key: ["key"] },
+  [process.env.LIVE_CONNECTIONS_TABLE_NAME]: {
+    key: ["connectionId"],
+    indexes: { PerformanceIdIndex: ["performanceId"] },
+  },
+};
+
+function awsError(name, message, extra = {}) {
+  return Object.assign(new Error(message), { name, ...extra });
+}
+
+const validationError = (message) => awsError("ValidationException", message);
+
+// ---- 式の字句解析 ----
+
+const TOKEN_PATTERN =
+  /\s*(?:(<>|<=|>=|[=<>(),.[\]+-])|([#:]?[A-Za-z_][A-Za-z0-9_]*)|(\d+))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw validationError(`Invalid expression near: ${source.slice(start)}`);
+    }
+    tokens.push(match[1] ?? match[2] ?? Number(match[3]));
+  }
+  return tokens;
+}
+
+const KEYWORDS = new Set(["AND", "OR", "NOT", "BETWEEN", "IN"]);
+
+class Parser {
+  constructor(source, names = {}, values = {}) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  accept(token) {
+    if (this.peek() === token) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(token) {
+    if (!this.accept(token)) {
+      throw validationError(`Expected "${token}" but got "${this.peek()}"`);
+    }
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  /** 属性のパス（a.b[0] など）を ["a", "b", 0] にする */
+  path() {
+    const segments = [this.segment()];
+    for (;;) {
+      if (this.accept(".")) {
+        segments.push(this.segment());
+      } else if (this.accept("[")) {
+        segments.push(this.next());
+        this.expect("]");
+      } else {
+        return segments;
+      }
+    }
+  }
+
+  segment() {
+    const token = this.next();
+    if (typeof token !== "string" || token.startsWith(":")) {
+      throw validationError(`Invalid attribute name "${token}"`);
+    }
+    if (!token.startsWith("#")) return token;
+    if (!(token in this.names)) {
+      throw validationError(`Undefined attribute name ${token}`);
+    }
+    return this.names[token];
+  }
+
+  /** 値を返す関数 (item) => value */
+  operand() {
+    const token = this.peek();
+    if (typeof token === "string" && token.startsWith(":")) {
+      this.next();
+      if (!(token in this.values)) {
+        throw validationError(`Undefined attribute value ${token}`);
+      }
+      const value = this.values[token];
+      return () => value;
+    }
+    if (token === "size" && this.peek(1) === "(") {
+      this.next();
+      this.expect("(");
+      const path = this.path();
+      this.expect(")");
+      return (item) => {
+        const value = getPath(item, path);
+        if (value instanceof Set) return value.size;
+        if (typeof value === "string" || Array.isArray(value)) {
+          return value.length;
+        }
+        if (value && typeof value === "object") {
+          return Object.keys(value).length;
+        }
+        return undefined;
+      };
+    }
+    const path = this.path();
+    return (item) => getPath(item, path);
+  }
+
+  // ---- 条件式 ----
+
+  condition() {
+    let left = this.conjunction();
+    while (this.accept("OR")) {
+      const [a, b] = [left, this.conjunction()];
+      left = (item) => a(item) || b(item);
+    }
+    return left;
+  }
+
+  conjunction() {
+    let left = this.negation();
+    while (this.accept("AND")) {
+      const [a, b] = [left, this.negation()];
+      left = (item) => a(item) && b(item);
+    }
+    return left;
+  }
+
+  negation() {
+    if (this.accept("NOT")) {
+      const inner = this.negation();
+      return (item) => !inner(item);
+    }
+    return this.predicate();
+  }
+
+  predicate() {
+    if (this.accept("(")) {
+      const inner = this.condition();
+      this.expect(")");
+      return inner;
+    }
+
+    const token = this.peek();
+    if (
+      typeof token === "string" &&
+      this.peek(1) === "(" &&
+      token !== "size" &&
+      !KEYWORDS.has(token)
+    ) {
+      return this.conditionFunction();
+    }
+
+    const left = this.operand();
+    if (this.accept("BETWEEN")) {
+      const low = this.operand();
+      this.expect("AND");
+      const high = this.operand();
+      return (item) => {
+        const value = left(item);
+        return (
+          compare(value, low(item)) >= 0 && compare(value, high(item)) <= 0
+        );
+      };
+    }
+    if (this.accept("IN")) {
+      this.expect("(");
+      const candidates = [this.operand()];
+      while (this.accept(",")) candidates.push(this.operand());
+      this.expect(")");
+      return (item) =>
+        candidates.some((candidate) => equals(left(item), candidate(item)));
+    }
+
+    const operator = this.next();
+    const right = this.operand();
+    switch (operator) {
+      case "=":
+        return (item) => equals(left(item), right(item));
+      case "<>":
+        return (item) => !equals(left(item), right(item));
+      case "<":
+        return (item) => compare(left(item), right(item)) < 0;
+      case "<=":
+        return (item) => compare(left(item), right(item)) <= 0;
+      case ">":
+        return (item) => compare(left(item), right(item)) > 0;
+      case ">=":
+        return (item) => compare(left(item), right(item)) >= 0;
+      default:
+        throw validationError(`Unsupported operator "${operator}"`);
+    }
+  }
+
+  conditionFunction() {
+    const name = this.next();
+    this.expect("(");
+    let test;
+    if (name === "attribute_exists" || name === "attribute_not_exists") {
+      const path = this.path();
+      const exists = name === "attribute_exists";
+      test = (item) => (getPath(item, path) !== undefined) === exists;
+    } else if (name === "begins_with" || name === "contains") {
+      const target = this.operand();
+      this.expect(",");
+      const operand = this.operand();
+      test =
+        name === "begins_with"
+          ? (item) =>
+              typeof target(item) === "string" &&
+              target(item).startsWith(operand(item))
+          : (item) => {
+              const value = target(item);
+              if (value instanceof Set) return value.has(operand(item));
+              if (typeof value === "string" || Array.isArray(value)) {
+                return value.includes(operand(item));
+              }
+              return false;
+            };
+    } else {
+      throw validationError(`Unsupported function ${name}`);
+    }
+    this.expect(")");
+    return test;
+  }
+
+  // ---- 更新式 ----
+
+  /** [{ action, path, value }] の一覧（value は更新前の項目から計算する関数） */
+  updateActions() {
+    const actions = [];
+    while (!this.done()) {
+      const clause = this.next();
+      do {
+        if (clause === "SET") {
+          const path = this.path();
+          this.expect("=");
+          actions.push({ action: "SET", path, value: this.setValue() });
+        } else if (clause === "REMOVE") {
+          actions.push({ action: "REMOVE", path: this.path() });
+        } else if (clause === "ADD" || clause === "DELETE") {
+          const path = this.path();
+          actions.push({ action: clause, path, value: this.operand() });
+        } else {
+          throw validationError(`Unsupported update clause "${clause}"`);
+        }
+      } while (this.accept(","));
+    }
+    return actions;
+  }
+
+  setValue() {
+    const left = this.setOperand();
+    if (this.accept("+")) {
+      const right = this.setOperand();
+      return (item) => arithmetic(left(item), right(item), 1);
+    }
+    if (this.accept("-")) {
+      const right = this.setOperand();
+      return (item) => arithmetic(left(item), right(item), -1);
+    }
+    return left;
+  }
+
+  setOperand() {
+    if (this.peek() === "if_not_exists" && this.peek(1) === "(") {
+      this.next();
+      this.expect("(");
+      const path = this.path();
+      this.expect(",");
+      const fallback = this.setOperand();
+      this.expect(")");
+      return (item) => getPath(item, path) ?? fallback(item);
+    }
+    if (this.peek() === "list_append" && this.peek(1) === "(") {
+      this.next();
+      this.expect("(");
+      const first = this.setOperand();
+      this.expect(",");
+      const second = this.setOperand();
+      this.expect(")");
+      return (item) => [...(first(item) ?? []), ...(second(item) ?? [])];
+    }
+    return this.operand();
+  }
+}
+
+function arithmetic(left, right, sign) {
+  if (typeof left !== "number" || typeof right !== "number") {
+    throw validationError(
+      "An operand in the update expression has an incorrect data type"
+    );
+  }
+  return left + sign * right;
+}
+
+function equals(a, b) {
+  if (a === undefined || b === undefined) return false;
+  if (typeof a !== "object" || typeof b !== "object") return a === b;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** 型が異なる・存在しない場合は NaN（どの比較も false） */
+function compare(a, b) {
+  if (a === undefined || b === undefined || typeof a !== typeof b) return NaN;
+  if (typeof a === "number") return a - b;
+  if (typeof a === "string") return a < b ? -1 : a > b ? 1 : 0;
+  return NaN;
+}
+
+function getPath(item, path) {
+  let value = item;
+  for (const segment of path) {
+    if (value === null || typeof value !== "object") return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+function setPath(item, path, value) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (parent === null || typeof parent !== "object") {
+    throw validationError(
+      "The document path provided in the update expression is invalid for update"
+    );
+  }
+  parent[path[path.length - 1]] = value;
+}
+
+function removePath(item, path) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (parent && typeof parent === "object") {
+    delete parent[path[path.length - 1]];
+  }
+}
+
+function applyUpdate(item, input) {
+  const actions = new Parser(
+    input.UpdateExpression,
+    input.ExpressionAttributeNames,
+    input.ExpressionAttributeValues
+  ).updateActions();
+
+  // 右辺はすべて更新前の項目から計算する
+  const values = actions.map(({ value }) => value?.(item));
+  const updated = structuredClone(item);
+  actions.forEach(({ action, path }, i) => {
+    const value = values[i];
+    const current = getPath(item, path);
+    if (action === "SET") {
+      setPath(updated, path, value);
+    } else if (action === "REMOVE") {
+      removePath(updated, path);
+    } else if (action === "ADD") {
+      if (value instanceof Set) {
+        setPath(updated, path, new Set([...(current ?? []), ...value]));
+      } else {
+        setPath(updated, path, arithmetic(current ?? 0, value, 1));
+      }
+    } else if (action === "DELETE") {
+      const remaining = new Set(current ?? []);
+      for (const element of value) remaining.delete(element);
+      if (remaining.size > 0) setPath(updated, path, remaining);
+      else removePath(updated, path);
+    }
+  });
+  return updated;
+}
+
+function evaluateCondition(
+  input,
+  item,
+  expression = input.ConditionExpression
+) {
+  if (!expression) return true;
+  const parser = new Parser(
+    expression,
+    input.ExpressionAttributeNames,
+    input.ExpressionAttributeValues
+  );
+  const test = parser.condition();
+  if (!parser.done()) {
+    throw validationError(`Unexpected token "${parser.peek()}"`);
+  }
+  return test(item ?? {});
+}
+
+function project(item, input) {
+  if (!input.ProjectionExpression) return item;
+  const projected = {};
+  for (const name of input.ProjectionExpression.split(",")) {
+    const attribute = name.trim();
+    const resolved = input.ExpressionAttributeNames?.[attribute] ?? attribute;
+    if (resolved in item) projected[resolved] = item[resolved];
+  }
+  return projected;
+}
+
+export class FakeDynamoDB {
+  constructor() {
+    this.tables = new Map();
+  }
+
+  /** DocumentClient の send をこの DB に置き換える（mock.restoreAll で戻る） */
+  install() {
+    mock.method(DynamoDBDocumentClient.prototype, "send", (command) =>
+      this.send(command)
+    );
+    return this;
+  }
+
+  schema(tableName) {
+    const schema = TABLES[tableName];
+    if (!schema) throw awsError("ResourceNotFoundException", tableName);
+    return schema;
+  }
+
+  table(tableName) {
+    this.schema(tableName);
+    if (!this.tables.has(tableName)) this.tables.set(tableName, new Map());
+    return this.tables.get(tableName);
+  }
+
+  keyOf(tableName, item) {
+    return JSON.stringify(
+      this.schema(tableName).key.map((attribute) => {
+        if (item[attribute] === undefined) {
+          throw validationError(`Missing the key ${attribute}`);
+        }
+        return item[attribute];
+      })
+    );
+  }
+
+  /** 項目を直接入れる */
+  put(tableName, ...items) {
+    for (const item of items) {
+      this.table(tableName).set(
+        this.keyOf(tableName, item),
+        structuredClone(item)
+      );
+    }
+  }
+
+  /** 項目を直接読む */
+  get(tableName, key) {
+    const item = this.table(tableName).get(this.keyOf(tableName, key));
+    return item && structuredClone(item);
+  }
+
+  /** テーブルの全項目 */
+  items(tableName) {
+    return [...this.table(tableName).values()].map((item) =>
+      structuredClone(item)
+    );
+  }
+
+  async send(command) {
+    const input = command.input;
+    if (command instanceof GetCommand) {
+      return { Item: this.get(input.TableName, input.Key) };
+    }
+    if (command instanceof PutCommand) {
+      return this.write({ Put: input });
+    }
+    if (command instanceof UpdateCommand) {
+      return this.write({ Update: input });
+    }
+    if (command instanceof DeleteCommand) {
+      return this.write({ Delete: input });
+    }
+    if (command instanceof QueryCommand || command instanceof ScanCommand) {
+      return this.read(input, command instanceof QueryCommand);
+    }
+    if (command instanceof BatchGetCommand) {
+      const Responses = {};
+      for (const [tableName, { Keys }] of Object.entries(input.RequestItems)) {
+        Responses[tableName] = Keys.map((key) =>
+          this.get(tableName, key)
+        ).filter(Boolean);
+      }
+      return { Responses, UnprocessedKeys: {} };
+    }
+    if (command instanceof BatchWriteCommand) {
+      for (const [tableName, requests] of Object.entries(input.RequestItems)) {
+        for (const { PutRequest, DeleteRequest } of requests) {
+          if (PutRequest) this.put(tableName, PutRequest.Item);
+          if (DeleteRequest) {
+            this.table(tableName).delete(
+              this.keyOf(tableName, DeleteRequest.Key)
+            );
+          }
+        }
+      }
+      return { UnprocessedItems: {} };
+    }
+    if (command instanceof TransactWriteCommand) {
+      return this.transact(input.TransactItems);
+    }
+    throw new Error(
+      `FakeDynamoDB: unsupported command ${command.constructor.name}`
+    );
+  }
+
+  /** 1項目の書き込みの準備。条件を評価し、適用する関数を返す */
+  prepare(operation) {
+    const [type, input] = Object.entries(operation)[0];
+    const key =
+      type === "Put"
+        ? this.keyOf(input.TableName, input.Item)
+        : this.keyOf(input.TableName, input.Key);
+    const table = this.table(input.TableName);
+    const current = table.get(key);
+    const passed = evaluateCondition(input, current);
+
+    let apply = () => {};
+    let next = current;
+    if (type === "Put") {
+      next = structuredClone(input.Item);
+      apply = () => table.set(key, next);
+    } else if (type === "Update") {
+      next = applyUpdate(current ?? structuredClone(input.Key), input);
+      apply = () => table.set(key, next);
+    } else if (type === "Delete") {
+      next = undefined;
+      apply = () => table.delete(key);
+    }
+    return {
+      id: `${input.TableName}/${key}`,
+      input,
+      passed,
+      current,
+      next,
+      apply: passed ? apply : undefined,
+    };
+  }
+
+  async write(operation) {
+    const { input, passed, current, next, apply } = this.prepare(operation);
+    if (!passed) {
+      throw awsError(
+        "ConditionalCheckFailedException",
+        "The conditional request failed",
+        input.ReturnValuesOnConditionCheckFailure === "ALL_OLD"
+          ? { Item: structuredClone(current) }
+          : {}
+      );
+    }
+    apply();
+    const returnValues = input.ReturnValues ?? "NONE";
+    if (returnValues === "NONE") return {};
+    const attributes = returnValues.endsWith("_OLD") ? current : next;
+    return { Attributes: attributes && structuredClone(attributes) };
+  }
+
+  async transact(transactItems) {
+    const prepared = transactItems.map((operation) => this.prepare(operation));
+    const ids = prepared.map(({ id }) => id);
+    if (new Set(ids).size !== ids.length) {
+      throw validationError(
+        "Transaction request cannot include multiple operations on one item"
+      );
+    }
+    if (prepared.some(({ passed }) => !passed)) {
+      const reasons = prepared.map(({ passed }) => ({
+        Code: passed ? "None" : "ConditionalCheckFailed",
+      }));
+      throw awsError(
+        "TransactionCanceledException",
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons
+          .map((r) => r.Code)
+          .join(", ")}]`,
+        { CancellationReasons: reasons }
+      );
+    }
+    for (const { apply } of prepared) apply();
+    return {};
+  }
+
+  read(input, isQuery) {
+    const schema = this.schema(input.TableName);
+    const keyAttributes = input.IndexName
+      ? schema.indexes?.[input.IndexName]
+      : schema.key;
+    if (!keyAttributes) {
+      throw validationError(`Unknown index ${input.IndexName}`);
+    }
+
+    // GSI には索引のキーを持つ項目だけが入る
+    let items = [...this.table(input.TableName).values()].filter((item) =>
+      keyAttributes.every((attribute) => item[attribute] !== undefined)
+    );
+    if (isQuery) {
+      items = items.filter((item) =>
+        evaluateCondition(input, item, input.KeyConditionExpression)
+      );
+      const [, rangeKey] = keyAttributes;
+      if (rangeKey) {
+        items.sort((a, b) => compare(a[rangeKey], b[rangeKey]));
+      }
+      if (input.ScanIndexForward === false) items.reverse();
+    }
+
+    if (input.ExclusiveStartKey) {
+      const startKey = this.keyOf(input.TableName, input.ExclusiveStartKey);
+      const index = items.findIndex(
+        (item) => this.keyOf(input.TableName, item) === startKey
+      );
+      items = items.slice(index + 1);
+    }
+
+    let lastEvaluatedKey;
+    if (input.Limit !== undefined && items.length > input.Limit) {
+      items = items.slice(0, input.Limit);
+      const last = items[items.length - 1];
+      lastEvaluatedKey = Object.fromEntries(
+        [...new Set([...schema.key, ...keyAttributes])].map((attribute) => [
+          attribute,
+          last[attribute],
+        ])
+      );
+    }
+
+    const matched = items
+      .filter((item) => evaluateCondition(input, item, input.FilterExpression))
+      .map((item) => project(structuredClone(item), input));
+    const result = {
+      Count: matched.length,
+      ScannedCount: items.length,
+      LastEvaluatedKey: lastEvaluatedKey,
+    };
+    if (input.Select !== "COUNT") result.Items = matched;
+    return result;
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * テスト用の環境変数。src のモジュールは読み込み時に環境変数を参照するため、
+ * テストファイルの先頭（src の import より前）で import する。
+ */
+Object.assign(process.env, {
+  // fake 決済プロバイダで有料の券種を扱えるのは dev だけ
+  STAGE: "dev",
+  AWS_REGION: "ap-northeast-1",
+  ALLOWED_ORIGINS: "http://localhost:3000",
+  FRONTEND_URL: "http://localhost:3000",
+  CONFIRMATION_URL: "http://localhost:3000/confirm",
+  SENDER_EMAIL: "noreply@example.com",
+  TEMPLATE_BUCKET: "test-templates",
+  PAYMENT_PROVIDER: "fake",
+  PERFORMANCES_TABLE_NAME: "test-performances",
+  SCHEDULES_TABLE_NAME: "test-schedules",
+  RESERVATIONS_TABLE_NAME: "test-reservations",
+  ATTENDEES_TABLE_NAME: "test-attendees",
+  WAITLIST_TABLE_NAME: "test-waitlist",
+  ADMIN_USERS_TABLE_NAME: "test-admin-users",
+  ADMIN_GRANTS_TABLE_NAME: "test-admin-grants",
+  AUDIT_LOG_TABLE_NAME: "test-audit-log",
+  LIVE_CONNECTIONS_TABLE_NAME: "test-live-connections",
+  NO_SHOW_RECORDS_TABLE_NAME: "test-no-show-records",
+  NO_SHOW_POLICY: "approval",
+  RATE_LIMITS_TABLE_NAME: "test-rate-limits",
+  LIVE_UPDATES_ENDPOINT: "https://live.example.com/test",
+});
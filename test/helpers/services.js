@@ -0,0 +1,174 @@
+import { mock } from "node:test";
+import { readFile } from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+import { SNSClient } from "@aws-sdk/client-sns";
+import { SSMClient } from "@aws-sdk/client-ssm";
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+} from "@aws-sdk/client-s3";
+import { SESClient } from "@aws-sdk/client-ses";
+import { ApiGatewayManagementApiClient } from "@aws-sdk/client-apigatewaymanagementapi";
+
+export const TEST_SECRET = "test-secret";
+
+const TEMPLATE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "templates",
+  "email"
+);
+
+/**
+ * DynamoDB 以外の AWS サービスを置き換える（mock.restoreAll で戻る）。
+ * - SSM: 秘密鍵は TEST_SECRET
+ * - S3: メールテンプレートは templates/email から読む。書き込んだオブジェクトはメモリに置く
+ * - SES / SNS / WebSocket への送信: 送らずに記録する
+ * @returns {{ emails: object[], notifications: object[], pushes: object[], s3Objects: Map<string, Buffer> }}
+ *   送信したメール（{ to, subject, text, html, attachments }）、運用通知、
+ *   ダッシュボードへの送信（{ connectionId, data }）、S3 に書き込んだオブジェクト
+ */
+export function stubServices() {
+  const emails = [];
+  const notifications = [];
+  const pushes = [];
+  const s3Objects = new Map();
+
+  mock.method(SSMClient.prototype, "send", async () => ({
+    Parameter: { Value: TEST_SECRET },
+  }));
+  mock.method(S3Client.prototype, "send", async (command) => {
+    const { Key, Body, Delete } = command.input;
+    if (command instanceof PutObjectCommand) {
+      s3Objects.set(Key, Buffer.from(Body));
+      return {};
+    }
+    if (command instanceof DeleteObjectsCommand) {
+      Delete.Objects.forEach((object) => s3Objects.delete(object.Key));
+      return {};
+    }
+
+    let content = s3Objects.get(Key);
+    // 公演ごとの差し替え（email-templates/<performanceId>/...）は登録したものだけ
+    if (!content && Key.split("/").length === 2) {
+      content = await readFile(
+        path.join(TEMPLATE_DIR, path.basename(Key))
+      ).catch(() => undefined);
+    }
+    if (!content) {
+      throw Object.assign(new Error("The specified key does not exist."), {
+        name: "NoSuchKey",
+      });
+    }
+    const body = Readable.from([content]);
+    body.transformToString = async () => content.toString("utf8");
+    return { Body: body };
+  });
+  mock.method(SESClient.prototype, "send", async (command) => {
+    const { Destinations, RawMessage } = command.input;
+    emails.push({
+      to: Destinations[0],
+      ...parseMimeMessage(RawMessage.Data.toString("utf8")),
+    });
+    return { MessageId: `MSG${emails.length}` };
+  });
+  mock.method(SNSClient.prototype, "send", async (command) => {
+    notifications.push(JSON.parse(command.input.Message));
+    return {};
+  });
+  mock.method(
+    ApiGatewayManagementApiClient.prototype,
+    "send",
+    async (command) => {
+      pushes.push({
+        connectionId: command.input.ConnectionId,
+        data: JSON.parse(command.input.Data.toString("utf8")),
+      });
+      return {};
+    }
+  );
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+
+  return { emails, notifications, pushes, s3Objects };
+}
+
+/**
+ * SendRawEmail の MIME メッセージを件名・テキスト版・HTML 版・添付ファイルに戻す。
+ * @returns {{ subject: string, text: string, html?: string, attachments: Array<{ filename: string, contentType: string, content: string }> }}
+ */
+function parseMimeMessage(raw) {
+  const { headers } = parsePart(raw);
+  const email = {
+    subject: decodeHeader(headers.subject),
+    text: undefined,
+    html: undefined,
+    attachments: [],
+  };
+  collectParts(raw, email);
+  return email;
+}
+
+function collectParts(source, email) {
+  const { headers, body } = parsePart(source);
+  const contentType = headers["content-type"] || "";
+  const boundary = contentType.match(/boundary="([^"]+)"/)?.[1];
+  if (boundary) {
+    body
+      .split(`--${boundary}`)
+      .slice(1, -1)
+      .forEach((part) => collectParts(part.replace(/^\r\n/, ""), email));
+    return;
+  }
+
+  const content = Buffer.from(body.replace(/\r\n/g, ""), "base64").toString(
+    "utf8"
+  );
+  const filename =
+    headers["content-disposition"]?.match(/filename="([^"]+)"/)?.[1];
+  if (filename) {
+    email.attachments.push({
+      filename,
+      contentType: contentType.split(";")[0],
+      content,
+    });
+  } else if (contentType.startsWith("text/html")) {
+    email.html = content;
+  } else {
+    email.text = content;
+  }
+}
+
+// ヘッダー（折り返しを含む）と本文に分ける
+function parsePart(source) {
+  const index = source.indexOf("\r\n\r\n");
+  const headers = {};
+  source
+    .slice(0, index)
+    .replace(/\r\n /g, " ")
+    .split("\r\n")
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      headers[line.slice(0, separator).toLowerCase()] = line
+        .slice(separator + 1)
+        .trim();
+    });
+  return { headers, body: source.slice(index + 4) };
+}
+
+// encoded-word（=?UTF-8?B?...?=）を折り返しごとに並べた件名を戻す。ASCII だけの件名はそのまま
+function decodeHeader(value = "") {
+  if (!value.startsWith("=?")) return value;
+  return value
+    .split(" ")
+    .map((word) =>
+      Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], "base64").toString(
+        "utf8"
+      )
+    )
+    .join("");
+}
@@ -0,0 +1,180 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { normalizeLocale, getReservationLocale } from "../src/lib/locales.js";
+import { formatPerformanceDateTime } from "../src/lib/dates.js";
+import { formatTicketVariables } from "../src/lib/ticketTiers.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as updateEmailTemplateAdmin } from "../src/admin/updateEmailTemplateAdmin.mjs";
+
+describe("normalizeLocale", () => {
+  it("省略時は ja、地域付きの指定は言語の部分だけを見る", () => {
+    assert.equal(normalizeLocale(undefined), "ja");
+    assert.equal(normalizeLocale(""), "ja");
+    assert.equal(normalizeLocale("en"), "en");
+    assert.equal(normalizeLocale("en-US"), "en");
+    assert.equal(normalizeLocale("JA_jp"), "ja");
+  });
+
+  it("対応していない言語・文字列でない値は null", () => {
+    assert.equal(normalizeLocale("fr"), null);
+    assert.equal(normalizeLocale(1), null);
+  });
+});
+
+describe("getReservationLocale", () => {
+  it("locale のない古い予約は ja", () => {
+    assert.equal(getReservationLocale({ locale: "en" }), "en");
+    assert.equal(getReservationLocale({}), "ja");
+    assert.equal(getReservationLocale({ locale: "fr" }), "ja");
+  });
+});
+
+describe("言語ごとの表記", () => {
+  it("公演日時", () => {
+    assert.equal(
+      formatPerformanceDateTime("2025-03-08", "19:00"),
+      "2025/03/08 (土) 19:00"
+    );
+    assert.equal(
+      formatPerformanceDateTime("2025-03-08", "19:00", "en"),
+      "Sat, Mar 8, 2025 19:00 (JST)"
+    );
+  });
+
+  it("券種名と料金", () => {
+    assert.deepEqual(
+      formatTicketVariables(
+        { tickets: { general: 2, student: 1 }, totalPrice: 7000 },
+        "en"
+      ),
+      {
+        tickets: [
+          { label: "General", count: 2 },
+          { label: "Student", count: 1 },
+        ],
+        totalPrice: "¥7,000",
+      }
+    );
+  });
+});
+
+describe("POST /reservations の locale", () => {
+  let db;
+  let emails;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    ({ emails } = stubServices());
+    db.put("test-performances", {
+      id: "PERF1",
+      title: "春公演",
+      reservationStartTime: "2000-01-01T00:00:00.000Z",
+      maxReservations: 4,
+    });
+    db.put("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+      totalSeats: 50,
+      remainingSeats: 50,
+      pendingSeats: 0,
+      confirmedSeats: 0,
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  async function reserve(locale) {
+    const response = await createReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      requestContext: { identity: { sourceIp: "192.0.2.1" } },
+      body: JSON.stringify({
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        name: "Taro Yamada",
+        email: "taro@example.com",
+        reservedSeats: 1,
+        locale,
+      }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("予約に locale を保存し、その言語で確認メールを送る", async () => {
+    const result = await reserve("en-US");
+
+    assert.equal(result.statusCode, 200);
+    const reservation = db.get("test-reservations", {
+      id: result.reservationId,
+    });
+    assert.equal(reservation.locale, "en");
+    assert.equal(
+      emails[0].subject,
+      "[Mashiro Theater] Please confirm your reservation"
+    );
+    assert.match(emails[0].text, /^Dear Taro Yamada,/);
+    assert.match(emails[0].text, /Mar 8, 2099 19:00 \(JST\)/);
+  });
+
+  it("対応していない言語は 400 (E002) で予約を作らない", async () => {
+    const result = await reserve("fr");
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(result.errorCode, "E002");
+    assert.equal(db.items("test-reservations").length, 0);
+    assert.equal(emails.length, 0);
+  });
+});
+
+describe("メールテンプレートの差し替えの locale", () => {
+  let db;
+  let s3Objects;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    ({ s3Objects } = stubServices());
+    db.put("test-performances", { id: "PERF1", title: "春公演" });
+  });
+  afterEach(() => mock.restoreAll());
+
+  async function update(locale) {
+    const response = await updateEmailTemplateAdmin({
+      httpMethod: "PUT",
+      headers: await adminHeaders(db),
+      pathParameters: {
+        performanceId: "PERF1",
+        templateName: "reservation-confirmed",
+      },
+      queryStringParameters: { locale },
+      body: JSON.stringify({
+        subject: "[{{performanceTitle}}] Reservation confirmed",
+        text: "Dear {{name}},\n{{cancelUrl}}",
+      }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("言語ごとのファイルに保存する", async () => {
+    assert.equal((await update("en")).statusCode, 200);
+
+    const base = "email-templates/PERF1/reservation-confirmed.en";
+    assert.equal(
+      s3Objects.get(`${base}.txt`).toString(),
+      "Dear {{name}},\n{{cancelUrl}}"
+    );
+    assert.ok(s3Objects.has(`${base}.subject.txt`));
+    assert.ok(
+      !s3Objects.has("email-templates/PERF1/reservation-confirmed.txt")
+    );
+  });
+
+  it("対応していない言語は 400", async () => {
+    assert.equal((await update("fr")).statusCode, 400);
+    assert.equal(s3Objects.size, 0);
+  });
+});
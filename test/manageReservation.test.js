@@ -0,0 +1,273 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import {
+  syncAttendeesWithReservation,
+  getMinimumReservedSeats,
+} from "../src/lib/attendeeSync.js";
+import { handler } from "../src/manageReservation.mjs";
+
+const SCHEDULES = "test-schedules";
+const RESERVATIONS = "test-reservations";
+const ATTENDEES = "test-attendees";
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+  db.put("test-performances", { id: "PERF1", title: "春公演" });
+  db.put(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 2,
+    pendingSeats: 0,
+    confirmedSeats: 8,
+  });
+  db.put(RESERVATIONS, {
+    id: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "confirmed",
+    name: "山田 太郎",
+    email: "taro@example.com",
+    reservedSeats: 3,
+    notes: "",
+    confirmationCode: "ABCD1234",
+    createdAt: "2025-03-01T00:00:00.000Z",
+    updatedAt: "2025-03-01T00:00:00.000Z",
+  });
+  db.put(
+    ATTENDEES,
+    {
+      ...attendee("ATT1", "山田 太郎", "2025-03-01T00:00:00.000Z"),
+      isRepresentative: true,
+    },
+    attendee("ATT2", "山田 太郎 お連れ様", "2025-03-01T00:00:01.000Z"),
+    attendee("ATT3", "山田 太郎 お連れ様", "2025-03-01T00:00:02.000Z")
+  );
+});
+afterEach(() => mock.restoreAll());
+
+function attendee(id, name, createdAt) {
+  return {
+    id,
+    reservationId: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name,
+    checkedIn: false,
+    notes: "",
+    createdAt,
+  };
+}
+
+async function request(method, { token, ...body } = {}) {
+  token ??= await createCancelToken("RES1");
+  const response = await handler({
+    httpMethod: method,
+    headers: { origin: "http://localhost:3000" },
+    pathParameters: { reservationId: "RES1" },
+    queryStringParameters: method === "GET" ? { token } : undefined,
+    body: method === "PATCH" ? JSON.stringify({ token, ...body }) : undefined,
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const schedule = () =>
+  db.get(SCHEDULES, { performanceId: "PERF1", id: "SCH1" });
+const reservation = () => db.get(RESERVATIONS, { id: "RES1" });
+const attendeeIds = () =>
+  db
+    .items(ATTENDEES)
+    .map((a) => a.id)
+    .sort();
+
+describe("GET /reservations/{reservationId}", () => {
+  it("予約内容と、変更できる最大席数（今の席数 + 残席）を返す", async () => {
+    const { statusCode, body } = await request("GET");
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.reservedSeats, 3);
+    assert.equal(body.performance.title, "春公演");
+    assert.deepEqual(body.schedule, {
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+    });
+    assert.equal(body.editable, true);
+    assert.equal(body.maxReservedSeats, 5);
+  });
+
+  it("トークンが違えば 403", async () => {
+    const response = await request("GET", { token: "invalid" });
+    assert.equal(response.statusCode, 403);
+  });
+
+  it("受付を締め切った回は変更できない", async () => {
+    db.put(SCHEDULES, { ...schedule(), date: "2000-01-01" });
+    const { body } = await request("GET");
+
+    assert.equal(body.editable, false);
+    assert.equal(body.maxReservedSeats, 3);
+  });
+});
+
+describe("PATCH /reservations/{reservationId}", () => {
+  it("席数を増やすと残席から確保し、お連れ様を追加する", async () => {
+    const { statusCode, body } = await request("PATCH", { reservedSeats: 5 });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.reservedSeats, 5);
+    assert.equal(body.maxReservedSeats, 5);
+    assert.equal(reservation().reservedSeats, 5);
+    assert.equal(schedule().remainingSeats, 0);
+    assert.equal(schedule().confirmedSeats, 10);
+    assert.equal(db.items(ATTENDEES).length, 5);
+  });
+
+  it("残席を超えて増やそうとすると 400 (E001) で何も変えない", async () => {
+    const { statusCode, body } = await request("PATCH", { reservedSeats: 6 });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.errorCode, "E001");
+    assert.equal(reservation().reservedSeats, 3);
+    assert.equal(schedule().remainingSeats, 2);
+    assert.equal(db.items(ATTENDEES).length, 3);
+  });
+
+  it("席数を減らすと座席を戻し、未チェックインの新しいお連れ様から削除する", async () => {
+    db.put(ATTENDEES, {
+      ...db.get(ATTENDEES, { id: "ATT3" }),
+      checkedIn: true,
+    });
+
+    const { statusCode } = await request("PATCH", { reservedSeats: 2 });
+
+    assert.equal(statusCode, 200);
+    assert.equal(schedule().remainingSeats, 3);
+    assert.equal(schedule().confirmedSeats, 7);
+    assert.deepEqual(attendeeIds(), ["ATT1", "ATT3"]);
+  });
+
+  it("チェックイン済みのお連れ様の人数より少なくはできない (409 E008)", async () => {
+    for (const id of ["ATT2", "ATT3"]) {
+      db.put(ATTENDEES, { ...db.get(ATTENDEES, { id }), checkedIn: true });
+    }
+
+    const { statusCode, body } = await request("PATCH", { reservedSeats: 2 });
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.errorCode, "E008");
+    assert.equal(reservation().reservedSeats, 3);
+    assert.equal(schedule().confirmedSeats, 8);
+    assert.deepEqual(attendeeIds(), ["ATT1", "ATT2", "ATT3"]);
+  });
+
+  it("予約者本人のチェックインは下限に数えない（本人の分は残る）", async () => {
+    db.put(ATTENDEES, {
+      ...db.get(ATTENDEES, { id: "ATT1" }),
+      checkedIn: true,
+    });
+
+    const { statusCode } = await request("PATCH", { reservedSeats: 1 });
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(attendeeIds(), ["ATT1"]);
+  });
+
+  it("席数を減らして空いた席でキャンセル待ちを繰り上げる", async () => {
+    db.put(SCHEDULES, { ...schedule(), remainingSeats: 0, confirmedSeats: 10 });
+    db.put("test-waitlist", {
+      scheduleKey: "PERF1#SCH1",
+      id: "WL1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name: "待機者",
+      email: "wait@example.com",
+      reservedSeats: 1,
+      status: "waiting",
+    });
+
+    await request("PATCH", { reservedSeats: 2 });
+
+    assert.equal(
+      db.get("test-waitlist", { scheduleKey: "PERF1#SCH1", id: "WL1" }).status,
+      "offered"
+    );
+    assert.equal(schedule().remainingSeats, 0);
+    assert.equal(schedule().pendingSeats, 1);
+  });
+
+  it("備考の変更は予約者本人の Attendee にも反映する", async () => {
+    await request("PATCH", { notes: "車椅子で伺います" });
+
+    assert.equal(reservation().notes, "車椅子で伺います");
+    assert.equal(db.get(ATTENDEES, { id: "ATT1" }).notes, "車椅子で伺います");
+    assert.equal(db.get(ATTENDEES, { id: "ATT2" }).notes, "");
+  });
+
+  it("確定前の予約と締め切り後の回は変更できない (E008)", async () => {
+    db.put(RESERVATIONS, { ...reservation(), status: "pending" });
+    assert.equal(
+      (await request("PATCH", { reservedSeats: 2 })).body.errorCode,
+      "E008"
+    );
+
+    db.put(RESERVATIONS, { ...reservation(), status: "confirmed" });
+    db.put(SCHEDULES, { ...schedule(), date: "2000-01-01" });
+    assert.equal(
+      (await request("PATCH", { reservedSeats: 2 })).body.errorCode,
+      "E008"
+    );
+    assert.equal(reservation().reservedSeats, 3);
+  });
+
+  it("席数が整数でなければ 400 (E002)", async () => {
+    for (const reservedSeats of [0, 1.5, "2"]) {
+      const { statusCode, body } = await request("PATCH", { reservedSeats });
+      assert.equal(statusCode, 400);
+      assert.equal(body.errorCode, "E002");
+    }
+  });
+});
+
+describe("ログ", () => {
+  it("クエリとボディのキャンセル用トークンを出さない", async () => {
+    const token = await createCancelToken("RES1");
+    await request("GET", { token });
+    await request("PATCH", { token, notes: "車椅子で伺います" });
+
+    const logged = console.log.mock.calls
+      .map((call) => call.arguments.join(" "))
+      .join("\n");
+    assert.ok(logged.includes("[REDACTED]"));
+    assert.ok(logged.includes("車椅子で伺います"));
+    assert.ok(!logged.includes(token));
+  });
+});
+
+describe("syncAttendeesWithReservation", () => {
+  it("チェックイン済みのお連れ様は削除せず、足りなければエラーにする", async () => {
+    db.put(ATTENDEES, {
+      ...db.get(ATTENDEES, { id: "ATT2" }),
+      checkedIn: true,
+    });
+    assert.equal(getMinimumReservedSeats(db.items(ATTENDEES)), 2);
+
+    await assert.rejects(
+      syncAttendeesWithReservation({ ...reservation(), reservedSeats: 1 }),
+      /Cannot remove checked-in attendees/
+    );
+    assert.deepEqual(attendeeIds(), ["ATT1", "ATT2", "ATT3"]);
+
+    await syncAttendeesWithReservation({ ...reservation(), reservedSeats: 2 });
+    assert.deepEqual(attendeeIds(), ["ATT1", "ATT2"]);
+  });
+});
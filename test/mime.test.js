@@ -0,0 +1,123 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildMimeMessage } from "../src/lib/mime.js";
+
+const message = {
+  from: "noreply@example.com",
+  to: "taro@example.com",
+  subject: "Reservation confirmed",
+  text: "本文",
+};
+
+/** ヘッダー部分（最初の空行まで）を { 名前: 値 } にする（折り返しはつなげる） */
+function parseHeaders(raw) {
+  const [head] = raw.split("\r\n\r\n");
+  return Object.fromEntries(
+    head
+      .replace(/\r\n /g, " ")
+      .split("\r\n")
+      .map((line) => {
+        const index = line.indexOf(": ");
+        return [line.slice(0, index), line.slice(index + 2)];
+      })
+  );
+}
+
+/** multipart の boundary で区切ったパート */
+function splitParts(raw) {
+  const boundary = raw.match(/boundary="([^"]+)"/)[1];
+  const sections = raw.split(`--${boundary}`);
+  return sections.slice(1, -1).map((part) => part.replace(/^\r\n/, ""));
+}
+
+/** パートの base64 の本文を復号する */
+function decodeBody(part) {
+  const body = part.slice(part.indexOf("\r\n\r\n") + 4);
+  return Buffer.from(body.replace(/\r\n/g, ""), "base64").toString("utf8");
+}
+
+describe("buildMimeMessage", () => {
+  it("テキストだけなら text/plain の1パート（本文は base64）", () => {
+    const raw = buildMimeMessage(message);
+    const headers = parseHeaders(raw);
+
+    assert.equal(headers.From, "noreply@example.com");
+    assert.equal(headers.To, "taro@example.com");
+    assert.equal(headers.Subject, "Reservation confirmed");
+    assert.equal(headers["MIME-Version"], "1.0");
+    assert.equal(headers["Content-Type"], "text/plain; charset=UTF-8");
+    assert.equal(headers["Content-Transfer-Encoding"], "base64");
+    assert.equal(decodeBody(raw), "本文");
+  });
+
+  it("ASCII 以外の件名は UTF-8 の encoded-word を折り返して並べる", () => {
+    const subject = "【ご予約確定】".repeat(5);
+    const headers = parseHeaders(buildMimeMessage({ ...message, subject }));
+    const words = headers.Subject.split(" ");
+
+    assert.ok(words.length > 1);
+    for (const word of words) {
+      assert.match(word, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+      assert.ok(word.length <= 75);
+    }
+    assert.equal(
+      words
+        .map((word) => Buffer.from(word.slice(10, -2), "base64").toString())
+        .join(""),
+      subject
+    );
+  });
+
+  it("HTML 版があれば multipart/alternative にテキスト → HTML の順で入れる", () => {
+    const raw = buildMimeMessage({ ...message, html: "<p>本文</p>" });
+    assert.match(
+      parseHeaders(raw)["Content-Type"],
+      /^multipart\/alternative; boundary="/
+    );
+
+    const [text, html] = splitParts(raw);
+    assert.match(text, /^Content-Type: text\/plain; charset=UTF-8\r\n/);
+    assert.match(html, /^Content-Type: text\/html; charset=UTF-8\r\n/);
+    assert.equal(decodeBody(html).trim(), "<p>本文</p>");
+  });
+
+  it("添付ファイルがあれば multipart/mixed に本文と添付を入れる", () => {
+    const raw = buildMimeMessage({
+      ...message,
+      html: "<p>本文</p>",
+      attachments: [
+        {
+          filename: "event.ics",
+          contentType: "text/calendar; charset=UTF-8",
+          content: "BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n",
+        },
+      ],
+    });
+    assert.match(parseHeaders(raw)["Content-Type"], /^multipart\/mixed; /);
+
+    const [body, attachment] = splitParts(raw);
+    assert.match(body, /^Content-Type: multipart\/alternative; /);
+    assert.match(
+      attachment,
+      /^Content-Type: text\/calendar; charset=UTF-8; name="event.ics"\r\n/
+    );
+    assert.match(
+      attachment,
+      /\r\nContent-Disposition: attachment; filename="event.ics"\r\n/
+    );
+    assert.equal(
+      decodeBody(attachment).trim(),
+      "BEGIN:VCALENDAR\r\nEND:VCALENDAR"
+    );
+  });
+
+  it("base64 の本文は 76 文字ごとに改行する", () => {
+    const raw = buildMimeMessage({ ...message, text: "あ".repeat(200) });
+    const body = raw.slice(raw.indexOf("\r\n\r\n") + 4);
+    const lines = body.split("\r\n");
+
+    assert.ok(lines.length > 1);
+    assert.ok(lines.every((line) => line.length <= 76));
+    assert.equal(decodeBody(raw), "あ".repeat(200));
+  });
+});
@@ -0,0 +1,348 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices, TEST_SECRET } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { getJSTDate, formatDate } from "../src/lib/dates.js";
+import { handler as markNoShows } from "../src/markNoShows.mjs";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as joinWaitlist } from "../src/joinWaitlist.mjs";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+import { handler as approveReservationAdmin } from "../src/admin/approveReservationAdmin.mjs";
+import { handler as getNoShowRecordsAdmin } from "../src/admin/getNoShowRecordsAdmin.mjs";
+import { handler as clearNoShowRecordsAdmin } from "../src/admin/clearNoShowRecordsAdmin.mjs";
+
+// テストの環境変数は NO_SHOW_POLICY=approval（既定の回数 3 回・期間 6 か月）
+
+const RESERVATIONS = "test-reservations";
+const NO_SHOWS = "test-no-show-records";
+
+let db;
+let emails;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails } = stubServices());
+  db.put("test-performances", {
+    id: "PERF1",
+    title: "春公演",
+    reservationStartTime: "2000-01-01T00:00:00.000Z",
+    maxReservations: 4,
+  });
+});
+afterEach(() => mock.restoreAll());
+
+function daysAgo(days) {
+  const date = getJSTDate();
+  date.setDate(date.getDate() - days);
+  return formatDate(date);
+}
+
+function schedule(id, date, seats = {}) {
+  return {
+    performanceId: "PERF1",
+    id,
+    date,
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 10,
+    pendingSeats: 0,
+    confirmedSeats: 0,
+    ...seats,
+  };
+}
+
+function reservation(id, fields = {}) {
+  return {
+    id,
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "confirmed",
+    name: "山田 太郎",
+    email: "Taro@example.com",
+    reservedSeats: 1,
+    createdAt: "2025-03-01T00:00:00.000Z",
+    updatedAt: "2025-03-01T00:00:00.000Z",
+    ...fields,
+  };
+}
+
+function noShowRecord(reservationId, date) {
+  return {
+    email: "taro@example.com",
+    reservationId,
+    performanceId: "PERF0",
+    scheduleId: "SCH0",
+    date,
+    time: "19:00",
+  };
+}
+
+const reservationStatus = (id) => db.get(RESERVATIONS, { id }).status;
+
+describe("markNoShows", () => {
+  beforeEach(() => {
+    db.put(
+      "test-schedules",
+      schedule("SCH1", daysAgo(1), { remainingSeats: 7, confirmedSeats: 3 })
+    );
+    db.put(
+      RESERVATIONS,
+      reservation("RES1"),
+      reservation("RES2"),
+      // Attendees が作られていない予約はチェックインできなかったので対象外
+      reservation("RES3")
+    );
+    db.put(
+      "test-attendees",
+      attendee("ATT1", "RES1", false),
+      attendee("ATT2", "RES2", false),
+      attendee("ATT3", "RES2", true)
+    );
+  });
+
+  function attendee(id, reservationId, checkedIn) {
+    return {
+      id,
+      reservationId,
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      checkedIn,
+    };
+  }
+
+  it("前日の回で誰もチェックインしなかった予約を no_show にし、履歴に記録する", async () => {
+    const response = await markNoShows({});
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(reservationStatus("RES1"), "no_show");
+    assert.equal(reservationStatus("RES2"), "confirmed");
+    assert.equal(reservationStatus("RES3"), "confirmed");
+
+    const [record] = db.items(NO_SHOWS);
+    assert.equal(db.items(NO_SHOWS).length, 1);
+    assert.equal(record.email, "taro@example.com");
+    assert.equal(record.reservationId, "RES1");
+    assert.equal(record.date, daysAgo(1));
+
+    // 座席は確定分のまま
+    const current = db.get("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+    });
+    assert.equal(current.confirmedSeats, 3);
+  });
+
+  it("no_show の予約はキャンセルできない (E008)", async () => {
+    await markNoShows({});
+
+    const response = await cancelReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        id: "RES1",
+        token: createHash("sha256").update(`RES1${TEST_SECRET}`).digest("hex"),
+      }),
+    });
+    assert.equal(JSON.parse(response.body).errorCode, "E008");
+    assert.equal(reservationStatus("RES1"), "no_show");
+  });
+});
+
+describe("no-show の多いお客様の予約", () => {
+  beforeEach(() => {
+    db.put("test-schedules", schedule("SCH1", "2099-03-08"));
+  });
+
+  async function reserve(email = "taro@example.com") {
+    const response = await createReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        name: "山田 太郎",
+        email,
+        reservedSeats: 2,
+      }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("期間内の no-show が上限未満なら通常の仮予約", async () => {
+    db.put(
+      NO_SHOWS,
+      noShowRecord("OLD1", daysAgo(10)),
+      noShowRecord("OLD2", daysAgo(20)),
+      // 6 か月より前の記録は数えない
+      noShowRecord("OLD3", daysAgo(400))
+    );
+
+    const result = await reserve();
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.approvalRequired, undefined);
+    assert.equal(reservationStatus(result.reservationId), "pending");
+  });
+
+  it("上限に達していれば座席を確保したまま承認待ちにし、その旨をメールで伝える", async () => {
+    db.put(
+      NO_SHOWS,
+      noShowRecord("OLD1", daysAgo(10)),
+      noShowRecord("OLD2", daysAgo(20)),
+      noShowRecord("OLD3", daysAgo(30))
+    );
+
+    // メールアドレスは大文字・小文字を区別しない
+    const result = await reserve("TARO@example.com");
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.approvalRequired, true);
+    assert.equal(reservationStatus(result.reservationId), "awaiting_approval");
+    const current = db.get("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+    });
+    assert.equal(current.pendingSeats, 2);
+    assert.equal(current.remainingSeats, 8);
+    assert.equal(emails.length, 1);
+    assert.ok(emails[0].text.includes("お申し込みを受け付けました"));
+  });
+
+  it("承認待ちの対象者はキャンセル待ちに登録できない (E011)", async () => {
+    db.put(
+      "test-schedules",
+      schedule("SCH1", "2099-03-08", { remainingSeats: 0, confirmedSeats: 10 })
+    );
+    db.put(
+      NO_SHOWS,
+      noShowRecord("OLD1", daysAgo(10)),
+      noShowRecord("OLD2", daysAgo(20)),
+      noShowRecord("OLD3", daysAgo(30))
+    );
+
+    const response = await joinWaitlist({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        name: "山田 太郎",
+        email: "taro@example.com",
+        reservedSeats: 1,
+      }),
+    });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(JSON.parse(response.body).errorCode, "E011");
+    assert.equal(db.items("test-waitlist").length, 0);
+  });
+});
+
+describe("POST /admin/reservations/{reservationId}/approval", () => {
+  beforeEach(() => {
+    db.put(
+      "test-schedules",
+      schedule("SCH1", "2099-03-08", { remainingSeats: 9, pendingSeats: 1 })
+    );
+    db.put(RESERVATIONS, reservation("RES1", { status: "awaiting_approval" }));
+  });
+
+  async function decide(approve) {
+    const response = await approveReservationAdmin({
+      httpMethod: "POST",
+      headers: await adminHeaders(db),
+      pathParameters: { reservationId: "RES1" },
+      body: JSON.stringify({ approve }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("承認すると pending に戻し、確定用の確認メールを送る", async () => {
+    const result = await decide(true);
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(reservationStatus("RES1"), "pending");
+    const approved = db.get(RESERVATIONS, { id: "RES1" });
+    assert.equal(approved.approvedBy, "staff@example.com");
+    assert.ok(approved.approvedAt);
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].to, "Taro@example.com");
+  });
+
+  it("お断りすると予約をキャンセルして座席を戻し、お知らせを送る", async () => {
+    const result = await decide(false);
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(reservationStatus("RES1"), "canceled");
+    const current = db.get("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+    });
+    assert.equal(current.pendingSeats, 0);
+    assert.equal(current.remainingSeats, 10);
+    assert.ok(emails.at(-1).text.includes("お受けすることができませんでした"));
+  });
+
+  it("承認待ちでない予約は 409", async () => {
+    await decide(true);
+    assert.equal((await decide(true)).statusCode, 409);
+  });
+});
+
+describe("/admin/no-shows", () => {
+  beforeEach(() => {
+    db.put(
+      NO_SHOWS,
+      noShowRecord("OLD1", daysAgo(10)),
+      noShowRecord("OLD2", daysAgo(400))
+    );
+  });
+
+  const request = async (handler, headers) => {
+    const response = await handler({
+      httpMethod: handler === getNoShowRecordsAdmin ? "GET" : "DELETE",
+      headers,
+      queryStringParameters: { email: "Taro@example.com" },
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  };
+
+  it("履歴と期間内の回数・制限を返す", async () => {
+    const result = await request(getNoShowRecordsAdmin, await adminHeaders(db));
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.records.length, 2);
+    assert.equal(result.recentCount, 1);
+    assert.equal(result.restriction, null);
+    assert.equal(result.policy.policy, "approval");
+  });
+
+  it("履歴を削除して監査ログに残す。受付担当は 403", async () => {
+    const reception = await adminHeaders(db, {
+      email: "reception@example.com",
+      role: "reception",
+    });
+    assert.equal(
+      (await request(clearNoShowRecordsAdmin, reception)).statusCode,
+      403
+    );
+
+    const result = await request(
+      clearNoShowRecordsAdmin,
+      await adminHeaders(db)
+    );
+
+    assert.equal(result.clearedCount, 2);
+    assert.equal(db.items(NO_SHOWS).length, 0);
+    assert.deepEqual(
+      db
+        .items("test-audit-log")
+        .map((entry) => entry.action)
+        .sort(),
+      ["reservation.no_show_cleared", "reservation.no_show_cleared"]
+    );
+  });
+});
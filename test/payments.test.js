@@ -0,0 +1,273 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { SESClient } from "@aws-sdk/client-ses";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices, TEST_SECRET } from "./helpers/services.js";
+import {
+  fakeProvider,
+  signFakeWebhook,
+  FAKE_SIGNATURE_HEADER,
+} from "../src/lib/payments/fakeProvider.js";
+import {
+  createConfirmationToken,
+  createCancelToken,
+} from "../src/lib/tokens.js";
+import { handler as confirmReservation } from "../src/confirmReservation.mjs";
+import { handler as paymentWebhook } from "../src/paymentWebhook.mjs";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+import { handler as checkExpiredReservations } from "../src/checkExpiredReservations.mjs";
+
+const SCHEDULES = "test-schedules";
+const RESERVATIONS = "test-reservations";
+const ATTENDEES = "test-attendees";
+
+let db;
+let emails;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails } = stubServices());
+  db.put("test-performances", { id: "PERF1", title: "春公演" });
+  db.put(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 8,
+    pendingSeats: 2,
+    confirmedSeats: 0,
+    ticketTiers: { general: { price: 3000, quota: 10, maxPerReservation: 4 } },
+    ticketTierRemaining: { general: 8 },
+  });
+  // 有料の仮予約
+  db.put(RESERVATIONS, {
+    id: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "pending",
+    name: "山田 太郎",
+    email: "taro@example.com",
+    reservedSeats: 2,
+    tickets: { general: 2 },
+    totalPrice: 6000,
+    createdAt: new Date().toISOString(),
+    updatedAt: "2025-03-01T00:00:00.000Z",
+  });
+});
+afterEach(() => mock.restoreAll());
+
+const reservation = () => db.get(RESERVATIONS, { id: "RES1" });
+const seats = () => {
+  const { remainingSeats, pendingSeats, confirmedSeats } = db.get(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+  });
+  return { remainingSeats, pendingSeats, confirmedSeats };
+};
+
+/** 確認メールのリンクを開いて決済を始める */
+async function startCheckout() {
+  return confirmReservation({
+    queryStringParameters: {
+      id: "RES1",
+      token: await createConfirmationToken("RES1", "taro@example.com"),
+    },
+  });
+}
+
+function webhook(payment, signature) {
+  const body = JSON.stringify({
+    type: "payment.succeeded",
+    reservationId: "RES1",
+    amount: 6000,
+    ...payment,
+  });
+  return paymentWebhook({
+    headers: {
+      [FAKE_SIGNATURE_HEADER]: signature ?? signFakeWebhook(body, TEST_SECRET),
+    },
+    body,
+  });
+}
+
+describe("有料の予約の決済", () => {
+  it("確認リンクで決済待ちにして決済ページへ送る。座席は仮予約のまま", async () => {
+    const response = await startCheckout();
+
+    assert.equal(response.statusCode, 302);
+    assert.match(
+      response.headers.Location,
+      /^http:\/\/localhost:3000\/payments\/fake-checkout\?/
+    );
+    assert.equal(reservation().status, "awaiting_payment");
+    assert.equal(reservation().paymentCheckoutUrl, response.headers.Location);
+    assert.deepEqual(seats(), {
+      remainingSeats: 8,
+      pendingSeats: 2,
+      confirmedSeats: 0,
+    });
+
+    // 再度開いても同じ決済ページに戻す
+    assert.equal(
+      (await startCheckout()).headers.Location,
+      response.headers.Location
+    );
+  });
+
+  it("支払い完了の Webhook で確定し、Attendees 作成と確定メールを行う", async () => {
+    await startCheckout();
+    const response = await webhook({ paymentId: reservation().paymentId });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(reservation().status, "confirmed");
+    assert.equal(reservation().paymentStatus, "paid");
+    assert.deepEqual(seats(), {
+      remainingSeats: 8,
+      pendingSeats: 0,
+      confirmedSeats: 2,
+    });
+    assert.equal(db.items(ATTENDEES).length, 2);
+    assert.deepEqual(
+      emails.map((email) => email.to),
+      ["taro@example.com"]
+    );
+  });
+
+  it("確定メールの送信に失敗したら 500 を返し、再送で送り直す（二重には送らない）", async () => {
+    await startCheckout();
+    const { paymentId } = reservation();
+    const failing = mock.method(SESClient.prototype, "send", async () => {
+      throw new Error("SES unavailable");
+    });
+
+    assert.equal((await webhook({ paymentId })).statusCode, 500);
+    assert.equal(reservation().status, "confirmed");
+    assert.equal(reservation().confirmationEmailSent, undefined);
+
+    failing.mock.restore();
+    assert.equal((await webhook({ paymentId })).statusCode, 200);
+    assert.equal((await webhook({ paymentId })).statusCode, 200);
+
+    assert.equal(reservation().confirmationEmailSent, true);
+    assert.equal(db.items(ATTENDEES).length, 2);
+    assert.deepEqual(
+      emails.map((email) => email.to),
+      ["taro@example.com"]
+    );
+  });
+
+  it("署名が不正なら 401 で何もしない", async () => {
+    await startCheckout();
+    const response = await webhook(
+      { paymentId: reservation().paymentId },
+      "invalid"
+    );
+
+    assert.equal(response.statusCode, 401);
+    assert.equal(reservation().status, "awaiting_payment");
+  });
+
+  it("金額が一致しない支払いでは確定しない", async () => {
+    await startCheckout();
+    await webhook({ paymentId: reservation().paymentId, amount: 100 });
+
+    assert.equal(reservation().status, "awaiting_payment");
+    assert.equal(emails.length, 0);
+  });
+
+  it("支払期限を過ぎた決済待ちは失効し、後から届いた支払いは返金する", async () => {
+    await startCheckout();
+    const { paymentId } = reservation();
+    db.put(RESERVATIONS, {
+      ...reservation(),
+      paymentRequestedAt: new Date(Date.now() - 31 * 60 * 1000).toISOString(),
+    });
+
+    await checkExpiredReservations({});
+    assert.equal(reservation().status, "expired");
+    assert.deepEqual(seats(), {
+      remainingSeats: 10,
+      pendingSeats: 0,
+      confirmedSeats: 0,
+    });
+
+    await webhook({ paymentId });
+    assert.equal(reservation().status, "expired");
+    assert.equal(reservation().refundStatus, "requested");
+    assert.deepEqual(
+      reservation().refunds.map(({ paymentId, amount }) => ({
+        paymentId,
+        amount,
+      })),
+      [{ paymentId, amount: 6000 }]
+    );
+  });
+
+  it("同じ支払いの Webhook が再送されても返金は1回だけ依頼する", async () => {
+    await startCheckout();
+    const { paymentId } = reservation();
+    await cancelReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        id: "RES1",
+        token: await createCancelToken("RES1"),
+      }),
+    });
+    const refundRequests = mock.method(fakeProvider, "requestRefund");
+
+    assert.equal((await webhook({ paymentId })).statusCode, 200);
+    assert.equal((await webhook({ paymentId })).statusCode, 200);
+    // 同時に届いた再送
+    await Promise.all([webhook({ paymentId }), webhook({ paymentId })]);
+
+    assert.equal(refundRequests.mock.callCount(), 1);
+    assert.deepEqual(
+      reservation().refunds.map((refund) => refund.paymentId),
+      [paymentId]
+    );
+  });
+
+  it("返金の依頼に失敗したら、再送で依頼し直せる", async () => {
+    await startCheckout();
+    const { paymentId } = reservation();
+    await cancelReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        id: "RES1",
+        token: await createCancelToken("RES1"),
+      }),
+    });
+    const failing = mock.method(fakeProvider, "requestRefund", async () => {
+      throw new Error("provider unavailable");
+    });
+
+    await webhook({ paymentId });
+    assert.equal(reservation().refunds, undefined);
+
+    failing.mock.restore();
+    await webhook({ paymentId });
+    assert.equal(reservation().refunds.length, 1);
+  });
+
+  it("支払い済みの予約をキャンセルすると返金を依頼する", async () => {
+    await startCheckout();
+    await webhook({ paymentId: reservation().paymentId });
+
+    await cancelReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        id: "RES1",
+        token: await createCancelToken("RES1"),
+      }),
+    });
+
+    assert.equal(reservation().status, "canceled");
+    assert.equal(reservation().refunds.length, 1);
+    assert.equal(reservation().refunds[0].amount, 6000);
+  });
+});
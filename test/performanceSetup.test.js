@@ -0,0 +1,211 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { handler as createPerformanceAdmin } from "../src/admin/createPerformanceAdmin.mjs";
+import { handler as createScheduleAdmin } from "../src/admin/createScheduleAdmin.mjs";
+import { handler as deleteScheduleAdmin } from "../src/admin/deleteScheduleAdmin.mjs";
+
+const SCHEDULES = "test-schedules";
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+});
+afterEach(() => mock.restoreAll());
+
+async function call(handler, headers, { pathParameters, body }) {
+  const response = await handler({
+    httpMethod: "POST",
+    headers,
+    pathParameters,
+    body: body && JSON.stringify(body),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const performanceInput = (overrides) => ({
+  title: "春公演",
+  reservationStartTime: "2025-02-01T10:00:00+09:00",
+  maxReservations: 2,
+  schedules: [
+    { date: "2099-03-08", time: "19:00", totalSeats: 40 },
+    {
+      date: "2099-03-09",
+      time: "13:00",
+      totalSeats: 30,
+      ticketTiers: {
+        general: { price: 3000, quota: 20, maxPerReservation: 4 },
+        student: { price: 1500, quota: 10, maxPerReservation: 2 },
+      },
+    },
+  ],
+  ...overrides,
+});
+
+describe("POST /admin/performances", () => {
+  it("公演とスケジュールを作成し、作成したユーザーに権限を付与する", async () => {
+    const headers = await adminHeaders(db, { performanceIds: [] });
+    const { statusCode, body } = await call(createPerformanceAdmin, headers, {
+      body: performanceInput(),
+    });
+
+    assert.equal(statusCode, 201);
+    const performanceId = body.performance.id;
+    assert.equal(body.performance.createdBy, "staff@example.com");
+    assert.ok(
+      db.get("test-admin-grants", {
+        email: "staff@example.com",
+        performanceId,
+      })
+    );
+
+    const schedules = db.items(SCHEDULES);
+    assert.equal(schedules.length, 2);
+    assert.ok(schedules.every((s) => s.performanceId === performanceId));
+    const tiered = schedules.find((s) => s.ticketTiers);
+    assert.equal(tiered.remainingSeats, 30);
+    assert.equal(tiered.confirmedSeats, 0);
+    assert.deepEqual(tiered.ticketTierRemaining, { general: 20, student: 10 });
+
+    assert.deepEqual(
+      db
+        .items("test-audit-log")
+        .map((entry) => entry.action)
+        .sort(),
+      ["performance.create", "schedule.create", "schedule.create"]
+    );
+  });
+
+  it("入力が不正なら何も作らずに 400", async () => {
+    const headers = await adminHeaders(db, { performanceIds: [] });
+    const cases = [
+      [{ title: " " }, "E112"],
+      [{ reservationStartTime: "2025-02-01 午前" }, "E105"],
+      [{ maxReservations: 3 }, "E101"],
+      [
+        {
+          schedules: [
+            { date: "2099-03-08", time: "19:00", totalSeats: 40 },
+            { date: "2099-03-08", time: "19:00", totalSeats: 20 },
+          ],
+          maxReservations: 1,
+        },
+        "E110",
+      ],
+      [
+        {
+          schedules: [{ date: "2000-03-08", time: "19:00", totalSeats: 40 }],
+          maxReservations: 1,
+        },
+        "E109",
+      ],
+      [
+        {
+          schedules: [{ date: "2099-03-08", time: "19:00", totalSeats: 49 }],
+          maxReservations: 1,
+        },
+        "E102",
+      ],
+    ];
+    for (const [overrides, errorCode] of cases) {
+      const { statusCode, body } = await call(createPerformanceAdmin, headers, {
+        body: performanceInput(overrides),
+      });
+      assert.equal(statusCode, 400);
+      assert.equal(body.errorCode, errorCode);
+    }
+    assert.equal(db.items("test-performances").length, 0);
+    assert.equal(db.items(SCHEDULES).length, 0);
+  });
+
+  it("reception は公演を作成できない", async () => {
+    const headers = await adminHeaders(db, { role: "reception" });
+    const { statusCode } = await call(createPerformanceAdmin, headers, {
+      body: performanceInput(),
+    });
+    assert.equal(statusCode, 403);
+  });
+});
+
+describe("スケジュールの追加・削除", () => {
+  beforeEach(() => {
+    db.put("test-performances", { id: "PERF1", title: "春公演" });
+    db.put(SCHEDULES, {
+      performanceId: "PERF1",
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+      totalSeats: 10,
+      remainingSeats: 8,
+      pendingSeats: 0,
+      confirmedSeats: 2,
+    });
+  });
+
+  it("既存と同じ日時のスケジュールは追加できない (E110)", async () => {
+    const headers = await adminHeaders(db);
+    const pathParameters = { performanceId: "PERF1" };
+
+    const duplicate = await call(createScheduleAdmin, headers, {
+      pathParameters,
+      body: { date: "2099-03-08", time: "19:00", totalSeats: 10 },
+    });
+    assert.equal(duplicate.body.errorCode, "E110");
+
+    const created = await call(createScheduleAdmin, headers, {
+      pathParameters,
+      body: { date: "2099-03-08", time: "13:00", totalSeats: 10 },
+    });
+    assert.equal(created.statusCode, 201);
+    assert.equal(db.items(SCHEDULES).length, 2);
+  });
+
+  it("有効な予約が残っているスケジュールは削除できない (E111)", async () => {
+    const headers = await adminHeaders(db);
+    const pathParameters = { performanceId: "PERF1", scheduleId: "SCH1" };
+    db.put("test-reservations", {
+      id: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      status: "confirmed",
+      reservedSeats: 2,
+    });
+
+    const rejected = await call(deleteScheduleAdmin, headers, {
+      pathParameters,
+    });
+    assert.equal(rejected.statusCode, 409);
+    assert.equal(rejected.body.errorCode, "E111");
+
+    db.put("test-reservations", {
+      ...db.get("test-reservations", { id: "RES1" }),
+      status: "canceled",
+    });
+    db.put(SCHEDULES, {
+      ...db.get(SCHEDULES, { performanceId: "PERF1", id: "SCH1" }),
+      remainingSeats: 10,
+      confirmedSeats: 0,
+    });
+    const deleted = await call(deleteScheduleAdmin, headers, {
+      pathParameters,
+    });
+    assert.equal(deleted.statusCode, 200);
+    assert.equal(db.items(SCHEDULES).length, 0);
+  });
+
+  it("予約の確認後に座席が確保されていれば削除しない", async () => {
+    // 予約の一覧には出てこないが、座席カウンタには残っている
+    const { statusCode } = await call(
+      deleteScheduleAdmin,
+      await adminHeaders(db),
+      { pathParameters: { performanceId: "PERF1", scheduleId: "SCH1" } }
+    );
+    assert.equal(statusCode, 409);
+    assert.equal(db.items(SCHEDULES).length, 1);
+  });
+});
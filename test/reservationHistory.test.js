@@ -0,0 +1,169 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { createHistoryToken, verifyHistoryToken } from "../src/lib/tokens.js";
+import { handler as requestReservationHistory } from "../src/requestReservationHistory.mjs";
+import { handler as getReservationHistory } from "../src/getReservationHistory.mjs";
+
+let db;
+let emails;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails } = stubServices());
+});
+afterEach(() => mock.restoreAll());
+
+describe("予約履歴リンクのトークン", () => {
+  it("メールアドレスを取り出せ、改ざん・期限切れは null", async () => {
+    const token = await createHistoryToken("taro@example.com");
+    assert.equal(await verifyHistoryToken(token), "taro@example.com");
+
+    const [payload, signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ email: "other@example.com", exp: 9999999999 })
+    ).toString("base64url");
+    assert.equal(await verifyHistoryToken(`${forged}.${signature}`), null);
+    assert.equal(await verifyHistoryToken(payload), null);
+    assert.equal(await verifyHistoryToken(undefined), null);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + 31 * 60 * 1000);
+    assert.equal(await verifyHistoryToken(token), null);
+  });
+});
+
+describe("POST /reservations/history", () => {
+  async function request(email, sourceIp = "192.0.2.1") {
+    const response = await requestReservationHistory({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      requestContext: { identity: { sourceIp } },
+      body: JSON.stringify({ email }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("予約の有無にかかわらず確認リンクをメールで送る", async () => {
+    const result = await request(" taro@example.com ");
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].to, "taro@example.com");
+    const token = emails[0].text.match(/history\?token=(\S+)/)[1];
+    assert.equal(await verifyHistoryToken(token), "taro@example.com");
+  });
+
+  it("メールアドレスの形式が不正・文字列でない・使い捨てメールなら 400 (E002)", async () => {
+    for (const email of [
+      undefined,
+      123,
+      ["taro@example.com"],
+      "taro",
+      "a b@example.com",
+      "taro@mailinator.com",
+    ]) {
+      const result = await request(email);
+      assert.equal(result.statusCode, 400);
+      assert.equal(result.errorCode, "E002");
+    }
+    assert.equal(emails.length, 0);
+  });
+
+  it("同じメールアドレスには1時間に3回まで。超えると 429 (E012)", async () => {
+    for (let i = 0; i < 3; i++) {
+      // 大文字・小文字の違いは同じメールアドレスとして数える
+      const email = i === 0 ? "Taro@example.com" : "taro@example.com";
+      assert.equal((await request(email, `192.0.2.${i}`)).statusCode, 200);
+    }
+
+    const result = await request("taro@example.com", "192.0.2.9");
+    assert.equal(result.statusCode, 429);
+    assert.equal(result.errorCode, "E012");
+    assert.ok(result.retryAfter > 0 && result.retryAfter <= 3600);
+    assert.equal(emails.length, 3);
+  });
+
+  it("同じ IP アドレスからは1時間に10回まで", async () => {
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await request(`user${i}@example.com`)).statusCode, 200);
+    }
+    assert.equal((await request("user10@example.com")).statusCode, 429);
+  });
+});
+
+describe("GET /reservations/history", () => {
+  beforeEach(() => {
+    db.put(
+      "test-performances",
+      { id: "PERF1", title: "春公演" },
+      { id: "PERF2", title: "秋公演" }
+    );
+    db.put(
+      "test-schedules",
+      schedule("PERF1", "SCH1", "2000-03-08"),
+      schedule("PERF2", "SCH2", "2099-10-10"),
+      schedule("PERF2", "SCH3", "2099-10-09")
+    );
+    db.put(
+      "test-reservations",
+      reservation("RES1", "PERF1", "SCH1", "taro@example.com"),
+      // 予約時に入力された大文字のメールアドレスも同じ人とみなす
+      reservation("RES2", "PERF2", "SCH2", "Taro@example.com"),
+      reservation("RES3", "PERF2", "SCH3", "taro@example.com"),
+      reservation("RES4", "PERF2", "SCH2", "other@example.com")
+    );
+  });
+
+  function schedule(performanceId, id, date) {
+    return { performanceId, id, date, time: "19:00" };
+  }
+
+  function reservation(id, performanceId, scheduleId, email) {
+    return {
+      id,
+      performanceId,
+      scheduleId,
+      email,
+      status: "confirmed",
+      name: "山田 太郎",
+      reservedSeats: 1,
+      createdAt: `2025-03-01T00:00:0${id.slice(-1)}.000Z`,
+    };
+  }
+
+  async function getHistory(token) {
+    const response = await getReservationHistory({
+      httpMethod: "GET",
+      headers: { origin: "http://localhost:3000" },
+      queryStringParameters: { token },
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("これからの公演は開演順、終わった公演は別に分けて返す", async () => {
+    const result = await getHistory(
+      await createHistoryToken("Taro@example.com")
+    );
+
+    assert.equal(result.statusCode, 200);
+    assert.deepEqual(
+      result.upcoming.map((r) => r.id),
+      ["RES3", "RES2"]
+    );
+    assert.deepEqual(
+      result.past.map((r) => r.id),
+      ["RES1"]
+    );
+    assert.equal(result.upcoming[0].performance.title, "秋公演");
+    assert.match(result.upcoming[0].manageUrl, /RES3/);
+  });
+
+  it("トークンが不正なら 403", async () => {
+    const result = await getHistory("invalid");
+    assert.equal(result.statusCode, 403);
+    assert.equal(result.upcoming, undefined);
+  });
+});
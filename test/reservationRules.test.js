@@ -0,0 +1,69 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { checkExistingReservation } from "../src/lib/reservationRules.js";
+
+const RESERVATIONS = "test-reservations";
+
+function reservation(id, scheduleId, status, email = "a@example.com") {
+  return { id, performanceId: "PERF1", scheduleId, email, status };
+}
+
+describe("checkExistingReservation", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("同じ回に有効な予約があれば SAME_SCHEDULE", async () => {
+    db.put(RESERVATIONS, reservation("RES1", "SCH1", "pending"));
+
+    assert.deepEqual(
+      await checkExistingReservation("PERF1", "SCH1", "a@example.com", 2),
+      { allowed: false, reason: "SAME_SCHEDULE" }
+    );
+  });
+
+  it("公演全体の有効な予約が上限に達していれば MAX_PERFORMANCE_REACHED", async () => {
+    db.put(
+      RESERVATIONS,
+      reservation("RES1", "SCH1", "confirmed"),
+      reservation("RES2", "SCH2", "pending")
+    );
+
+    assert.deepEqual(
+      await checkExistingReservation("PERF1", "SCH3", "a@example.com", 2),
+      { allowed: false, reason: "MAX_PERFORMANCE_REACHED" }
+    );
+  });
+
+  it("キャンセル・失効した予約と他の人の予約は数えない", async () => {
+    db.put(
+      RESERVATIONS,
+      reservation("RES1", "SCH1", "canceled"),
+      reservation("RES2", "SCH2", "expired"),
+      reservation("RES3", "SCH1", "confirmed", "b@example.com")
+    );
+
+    assert.deepEqual(
+      await checkExistingReservation("PERF1", "SCH1", "a@example.com", 1),
+      { allowed: true }
+    );
+  });
+
+  it("上限が未設定なら件数は制限しない", async () => {
+    db.put(
+      RESERVATIONS,
+      reservation("RES1", "SCH1", "confirmed"),
+      reservation("RES2", "SCH2", "confirmed")
+    );
+
+    assert.deepEqual(
+      await checkExistingReservation("PERF1", "SCH3", "a@example.com"),
+      { allowed: true }
+    );
+  });
+});
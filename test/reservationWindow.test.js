@@ -0,0 +1,191 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { getScheduleStartTime } from "../src/lib/dates.js";
+import {
+  getReservationEndTime,
+  validateReservationEndSettings,
+} from "../src/lib/reservationWindow.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as updatePerformanceAdmin } from "../src/admin/updatePerformanceAdmin.mjs";
+
+const schedule = { date: "2099-03-08", time: "19:00" };
+const minutesBeforeStart = (endTime) =>
+  (getScheduleStartTime(schedule) - endTime) / 60000;
+
+describe("getReservationEndTime", () => {
+  it("設定がなければ開演 60 分前", () => {
+    assert.equal(minutesBeforeStart(getReservationEndTime(schedule, {})), 60);
+  });
+
+  it("スケジュールの設定を公演の設定より優先する", () => {
+    const performance = { reservationCutoffMinutes: 180 };
+    assert.equal(
+      minutesBeforeStart(getReservationEndTime(schedule, performance)),
+      180
+    );
+    assert.equal(
+      minutesBeforeStart(
+        getReservationEndTime(
+          {
+            ...schedule,
+            reservationCutoffMinutes: 0,
+            reservationEndTime: null,
+          },
+          performance
+        )
+      ),
+      0
+    );
+  });
+
+  it("締め切り日時は日本時間で解釈し、開演より後なら開演時刻にする", () => {
+    assert.equal(
+      minutesBeforeStart(
+        getReservationEndTime(
+          { ...schedule, reservationEndTime: "2099-03-08T09:00:00Z" },
+          {}
+        )
+      ),
+      60
+    );
+    assert.equal(
+      minutesBeforeStart(
+        getReservationEndTime(schedule, {
+          reservationEndTime: "2099-03-09T00:00:00+09:00",
+        })
+      ),
+      0
+    );
+  });
+});
+
+describe("validateReservationEndSettings", () => {
+  it("null（設定の解除）と正しい値は null", () => {
+    assert.equal(
+      validateReservationEndSettings({
+        reservationEndTime: null,
+        reservationCutoffMinutes: 120,
+      }),
+      null
+    );
+  });
+
+  it("不正な日時・範囲外の分数はエラー", () => {
+    assert.match(
+      validateReservationEndSettings({ reservationEndTime: "3月8日" }),
+      /Invalid reservationEndTime/
+    );
+    for (const reservationCutoffMinutes of [-1, 1.5, 7 * 24 * 60 + 1]) {
+      assert.match(
+        validateReservationEndSettings({ reservationCutoffMinutes }),
+        /reservationCutoffMinutes must be/
+      );
+    }
+  });
+});
+
+describe("公演設定の編集と予約受付の締め切り", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    stubServices();
+    db.put("test-performances", {
+      id: "PERF1",
+      title: "春公演",
+      surveyFormUrl: "https://example.com/survey",
+      reservationStartTime: "2000-01-01T00:00:00.000Z",
+      maxReservations: 1,
+    });
+    db.put("test-schedules", {
+      performanceId: "PERF1",
+      id: "SCH1",
+      ...schedule,
+      totalSeats: 10,
+      remainingSeats: 10,
+      pendingSeats: 0,
+      confirmedSeats: 0,
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const performance = () => db.get("test-performances", { id: "PERF1" });
+
+  async function update(body) {
+    const response = await updatePerformanceAdmin({
+      httpMethod: "PUT",
+      headers: await adminHeaders(db),
+      pathParameters: { performanceId: "PERF1" },
+      body: JSON.stringify(body),
+    });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  }
+
+  function reserve() {
+    return createReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        name: "山田 太郎",
+        email: "taro@example.com",
+        reservedSeats: 1,
+      }),
+    });
+  }
+
+  it("公演名とアンケートURLを変更し、監査ログに変更前後を残す", async () => {
+    const { statusCode } = await update({
+      title: " 春公演 2099 ",
+      surveyFormUrl: "https://example.com/survey2",
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(performance().title, "春公演 2099");
+    assert.equal(performance().surveyFormUrl, "https://example.com/survey2");
+    const [entry] = db.items("test-audit-log");
+    assert.equal(entry.before.title, "春公演");
+    assert.equal(entry.after.surveyFormUrl, "https://example.com/survey2");
+  });
+
+  it("アンケートメールの送信後はアンケートURLを変更できない (E114)", async () => {
+    db.put("test-reservations", {
+      id: "RES1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      status: "confirmed",
+      surveyEmailSent: true,
+    });
+
+    const { body } = await update({
+      surveyFormUrl: "https://example.com/survey2",
+    });
+    assert.equal(body.errorCode, "E114");
+    assert.equal(performance().surveyFormUrl, "https://example.com/survey");
+  });
+
+  it("公演の締め切りを過ぎた回は予約できず、スケジュールの設定で延長できる", async () => {
+    await update({ reservationEndTime: "2000-01-01T00:00:00+09:00" });
+    assert.equal((await reserve()).statusCode, 403);
+
+    await update({ schedules: [{ id: "SCH1", reservationCutoffMinutes: 30 }] });
+    assert.equal((await reserve()).statusCode, 200);
+  });
+
+  it("締め切りの設定が不正なら 400 (E113)", async () => {
+    assert.equal(
+      (await update({ reservationCutoffMinutes: -1 })).body.errorCode,
+      "E113"
+    );
+    assert.equal(
+      (await update({ schedules: [{ id: "SCH1", reservationEndTime: "x" }] }))
+        .body.errorCode,
+      "E113"
+    );
+  });
+});
@@ -0,0 +1,194 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices, TEST_SECRET } from "./helpers/services.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as confirmReservation } from "../src/confirmReservation.mjs";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+import { handler as checkExpiredReservations } from "../src/checkExpiredReservations.mjs";
+
+const PERFORMANCES = "test-performances";
+const SCHEDULES = "test-schedules";
+const RESERVATIONS = "test-reservations";
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+  db.put(PERFORMANCES, {
+    id: "PERF1",
+    title: "春公演",
+    reservationStartTime: "2000-01-01T00:00:00.000Z",
+    maxReservations: 2,
+  });
+  db.put(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: 3,
+    pendingSeats: 0,
+    confirmedSeats: 7,
+  });
+});
+afterEach(() => mock.restoreAll());
+
+const seatCounters = () => {
+  const { remainingSeats, pendingSeats, confirmedSeats } = db.get(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+  });
+  return { remainingSeats, pendingSeats, confirmedSeats };
+};
+
+async function reserve(email, reservedSeats) {
+  const response = await createReservation({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    body: JSON.stringify({
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name: "山田 太郎",
+      email,
+      reservedSeats,
+    }),
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+const hash = (value) => createHash("sha256").update(value).digest("hex");
+
+function confirm(reservation) {
+  return confirmReservation({
+    queryStringParameters: {
+      id: reservation.id,
+      token: hash(`${reservation.id}${reservation.email}${TEST_SECRET}`),
+    },
+  });
+}
+
+function cancel(reservation) {
+  return cancelReservation({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    body: JSON.stringify({
+      id: reservation.id,
+      token: hash(`${reservation.id}${TEST_SECRET}`),
+    }),
+  });
+}
+
+describe("座席の確保", () => {
+  it("仮予約で残席から仮予約分に移す", async () => {
+    const result = await reserve("a@example.com", 2);
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(
+      db.get(RESERVATIONS, { id: result.reservationId }).status,
+      "pending"
+    );
+    assert.deepEqual(seatCounters(), {
+      remainingSeats: 1,
+      pendingSeats: 2,
+      confirmedSeats: 7,
+    });
+  });
+
+  it("同時に申し込んでも残席を超えて確保しない", async () => {
+    const results = await Promise.all([
+      reserve("a@example.com", 2),
+      reserve("b@example.com", 2),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 400]);
+    assert.equal(results.find((r) => r.statusCode === 400).errorCode, "E001");
+    assert.equal(db.items(RESERVATIONS).length, 1);
+    assert.deepEqual(seatCounters(), {
+      remainingSeats: 1,
+      pendingSeats: 2,
+      confirmedSeats: 7,
+    });
+  });
+
+  it("残席が足りなければ予約を作らない", async () => {
+    const result = await reserve("a@example.com", 4);
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(result.errorCode, "E001");
+    assert.equal(db.items(RESERVATIONS).length, 0);
+    assert.equal(seatCounters().remainingSeats, 3);
+  });
+});
+
+describe("座席の移動と解放", () => {
+  let reservation;
+
+  beforeEach(async () => {
+    const { reservationId } = await reserve("a@example.com", 2);
+    reservation = db.get(RESERVATIONS, { id: reservationId });
+  });
+
+  it("確定で仮予約分を確定分に移す", async () => {
+    const response = await confirm(reservation);
+
+    assert.match(response.headers.Location, /status=success/);
+    assert.deepEqual(seatCounters(), {
+      remainingSeats: 1,
+      pendingSeats: 0,
+      confirmedSeats: 9,
+    });
+  });
+
+  it("確定済みの予約のキャンセルで確定分から残席に戻す", async () => {
+    await confirm(reservation);
+    await cancel(reservation);
+
+    assert.equal(
+      db.get(RESERVATIONS, { id: reservation.id }).status,
+      "canceled"
+    );
+    assert.deepEqual(seatCounters(), {
+      remainingSeats: 3,
+      pendingSeats: 0,
+      confirmedSeats: 7,
+    });
+  });
+
+  it("キャンセルを繰り返しても座席は1回だけ戻す", async () => {
+    await cancel(reservation);
+    const response = await cancel(reservation);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(seatCounters(), {
+      remainingSeats: 3,
+      pendingSeats: 0,
+      confirmedSeats: 7,
+    });
+  });
+
+  it("失効で仮予約分を残席に戻し、失効後の確定では座席を動かさない", async () => {
+    db.put(RESERVATIONS, {
+      ...reservation,
+      createdAt: "2000-01-01T00:00:00.000Z",
+    });
+
+    await checkExpiredReservations({});
+    await checkExpiredReservations({});
+    const response = await confirm(reservation);
+
+    assert.equal(
+      db.get(RESERVATIONS, { id: reservation.id }).status,
+      "expired"
+    );
+    assert.match(response.headers.Location, /status=expired/);
+    assert.deepEqual(seatCounters(), {
+      remainingSeats: 3,
+      pendingSeats: 0,
+      confirmedSeats: 7,
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseTemplate,
+  renderTemplate,
+  escapeHtml,
+  listTemplateVariables,
+} from "../src/lib/templateEngine.js";
+
+describe("renderTemplate", () => {
+  it("変数を埋め、ドット区切りで入れ子の値を参照する", () => {
+    assert.equal(
+      renderTemplate("{{ name }} 様\n{{performance.title}}", {
+        name: "山田 太郎",
+        performance: { title: "春公演" },
+      }),
+      "山田 太郎 様\n春公演"
+    );
+  });
+
+  it("escape は {{name}} にだけ適用し、{{{name}}} はそのまま出力する", () => {
+    const data = { name: "<b>太郎</b>", link: "https://example.com/?a=1&b=2" };
+    assert.equal(
+      renderTemplate("{{name}} {{{link}}}", data, { escape: escapeHtml }),
+      "&lt;b&gt;太郎&lt;/b&gt; https://example.com/?a=1&b=2"
+    );
+  });
+
+  it("{{#if}} は未定義・0・空文字・空配列を偽とし、{{else}} を出力する", () => {
+    const template = "{{#if value}}あり{{else}}なし{{/if}}";
+    for (const value of [undefined, null, false, 0, "", []]) {
+      assert.equal(renderTemplate(template, { value }), "なし");
+    }
+    assert.equal(renderTemplate(template, { value: [1] }), "あり");
+  });
+
+  it("{{#each}} で要素と番号を参照し、入れ子のブロックも使える", () => {
+    const template =
+      "{{#each tickets}}{{#if @index}} / {{/if}}{{this.label}} {{this.count}}枚{{/each}}";
+    assert.equal(
+      renderTemplate(template, {
+        tickets: [
+          { label: "一般", count: 2 },
+          { label: "学生", count: 1 },
+        ],
+      }),
+      "一般 2枚 / 学生 1枚"
+    );
+    assert.equal(
+      renderTemplate("{{#each list}}{{this}}{{else}}なし{{/each}}", {
+        list: [],
+      }),
+      "なし"
+    );
+  });
+
+  it("コメントは出力しない", () => {
+    assert.equal(renderTemplate("a{{! メモ }}b", {}), "ab");
+  });
+
+  it("出力する変数が未定義ならエラー（送信を止める）", () => {
+    assert.throws(
+      () => renderTemplate("1行目\n{{name}}", {}),
+      /Missing template variable "name" \(line 2\)/
+    );
+    assert.throws(
+      () => renderTemplate("{{#each name}}{{/each}}", { name: "太郎" }),
+      /is not a list/
+    );
+  });
+});
+
+describe("parseTemplate", () => {
+  it("構文エラーは行番号付きで報告する", () => {
+    assert.throws(
+      () => parseTemplate("a\n{{#if x}}\nb"),
+      /line 2\): \{\{#if\}\} is not closed/
+    );
+    assert.throws(() => parseTemplate("{{/if}}"), /unexpected \{\{\/if\}\}/);
+    assert.throws(
+      () => parseTemplate("{{#if x}}{{/each}}"),
+      /unexpected \{\{\/each\}\}/
+    );
+    assert.throws(() => parseTemplate("{{else}}"), /unexpected \{\{else\}\}/);
+    assert.throws(() => parseTemplate("{{a-b}}"), /invalid variable "a-b"/);
+    assert.throws(() => parseTemplate("{{foo bar}}"), /unknown tag/);
+  });
+});
+
+describe("listTemplateVariables", () => {
+  it("参照している変数と、{{#if}} の中かどうか・{{#each}} の参照元を返す", () => {
+    const references = listTemplateVariables(
+      "{{name}}\n{{#if totalPrice}}{{totalPrice}}{{/if}}\n{{#each tickets}}{{this.label}}{{@index}}{{/each}}"
+    );
+
+    assert.deepEqual(references, [
+      { path: "name", usage: "output", guarded: false, line: 1 },
+      { path: "totalPrice", usage: "if", guarded: false, line: 2 },
+      { path: "totalPrice", usage: "output", guarded: true, line: 2 },
+      { path: "tickets", usage: "each", guarded: false, line: 3 },
+      {
+        path: "this.label",
+        usage: "output",
+        guarded: true,
+        line: 3,
+        list: "tickets",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,306 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import {
+  validateTickets,
+  resolveTicketFields,
+  validateTicketTiersConfig,
+  calculateTicketTierRemaining,
+  hasEnoughSeats,
+  expandTickets,
+  formatTicketVariables,
+} from "../src/lib/ticketTiers.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import { handler as createReservation } from "../src/createReservation.mjs";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+
+const schedule = {
+  performanceId: "PERF1",
+  id: "SCH1",
+  date: "2099-03-08",
+  time: "19:00",
+  totalSeats: 40,
+  remainingSeats: 10,
+  pendingSeats: 0,
+  confirmedSeats: 30,
+  ticketTiers: {
+    general: { price: 3000, quota: 30, maxPerReservation: 4 },
+    student: { price: 1500, quota: 10, maxPerReservation: 2 },
+  },
+  ticketTierRemaining: { general: 8, student: 1 },
+};
+
+describe("validateTickets", () => {
+  it("スケジュールの券種の枚数なら null", () => {
+    assert.equal(validateTickets({ general: 2, student: 1 }, schedule), null);
+  });
+
+  it("券種のないスケジュール・空の指定はエラー", () => {
+    assert.equal(
+      validateTickets({ general: 1 }, { remainingSeats: 10 }),
+      "This schedule does not have ticket tiers"
+    );
+    for (const tickets of [undefined, {}, [], "general"]) {
+      assert.equal(
+        validateTickets(tickets, schedule),
+        "Ticket breakdown is required"
+      );
+    }
+  });
+
+  it("スケジュールにない券種はエラー", () => {
+    assert.equal(
+      validateTickets({ supporter: 1 }, schedule),
+      "Unknown ticket tier: supporter"
+    );
+  });
+
+  it("constructor などの継承したプロパティ名は券種として扱わない", () => {
+    for (const tierId of ["constructor", "toString", "__proto__"]) {
+      assert.equal(
+        validateTickets(JSON.parse(`{"${tierId}": 1}`), schedule),
+        `Unknown ticket tier: ${tierId}`
+      );
+    }
+    assert.equal(
+      validateTicketTiersConfig(
+        { constructor: { price: 0, quota: 1, maxPerReservation: 1 } },
+        40
+      ),
+      "Unknown ticket tier: constructor"
+    );
+  });
+
+  it("枚数が正の整数でない・1予約あたりの上限を超える場合はエラー", () => {
+    assert.equal(
+      validateTickets({ general: 1.5 }, schedule),
+      "Invalid ticket count for general"
+    );
+    assert.equal(
+      validateTickets({ general: 0 }, schedule),
+      "Invalid ticket count for general"
+    );
+    assert.equal(
+      validateTickets({ student: 3 }, schedule),
+      "Ticket count for student exceeds the limit (2)"
+    );
+  });
+});
+
+describe("resolveTicketFields", () => {
+  it("券種ごとの枚数と合計金額を返す", () => {
+    assert.deepEqual(
+      resolveTicketFields(schedule, 3, { general: 2, student: 1 }),
+      {
+        fields: { tickets: { general: 2, student: 1 }, totalPrice: 7500 },
+      }
+    );
+  });
+
+  it("枚数の合計が席数と合わなければエラー", () => {
+    assert.equal(
+      resolveTicketFields(schedule, 2, { general: 3 }).error,
+      "reservedSeats does not match the ticket breakdown"
+    );
+  });
+
+  it("券種のないスケジュールは tickets の指定がなければ空", () => {
+    const free = { remainingSeats: 10 };
+    assert.deepEqual(resolveTicketFields(free, 2, undefined), { fields: {} });
+    assert.equal(
+      resolveTicketFields(free, 2, { general: 2 }).error,
+      "This schedule does not have ticket tiers"
+    );
+  });
+});
+
+describe("validateTicketTiersConfig", () => {
+  it("正しい設定なら null", () => {
+    assert.equal(validateTicketTiersConfig(schedule.ticketTiers, 40), null);
+  });
+
+  it("料金・枠数・1予約あたりの上限を検証する", () => {
+    const config = (tier) => ({
+      general: { price: 1000, quota: 10, maxPerReservation: 2, ...tier },
+    });
+    assert.equal(
+      validateTicketTiersConfig({ vip: config().general }, 40),
+      "Unknown ticket tier: vip"
+    );
+    assert.equal(
+      validateTicketTiersConfig(config({ price: -1 }), 40),
+      "Invalid price for general"
+    );
+    assert.equal(
+      validateTicketTiersConfig(config({ quota: 41 }), 40),
+      "Invalid quota for general (1-40)"
+    );
+    assert.equal(
+      validateTicketTiersConfig(config({ maxPerReservation: 0 }), 40),
+      "Invalid maxPerReservation for general"
+    );
+    assert.equal(validateTicketTiersConfig([], 40), "Invalid ticketTiers");
+  });
+
+  it("allowPaid: false なら有料の券種は不可、無料の券種だけなら可", () => {
+    const config = (tier) => ({
+      general: { price: 1000, quota: 10, maxPerReservation: 2, ...tier },
+    });
+    assert.equal(
+      validateTicketTiersConfig(config(), 40, { allowPaid: false }),
+      "Paid ticket tiers are not available (general)"
+    );
+    assert.equal(
+      validateTicketTiersConfig(config({ price: 0 }), 40, {
+        allowPaid: false,
+      }),
+      null
+    );
+  });
+});
+
+describe("calculateTicketTierRemaining", () => {
+  it("使用中の枚数を引いた残数を計算する", () => {
+    // general は 30 - 8 = 22 枚、student は 10 - 1 = 9 枚が使用中
+    assert.deepEqual(
+      calculateTicketTierRemaining(schedule, {
+        general: { price: 3000, quota: 25, maxPerReservation: 4 },
+        student: { price: 1500, quota: 12, maxPerReservation: 2 },
+      }),
+      { ticketTierRemaining: { general: 3, student: 3 } }
+    );
+  });
+
+  it("使用中の枚数より少ない枠数・使用中の券種の削除はエラー", () => {
+    assert.equal(
+      calculateTicketTierRemaining(schedule, {
+        general: { price: 3000, quota: 21, maxPerReservation: 4 },
+        student: { price: 1500, quota: 10, maxPerReservation: 2 },
+      }).error,
+      "quota for general (21) is less than reserved (22)"
+    );
+    assert.equal(
+      calculateTicketTierRemaining(schedule, {
+        general: { price: 3000, quota: 30, maxPerReservation: 4 },
+      }).error,
+      "Cannot remove ticket tier student that is in use"
+    );
+  });
+});
+
+describe("hasEnoughSeats", () => {
+  it("全体の残席と券種ごとの残数の両方を見る", () => {
+    assert.equal(hasEnoughSeats(schedule, 3, { general: 3 }), true);
+    assert.equal(hasEnoughSeats(schedule, 2, { student: 2 }), false);
+    assert.equal(hasEnoughSeats(schedule, 11, { general: 11 }), false);
+    assert.equal(hasEnoughSeats({ remainingSeats: 2 }, 2), true);
+  });
+});
+
+describe("expandTickets / formatTicketVariables", () => {
+  it("券種を表示順に1枚ずつ展開する", () => {
+    assert.deepEqual(expandTickets({ student: 1, general: 2 }), [
+      "general",
+      "general",
+      "student",
+    ]);
+  });
+
+  it("メールテンプレート用の券種・料金。券種なしの予約は空のオブジェクト", () => {
+    assert.deepEqual(
+      formatTicketVariables({
+        tickets: { student: 1, general: 2 },
+        totalPrice: 7500,
+      }),
+      {
+        tickets: [
+          { label: "一般", count: 2 },
+          { label: "学生", count: 1 },
+        ],
+        totalPrice: "¥7,500",
+      }
+    );
+    assert.deepEqual(formatTicketVariables({ reservedSeats: 2 }), {});
+  });
+});
+
+describe("券種ごとの残数の確保と解放", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDynamoDB().install();
+    stubServices();
+    db.put("test-performances", {
+      id: "PERF1",
+      title: "春公演",
+      reservationStartTime: "2000-01-01T00:00:00.000Z",
+      maxReservations: 2,
+    });
+    db.put("test-schedules", schedule);
+  });
+  afterEach(() => mock.restoreAll());
+
+  const current = () =>
+    db.get("test-schedules", { performanceId: "PERF1", id: "SCH1" });
+
+  async function reserve(reservedSeats, tickets) {
+    const response = await createReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        performanceId: "PERF1",
+        scheduleId: "SCH1",
+        name: "山田 太郎",
+        email: "taro@example.com",
+        reservedSeats,
+        tickets,
+      }),
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+  }
+
+  it("予約で券種ごとの残数を減らし、合計金額を保存する", async () => {
+    const result = await reserve(3, { general: 2, student: 1 });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.totalPrice, 7500);
+    assert.deepEqual(current().ticketTierRemaining, { general: 6, student: 0 });
+    assert.equal(current().remainingSeats, 7);
+
+    const reservation = db.get("test-reservations", {
+      id: result.reservationId,
+    });
+    assert.deepEqual(reservation.tickets, { general: 2, student: 1 });
+    assert.equal(reservation.totalPrice, 7500);
+  });
+
+  it("全体の残席があっても券種の残数が足りなければ 400 (E001)", async () => {
+    const result = await reserve(2, { student: 2 });
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(result.errorCode, "E001");
+    assert.deepEqual(current().ticketTierRemaining, { general: 8, student: 1 });
+  });
+
+  it("券種のあるスケジュールで枚数の指定がなければ 400 (E010)", async () => {
+    const result = await reserve(2, undefined);
+    assert.equal(result.errorCode, "E010");
+  });
+
+  it("キャンセルで券種ごとの残数も戻す", async () => {
+    const { reservationId } = await reserve(3, { general: 2, student: 1 });
+    await cancelReservation({
+      httpMethod: "POST",
+      headers: { origin: "http://localhost:3000" },
+      body: JSON.stringify({
+        id: reservationId,
+        token: await createCancelToken(reservationId),
+      }),
+    });
+
+    assert.deepEqual(current().ticketTierRemaining, { general: 8, student: 1 });
+    assert.equal(current().remainingSeats, 10);
+  });
+});
@@ -0,0 +1,79 @@
+import "./helpers/env.js";
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { SSMClient } from "@aws-sdk/client-ssm";
+import {
+  createConfirmationToken,
+  createCancelToken,
+  verifyConfirmationToken,
+  verifyCancelToken,
+  buildConfirmationUrl,
+} from "../src/lib/tokens.js";
+
+describe("予約トークン", () => {
+  let ssm;
+
+  before(() => {
+    ssm = mock.method(SSMClient.prototype, "send", async () => ({
+      Parameter: { Value: "test-secret" },
+    }));
+  });
+  after(() => mock.restoreAll());
+
+  it("発行したトークンだけを受け付ける", async () => {
+    const token = await createConfirmationToken("RES1", "a@example.com");
+
+    assert.equal(
+      await verifyConfirmationToken("RES1", "a@example.com", token),
+      true
+    );
+    assert.equal(
+      await verifyConfirmationToken("RES1", "b@example.com", token),
+      false
+    );
+    assert.equal(
+      await verifyConfirmationToken("RES2", "a@example.com", token),
+      false
+    );
+    assert.equal(
+      await verifyConfirmationToken("RES1", "a@example.com", token.slice(1)),
+      false
+    );
+    assert.equal(
+      await verifyConfirmationToken("RES1", "a@example.com", undefined),
+      false
+    );
+  });
+
+  it("確定用とキャンセル用のトークンは取り違えられない", async () => {
+    const confirmationToken = await createConfirmationToken(
+      "RES1",
+      "a@example.com"
+    );
+    const cancelToken = await createCancelToken("RES1");
+
+    assert.equal(await verifyCancelToken("RES1", cancelToken), true);
+    assert.equal(await verifyCancelToken("RES1", confirmationToken), false);
+  });
+
+  it("確定リンクは確定 URL に予約 ID とトークンを付ける", async () => {
+    const url = new URL(
+      await buildConfirmationUrl({ id: "RES1", email: "a@example.com" })
+    );
+
+    assert.equal(url.origin + url.pathname, "http://localhost:3000/confirm");
+    assert.equal(url.searchParams.get("id"), "RES1");
+    assert.equal(
+      await verifyConfirmationToken(
+        "RES1",
+        "a@example.com",
+        url.searchParams.get("token")
+      ),
+      true
+    );
+  });
+
+  it("秘密鍵は SSM から1回だけ取得する", () => {
+    assert.equal(ssm.mock.callCount(), 1);
+  });
+});
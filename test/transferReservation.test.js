@@ -0,0 +1,269 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { createCancelToken } from "../src/lib/tokens.js";
+import { transferReservation } from "../src/lib/reservationTransfer.js";
+import { adminActor } from "../src/lib/audit.js";
+import { handler } from "../src/transferReservation.mjs";
+
+const SCHEDULES = "test-schedules";
+const RESERVATIONS = "test-reservations";
+const ATTENDEES = "test-attendees";
+
+let db;
+let emails;
+
+function schedule(id, date, seats) {
+  return {
+    performanceId: "PERF1",
+    id,
+    date,
+    time: "19:00",
+    totalSeats: 10,
+    remainingSeats: seats.remaining,
+    pendingSeats: 0,
+    confirmedSeats: 10 - seats.remaining,
+  };
+}
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails } = stubServices());
+  // 予約数の上限はこの予約自身を除いて数えるので、上限 1 でも移動できる
+  db.put("test-performances", {
+    id: "PERF1",
+    title: "春公演",
+    maxReservations: 1,
+  });
+  db.put(
+    SCHEDULES,
+    schedule("SCH1", "2099-03-08", { remaining: 0 }),
+    schedule("SCH2", "2099-03-09", { remaining: 3 })
+  );
+  db.put(RESERVATIONS, {
+    id: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    status: "confirmed",
+    name: "山田 太郎",
+    email: "taro@example.com",
+    reservedSeats: 2,
+    reminderEmailSent: true,
+    createdAt: "2025-03-01T00:00:00.000Z",
+    updatedAt: "2025-03-01T00:00:00.000Z",
+  });
+  db.put(
+    ATTENDEES,
+    { id: "ATT1", reservationId: "RES1", scheduleId: "SCH1", checkedIn: false },
+    { id: "ATT2", reservationId: "RES1", scheduleId: "SCH1", checkedIn: false }
+  );
+});
+afterEach(() => mock.restoreAll());
+
+async function transfer(scheduleId, token) {
+  token ??= await createCancelToken("RES1");
+  const response = await handler({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    pathParameters: { reservationId: "RES1" },
+    body: JSON.stringify({ token, scheduleId }),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const seats = (id) => {
+  const { remainingSeats, confirmedSeats } = db.get(SCHEDULES, {
+    performanceId: "PERF1",
+    id,
+  });
+  return { remainingSeats, confirmedSeats };
+};
+
+describe("予約の日時変更", () => {
+  it("座席・Attendees を移動先に移し、変更完了メールを送る", async () => {
+    const { statusCode } = await transfer("SCH2");
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(seats("SCH1"), { remainingSeats: 2, confirmedSeats: 8 });
+    assert.deepEqual(seats("SCH2"), { remainingSeats: 1, confirmedSeats: 9 });
+
+    const reservation = db.get(RESERVATIONS, { id: "RES1" });
+    assert.equal(reservation.scheduleId, "SCH2");
+    // 移動先の回のリマインダーは改めて送る
+    assert.equal(reservation.reminderEmailSent, undefined);
+    assert.deepEqual(
+      db.items(ATTENDEES).map((a) => a.scheduleId),
+      ["SCH2", "SCH2"]
+    );
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].to, "taro@example.com");
+  });
+
+  it("旧スケジュールで空いた席でキャンセル待ちを繰り上げる", async () => {
+    db.put("test-waitlist", {
+      scheduleKey: "PERF1#SCH1",
+      id: "WL1",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name: "待機者",
+      email: "wait@example.com",
+      reservedSeats: 2,
+      status: "waiting",
+    });
+
+    await transfer("SCH2");
+
+    assert.equal(
+      db.get("test-waitlist", { scheduleKey: "PERF1#SCH1", id: "WL1" }).status,
+      "offered"
+    );
+  });
+
+  it("移動先の残席が足りなければ何も動かさない (E001)", async () => {
+    db.put(SCHEDULES, schedule("SCH2", "2099-03-09", { remaining: 1 }));
+    const { statusCode, body } = await transfer("SCH2");
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.errorCode, "E001");
+    assert.equal(db.get(RESERVATIONS, { id: "RES1" }).scheduleId, "SCH1");
+    assert.deepEqual(seats("SCH1"), { remainingSeats: 0, confirmedSeats: 10 });
+    assert.deepEqual(seats("SCH2"), { remainingSeats: 1, confirmedSeats: 9 });
+    assert.deepEqual(
+      db.items(ATTENDEES).map((a) => a.scheduleId),
+      ["SCH1", "SCH1"]
+    );
+  });
+
+  describe("券種と料金", () => {
+    /** 一般券の料金 price の券種設定を付けたスケジュール */
+    function withTiers(scheduleItem, price) {
+      return {
+        ...scheduleItem,
+        ticketTiers: { general: { price, quota: 10, maxPerReservation: 4 } },
+        ticketTierRemaining: { general: scheduleItem.remainingSeats },
+      };
+    }
+
+    function ticketedReservation(fields) {
+      db.put(RESERVATIONS, {
+        ...db.get(RESERVATIONS, { id: "RES1" }),
+        tickets: { general: 2 },
+        totalPrice: 6000,
+        ...fields,
+      });
+    }
+
+    it("券種のある回とない回の間では移動しない (E010)", async () => {
+      db.put(
+        SCHEDULES,
+        withTiers(schedule("SCH1", "2099-03-08", { remaining: 0 }), 3000)
+      );
+      ticketedReservation();
+      assert.equal((await transfer("SCH2")).body.errorCode, "E010");
+
+      db.put(
+        SCHEDULES,
+        schedule("SCH1", "2099-03-08", { remaining: 0 }),
+        withTiers(schedule("SCH2", "2099-03-09", { remaining: 3 }), 3000)
+      );
+      db.put(RESERVATIONS, {
+        ...db.get(RESERVATIONS, { id: "RES1" }),
+        tickets: undefined,
+        totalPrice: undefined,
+      });
+      assert.equal((await transfer("SCH2")).body.errorCode, "E010");
+      assert.equal(db.get(RESERVATIONS, { id: "RES1" }).scheduleId, "SCH1");
+    });
+
+    it("未払いの予約は移動先の料金で合計金額を計算し直す", async () => {
+      db.put(
+        SCHEDULES,
+        withTiers(schedule("SCH1", "2099-03-08", { remaining: 0 }), 3000),
+        withTiers(schedule("SCH2", "2099-03-09", { remaining: 3 }), 2500)
+      );
+      ticketedReservation();
+
+      assert.equal((await transfer("SCH2")).statusCode, 200);
+      const reservation = db.get(RESERVATIONS, { id: "RES1" });
+      assert.equal(reservation.scheduleId, "SCH2");
+      assert.equal(reservation.totalPrice, 5000);
+    });
+
+    it("支払い済みの予約は料金が変わる回へは移動しない (E008)。同じ料金なら移動できる", async () => {
+      db.put(
+        SCHEDULES,
+        withTiers(schedule("SCH1", "2099-03-08", { remaining: 0 }), 3000),
+        withTiers(schedule("SCH2", "2099-03-09", { remaining: 3 }), 2500)
+      );
+      ticketedReservation({ paymentStatus: "paid" });
+
+      const { statusCode, body } = await transfer("SCH2");
+      assert.equal(statusCode, 400);
+      assert.equal(body.errorCode, "E008");
+      assert.equal(db.get(RESERVATIONS, { id: "RES1" }).scheduleId, "SCH1");
+      assert.deepEqual(seats("SCH2"), { remainingSeats: 3, confirmedSeats: 7 });
+
+      db.put(
+        SCHEDULES,
+        withTiers(schedule("SCH2", "2099-03-09", { remaining: 3 }), 3000)
+      );
+      assert.equal((await transfer("SCH2")).statusCode, 200);
+      assert.equal(db.get(RESERVATIONS, { id: "RES1" }).totalPrice, 6000);
+    });
+  });
+
+  it("チェックイン済みの参加者がいれば移動しない", async () => {
+    db.put(ATTENDEES, {
+      ...db.get(ATTENDEES, { id: "ATT2" }),
+      checkedIn: true,
+    });
+    const { body } = await transfer("SCH2");
+
+    assert.equal(body.errorCode, "E008");
+    assert.equal(db.get(RESERVATIONS, { id: "RES1" }).scheduleId, "SCH1");
+  });
+
+  it("移動先の回に同じメールアドレスの予約があれば移動しない (E004)", async () => {
+    db.put("test-performances", {
+      id: "PERF1",
+      title: "春公演",
+      maxReservations: 2,
+    });
+    db.put(RESERVATIONS, {
+      id: "RES2",
+      performanceId: "PERF1",
+      scheduleId: "SCH2",
+      status: "pending",
+      email: "taro@example.com",
+      reservedSeats: 1,
+    });
+
+    const { body } = await transfer("SCH2");
+    assert.equal(body.errorCode, "E004");
+  });
+
+  it("受付を締め切った回へは、管理者の操作でだけ移動できる", async () => {
+    db.put(SCHEDULES, schedule("SCH2", "2000-01-01", { remaining: 3 }));
+
+    assert.equal((await transfer("SCH2")).body.errorCode, "E008");
+
+    const result = await transferReservation(
+      db.get(RESERVATIONS, { id: "RES1" }),
+      "SCH2",
+      {
+        ignoreReservationWindow: true,
+        actor: adminActor({ email: "staff@example.com" }),
+        service: "test",
+      }
+    );
+    assert.equal(result.transferred, true);
+    assert.equal(db.get(RESERVATIONS, { id: "RES1" }).scheduleId, "SCH2");
+  });
+
+  it("トークンが違えば 403", async () => {
+    const { statusCode } = await transfer("SCH2", "invalid");
+    assert.equal(statusCode, 403);
+  });
+});
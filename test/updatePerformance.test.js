@@ -0,0 +1,198 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices } from "./helpers/services.js";
+import { adminHeaders } from "./helpers/admin.js";
+import { handler } from "../src/admin/updatePerformanceAdmin.mjs";
+
+const SCHEDULES = "test-schedules";
+
+let db;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  stubServices();
+  db.put("test-performances", {
+    id: "PERF1",
+    title: "春公演",
+    reservationStartTime: "2000-01-01T00:00:00.000Z",
+    maxReservations: 2,
+  });
+  // SCH1: 10 席中 4 席（仮予約 1・確定 3）が埋まっている
+  db.put(
+    SCHEDULES,
+    {
+      performanceId: "PERF1",
+      id: "SCH1",
+      date: "2099-03-08",
+      time: "19:00",
+      totalSeats: 10,
+      remainingSeats: 6,
+      pendingSeats: 1,
+      confirmedSeats: 3,
+    },
+    {
+      performanceId: "PERF1",
+      id: "SCH2",
+      date: "2099-03-09",
+      time: "13:00",
+      totalSeats: 10,
+      remainingSeats: 10,
+      pendingSeats: 0,
+      confirmedSeats: 0,
+    }
+  );
+  db.put(
+    "test-reservations",
+    reservation("RES1", "taro@example.com", "confirmed", 3),
+    reservation("RES2", "hanako@example.com", "pending", 1)
+  );
+});
+afterEach(() => mock.restoreAll());
+
+function reservation(id, email, status, reservedSeats) {
+  return {
+    id,
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name: email.split("@")[0],
+    email,
+    status,
+    reservedSeats,
+  };
+}
+
+async function update(body, query) {
+  const response = await handler({
+    httpMethod: "PUT",
+    headers: await adminHeaders(db),
+    pathParameters: { performanceId: "PERF1" },
+    queryStringParameters: query,
+    body: JSON.stringify(body),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const schedule = (id) => db.get(SCHEDULES, { performanceId: "PERF1", id });
+
+describe("PUT /admin/performances/{performanceId}", () => {
+  it("予約済みの席数以上なら総座席数を減らせる（残席も減る）", async () => {
+    const { statusCode } = await update({
+      schedules: [{ id: "SCH1", totalSeats: 4 }],
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(schedule("SCH1").totalSeats, 4);
+    assert.equal(schedule("SCH1").remainingSeats, 0);
+  });
+
+  it("予約済みの席数未満には減らせない (E103)", async () => {
+    const { statusCode, body } = await update({
+      schedules: [{ id: "SCH1", totalSeats: 3 }],
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.errorCode, "E103");
+    assert.equal(schedule("SCH1").totalSeats, 10);
+  });
+
+  it("総座席数は正の整数のみ (E102)", async () => {
+    for (const totalSeats of [0, -5, 10.5, "10"]) {
+      const { statusCode, body } = await update({
+        schedules: [{ id: "SCH1", totalSeats }],
+      });
+
+      assert.equal(statusCode, 400, String(totalSeats));
+      assert.equal(body.errorCode, "E102");
+    }
+    assert.equal(schedule("SCH1").totalSeats, 10);
+  });
+
+  it("同じスケジュールを2回指定すると何も更新せずに 400 (E109)", async () => {
+    const { statusCode, body } = await update({
+      title: "夏公演",
+      schedules: [
+        { id: "SCH2", totalSeats: 8 },
+        { id: "SCH2", totalSeats: 6 },
+      ],
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.errorCode, "E109");
+    assert.equal(schedule("SCH2").totalSeats, 10);
+    assert.equal(db.get("test-performances", { id: "PERF1" }).title, "春公演");
+  });
+
+  it("maxReservations は予約者1人あたりの有効な予約数以上なら減らせる", async () => {
+    db.put("test-reservations", {
+      ...reservation("RES3", "taro@example.com", "confirmed", 1),
+      scheduleId: "SCH2",
+    });
+    assert.equal((await update({ maxReservations: 1 })).body.errorCode, "E106");
+
+    db.put("test-reservations", {
+      ...db.get("test-reservations", { id: "RES3" }),
+      status: "canceled",
+    });
+    assert.equal((await update({ maxReservations: 1 })).statusCode, 200);
+    assert.equal(
+      db.get("test-performances", { id: "PERF1" }).maxReservations,
+      1
+    );
+  });
+
+  it("dryRun は更新せずに変更内容と影響を受ける予約を返す", async () => {
+    const { statusCode, body } = await update(
+      { title: "春公演", schedules: [{ id: "SCH1", totalSeats: 5 }] },
+      { dryRun: "true" }
+    );
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.dryRun, true);
+    // 値の変わらない title は変更に含めない
+    assert.deepEqual(body.changes, [
+      {
+        entityType: "schedule",
+        entityId: "SCH1",
+        field: "totalSeats",
+        before: 10,
+        after: 5,
+      },
+    ]);
+    assert.deepEqual(
+      body.affectedReservations.map(({ id, reasons }) => ({ id, reasons })),
+      [
+        { id: "RES1", reasons: ["totalSeats"] },
+        { id: "RES2", reasons: ["totalSeats"] },
+      ]
+    );
+    assert.equal(schedule("SCH1").totalSeats, 10);
+    assert.equal(db.items("test-audit-log").length, 0);
+  });
+
+  it("検証後に予約が入って残席が足りなくなれば 409 (E115)。公演の項目も更新しない", async () => {
+    const send = db.send.bind(db);
+    mock.method(db, "send", async (command) => {
+      // 公演とスケジュールの更新の直前に、別のリクエストで 3 席予約された
+      if (command.constructor.name === "TransactWriteCommand") {
+        db.put(SCHEDULES, {
+          ...schedule("SCH1"),
+          remainingSeats: 3,
+          pendingSeats: 4,
+        });
+      }
+      return send(command);
+    });
+
+    const { statusCode, body } = await update({
+      title: "春公演（再演）",
+      schedules: [{ id: "SCH1", totalSeats: 5 }],
+    });
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.errorCode, "E115");
+    assert.equal(schedule("SCH1").totalSeats, 10);
+    assert.equal(db.get("test-performances", { id: "PERF1" }).title, "春公演");
+  });
+});
@@ -0,0 +1,235 @@
+import "./helpers/env.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { FakeDynamoDB } from "./helpers/dynamodb.js";
+import { stubServices, TEST_SECRET } from "./helpers/services.js";
+import { handler as joinWaitlist } from "../src/joinWaitlist.mjs";
+import { handler as cancelReservation } from "../src/cancelReservation.mjs";
+import { handler as checkExpiredReservations } from "../src/checkExpiredReservations.mjs";
+import { DEFAULT_EMAIL_SUBJECTS } from "../src/lib/emailTemplateSchema.js";
+
+const SCHEDULES = "test-schedules";
+const RESERVATIONS = "test-reservations";
+const WAITLIST = "test-waitlist";
+const SCHEDULE_KEY = "PERF1#SCH1";
+
+let db;
+let emails;
+
+beforeEach(() => {
+  db = new FakeDynamoDB().install();
+  ({ emails } = stubServices());
+  db.put("test-performances", {
+    id: "PERF1",
+    title: "春公演",
+    reservationStartTime: "2000-01-01T00:00:00.000Z",
+    maxReservations: 2,
+  });
+  // 満席のスケジュールと、その席を持つ確定済みの予約
+  db.put(SCHEDULES, {
+    performanceId: "PERF1",
+    id: "SCH1",
+    date: "2099-03-08",
+    time: "19:00",
+    totalSeats: 4,
+    remainingSeats: 0,
+    pendingSeats: 0,
+    confirmedSeats: 4,
+  });
+  db.put(RESERVATIONS, {
+    id: "RES1",
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name: "予約者",
+    email: "holder@example.com",
+    reservedSeats: 2,
+    status: "confirmed",
+    createdAt: "2025-03-01T00:00:00.000Z",
+  });
+});
+afterEach(() => mock.restoreAll());
+
+function waitingEntry(id, email, reservedSeats) {
+  return {
+    scheduleKey: SCHEDULE_KEY,
+    id,
+    performanceId: "PERF1",
+    scheduleId: "SCH1",
+    name: email.split("@")[0],
+    email,
+    reservedSeats,
+    status: "waiting",
+    createdAt: "2025-03-02T00:00:00.000Z",
+  };
+}
+
+const schedule = () =>
+  db.get(SCHEDULES, { performanceId: "PERF1", id: "SCH1" });
+const entry = (id) => db.get(WAITLIST, { scheduleKey: SCHEDULE_KEY, id });
+// 予約者へのキャンセル完了メールを除いた、繰り上げの案内メール
+const offerEmails = () =>
+  emails.filter(
+    (email) => email.subject === DEFAULT_EMAIL_SUBJECTS.ja["waitlist-offer"]
+  );
+
+function cancelHolder() {
+  return cancelReservation({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    body: JSON.stringify({
+      id: "RES1",
+      token: createHash("sha256").update(`RES1${TEST_SECRET}`).digest("hex"),
+    }),
+  });
+}
+
+async function join(body) {
+  const response = await joinWaitlist({
+    httpMethod: "POST",
+    headers: { origin: "http://localhost:3000" },
+    body: JSON.stringify({
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      name: "待機者",
+      reservedSeats: 2,
+      ...body,
+    }),
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+describe("POST /waitlist", () => {
+  it("満席なら順番を返して登録する", async () => {
+    db.put(WAITLIST, waitingEntry("WL1", "first@example.com", 1));
+    const result = await join({ email: "second@example.com" });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.position, 2);
+    assert.equal(entry(result.waitlistId).status, "waiting");
+  });
+
+  it("残席があれば登録せずに予約を案内する (E007)", async () => {
+    db.put(SCHEDULES, { ...schedule(), remainingSeats: 2 });
+    const result = await join({ email: "second@example.com" });
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(result.errorCode, "E007");
+    assert.equal(db.items(WAITLIST).length, 0);
+  });
+
+  it("同じメールアドレスでは重複して登録しない (E006)", async () => {
+    db.put(WAITLIST, waitingEntry("WL1", "first@example.com", 1));
+    const result = await join({ email: "first@example.com" });
+
+    assert.equal(result.errorCode, "E006");
+  });
+
+  it("不正な形式・使い捨てメールのアドレスは 400 で登録しない", async () => {
+    assert.equal((await join({ email: "taro@localhost" })).errorCode, "E013");
+    assert.equal(
+      (await join({ email: "taro@mailinator.com" })).errorCode,
+      "E014"
+    );
+    assert.equal(db.items(WAITLIST).length, 0);
+  });
+
+  it("同じメールアドレスからは1時間に5回まで (E016)", async () => {
+    for (let i = 0; i < 5; i++) {
+      // 重複登録として断られたリクエストも数える
+      await join({ email: "taro@example.com" });
+    }
+
+    const result = await join({ email: "taro@example.com" });
+    assert.equal(result.statusCode, 429);
+    assert.equal(result.errorCode, "E016");
+    assert.ok(result.retryAfter > 0);
+  });
+});
+
+describe("キャンセル待ちの繰り上げ", () => {
+  it("キャンセルで空いた席を、収まる人数のエントリに先着順で割り当てる", async () => {
+    db.put(
+      WAITLIST,
+      waitingEntry("WL1", "large@example.com", 3),
+      waitingEntry("WL2", "small@example.com", 2),
+      waitingEntry("WL3", "later@example.com", 1)
+    );
+
+    await cancelHolder();
+
+    assert.equal(entry("WL1").status, "waiting");
+    assert.equal(entry("WL2").status, "offered");
+    assert.equal(entry("WL3").status, "waiting");
+
+    const offered = db.get(RESERVATIONS, { id: entry("WL2").reservationId });
+    assert.equal(offered.status, "pending");
+    assert.equal(offered.email, "small@example.com");
+    assert.equal(schedule().remainingSeats, 0);
+    assert.equal(schedule().pendingSeats, 2);
+
+    assert.deepEqual(
+      offerEmails().map((email) => email.to),
+      ["small@example.com"]
+    );
+  });
+
+  it("すでに同じ回を予約している人は飛ばす", async () => {
+    db.put(
+      WAITLIST,
+      waitingEntry("WL1", "holder@example.com", 1),
+      waitingEntry("WL2", "other@example.com", 1)
+    );
+    db.put(RESERVATIONS, {
+      id: "RES2",
+      performanceId: "PERF1",
+      scheduleId: "SCH1",
+      email: "holder@example.com",
+      reservedSeats: 2,
+      status: "confirmed",
+    });
+
+    await cancelHolder();
+
+    assert.equal(entry("WL1").status, "skipped");
+    assert.equal(entry("WL2").status, "offered");
+    assert.deepEqual(
+      offerEmails().map((email) => email.to),
+      ["other@example.com"]
+    );
+  });
+
+  it("繰り上げの仮予約が失効したら次のエントリに回す", async () => {
+    db.put(
+      WAITLIST,
+      waitingEntry("WL1", "first@example.com", 2),
+      waitingEntry("WL2", "second@example.com", 2)
+    );
+    await cancelHolder();
+    const offeredId = entry("WL1").reservationId;
+    db.put(RESERVATIONS, {
+      ...db.get(RESERVATIONS, { id: offeredId }),
+      createdAt: "2000-01-01T00:00:00.000Z",
+    });
+
+    await checkExpiredReservations({});
+
+    assert.equal(db.get(RESERVATIONS, { id: offeredId }).status, "expired");
+    assert.equal(entry("WL2").status, "offered");
+    assert.equal(schedule().remainingSeats, 0);
+    assert.deepEqual(
+      offerEmails().map((email) => email.to),
+      ["first@example.com", "second@example.com"]
+    );
+  });
+
+  it("開演1時間前を過ぎたら繰り上げない", async () => {
+    db.put(SCHEDULES, { ...schedule(), date: "2000-01-01" });
+    db.put(WAITLIST, waitingEntry("WL1", "first@example.com", 1));
+
+    await cancelHolder();
+
+    assert.equal(entry("WL1").status, "waiting");
+    assert.equal(schedule().remainingSeats, 2);
+  });
+});